@@ -150,29 +150,48 @@ const options = {
               description: 'Data record ID'
             },
             device_id: {
-              type: 'integer',
-              description: 'Device database ID'
+              type: 'string',
+              description: 'Device ID'
             },
             data_type: {
               type: 'string',
-              description: 'Type of data (sensor, command, etc.)'
+              enum: ['state', 'sensor', 'heartbeat', 'error'],
+              description: 'Type of data'
             },
-            sensor_name: {
+            metric: {
               type: 'string',
-              description: 'Sensor name'
+              nullable: true,
+              description: 'Metric name, e.g. temperature'
             },
             value: {
               type: 'number',
-              description: 'Sensor value'
+              nullable: true,
+              description: 'Numeric reading'
             },
             unit: {
               type: 'string',
+              nullable: true,
               description: 'Value unit'
             },
-            timestamp: {
+            quality: {
+              type: 'string',
+              enum: ['good', 'uncertain', 'bad'],
+              description: 'Reading quality; bad readings are left out of rollups'
+            },
+            observed_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the reading was taken'
+            },
+            received_at: {
               type: 'string',
               format: 'date-time',
-              description: 'Data timestamp'
+              description: 'When the server received it'
+            },
+            timestamp_status: {
+              type: 'string',
+              enum: ['server', 'device', 'corrected', 'implausible'],
+              description: 'Where observed_at came from: arrival time, device clock, device clock minus estimated skew, or arrival time because the device time was implausible'
             }
           }
         },
@@ -358,6 +377,34 @@ const options = {
         name: 'Devices',
         description: 'IoT device management and control'
       },
+      {
+        name: 'Device Types',
+        description: 'Registered device types and their capabilities'
+      },
+      {
+        name: 'Device Groups',
+        description: 'User-defined sets of devices'
+      },
+      {
+        name: 'Homes & Rooms',
+        description: 'Homes, floors and rooms that boards and devices are placed in'
+      },
+      {
+        name: 'Scenes',
+        description: 'Stored multi-device states, activation and undo'
+      },
+      {
+        name: 'Automations',
+        description: 'Event-driven rules over sensor readings, device state and time'
+      },
+      {
+        name: 'Executions',
+        description: 'Log of timer and automation runs with per-device outcomes'
+      },
+      {
+        name: 'Timers',
+        description: 'Scheduled device actions and scenes'
+      },
       {
         name: 'Data',
         description: 'Sensor data and analytics'
@@ -0,0 +1,181 @@
+const AutomationModel = require('../models/automationModel');
+const ExecutionModel = require('../models/executionModel');
+const UserModel = require('../models/userModel');
+const AutomationService = require('../services/automationService');
+const DryRunService = require('../services/dryRunService');
+
+const MAX_NAME_LENGTH = 100;
+
+function nameError(name, { required = true } = {}) {
+  if (name === undefined && !required) return null;
+  if (typeof name !== 'string' || name.trim().length === 0) return 'name is required';
+  if (name.length > MAX_NAME_LENGTH) return `name must be at most ${MAX_NAME_LENGTH} characters`;
+  return null;
+}
+
+// Every instance has to pick up the rule before it sees the next reading
+async function changed(automationId) {
+  await AutomationService.reload(automationId);
+  AutomationService.announceChange(automationId);
+}
+
+const AutomationController = {
+  async getAutomations(req, res) {
+    try {
+      const automations = await AutomationModel.listAutomations(req.user.id);
+      res.json({ success: true, data: automations });
+    } catch (error) {
+      console.error('Error fetching automations:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch automations' });
+    }
+  },
+
+  async getAutomation(req, res) {
+    try {
+      const automation = await AutomationModel.getAutomation(req.params.automationId, req.user.id);
+      if (!automation) return res.status(404).json({ success: false, message: 'Automation not found' });
+      res.json({ success: true, data: automation });
+    } catch (error) {
+      console.error('Error fetching automation:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch automation' });
+    }
+  },
+
+  // { name, description?, is_enabled?, conditions, actions, cooldown_seconds? }
+  async createAutomation(req, res) {
+    try {
+      const { name, description, is_enabled, conditions, actions, cooldown_seconds } = req.body;
+      const invalid = nameError(name);
+      if (invalid) return res.status(400).json({ success: false, message: invalid });
+      if (is_enabled !== undefined && typeof is_enabled !== 'boolean') {
+        return res.status(400).json({ success: false, message: 'is_enabled must be a boolean' });
+      }
+
+      const { errors } = await AutomationService.validate({ conditions, actions, cooldown_seconds }, req.user.id);
+      if (errors.length > 0) return res.status(400).json({ success: false, message: 'Invalid automation', errors });
+
+      const automationId = await AutomationModel.createAutomation(req.user.id, {
+        name: name.trim(),
+        description: description || null,
+        is_enabled,
+        conditions,
+        actions,
+        cooldown_seconds
+      });
+      await changed(automationId);
+      res.status(201).json({
+        success: true,
+        message: 'Automation created successfully',
+        data: await AutomationModel.getAutomation(automationId, req.user.id)
+      });
+    } catch (error) {
+      console.error('Error creating automation:', error);
+      res.status(500).json({ success: false, message: 'Failed to create automation' });
+    }
+  },
+
+  // Fields left out keep their value; any update re-arms the rule
+  async updateAutomation(req, res) {
+    try {
+      const { name, description, is_enabled, cooldown_seconds } = req.body;
+      const invalid = nameError(name, { required: false });
+      if (invalid) return res.status(400).json({ success: false, message: invalid });
+      if (is_enabled !== undefined && typeof is_enabled !== 'boolean') {
+        return res.status(400).json({ success: false, message: 'is_enabled must be a boolean' });
+      }
+
+      const automation = await AutomationModel.getAutomation(req.params.automationId, req.user.id);
+      if (!automation) return res.status(404).json({ success: false, message: 'Automation not found' });
+
+      const conditions = req.body.conditions !== undefined ? req.body.conditions : automation.conditions;
+      const actions = req.body.actions !== undefined ? req.body.actions : automation.actions;
+      const { errors } = await AutomationService.validate({ conditions, actions, cooldown_seconds }, req.user.id);
+      if (errors.length > 0) return res.status(400).json({ success: false, message: 'Invalid automation', errors });
+
+      await AutomationModel.updateAutomation(automation.id, req.user.id, {
+        name: name && name.trim(),
+        description,
+        is_enabled,
+        conditions: req.body.conditions,
+        actions: req.body.actions,
+        cooldown_seconds
+      });
+      await changed(automation.id);
+      res.json({
+        success: true,
+        message: 'Automation updated successfully',
+        data: await AutomationModel.getAutomation(automation.id, req.user.id)
+      });
+    } catch (error) {
+      console.error('Error updating automation:', error);
+      res.status(500).json({ success: false, message: 'Failed to update automation' });
+    }
+  },
+
+  async deleteAutomation(req, res) {
+    try {
+      const deleted = await AutomationModel.deleteAutomation(req.params.automationId, req.user.id);
+      if (!deleted) return res.status(404).json({ success: false, message: 'Automation not found' });
+      await changed(req.params.automationId);
+      res.json({ success: true, message: 'Automation deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting automation:', error);
+      res.status(500).json({ success: false, message: 'Failed to delete automation' });
+    }
+  },
+
+  // The rule's entries in the execution log
+  async getRuns(req, res) {
+    try {
+      const automation = await AutomationModel.getAutomation(req.params.automationId, req.user.id);
+      if (!automation) return res.status(404).json({ success: false, message: 'Automation not found' });
+
+      const { limit = 50, offset = 0 } = req.query;
+      const { executions, total } = await ExecutionModel.list(req.user.id, { automation_id: automation.id, limit, offset });
+      res.json({
+        success: true,
+        data: {
+          executions,
+          pagination: {
+            total,
+            limit: parseInt(limit),
+            offset: parseInt(offset),
+            hasMore: (parseInt(offset) + parseInt(limit)) < total
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching automation runs:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch automation runs' });
+    }
+  },
+
+  // { automation_id } or an unsaved { conditions, actions, cooldown_seconds }, plus { from, to }
+  async dryRun(req, res) {
+    try {
+      const range = DryRunService.parseRange(req.body);
+      if (range.error) return res.status(400).json({ success: false, message: range.error });
+
+      let rule;
+      if (req.body.automation_id !== undefined) {
+        rule = await AutomationModel.getAutomation(req.body.automation_id, req.user.id);
+        if (!rule) return res.status(404).json({ success: false, message: 'Automation not found' });
+      } else {
+        const { conditions, actions, cooldown_seconds } = req.body;
+        const { errors } = await AutomationService.validate({ conditions, actions, cooldown_seconds }, req.user.id);
+        if (errors.length > 0) return res.status(400).json({ success: false, message: 'Invalid automation', errors });
+        const [user] = await UserModel.findPublicById(req.user.id);
+        rule = { conditions, actions, cooldown_seconds, user_timezone: user && user.timezone };
+      }
+
+      const report = await DryRunService.automation(rule, range);
+      if (report.error) return res.status(400).json({ success: false, message: report.error });
+      res.json({ success: true, message: `Would have fired ${report.fire_count} time(s)`, data: report });
+    } catch (error) {
+      console.error('Error running automation dry run:', error);
+      res.status(500).json({ success: false, message: 'Failed to run automation dry run' });
+    }
+  }
+};
+
+module.exports = AutomationController;
@@ -1,13 +1,27 @@
 const DataModel = require('../models/dataModel');
+const TelemetryQueryService = require('../services/telemetryQueryService');
+
+// Optional start_date/end_date query params; returns { from, to } or { error }
+function parseRange({ start_date, end_date }) {
+  const from = start_date ? new Date(start_date) : null;
+  const to = end_date ? new Date(end_date) : null;
+  if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+    return { error: 'start_date and end_date must be valid dates' };
+  }
+  if (from && to && from >= to) {
+    return { error: 'start_date must be before end_date' };
+  }
+  return { from, to };
+}
 
 const DataController = {
   async getSensorData(req, res) {
     try {
-      const { limit = 100, offset = 0, sensor_name, start_date, end_date } = req.query;
+      const { limit = 100, offset = 0, start_date, end_date } = req.query;
       const { sensorData, total } = await DataModel.getSensorData(req.params.deviceId, {
         limit,
         offset,
-        sensor_name,
+        metric: req.query.metric || req.query.sensor_name,
         start_date,
         end_date
       });
@@ -55,9 +69,17 @@ const DataController = {
 
   async getAnalytics(req, res) {
     try {
-      const { period = 'day', sensor_name } = req.query;
-      const { analytics, sensorSummary } = await DataModel.getAnalytics(req.params.deviceId, { period, sensor_name });
-      res.json({ success: true, data: { analytics, sensorSummary, period } });
+      const { period = 'day' } = req.query;
+      // sensor_name is the pre-metric name of the filter
+      const metric = req.query.metric || req.query.sensor_name;
+      if (!TelemetryQueryService.periods.includes(period)) {
+        return res.status(400).json({ success: false, message: `period must be one of ${TelemetryQueryService.periods.join(', ')}` });
+      }
+      const range = parseRange(req.query);
+      if (range.error) return res.status(400).json({ success: false, message: range.error });
+
+      const data = await TelemetryQueryService.getAnalytics(req.params.deviceId, { period, metric, from: range.from, to: range.to });
+      res.json({ success: true, data });
     } catch (error) {
       console.error('Get analytics error:', error);
       res.status(500).json({ success: false, message: 'Internal server error' });
@@ -66,9 +88,25 @@ const DataController = {
 
   async exportCsv(req, res) {
     try {
-      const { start_date, end_date, data_type = 'sensor' } = req.query;
-      // For now keep original export logic in route. This controller placeholder can be expanded later.
-      res.status(501).json({ success: false, message: 'Not implemented in controller yet' });
+      const { data_type = 'sensor', resolution } = req.query;
+      if (resolution && !TelemetryQueryService.resolutions.includes(resolution)) {
+        return res.status(400).json({ success: false, message: `resolution must be one of ${TelemetryQueryService.resolutions.join(', ')}` });
+      }
+      const range = parseRange(req.query);
+      if (range.error) return res.status(400).json({ success: false, message: range.error });
+
+      const { csv, resolution: used, error } = await TelemetryQueryService.exportCsv(req.params.deviceId, {
+        data_type,
+        resolution,
+        from: range.from,
+        to: range.to
+      });
+      if (error) return res.status(400).json({ success: false, message: error });
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="device_${req.params.deviceId}_data.csv"`);
+      res.setHeader('X-Data-Resolution', used);
+      res.send(csv);
     } catch (error) {
       console.error('Export data error:', error);
       res.status(500).json({ success: false, message: 'Internal server error' });
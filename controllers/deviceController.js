@@ -1,7 +1,91 @@
 const DeviceModel = require('../models/deviceModel');
+const HomeModel = require('../models/homeModel');
+const CommandModel = require('../models/commandModel');
 const mqttService = require('../services/mqttService');
+const commandQueueService = require('../services/commandQueueService');
+const ConnectivityReportService = require('../services/connectivityReportService');
+const shadowService = require('../services/shadowService');
+const payloadCodecService = require('../services/payloadCodecService');
+const CompactFrameCodec = require('../services/compactFrameCodec');
+const telemetryIngestService = require('../services/telemetryIngestService');
+const DeviceTypeRegistry = require('../services/deviceTypeRegistry');
+const DeviceControlService = require('../services/deviceControlService');
+const BulkControlService = require('../services/bulkControlService');
 const db = require('../config/database');
 
+const OFFLINE_COMMAND_TTL_MS = parseInt(process.env.OFFLINE_COMMAND_TTL_MS || String(24 * 60 * 60 * 1000), 10);
+const MAX_OFFLINE_COMMAND_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Clients opt in with { queue_if_offline: true, expires_in: <seconds> }; null means "reject when offline"
+function getOfflineQueueOptions(body = {}) {
+  if (body.queue_if_offline !== true) return null;
+  const expiresIn = parseInt(body.expires_in, 10);
+  const ttlMs = Number.isFinite(expiresIn) && expiresIn > 0
+    ? Math.min(expiresIn * 1000, MAX_OFFLINE_COMMAND_TTL_MS)
+    : OFFLINE_COMMAND_TTL_MS;
+  return { queueOffline: true, policy: { ttlMs } };
+}
+
+// expires_at is the one stored on the queued row, which is what the queue enforces
+async function sendQueued(res, message, commandId, data = {}) {
+  const command = await CommandModel.findByCommandId(commandId);
+  return res.status(202).json({
+    success: true,
+    message,
+    data: {
+      ...data,
+      command_id: commandId,
+      delivery: 'queued',
+      expires_at: command && command.expires_at ? new Date(command.expires_at).toISOString() : null
+    }
+  });
+}
+
+// Post-ack effects for commands that were buffered while the board was offline
+commandQueueService.onDelivered('add_device', async ({ boardId, data }) => {
+  const { device_id, device_type, name, gpio_pin, config } = data.data;
+  await DeviceModel.persistAddedDevice({ device_id, board_id: boardId, device_type, name, gpio_pin, config });
+  telemetryIngestService.rememberDevice(device_id);
+});
+commandQueueService.onDelivered('update_device', ({ data }) => {
+  const { device_id, name, config } = data.data;
+  return DeviceModel.updateDevice(device_id, { name, config });
+});
+// Control commands (gpio, pwm, ...) report back the state their device type maps them to
+for (const commandType of DeviceTypeRegistry.firmwareCommandTypes()) {
+  commandQueueService.onDelivered(commandType, async ({ deviceId, data }) => {
+    if (!deviceId) return null;
+    const device = await DeviceModel.findDevice(deviceId);
+    const reported = device ? DeviceTypeRegistry.reportedFromCommand(device, commandType, data) : null;
+    return reported ? shadowService.report(deviceId, reported) : null;
+  });
+}
+
+// { room_id } body -> room id (null clears) or { error }; the room must be one of the user's
+async function resolveRoom(body, userId) {
+  if (!body || !('room_id' in body)) return { error: 'room_id is required (null to clear)' };
+  if (body.room_id === null) return { roomId: null };
+  const room = await HomeModel.getRoom(body.room_id, userId);
+  return room ? { roomId: room.id } : { error: 'Room not found', notFound: true };
+}
+
+// ?home_id=&floor_id=&room_id=&group_id= -> DeviceModel.getDevicesByUser filters, or null if one is malformed
+function locationFilters(query) {
+  const filters = {};
+  for (const [param, key] of [['home_id', 'homeId'], ['floor_id', 'floorId'], ['room_id', 'roomId'], ['group_id', 'groupId']]) {
+    if (query[param] === undefined || query[param] === '') continue;
+    const id = parseInt(query[param], 10);
+    if (!Number.isFinite(id)) return null;
+    filters[key] = id;
+  }
+  return filters;
+}
+
+function parseState(state) {
+  if (!state) return {};
+  return typeof state === 'string' ? JSON.parse(state) : state;
+}
+
 const DeviceController = {
   async getBoards(req, res) {
     try {
@@ -45,9 +129,106 @@ const DeviceController = {
     }
   },
 
+  // Backend-only placement, so it works while the board is offline
+  async setBoardRoom(req, res) {
+    try {
+      const room = await resolveRoom(req.body, req.user.id);
+      if (room.error) return res.status(room.notFound ? 404 : 400).json({ success: false, message: room.error });
+
+      const updated = await DeviceModel.setBoardRoom(req.params.boardId, req.user.id, room.roomId);
+      if (!updated) return res.status(404).json({ success: false, message: 'Board not found' });
+      res.json({ success: true, message: room.roomId ? 'Board assigned to room' : 'Board room cleared', data: { board_id: req.params.boardId, room_id: room.roomId } });
+    } catch (error) {
+      console.error('Error assigning board to room:', error);
+      res.status(500).json({ success: false, message: 'Failed to assign board to room' });
+    }
+  },
+
+  async updateBoardCodec(req, res) {
+    try {
+      const { codec, compact_schema } = req.body;
+      if (!payloadCodecService.isKnown(codec)) {
+        return res.status(400).json({ success: false, message: `codec must be one of: ${payloadCodecService.names.join(', ')}` });
+      }
+      if (compact_schema !== undefined && compact_schema !== null) {
+        const errors = CompactFrameCodec.validateSchema(compact_schema);
+        if (errors.length > 0) {
+          return res.status(400).json({ success: false, message: 'Invalid compact_schema', errors });
+        }
+      }
+      if (codec === 'compact' && !compact_schema) {
+        return res.status(400).json({ success: false, message: 'compact codec requires compact_schema' });
+      }
+
+      const updated = await DeviceModel.updateBoardCodec(req.params.boardId, req.user.id, {
+        codec,
+        compactSchema: compact_schema || null
+      });
+      if (!updated) return res.status(404).json({ success: false, message: 'Board not found' });
+
+      payloadCodecService.invalidateBoard(req.params.boardId);
+      res.json({
+        success: true,
+        message: 'Board payload codec updated',
+        data: {
+          codec,
+          compact_schema: compact_schema || null,
+          compact_frame_bytes: compact_schema ? CompactFrameCodec.frameSize(compact_schema) : null
+        }
+      });
+    } catch (error) {
+      console.error('Error updating board codec:', error);
+      res.status(500).json({ success: false, message: 'Failed to update board codec' });
+    }
+  },
+
+  async getBoardCommands(req, res) {
+    try {
+      const board = await DeviceModel.getBoard(req.params.boardId, req.user.id);
+      if (!board) return res.status(404).json({ success: false, message: 'Board not found' });
+
+      const { status, limit } = req.query;
+      const commands = await CommandModel.listByBoard(req.params.boardId, { status, limit });
+      const data = commands.map(c => ({ ...c, delivery: CommandModel.deliveryState(c) }));
+      res.json({ success: true, data });
+    } catch (error) {
+      console.error('Error fetching board commands:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch board commands' });
+    }
+  },
+
+  async getBoardConnectivity(req, res) {
+    try {
+      const board = await DeviceModel.getBoard(req.params.boardId, req.user.id);
+      if (!board) return res.status(404).json({ success: false, message: 'Board not found' });
+
+      const { from, to, limit } = req.query;
+      const events = await ConnectivityReportService.getTimeline(req.params.boardId, { from, to, limit });
+      res.json({ success: true, data: { board_id: board.board_id, is_online: Boolean(board.is_online), last_seen: board.last_seen, events } });
+    } catch (error) {
+      console.error('Error fetching board connectivity:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch board connectivity' });
+    }
+  },
+
+  async getBoardUptime(req, res) {
+    try {
+      const board = await DeviceModel.getBoard(req.params.boardId, req.user.id);
+      if (!board) return res.status(404).json({ success: false, message: 'Board not found' });
+
+      const report = await ConnectivityReportService.getUptimeReport(board);
+      res.json({ success: true, data: report });
+    } catch (error) {
+      console.error('Error fetching board uptime:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch board uptime' });
+    }
+  },
+
   async listDevices(req, res) {
     try {
-      const devices = await DeviceModel.getDevicesByUser(req.user.id);
+      const filters = locationFilters(req.query);
+      if (!filters) return res.status(400).json({ success: false, message: 'home_id, floor_id, room_id and group_id must be numbers' });
+      const devices = await DeviceModel.getDevicesByUser(req.user.id, filters);
       res.json({ success: true, data: devices });
     } catch (error) {
       console.error('Error fetching devices:', error);
@@ -61,8 +242,16 @@ const DeviceController = {
       if (!board_id || !device_type || !name || gpio_pin === undefined) {
         return res.status(400).json({ success: false, message: 'Missing required fields' });
       }
+      if (!DeviceTypeRegistry.has(device_type)) {
+        return res.status(400).json({ success: false, message: `Unknown device_type. Supported: ${DeviceTypeRegistry.names().join(', ')}` });
+      }
+      const configErrors = DeviceTypeRegistry.validateConfig(device_type, config);
+      if (configErrors.length > 0) {
+        return res.status(400).json({ success: false, message: 'Invalid config', errors: configErrors });
+      }
 
-      const check = await DeviceModel.addDevice({ board_id, device_type, name, gpio_pin, config }, req.user.id);
+      const queueOptions = getOfflineQueueOptions(req.body);
+      const check = await DeviceModel.addDevice({ board_id, device_type, name, gpio_pin, config }, req.user.id, { allowOffline: Boolean(queueOptions) });
       if (check.notFound) return res.status(404).json({ success: false, message: 'Board not found' });
       if (check.offline) return res.status(400).json({ success: false, message: 'Board is offline. Cannot add device.' });
       if (check.pinInUse) return res.status(409).json({ success: false, message: `GPIO pin ${gpio_pin} is already in use` });
@@ -72,6 +261,12 @@ const DeviceController = {
         cmd: 'add_device',
         data: { device_id, device_type, name, gpio_pin, config }
       };
+
+      if (!check.boardOnline) {
+        const queuedId = await mqttService.sendCommand(board_id, 'add_device', addDeviceCommand, queueOptions);
+        return await sendQueued(res, 'Board is offline. Device will be added when it reconnects.', queuedId, { device_id, device_type, name, gpio_pin, config });
+      }
+
       const commandId = await mqttService.sendCommand(board_id, 'add_device', addDeviceCommand);
       const ackReceived = await mqttService.waitForAck(commandId, 15000);
       if (!ackReceived) {
@@ -79,8 +274,9 @@ const DeviceController = {
       }
 
       const initialState = await DeviceModel.persistAddedDevice({ device_id, board_id, device_type, name, gpio_pin, config });
+      telemetryIngestService.rememberDevice(device_id);
 
-      res.status(201).json({ success: true, message: 'Device added successfully', data: { device_id, device_type, name, gpio_pin, config, state: initialState } });
+      res.status(201).json({ success: true, message: 'Device added successfully', data: { device_id, device_type, name, gpio_pin, config, state: initialState, command_id: commandId, delivery: 'delivered' } });
     } catch (error) {
       console.error('Error adding device:', error);
       res.status(500).json({ success: false, message: 'Failed to add device' });
@@ -93,10 +289,22 @@ const DeviceController = {
       const { deviceId } = req.params;
 
       const device = await DeviceModel.getDeviceWithBoard(deviceId, req.user.id);
+      const queueOptions = getOfflineQueueOptions(req.body);
       if (!device) return res.status(404).json({ success: false, message: 'Device not found' });
-      if (!device.is_online) return res.status(400).json({ success: false, message: 'Board is offline. Cannot update device.' });
+      if (config !== undefined) {
+        const configErrors = DeviceTypeRegistry.validateConfig(device.device_type, config);
+        if (configErrors.length > 0) {
+          return res.status(400).json({ success: false, message: 'Invalid config', errors: configErrors });
+        }
+      }
+      if (!device.is_online && !queueOptions) return res.status(400).json({ success: false, message: 'Board is offline. Cannot update device.' });
 
       const updateCommand = { cmd: 'update_device', data: { device_id: deviceId, name, config } };
+      if (!device.is_online) {
+        const queuedId = await mqttService.sendCommand(device.board_id, 'update_device', updateCommand, queueOptions);
+        return await sendQueued(res, 'Board is offline. Update will be applied when it reconnects.', queuedId);
+      }
+
       const commandId = await mqttService.sendCommand(device.board_id, 'update_device', updateCommand);
       const ackReceived = await mqttService.waitForAck(commandId, 10000);
       if (!ackReceived) {
@@ -104,28 +312,49 @@ const DeviceController = {
       }
 
       await DeviceModel.updateDevice(deviceId, { name, config });
-      res.json({ success: true, message: 'Device updated successfully' });
+      res.json({ success: true, message: 'Device updated successfully', data: { command_id: commandId, delivery: 'delivered' } });
     } catch (error) {
       console.error('Error updating device:', error);
       res.status(500).json({ success: false, message: 'Failed to update device' });
     }
   },
 
+  // room_id null puts the device back in its board's room
+  async setDeviceRoom(req, res) {
+    try {
+      const room = await resolveRoom(req.body, req.user.id);
+      if (room.error) return res.status(room.notFound ? 404 : 400).json({ success: false, message: room.error });
+
+      const updated = await DeviceModel.setDeviceRoom(req.params.deviceId, req.user.id, room.roomId);
+      if (!updated) return res.status(404).json({ success: false, message: 'Device not found' });
+      res.json({ success: true, message: room.roomId ? 'Device assigned to room' : 'Device follows its board\'s room', data: { device_id: req.params.deviceId, room_id: room.roomId } });
+    } catch (error) {
+      console.error('Error assigning device to room:', error);
+      res.status(500).json({ success: false, message: 'Failed to assign device to room' });
+    }
+  },
+
   async removeDevice(req, res) {
     try {
       const { deviceId } = req.params;
-      const result = await DeviceModel.deleteDevice(deviceId, req.user.id);
+      const queueOptions = getOfflineQueueOptions(req.body);
+      const result = await DeviceModel.deleteDevice(deviceId, req.user.id, { allowOffline: Boolean(queueOptions) });
       if (result.notFound) return res.status(404).json({ success: false, message: 'Device not found' });
       if (result.offline) return res.status(400).json({ success: false, message: 'Board is offline. Cannot remove device.' });
 
       const removeCommand = { cmd: 'remove_device', data: { device_id: deviceId, gpio_pin: result.device.gpio_pin } };
+      if (!result.device.is_online) {
+        const queuedId = await mqttService.sendCommand(result.device.board_id, 'remove_device', removeCommand, queueOptions);
+        return await sendQueued(res, 'Board is offline. Device will be removed from the board when it reconnects.', queuedId);
+      }
+
       const commandId = await mqttService.sendCommand(result.device.board_id, 'remove_device', removeCommand);
       const ackReceived = await mqttService.waitForAck(commandId, 10000);
       if (!ackReceived) {
         return res.status(408).json({ success: false, message: 'ESP32 did not acknowledge removal. Device may still be active on board.' });
       }
 
-      res.json({ success: true, message: 'Device removed successfully' });
+      res.json({ success: true, message: 'Device removed successfully', data: { command_id: commandId, delivery: 'delivered' } });
     } catch (error) {
       console.error('Error removing device:', error);
       res.status(500).json({ success: false, message: 'Failed to remove device' });
@@ -134,53 +363,147 @@ const DeviceController = {
 
   async controlDevice(req, res) {
     try {
-      const { action, value, state } = req.body;
+      const { action, value, state, capability, command, args } = req.body;
       const { deviceId } = req.params;
       const device = await DeviceModel.getDeviceWithBoard(deviceId, req.user.id);
+      const queueOptions = getOfflineQueueOptions(req.body);
       if (!device) return res.status(404).json({ success: false, message: 'Device not found' });
-      if (!device.is_online) return res.status(400).json({ success: false, message: 'Board is offline. Cannot control device.' });
-
-      let desiredStateBool = undefined;
-      if (typeof state === 'boolean') {
-        desiredStateBool = state;
-      } else if (typeof action === 'string') {
-        const a = action.toLowerCase();
-        if (a === 'turn_on' || a === 'on') desiredStateBool = true;
-        else if (a === 'turn_off' || a === 'off') desiredStateBool = false;
-        else if (a === 'toggle') {
-          const current = device.state ? (typeof device.state === 'string' ? JSON.parse(device.state) : device.state) : { state: false };
-          desiredStateBool = !Boolean(current.state);
-        }
+      if (!device.is_online && !queueOptions) return res.status(400).json({ success: false, message: 'Board is offline. Cannot control device.' });
+
+      const deliveryOptions = { queueOptions: device.is_online ? null : queueOptions };
+      let result;
+      let patch;
+      let extra = {};
+      if (capability !== undefined) {
+        // Typed form: { capability, command, args }
+        result = await DeviceControlService.execute(device, { capability, command, args }, deliveryOptions);
+        if (result.error) return res.status(400).json({ success: false, message: result.error });
+        patch = result.patch || {};
+        extra = { capability, command };
+        if (result.transitionMs !== undefined) extra.transition_ms = result.transitionMs;
+        if (result.pulseMs !== undefined) extra.pulse_ms = result.pulseMs;
+      } else {
+        const resolved = DeviceTypeRegistry.controlPatch(device.device_type, { action, state, value }, parseState(device.state));
+        if (resolved.error) return res.status(400).json({ success: false, message: resolved.error });
+        patch = resolved.patch;
+        result = await DeviceControlService.applyState(device, patch, deliveryOptions);
+        if (result.error) return res.status(400).json({ success: false, message: result.error });
       }
 
-      if (device.device_type === 'dimmer') {
-        const pwmValue = Number(value);
-        if (Number.isFinite(pwmValue)) {
-          const commandId = await mqttService.sendCommand(device.board_id, 'pwm', { pin: device.gpio_pin, value: pwmValue });
-          const ackReceived = await mqttService.waitForAck(commandId, 10000);
-          if (!ackReceived) return res.status(408).json({ success: false, message: 'ESP32 did not acknowledge PWM command.' });
-          return res.json({ success: true, message: 'PWM command sent successfully' });
+      const [commandId] = result.commandIds;
+      if (result.delivery === 'queued') {
+        return await sendQueued(res, 'Board is offline. Control command queued until it reconnects.', commandId, { ...extra, ...patch, command_ids: result.commandIds });
+      }
+      if (!result.acked) return res.status(408).json({ success: false, message: 'ESP32 did not acknowledge control command.' });
+
+      res.json({
+        success: true,
+        message: 'Control command sent successfully',
+        state: patch.state,
+        data: { command_id: commandId, command_ids: result.commandIds, delivery: 'delivered', ...extra, ...patch }
+      });
+    } catch (error) {
+      console.error('Error controlling device:', error);
+      res.status(500).json({ success: false, message: 'Failed to control device' });
+    }
+  },
+
+  async bulkControl(req, res) {
+    try {
+      const parsed = await BulkControlService.parseRequest(req.body, req.user.id);
+      if (parsed.error) return res.status(400).json({ success: false, message: parsed.error });
+
+      const options = { queueOptions: getOfflineQueueOptions(req.body) };
+      if (req.body.async === true) {
+        const jobId = await BulkControlService.start(req.user.id, parsed.items, options);
+        return res.status(202).json({
+          success: true,
+          message: 'Bulk control started',
+          data: { job_id: jobId, status: 'running', total: parsed.items.length, status_url: `/api/devices/bulk-control/${jobId}` }
+        });
+      }
+
+      const results = await BulkControlService.run(req.user.id, parsed.items, options);
+      const summary = BulkControlService.summarize(results);
+      res.json({
+        success: true,
+        message: `${summary.acked} acknowledged, ${summary.queued} queued, ${results.length - summary.acked - summary.queued} not applied`,
+        data: { total: results.length, summary, results }
+      });
+    } catch (error) {
+      console.error('Error running bulk control:', error);
+      res.status(500).json({ success: false, message: 'Failed to run bulk control' });
+    }
+  },
+
+  async getBulkControlJob(req, res) {
+    try {
+      const jobId = parseInt(req.params.jobId, 10);
+      const job = Number.isFinite(jobId) ? await BulkControlService.getJob(jobId, req.user.id) : null;
+      if (!job) return res.status(404).json({ success: false, message: 'Bulk control job not found' });
+
+      res.json({
+        success: true,
+        data: {
+          job_id: job.id,
+          status: job.status,
+          total: job.total,
+          summary: job.summary,
+          results: job.results,
+          created_at: job.created_at,
+          completed_at: job.completed_at
         }
+      });
+    } catch (error) {
+      console.error('Error fetching bulk control job:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch bulk control job' });
+    }
+  },
+
+  async getShadow(req, res) {
+    try {
+      const device = await DeviceModel.getDeviceWithBoard(req.params.deviceId, req.user.id);
+      if (!device) return res.status(404).json({ success: false, message: 'Device not found' });
+
+      const shadow = await shadowService.getShadow(req.params.deviceId);
+      res.json({ success: true, data: shadow });
+    } catch (error) {
+      console.error('Error fetching device shadow:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch device shadow' });
+    }
+  },
+
+  async updateShadow(req, res) {
+    try {
+      const { deviceId } = req.params;
+      // Accept the AWS-style { state: { desired } } body as well as a bare { desired }
+      const desired = (req.body.state && req.body.state.desired) || req.body.desired;
+      if (!desired || typeof desired !== 'object' || Array.isArray(desired)) {
+        return res.status(400).json({ success: false, message: 'Provide state.desired as an object' });
       }
 
-      if (typeof desiredStateBool !== 'boolean') {
-        return res.status(400).json({ success: false, message: 'Invalid control parameters. Provide state boolean or action turn_on/turn_off/toggle.' });
+      const device = await DeviceModel.getDeviceWithBoard(deviceId, req.user.id);
+      if (!device) return res.status(404).json({ success: false, message: 'Device not found' });
+
+      const stateErrors = DeviceTypeRegistry.validateState(device.device_type, desired);
+      if (stateErrors.length > 0) {
+        return res.status(400).json({ success: false, message: 'Invalid desired state', errors: stateErrors });
       }
 
-      const fwState = desiredStateBool ? 'on' : 'off';
-      const commandId = await mqttService.sendCommand(device.board_id, 'gpio', { pin: device.gpio_pin, state: fwState });
-      const ackReceived = await mqttService.waitForAck(commandId, 10000);
-      if (!ackReceived) return res.status(408).json({ success: false, message: 'ESP32 did not acknowledge control command.' });
+      const result = await shadowService.setDesired(deviceId, desired, req.body.version);
+      if (result.conflict) {
+        return res.status(409).json({ success: false, message: 'Shadow version conflict', data: shadowService.toDocument(result.shadow) });
+      }
 
-      await db.query(
-        `UPDATE devices SET state = JSON_SET(COALESCE(state, JSON_OBJECT()), '$.state', ?), updated_at = CURRENT_TIMESTAMP WHERE device_id = ?`,
-        [desiredStateBool, deviceId]
-      );
+      // Offline boards get the delta when they reconnect
+      if (device.is_online) {
+        await shadowService.reconcileDevice(device.board_id, device);
+      }
 
-      res.json({ success: true, message: 'Control command sent successfully', state: desiredStateBool });
+      res.json({ success: true, message: 'Desired state updated', data: result.document });
     } catch (error) {
-      console.error('Error controlling device:', error);
-      res.status(500).json({ success: false, message: 'Failed to control device' });
+      console.error('Error updating device shadow:', error);
+      res.status(500).json({ success: false, message: 'Failed to update device shadow' });
     }
   },
 
@@ -205,8 +528,8 @@ const DeviceController = {
         query += ` AND data_type = ?`;
         params.push(dataType);
       }
-      // Escape timestamp column and inline sanitized limit to avoid prepared LIMIT placeholder issue
-      query += ` ORDER BY \`timestamp\` DESC LIMIT ${safeLimit}`;
+      // Inline sanitized limit to avoid prepared LIMIT placeholder issue
+      query += ` ORDER BY observed_at DESC, id DESC LIMIT ${safeLimit}`;
 
       const data = await db.query(query, params);
 
@@ -0,0 +1,122 @@
+const DeviceGroupModel = require('../models/deviceGroupModel');
+const DeviceModel = require('../models/deviceModel');
+
+const MAX_NAME_LENGTH = 100;
+
+function nameError(name, { required = true } = {}) {
+  if (name === undefined && !required) return null;
+  if (typeof name !== 'string' || name.trim().length === 0) return 'name is required';
+  if (name.length > MAX_NAME_LENGTH) return `name must be at most ${MAX_NAME_LENGTH} characters`;
+  return null;
+}
+
+const DeviceGroupController = {
+  async getGroups(req, res) {
+    try {
+      const groups = await DeviceGroupModel.listGroups(req.user.id);
+      res.json({ success: true, data: groups });
+    } catch (error) {
+      console.error('Error fetching device groups:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch device groups' });
+    }
+  },
+
+  async getGroup(req, res) {
+    try {
+      const group = await DeviceGroupModel.getGroup(req.params.groupId, req.user.id);
+      if (!group) return res.status(404).json({ success: false, message: 'Device group not found' });
+
+      const devices = await DeviceModel.getDevicesByUser(req.user.id, { groupId: group.id });
+      res.json({ success: true, data: { ...group, devices } });
+    } catch (error) {
+      console.error('Error fetching device group:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch device group' });
+    }
+  },
+
+  async createGroup(req, res) {
+    try {
+      const { name, description } = req.body;
+      const invalid = nameError(name);
+      if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+      const groupId = await DeviceGroupModel.createGroup(req.user.id, { name: name.trim(), description: description || null });
+      const group = await DeviceGroupModel.getGroup(groupId, req.user.id);
+      res.status(201).json({ success: true, message: 'Device group created successfully', data: group });
+    } catch (error) {
+      console.error('Error creating device group:', error);
+      res.status(500).json({ success: false, message: 'Failed to create device group' });
+    }
+  },
+
+  async updateGroup(req, res) {
+    try {
+      const { name, description } = req.body;
+      const invalid = nameError(name, { required: false });
+      if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+      const updated = await DeviceGroupModel.updateGroup(req.params.groupId, req.user.id, { name: name && name.trim(), description });
+      const group = updated ? await DeviceGroupModel.getGroup(req.params.groupId, req.user.id) : null;
+      if (!group) return res.status(404).json({ success: false, message: 'Device group not found' });
+
+      res.json({ success: true, message: 'Device group updated successfully', data: group });
+    } catch (error) {
+      console.error('Error updating device group:', error);
+      res.status(500).json({ success: false, message: 'Failed to update device group' });
+    }
+  },
+
+  async deleteGroup(req, res) {
+    try {
+      const deleted = await DeviceGroupModel.deleteGroup(req.params.groupId, req.user.id);
+      if (!deleted) return res.status(404).json({ success: false, message: 'Device group not found' });
+      res.json({ success: true, message: 'Device group deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting device group:', error);
+      res.status(500).json({ success: false, message: 'Failed to delete device group' });
+    }
+  },
+
+  // Devices already in the group are left as they are
+  async addDevices(req, res) {
+    try {
+      const { device_ids } = req.body;
+      if (!Array.isArray(device_ids) || device_ids.length === 0 || !device_ids.every(id => typeof id === 'string')) {
+        return res.status(400).json({ success: false, message: 'device_ids must be a non-empty array of device ids' });
+      }
+
+      const group = await DeviceGroupModel.getGroup(req.params.groupId, req.user.id);
+      if (!group) return res.status(404).json({ success: false, message: 'Device group not found' });
+
+      const uniqueIds = [...new Set(device_ids)];
+      const devices = await DeviceModel.getDevicesWithBoards(uniqueIds, req.user.id);
+      const found = new Set(devices.map(device => device.device_id));
+      const missing = uniqueIds.filter(id => !found.has(id));
+      if (missing.length > 0) {
+        return res.status(404).json({ success: false, message: 'Device not found', errors: missing });
+      }
+
+      const added = await DeviceGroupModel.addMembers(group.id, uniqueIds);
+      res.json({ success: true, message: `${added} device(s) added to group`, data: { group_id: group.id, added } });
+    } catch (error) {
+      console.error('Error adding devices to group:', error);
+      res.status(500).json({ success: false, message: 'Failed to add devices to group' });
+    }
+  },
+
+  async removeDevice(req, res) {
+    try {
+      const group = await DeviceGroupModel.getGroup(req.params.groupId, req.user.id);
+      if (!group) return res.status(404).json({ success: false, message: 'Device group not found' });
+
+      const removed = await DeviceGroupModel.removeMember(group.id, req.params.deviceId);
+      if (!removed) return res.status(404).json({ success: false, message: 'Device is not in this group' });
+      res.json({ success: true, message: 'Device removed from group' });
+    } catch (error) {
+      console.error('Error removing device from group:', error);
+      res.status(500).json({ success: false, message: 'Failed to remove device from group' });
+    }
+  }
+};
+
+module.exports = DeviceGroupController;
@@ -0,0 +1,25 @@
+const DeviceTypeRegistry = require('../services/deviceTypeRegistry');
+
+const DeviceTypeController = {
+  async getDeviceTypes(req, res) {
+    try {
+      res.json({ success: true, data: DeviceTypeRegistry.list() });
+    } catch (error) {
+      console.error('Error fetching device types:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch device types' });
+    }
+  },
+
+  async getDeviceType(req, res) {
+    try {
+      const deviceType = DeviceTypeRegistry.describe(req.params.type);
+      if (!deviceType) return res.status(404).json({ success: false, message: 'Device type not found' });
+      res.json({ success: true, data: deviceType });
+    } catch (error) {
+      console.error('Error fetching device type:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch device type' });
+    }
+  }
+};
+
+module.exports = DeviceTypeController;
@@ -0,0 +1,51 @@
+const ExecutionModel = require('../models/executionModel');
+
+const SOURCES = ['timer', 'automation'];
+const STATUSES = ['success', 'partial', 'failed'];
+
+const ExecutionController = {
+  // Filters: source, timer_id, automation_id, device_id, status, start_date, end_date
+  async getExecutions(req, res) {
+    try {
+      const { limit = 50, offset = 0, source, timer_id, automation_id, device_id, status, start_date, end_date } = req.query;
+      if (source !== undefined && !SOURCES.includes(source)) {
+        return res.status(400).json({ success: false, message: `source must be one of ${SOURCES.join(', ')}` });
+      }
+      if (status !== undefined && !STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, message: `status must be one of ${STATUSES.join(', ')}` });
+      }
+
+      const { executions, total } = await ExecutionModel.list(req.user.id, {
+        limit, offset, source, timer_id, automation_id, device_id, status, start_date, end_date
+      });
+      res.json({
+        success: true,
+        data: {
+          executions,
+          pagination: {
+            total,
+            limit: parseInt(limit),
+            offset: parseInt(offset),
+            hasMore: (parseInt(offset) + parseInt(limit)) < total
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching executions:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch executions' });
+    }
+  },
+
+  async getExecution(req, res) {
+    try {
+      const execution = await ExecutionModel.get(req.params.executionId, req.user.id);
+      if (!execution) return res.status(404).json({ success: false, message: 'Execution not found' });
+      res.json({ success: true, data: execution });
+    } catch (error) {
+      console.error('Error fetching execution:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch execution' });
+    }
+  }
+};
+
+module.exports = ExecutionController;
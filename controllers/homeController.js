@@ -0,0 +1,316 @@
+const HomeModel = require('../models/homeModel');
+const DeviceModel = require('../models/deviceModel');
+const timerService = require('../services/timerService');
+
+const MAX_NAME_LENGTH = 100;
+
+// null when valid; `required` names must be present
+function nameError(name, { required = true } = {}) {
+  if (name === undefined && !required) return null;
+  if (typeof name !== 'string' || name.trim().length === 0) return 'name is required';
+  if (name.length > MAX_NAME_LENGTH) return `name must be at most ${MAX_NAME_LENGTH} characters`;
+  return null;
+}
+
+// Where the home is, for solar timers: both coordinates or neither (null clears them)
+function locationError({ latitude, longitude }) {
+  for (const [field, value, limit] of [['latitude', latitude, 90], ['longitude', longitude, 180]]) {
+    if (value === undefined || value === null) continue;
+    if (typeof value !== 'number' || !Number.isFinite(value) || Math.abs(value) > limit) {
+      return `${field} must be a number between -${limit} and ${limit}`;
+    }
+  }
+  if ((latitude === null || latitude === undefined) !== (longitude === null || longitude === undefined)) {
+    return 'latitude and longitude go together';
+  }
+  return null;
+}
+
+function optionalId(value) {
+  if (value === undefined || value === '') return undefined;
+  const id = parseInt(value, 10);
+  return Number.isFinite(id) ? id : NaN;
+}
+
+// A room's floor must be a floor of the same home
+async function checkFloor(floorId, homeId, userId) {
+  if (floorId === null || floorId === undefined) return null;
+  const floor = await HomeModel.getFloor(floorId, userId);
+  if (!floor || floor.home_id !== homeId) return 'floor_id must be a floor of the room\'s home';
+  return null;
+}
+
+const HomeController = {
+  // ===== HOMES =====
+
+  async getHomes(req, res) {
+    try {
+      const homes = await HomeModel.listHomes(req.user.id);
+      res.json({ success: true, data: homes });
+    } catch (error) {
+      console.error('Error fetching homes:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch homes' });
+    }
+  },
+
+  // The home with its floors (lowest level first), their rooms and the rooms on no floor
+  async getHome(req, res) {
+    try {
+      const home = await HomeModel.getHome(req.params.homeId, req.user.id);
+      if (!home) return res.status(404).json({ success: false, message: 'Home not found' });
+
+      const [floors, rooms] = await Promise.all([
+        HomeModel.listFloors(home.id),
+        HomeModel.listRooms(req.user.id, { homeId: home.id })
+      ]);
+      res.json({
+        success: true,
+        data: {
+          ...home,
+          floors: floors.map(floor => ({ ...floor, rooms: rooms.filter(room => room.floor_id === floor.id) })),
+          rooms: rooms.filter(room => room.floor_id === null)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching home:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch home' });
+    }
+  },
+
+  async createHome(req, res) {
+    try {
+      const { name, address, latitude, longitude } = req.body;
+      const invalid = nameError(name) || locationError({ latitude, longitude });
+      if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+      const homeId = await HomeModel.createHome(req.user.id, {
+        name: name.trim(),
+        address: address || null,
+        latitude: latitude === undefined ? null : latitude,
+        longitude: longitude === undefined ? null : longitude
+      });
+      const home = await HomeModel.getHome(homeId, req.user.id);
+      res.status(201).json({ success: true, message: 'Home created successfully', data: home });
+    } catch (error) {
+      console.error('Error creating home:', error);
+      res.status(500).json({ success: false, message: 'Failed to create home' });
+    }
+  },
+
+  async updateHome(req, res) {
+    try {
+      const { name, address, latitude, longitude } = req.body;
+      const invalid = nameError(name, { required: false }) || locationError({ latitude, longitude });
+      if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+      const home = await HomeModel.getHome(req.params.homeId, req.user.id);
+      if (!home) return res.status(404).json({ success: false, message: 'Home not found' });
+
+      await HomeModel.updateHome(home.id, req.user.id, { name: name && name.trim(), address, latitude, longitude });
+      // Solar timers of the home follow its new location
+      if (latitude !== undefined || longitude !== undefined) {
+        await timerService.reloadUserTimers(req.user.id);
+        timerService.announceUserChange(req.user.id);
+      }
+      res.json({ success: true, message: 'Home updated successfully', data: await HomeModel.getHome(home.id, req.user.id) });
+    } catch (error) {
+      console.error('Error updating home:', error);
+      res.status(500).json({ success: false, message: 'Failed to update home' });
+    }
+  },
+
+  async deleteHome(req, res) {
+    try {
+      const deleted = await HomeModel.deleteHome(req.params.homeId, req.user.id);
+      if (!deleted) return res.status(404).json({ success: false, message: 'Home not found' });
+      res.json({ success: true, message: 'Home deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting home:', error);
+      res.status(500).json({ success: false, message: 'Failed to delete home' });
+    }
+  },
+
+  // ===== FLOORS =====
+
+  async getFloors(req, res) {
+    try {
+      const homeId = optionalId(req.query.home_id);
+      if (homeId === undefined || Number.isNaN(homeId)) {
+        return res.status(400).json({ success: false, message: 'home_id is required' });
+      }
+      const home = await HomeModel.getHome(homeId, req.user.id);
+      if (!home) return res.status(404).json({ success: false, message: 'Home not found' });
+
+      res.json({ success: true, data: await HomeModel.listFloors(home.id) });
+    } catch (error) {
+      console.error('Error fetching floors:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch floors' });
+    }
+  },
+
+  async getFloor(req, res) {
+    try {
+      const floor = await HomeModel.getFloor(req.params.floorId, req.user.id);
+      if (!floor) return res.status(404).json({ success: false, message: 'Floor not found' });
+
+      const rooms = await HomeModel.listRooms(req.user.id, { floorId: floor.id });
+      res.json({ success: true, data: { ...floor, rooms } });
+    } catch (error) {
+      console.error('Error fetching floor:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch floor' });
+    }
+  },
+
+  async createFloor(req, res) {
+    try {
+      const { home_id, name, level } = req.body;
+      const invalid = nameError(name);
+      if (invalid) return res.status(400).json({ success: false, message: invalid });
+      if (level !== undefined && !Number.isInteger(level)) {
+        return res.status(400).json({ success: false, message: 'level must be an integer' });
+      }
+      if (home_id === undefined || home_id === null) return res.status(400).json({ success: false, message: 'home_id is required' });
+
+      const home = await HomeModel.getHome(home_id, req.user.id);
+      if (!home) return res.status(404).json({ success: false, message: 'Home not found' });
+
+      const floorId = await HomeModel.createFloor(home.id, { name: name.trim(), level });
+      res.status(201).json({ success: true, message: 'Floor created successfully', data: await HomeModel.getFloor(floorId, req.user.id) });
+    } catch (error) {
+      console.error('Error creating floor:', error);
+      res.status(500).json({ success: false, message: 'Failed to create floor' });
+    }
+  },
+
+  async updateFloor(req, res) {
+    try {
+      const { name, level } = req.body;
+      const invalid = nameError(name, { required: false });
+      if (invalid) return res.status(400).json({ success: false, message: invalid });
+      if (level !== undefined && !Number.isInteger(level)) {
+        return res.status(400).json({ success: false, message: 'level must be an integer' });
+      }
+
+      const floor = await HomeModel.getFloor(req.params.floorId, req.user.id);
+      if (!floor) return res.status(404).json({ success: false, message: 'Floor not found' });
+
+      await HomeModel.updateFloor(floor.id, { name: name && name.trim(), level });
+      res.json({ success: true, message: 'Floor updated successfully', data: await HomeModel.getFloor(floor.id, req.user.id) });
+    } catch (error) {
+      console.error('Error updating floor:', error);
+      res.status(500).json({ success: false, message: 'Failed to update floor' });
+    }
+  },
+
+  async deleteFloor(req, res) {
+    try {
+      const floor = await HomeModel.getFloor(req.params.floorId, req.user.id);
+      if (!floor) return res.status(404).json({ success: false, message: 'Floor not found' });
+
+      await HomeModel.deleteFloor(floor.id);
+      res.json({ success: true, message: 'Floor deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting floor:', error);
+      res.status(500).json({ success: false, message: 'Failed to delete floor' });
+    }
+  },
+
+  // ===== ROOMS =====
+
+  async getRooms(req, res) {
+    try {
+      const homeId = optionalId(req.query.home_id);
+      const floorId = optionalId(req.query.floor_id);
+      if (Number.isNaN(homeId) || Number.isNaN(floorId)) {
+        return res.status(400).json({ success: false, message: 'home_id and floor_id must be numbers' });
+      }
+      res.json({ success: true, data: await HomeModel.listRooms(req.user.id, { homeId, floorId }) });
+    } catch (error) {
+      console.error('Error fetching rooms:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch rooms' });
+    }
+  },
+
+  // The room with the boards placed in it and every device that is in it (directly or through its board)
+  async getRoom(req, res) {
+    try {
+      const room = await HomeModel.getRoom(req.params.roomId, req.user.id);
+      if (!room) return res.status(404).json({ success: false, message: 'Room not found' });
+
+      const [boards, devices] = await Promise.all([
+        DeviceModel.getBoardsByUser(req.user.id),
+        DeviceModel.getDevicesByUser(req.user.id, { roomId: room.id })
+      ]);
+      res.json({ success: true, data: { ...room, boards: boards.filter(board => board.room_id === room.id), devices } });
+    } catch (error) {
+      console.error('Error fetching room:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch room' });
+    }
+  },
+
+  // { name, home_id } or { name, floor_id } (the home is the floor's)
+  async createRoom(req, res) {
+    try {
+      const { name, home_id, floor_id } = req.body;
+      const invalid = nameError(name);
+      if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+      let homeId = home_id;
+      if (floor_id !== undefined && floor_id !== null) {
+        const floor = await HomeModel.getFloor(floor_id, req.user.id);
+        if (!floor) return res.status(404).json({ success: false, message: 'Floor not found' });
+        if (home_id !== undefined && Number(home_id) !== floor.home_id) {
+          return res.status(400).json({ success: false, message: 'floor_id must be a floor of home_id' });
+        }
+        homeId = floor.home_id;
+      }
+      if (homeId === undefined || homeId === null) {
+        return res.status(400).json({ success: false, message: 'home_id or floor_id is required' });
+      }
+      const home = await HomeModel.getHome(homeId, req.user.id);
+      if (!home) return res.status(404).json({ success: false, message: 'Home not found' });
+
+      const roomId = await HomeModel.createRoom(home.id, { name: name.trim(), floorId: floor_id === undefined ? null : floor_id });
+      res.status(201).json({ success: true, message: 'Room created successfully', data: await HomeModel.getRoom(roomId, req.user.id) });
+    } catch (error) {
+      console.error('Error creating room:', error);
+      res.status(500).json({ success: false, message: 'Failed to create room' });
+    }
+  },
+
+  // Rooms can move between floors of their home (floor_id: null for none), not between homes
+  async updateRoom(req, res) {
+    try {
+      const { name, floor_id } = req.body;
+      const invalid = nameError(name, { required: false });
+      if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+      const room = await HomeModel.getRoom(req.params.roomId, req.user.id);
+      if (!room) return res.status(404).json({ success: false, message: 'Room not found' });
+
+      const floorInvalid = await checkFloor(floor_id, room.home_id, req.user.id);
+      if (floorInvalid) return res.status(400).json({ success: false, message: floorInvalid });
+
+      await HomeModel.updateRoom(room.id, { name: name && name.trim(), floorId: floor_id });
+      res.json({ success: true, message: 'Room updated successfully', data: await HomeModel.getRoom(room.id, req.user.id) });
+    } catch (error) {
+      console.error('Error updating room:', error);
+      res.status(500).json({ success: false, message: 'Failed to update room' });
+    }
+  },
+
+  async deleteRoom(req, res) {
+    try {
+      const room = await HomeModel.getRoom(req.params.roomId, req.user.id);
+      if (!room) return res.status(404).json({ success: false, message: 'Room not found' });
+
+      await HomeModel.deleteRoom(room.id);
+      res.json({ success: true, message: 'Room deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting room:', error);
+      res.status(500).json({ success: false, message: 'Failed to delete room' });
+    }
+  }
+};
+
+module.exports = HomeController;
@@ -0,0 +1,44 @@
+const mqttAuthService = require('../services/mqttAuthService');
+
+// Answers are always 200 with a JSON verdict: EMQX reads `result`,
+// mosquitto-go-auth (http_response_mode json) reads `ok`
+function verdict(res, allowed, extra = {}) {
+  res.json({ result: allowed ? 'allow' : 'deny', ok: allowed, error: allowed ? '' : 'not authorized', ...extra });
+}
+
+const MqttAuthController = {
+  async authenticate(req, res) {
+    try {
+      const { username, password } = req.body;
+      const { allowed, superuser } = await mqttAuthService.authenticate({ username, password });
+      if (!allowed) {
+        console.warn(`⚠️ MQTT login rejected for ${username || '(no username)'}`);
+      }
+      verdict(res, allowed, { is_superuser: allowed && superuser });
+    } catch (error) {
+      console.error('Error authenticating MQTT client:', error);
+      verdict(res, false);
+    }
+  },
+
+  async superuser(req, res) {
+    verdict(res, mqttAuthService.isSuperuser(req.body.username));
+  },
+
+  async checkAcl(req, res) {
+    try {
+      const { username, topic } = req.body;
+      const access = req.body.action !== undefined ? req.body.action : req.body.acc;
+      const allowed = mqttAuthService.checkAcl({ username, topic, access });
+      if (!allowed) {
+        console.warn(`⚠️ MQTT ACL denied: ${username} ${access} ${topic}`);
+      }
+      verdict(res, allowed);
+    } catch (error) {
+      console.error('Error checking MQTT ACL:', error);
+      verdict(res, false);
+    }
+  }
+};
+
+module.exports = MqttAuthController;
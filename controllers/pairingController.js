@@ -0,0 +1,88 @@
+const PairingModel = require('../models/pairingModel');
+const pairingService = require('../services/pairingService');
+
+const PairingController = {
+  async createPairingToken(req, res) {
+    try {
+      const { board_id, expires_in } = req.body;
+      const token = await pairingService.createToken(req.user.id, { boardId: board_id || null, expiresIn: expires_in });
+      res.status(201).json({
+        success: true,
+        message: 'Pairing token created. It can be used once before it expires.',
+        data: token
+      });
+    } catch (error) {
+      console.error('Error creating pairing token:', error);
+      res.status(500).json({ success: false, message: 'Failed to create pairing token' });
+    }
+  },
+
+  async listPairingTokens(req, res) {
+    try {
+      const tokens = await PairingModel.listActiveTokens(req.user.id);
+      res.json({ success: true, data: tokens });
+    } catch (error) {
+      console.error('Error fetching pairing tokens:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch pairing tokens' });
+    }
+  },
+
+  async revokePairingToken(req, res) {
+    try {
+      const deleted = await PairingModel.deleteToken(req.params.tokenId, req.user.id);
+      if (!deleted) return res.status(404).json({ success: false, message: 'Pairing token not found' });
+      res.json({ success: true, message: 'Pairing token revoked' });
+    } catch (error) {
+      console.error('Error revoking pairing token:', error);
+      res.status(500).json({ success: false, message: 'Failed to revoke pairing token' });
+    }
+  },
+
+  async listTransfers(req, res) {
+    try {
+      const transfers = await PairingModel.listTransfers(req.user.id);
+      res.json({
+        success: true,
+        data: {
+          incoming: transfers.filter(t => t.from_user_id === req.user.id),
+          outgoing: transfers.filter(t => t.to_user_id === req.user.id)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching board transfers:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch board transfers' });
+    }
+  },
+
+  async approveTransfer(req, res) {
+    try {
+      const transfer = await pairingService.approveTransfer(req.params.transferId, req.user.id);
+      if (!transfer) {
+        return res.status(404).json({ success: false, message: 'Transfer not found, expired or already resolved' });
+      }
+      res.json({
+        success: true,
+        message: 'Board ownership transferred',
+        data: { board_id: transfer.board_id, to_user_id: transfer.to_user_id }
+      });
+    } catch (error) {
+      console.error('Error approving board transfer:', error);
+      res.status(500).json({ success: false, message: 'Failed to approve board transfer' });
+    }
+  },
+
+  async rejectTransfer(req, res) {
+    try {
+      const rejected = await PairingModel.rejectTransfer(req.params.transferId, req.user.id);
+      if (!rejected) {
+        return res.status(404).json({ success: false, message: 'Transfer not found or already resolved' });
+      }
+      res.json({ success: true, message: 'Board transfer rejected' });
+    } catch (error) {
+      console.error('Error rejecting board transfer:', error);
+      res.status(500).json({ success: false, message: 'Failed to reject board transfer' });
+    }
+  }
+};
+
+module.exports = PairingController;
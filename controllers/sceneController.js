@@ -0,0 +1,179 @@
+const SceneModel = require('../models/sceneModel');
+const SceneService = require('../services/sceneService');
+
+const MAX_NAME_LENGTH = 100;
+
+function nameError(name, { required = true } = {}) {
+  if (name === undefined && !required) return null;
+  if (typeof name !== 'string' || name.trim().length === 0) return 'name is required';
+  if (name.length > MAX_NAME_LENGTH) return `name must be at most ${MAX_NAME_LENGTH} characters`;
+  return null;
+}
+
+function activationMessage({ summary, results }) {
+  return `${summary.acked} of ${results.length} device(s) acknowledged`;
+}
+
+const SceneController = {
+  async getScenes(req, res) {
+    try {
+      const scenes = await SceneModel.listScenes(req.user.id);
+      res.json({ success: true, data: scenes });
+    } catch (error) {
+      console.error('Error fetching scenes:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch scenes' });
+    }
+  },
+
+  async getScene(req, res) {
+    try {
+      const scene = await SceneModel.getScene(req.params.sceneId, req.user.id);
+      if (!scene) return res.status(404).json({ success: false, message: 'Scene not found' });
+
+      const devices = await SceneModel.getSceneDevices(scene.id);
+      res.json({ success: true, data: { ...scene, devices } });
+    } catch (error) {
+      console.error('Error fetching scene:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch scene' });
+    }
+  },
+
+  // { name, description?, devices: [{ device_id, state }] } or { name, snapshot: { device_ids | room_id | ... } }
+  async createScene(req, res) {
+    try {
+      const { name, description } = req.body;
+      const invalid = nameError(name);
+      if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+      const parsed = await SceneService.parseDevices(req.body, req.user.id);
+      if (!parsed) return res.status(400).json({ success: false, message: 'Provide devices or snapshot' });
+      if (parsed.error) return res.status(400).json({ success: false, message: parsed.error });
+
+      const sceneId = await SceneModel.createScene(req.user.id, { name: name.trim(), description: description || null }, parsed.devices);
+      const scene = await SceneModel.getScene(sceneId, req.user.id);
+      res.status(201).json({
+        success: true,
+        message: 'Scene created successfully',
+        data: { ...scene, devices: await SceneModel.getSceneDevices(sceneId) }
+      });
+    } catch (error) {
+      console.error('Error creating scene:', error);
+      res.status(500).json({ success: false, message: 'Failed to create scene' });
+    }
+  },
+
+  // devices or snapshot, when given, replace the scene's devices
+  async updateScene(req, res) {
+    try {
+      const { name, description } = req.body;
+      const invalid = nameError(name, { required: false });
+      if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+      const scene = await SceneModel.getScene(req.params.sceneId, req.user.id);
+      if (!scene) return res.status(404).json({ success: false, message: 'Scene not found' });
+
+      const parsed = await SceneService.parseDevices(req.body, req.user.id);
+      if (parsed && parsed.error) return res.status(400).json({ success: false, message: parsed.error });
+
+      await SceneModel.updateScene(scene.id, { name: name && name.trim(), description }, parsed ? parsed.devices : null);
+      res.json({
+        success: true,
+        message: 'Scene updated successfully',
+        data: { ...(await SceneModel.getScene(scene.id, req.user.id)), devices: await SceneModel.getSceneDevices(scene.id) }
+      });
+    } catch (error) {
+      console.error('Error updating scene:', error);
+      res.status(500).json({ success: false, message: 'Failed to update scene' });
+    }
+  },
+
+  async deleteScene(req, res) {
+    try {
+      const deleted = await SceneModel.deleteScene(req.params.sceneId, req.user.id);
+      if (!deleted) return res.status(404).json({ success: false, message: 'Scene not found' });
+      res.json({ success: true, message: 'Scene deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting scene:', error);
+      res.status(500).json({ success: false, message: 'Failed to delete scene' });
+    }
+  },
+
+  // Re-capture the current state of the scene's devices
+  async snapshotScene(req, res) {
+    try {
+      const scene = await SceneModel.getScene(req.params.sceneId, req.user.id);
+      if (!scene) return res.status(404).json({ success: false, message: 'Scene not found' });
+
+      const members = await SceneModel.getSceneDevices(scene.id);
+      const parsed = await SceneService.parseDevices({ snapshot: { device_ids: members.map(member => member.device_id) } }, req.user.id);
+      if (parsed.error) return res.status(400).json({ success: false, message: parsed.error });
+
+      await SceneModel.updateScene(scene.id, {}, parsed.devices);
+      res.json({ success: true, message: 'Scene updated from current device states', data: { ...scene, devices: await SceneModel.getSceneDevices(scene.id) } });
+    } catch (error) {
+      console.error('Error snapshotting scene:', error);
+      res.status(500).json({ success: false, message: 'Failed to snapshot scene' });
+    }
+  },
+
+  async activateScene(req, res) {
+    try {
+      if (req.body.async === true) {
+        const started = await SceneService.start(req.user.id, req.params.sceneId, { source: 'api' });
+        if (!started) return res.status(404).json({ success: false, message: 'Scene not found' });
+        if (started.error) return res.status(400).json({ success: false, message: started.error });
+        return res.status(202).json({
+          success: true,
+          message: 'Scene activation started',
+          data: { ...started, status_url: `/api/scenes/activations/${started.activation_id}` }
+        });
+      }
+
+      const activation = await SceneService.activate(req.user.id, req.params.sceneId, { source: 'api' });
+      if (!activation) return res.status(404).json({ success: false, message: 'Scene not found' });
+      if (activation.error) return res.status(400).json({ success: false, message: activation.error });
+      res.json({ success: true, message: activationMessage(activation), data: activation });
+    } catch (error) {
+      console.error('Error activating scene:', error);
+      res.status(500).json({ success: false, message: 'Failed to activate scene' });
+    }
+  },
+
+  async getActivations(req, res) {
+    try {
+      const scene = await SceneModel.getScene(req.params.sceneId, req.user.id);
+      if (!scene) return res.status(404).json({ success: false, message: 'Scene not found' });
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+      res.json({ success: true, data: await SceneModel.listActivations(scene.id, limit) });
+    } catch (error) {
+      console.error('Error fetching scene activations:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch scene activations' });
+    }
+  },
+
+  async getActivation(req, res) {
+    try {
+      const activation = await SceneModel.getActivation(req.params.activationId, req.user.id);
+      if (!activation) return res.status(404).json({ success: false, message: 'Scene activation not found' });
+      res.json({ success: true, data: activation });
+    } catch (error) {
+      console.error('Error fetching scene activation:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch scene activation' });
+    }
+  },
+
+  async undoActivation(req, res) {
+    try {
+      const undone = await SceneService.undo(req.user.id, req.params.activationId);
+      if (!undone) return res.status(404).json({ success: false, message: 'Scene activation not found' });
+      if (undone.error) return res.status(409).json({ success: false, message: undone.error });
+      res.json({ success: true, message: activationMessage(undone), data: undone });
+    } catch (error) {
+      console.error('Error undoing scene activation:', error);
+      res.status(500).json({ success: false, message: 'Failed to undo scene activation' });
+    }
+  }
+};
+
+module.exports = SceneController;
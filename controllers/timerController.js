@@ -1,5 +1,93 @@
 const TimerModel = require('../models/timerModel');
+const HomeModel = require('../models/homeModel');
+const UserModel = require('../models/userModel');
 const timerService = require('../services/timerService');
+const DryRunService = require('../services/dryRunService');
+const TimerConflictService = require('../services/timerConflictService');
+const TimerSchedule = require('../services/timerSchedule');
+
+const MAX_NAME_LENGTH = 100;
+const { FIELDS } = TimerModel;
+// Next runs shown with a saved timer, and at most on GET /:id/next-runs
+const PREVIEW_RUNS = 5;
+const DEFAULT_NEXT_RUNS = 10;
+const MAX_NEXT_RUNS = 100;
+const VACATION_DEFAULTS = { min_on_minutes: 30, max_on_minutes: 120 };
+// Schedule fields each kind uses
+const KIND_FIELDS = {
+  recurring: ['cron_expression', 'solar_event', 'home_id'],
+  once: ['run_at'],
+  countdown: ['run_at', 'duration_seconds'],
+  pulse: ['cron_expression', 'solar_event', 'home_id', 'run_at', 'duration_seconds'],
+  vacation: ['vacation']
+};
+
+// Switching kind drops the fields the new kind has no use for
+function kindChange(existing, body) {
+  if (!body.kind || body.kind === existing.kind || !KIND_FIELDS[body.kind]) return {};
+  const cleared = {};
+  for (const field of Object.keys(KIND_FIELDS).flatMap(kind => KIND_FIELDS[kind])) {
+    if (!KIND_FIELDS[body.kind].includes(field)) cleared[field] = null;
+  }
+  if (body.kind === 'vacation') Object.assign(cleared, { device_id: null, scene_id: null });
+  return cleared;
+}
+
+function nameError(name, { required = true } = {}) {
+  if (name === undefined && !required) return null;
+  if (typeof name !== 'string' || name.trim().length === 0) return 'name is required';
+  if (name.length > MAX_NAME_LENGTH) return `name must be at most ${MAX_NAME_LENGTH} characters`;
+  return null;
+}
+
+// Problems with the body itself; the timer it makes is checked by TimerService.validate
+function bodyErrors(body, { create = true, dryRun = false } = {}) {
+  const errors = Object.keys(body)
+    .filter(field => !FIELDS.includes(field) && !(dryRun && ['timer_id', 'from', 'to'].includes(field)))
+    .map(field => `Unknown field: ${field}`);
+  const invalidName = dryRun ? null : nameError(body.name, { required: create });
+  if (invalidName) errors.push(invalidName);
+  if (body.is_enabled !== undefined && typeof body.is_enabled !== 'boolean') errors.push('is_enabled must be a boolean');
+  const invalidRunAt = runAtError(body);
+  if (invalidRunAt) errors.push(invalidRunAt);
+  return errors;
+}
+
+function serializeRuns(runs) {
+  return runs.map(({ at, commands }) => ({ at: at.toISOString(), commands }));
+}
+
+// A saved timer with its next runs and the user's other timers it works against
+async function withPreview(timer, userId) {
+  const runs = TimerSchedule.next(timer, TimerSchedule.resumeAfter(timer), PREVIEW_RUNS);
+  const warnings = await TimerConflictService.find(timer, userId);
+  return { ...timer, next_runs: serializeRuns(runs), warnings };
+}
+
+// A run_at being set has to be ahead (a stored one may be long past)
+function runAtError(body) {
+  if (body.run_at === undefined || body.run_at === null) return null;
+  if (Number.isNaN(new Date(body.run_at).getTime())) return null;
+  return new Date(body.run_at) <= new Date() ? 'run_at must be in the future' : null;
+}
+
+// The body as saved: vacation defaults filled in, a countdown started from now, and a
+// timer given a new run_at re-armed even if it already ran
+function prepare(body, kind) {
+  const timer = {};
+  for (const field of FIELDS) {
+    if (body[field] !== undefined) timer[field] = body[field];
+  }
+  if (typeof timer.name === 'string') timer.name = timer.name.trim();
+  if (timer.vacation && typeof timer.vacation === 'object') timer.vacation = { ...VACATION_DEFAULTS, ...timer.vacation };
+  if (kind === 'countdown' && Number.isInteger(timer.duration_seconds)) {
+    timer.run_at = new Date(Math.ceil((Date.now() + timer.duration_seconds * 1000) / 1000) * 1000);
+  } else if (typeof timer.run_at === 'string') {
+    timer.run_at = new Date(timer.run_at);
+  }
+  if (timer.run_at !== undefined) timer.last_run_at = null;
+  return timer;
+}
 
 const TimerController = {
   async getTimers(req, res) {
@@ -14,11 +102,16 @@ const TimerController = {
 
   async createTimer(req, res) {
     try {
-      const timer = { ...req.body, user_id: req.user.id };
+      const timer = { ...prepare(req.body, req.body.kind), user_id: req.user.id };
+      const errors = bodyErrors(req.body);
+      if (errors.length === 0) errors.push(...(await timerService.validate(timer, req.user.id)).errors);
+      if (errors.length > 0) return res.status(400).json({ success: false, message: 'Invalid timer', errors });
+
       const timerId = await TimerModel.createTimer(timer);
       const newTimer = await TimerModel.getTimerById(timerId, req.user.id);
       timerService.scheduleTimer(newTimer);
-      res.status(201).json({ success: true, message: 'Timer created successfully', data: newTimer });
+      timerService.announceChange(newTimer.id);
+      res.status(201).json({ success: true, message: 'Timer created successfully', data: await withPreview(newTimer, req.user.id) });
     } catch (error) {
       console.error('Error creating timer:', error);
       res.status(500).json({ success: false, message: 'Failed to create timer' });
@@ -38,11 +131,18 @@ const TimerController = {
 
   async updateTimer(req, res) {
     try {
-      const timer = { ...req.body };
+      const existing = await TimerModel.getTimerById(req.params.id, req.user.id);
+      if (!existing) return res.status(404).json({ success: false, message: 'Timer not found' });
+      const timer = { ...kindChange(existing, req.body), ...prepare(req.body, req.body.kind || existing.kind) };
+      const errors = bodyErrors(req.body, { create: false });
+      if (errors.length === 0) errors.push(...(await timerService.validate({ ...existing, ...timer }, req.user.id)).errors);
+      if (errors.length > 0) return res.status(400).json({ success: false, message: 'Invalid timer', errors });
+
       await TimerModel.updateTimer(req.params.id, timer, req.user.id);
       const updatedTimer = await TimerModel.getTimerById(req.params.id, req.user.id);
       timerService.scheduleTimer(updatedTimer);
-      res.json({ success: true, message: 'Timer updated successfully', data: updatedTimer });
+      timerService.announceChange(req.params.id);
+      res.json({ success: true, message: 'Timer updated successfully', data: await withPreview(updatedTimer, req.user.id) });
     } catch (error) {
       console.error('Error updating timer:', error);
       res.status(500).json({ success: false, message: 'Failed to update timer' });
@@ -52,12 +152,74 @@ const TimerController = {
   async deleteTimer(req, res) {
     try {
       await TimerModel.deleteTimer(req.params.id, req.user.id);
-      timerService.cancelTimer(req.params.id);
+      timerService.cancelTimer(Number(req.params.id));
+      timerService.announceChange(req.params.id);
       res.json({ success: true, message: 'Timer deleted successfully' });
     } catch (error) {
       console.error('Error deleting timer:', error);
       res.status(500).json({ success: false, message: 'Failed to delete timer' });
     }
+  },
+
+  // { timer_id } or an unsaved definition (any kind, as for POST /api/timers), plus { from, to }
+  async dryRun(req, res) {
+    try {
+      const range = DryRunService.parseRange(req.body);
+      if (range.error) return res.status(400).json({ success: false, message: range.error });
+
+      let timer;
+      if (req.body.timer_id !== undefined) {
+        timer = await TimerModel.getTimerById(req.body.timer_id, req.user.id);
+        if (!timer) return res.status(404).json({ success: false, message: 'Timer not found' });
+      } else {
+        const definition = prepare(req.body, req.body.kind);
+        const errors = bodyErrors(req.body, { dryRun: true });
+        if (errors.length === 0) errors.push(...(await timerService.validate(definition, req.user.id)).errors);
+        if (errors.length > 0) return res.status(400).json({ success: false, message: 'Invalid timer', errors });
+        const { solar_event, home_id } = definition;
+        const [user] = await UserModel.findPublicById(req.user.id);
+        const home = solar_event ? await HomeModel.getHome(home_id, req.user.id) : null;
+        timer = {
+          ...definition,
+          user_timezone: user && user.timezone,
+          latitude: home && home.latitude,
+          longitude: home && home.longitude
+        };
+      }
+
+      const report = await DryRunService.timer(timer, req.user.id, range);
+      if (report.error) return res.status(400).json({ success: false, message: report.error });
+      res.json({ success: true, message: `Would have fired ${report.fire_count} time(s)`, data: report });
+    } catch (error) {
+      console.error('Error running timer dry run:', error);
+      res.status(500).json({ success: false, message: 'Failed to run timer dry run' });
+    }
+  },
+
+  // The next ?count= runs, worked out the way the scheduler will (a disabled timer's as if enabled)
+  async nextRuns(req, res) {
+    try {
+      const count = req.query.count === undefined ? DEFAULT_NEXT_RUNS : Number(req.query.count);
+      if (!Number.isInteger(count) || count < 1 || count > MAX_NEXT_RUNS) {
+        return res.status(400).json({ success: false, message: `count must be a whole number from 1 to ${MAX_NEXT_RUNS}` });
+      }
+
+      const timer = await TimerModel.getTimerById(req.params.id, req.user.id);
+      if (!timer) return res.status(404).json({ success: false, message: 'Timer not found' });
+      const runs = TimerSchedule.next(timer, TimerSchedule.resumeAfter(timer), count);
+      res.json({
+        success: true,
+        data: {
+          timer_id: timer.id,
+          is_enabled: Boolean(timer.is_enabled),
+          timezone: TimerSchedule.timeZone(timer) || null,
+          runs: serializeRuns(runs)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching timer next runs:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch timer next runs' });
+    }
   }
 };
 
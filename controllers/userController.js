@@ -1,6 +1,8 @@
 const bcrypt = require('bcryptjs');
 const { validationResult } = require('express-validator');
 const UserModel = require('../models/userModel');
+const timerService = require('../services/timerService');
+const AutomationService = require('../services/automationService');
 
 const UserController = {
   async getProfile(req, res) {
@@ -33,6 +35,9 @@ const UserController = {
       if (req.body.phone !== undefined) {
         updateData.phone = req.body.phone;
       }
+      if (req.body.timezone !== undefined) {
+        updateData.timezone = req.body.timezone;
+      }
 
       if (Object.keys(updateData).length === 0) {
         return res.status(400).json({ success: false, message: 'No fields to update' });
@@ -43,6 +48,14 @@ const UserController = {
         return res.status(400).json({ success: false, message: 'No fields to update' });
       }
 
+      // Timers without a timezone of their own, and automation time windows, run in the user's
+      if (updateData.timezone !== undefined) {
+        await timerService.reloadUserTimers(req.user.id);
+        timerService.announceUserChange(req.user.id);
+        await AutomationService.reloadUser(req.user.id);
+        AutomationService.announceUserChange(req.user.id);
+      }
+
       const users = await UserModel.findPublicById(req.user.id);
       res.json({ success: true, message: 'Profile updated successfully', data: { user: users[0] } });
     } catch (error) {
@@ -82,8 +95,8 @@ const UserController = {
 
   async getDashboard(req, res) {
     try {
-      const { deviceStats, recentData, recentCommands, integrations } = await UserModel.getDashboardStats(req.user.id);
-      res.json({ success: true, data: { deviceStats, recentData, recentCommands, integrations } });
+      const { deviceStats, rooms, recentData, recentCommands, integrations } = await UserModel.getDashboardStats(req.user.id);
+      res.json({ success: true, data: { deviceStats, rooms, recentData, recentCommands, integrations } });
     } catch (error) {
       console.error('Get dashboard error:', error);
       res.status(500).json({ success: false, message: 'Internal server error' });
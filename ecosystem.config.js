@@ -5,11 +5,14 @@ module.exports = {
       name: 'iot-back',
       cwd: '/root/backend_iot',    // thư mục chạy app trên VPS
       script: 'server.js',         // file start chính
-      instances: 1,                 // hoặc 'max' nếu muốn cluster
+      instances: 1,                 // hoặc 'max' nếu muốn cluster (cần REDIS_URL)
       exec_mode: 'fork',            // hoặc 'cluster'
       watch: false,                 // tắt watch trong production
       env: {
         NODE_ENV: 'production'
+        // Khi chạy cluster:
+        // REDIS_URL: 'redis://127.0.0.1:6379',
+        // MQTT_SHARED_GROUP: 'iot-backend'
       },
       error_file: '/root/backend_iot/logs/err.log', // file log lỗi
       out_file: '/root/backend_iot/logs/out.log',   // file log output
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const db = require('../config/database');
 const TokenModel = require('../models/tokenModel');
@@ -147,13 +148,13 @@ const deviceOwnerMiddleware = async (req, res, next) => {
       });
     }
 
-    // Check if user owns the device or has shared access
+    // Devices belong to users through their board
     const devices = await db.query(`
-      SELECT d.id, d.user_id, d.name
+      SELECT d.id, d.device_id, d.name, b.user_id
       FROM devices d
-      LEFT JOIN device_sharing ds ON d.id = ds.device_id AND ds.shared_with_id = ? AND ds.is_active = true
-      WHERE d.id = ? AND (d.user_id = ? OR ds.id IS NOT NULL)
-    `, [req.user.id, deviceId, req.user.id]);
+      JOIN esp32_boards b ON d.board_id = b.board_id
+      WHERE d.device_id = ? AND b.user_id = ?
+    `, [deviceId, req.user.id]);
 
     if (devices.length === 0) {
       return res.status(403).json({
@@ -174,8 +175,32 @@ const deviceOwnerMiddleware = async (req, res, next) => {
   }
 };
 
+// Broker auth hooks (EMQX / mosquitto-go-auth) authenticate with a shared secret header
+const brokerHookMiddleware = (req, res, next) => {
+  const secret = process.env.MQTT_AUTH_HOOK_SECRET;
+  if (!secret) {
+    return res.status(503).json({
+      success: false,
+      message: 'MQTT auth hook is not configured.'
+    });
+  }
+
+  const provided = req.header('X-Broker-Secret') || '';
+  const expected = Buffer.from(secret);
+  const actual = Buffer.from(provided);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid broker secret.'
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   authMiddleware,
+  brokerHookMiddleware,
   optionalAuth,
   adminMiddleware,
   deviceOwnerMiddleware
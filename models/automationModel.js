@@ -0,0 +1,116 @@
+const db = require('../config/database');
+
+// Time windows are evaluated in the owner's timezone
+const AUTOMATION_SELECT = `
+  SELECT a.*, u.timezone AS user_timezone
+  FROM automations a
+  JOIN users u ON a.user_id = u.id`;
+
+function parseJson(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+function toAutomation(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    conditions: parseJson(row.conditions),
+    actions: parseJson(row.actions),
+    runtime_state: parseJson(row.runtime_state) || {}
+  };
+}
+
+const AutomationModel = {
+  async listAutomations(userId) {
+    const rows = await db.query(`${AUTOMATION_SELECT} WHERE a.user_id = ? ORDER BY a.name`, [userId]);
+    return rows.map(toAutomation);
+  },
+
+  async getAutomation(automationId, userId) {
+    const [row] = await db.query(`${AUTOMATION_SELECT} WHERE a.id = ? AND a.user_id = ?`, [automationId, userId]);
+    return toAutomation(row);
+  },
+
+  async createAutomation(userId, { name, description = null, is_enabled = true, conditions, actions, cooldown_seconds = 0 }) {
+    const result = await db.query(`
+      INSERT INTO automations (user_id, name, description, is_enabled, conditions, actions, cooldown_seconds)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [userId, name, description, is_enabled, JSON.stringify(conditions), JSON.stringify(actions), cooldown_seconds]);
+    return result.insertId;
+  },
+
+  // Any change starts the rule afresh: no condition progress, armed for its next trigger
+  async updateAutomation(automationId, userId, fields) {
+    const updateFields = ['runtime_state = NULL', 'is_active = FALSE'];
+    const updateValues = [];
+    for (const column of ['name', 'description', 'is_enabled', 'cooldown_seconds']) {
+      if (fields[column] === undefined) continue;
+      updateFields.push(`${column} = ?`);
+      updateValues.push(fields[column]);
+    }
+    for (const column of ['conditions', 'actions']) {
+      if (fields[column] === undefined) continue;
+      updateFields.push(`${column} = ?`);
+      updateValues.push(JSON.stringify(fields[column]));
+    }
+
+    const result = await db.query(
+      `UPDATE automations SET ${updateFields.join(', ')} WHERE id = ? AND user_id = ?`,
+      [...updateValues, automationId, userId]
+    );
+    return result.affectedRows > 0;
+  },
+
+  async deleteAutomation(automationId, userId) {
+    const result = await db.query('DELETE FROM automations WHERE id = ? AND user_id = ?', [automationId, userId]);
+    return result.affectedRows > 0;
+  },
+
+  async getEnabledAutomations() {
+    const rows = await db.query(`${AUTOMATION_SELECT} WHERE a.is_enabled = 1`);
+    return rows.map(toAutomation);
+  },
+
+  async getEnabledAutomationsByUser(userId) {
+    const rows = await db.query(`${AUTOMATION_SELECT} WHERE a.user_id = ? AND a.is_enabled = 1`, [userId]);
+    return rows.map(toAutomation);
+  },
+
+  async getEnabledAutomation(automationId) {
+    const [row] = await db.query(`${AUTOMATION_SELECT} WHERE a.id = ? AND a.is_enabled = 1`, [automationId]);
+    return toAutomation(row);
+  },
+
+  // The parts of a rule that change while it runs; read fresh because any instance may have moved them
+  async getRuntime(automationId) {
+    const [row] = await db.query(
+      'SELECT id, is_enabled, runtime_state, is_active, last_triggered_at FROM automations WHERE id = ?',
+      [automationId]
+    );
+    return row ? { ...row, runtime_state: parseJson(row.runtime_state) || {} } : null;
+  },
+
+  async saveRuntime(automationId, runtimeState) {
+    await db.query(
+      'UPDATE automations SET runtime_state = ?, updated_at = updated_at WHERE id = ?',
+      [JSON.stringify(runtimeState), automationId]
+    );
+  },
+
+  // Only one instance wins a trigger, and none inside the cooldown; the others see zero affected rows
+  async claimTrigger(automationId, cooldownSeconds, now) {
+    const result = await db.query(`
+      UPDATE automations SET is_active = TRUE, last_triggered_at = ?, updated_at = updated_at
+      WHERE id = ? AND is_enabled = 1 AND is_active = FALSE
+        AND (last_triggered_at IS NULL OR last_triggered_at <= ?)
+    `, [now, automationId, new Date(now.getTime() - cooldownSeconds * 1000)]);
+    return result.affectedRows > 0;
+  },
+
+  // Conditions went false: the next time they hold, the rule fires again
+  async rearm(automationId) {
+    await db.query('UPDATE automations SET is_active = FALSE, updated_at = updated_at WHERE id = ?', [automationId]);
+  }
+};
+
+module.exports = AutomationModel;
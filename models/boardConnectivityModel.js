@@ -0,0 +1,77 @@
+const db = require('../config/database');
+
+const BoardConnectivityModel = {
+  async findStaleOnlineBoards(timeoutSeconds) {
+    return db.query(`
+      SELECT board_id, user_id, last_seen
+      FROM esp32_boards
+      WHERE is_online = 1 AND (last_seen IS NULL OR last_seen < (NOW() - INTERVAL ? SECOND))
+    `, [timeoutSeconds]);
+  },
+
+  // Re-checks the condition so a heartbeat that lands mid-scan wins; last_seen is kept as-is
+  async markOffline(boardId, timeoutSeconds) {
+    const result = await db.query(`
+      UPDATE esp32_boards
+      SET is_online = 0, last_seen = last_seen
+      WHERE board_id = ? AND is_online = 1 AND (last_seen IS NULL OR last_seen < (NOW() - INTERVAL ? SECOND))
+    `, [boardId, timeoutSeconds]);
+    return result.affectedRows > 0;
+  },
+
+  async recordTransition({ boardId, status, reason, occurredAt = null }) {
+    return db.query(`
+      INSERT INTO board_connectivity_events (board_id, status, reason, occurred_at)
+      VALUES (?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+    `, [boardId, status, reason, occurredAt]);
+  },
+
+  async getEvents(boardId, { from, to, limit = 100 } = {}) {
+    let whereClause = 'WHERE board_id = ?';
+    const params = [boardId];
+    if (from) {
+      whereClause += ' AND occurred_at >= ?';
+      params.push(from);
+    }
+    if (to) {
+      whereClause += ' AND occurred_at <= ?';
+      params.push(to);
+    }
+    const limitNum = Number.isFinite(parseInt(limit, 10)) ? Math.max(1, Math.min(1000, parseInt(limit, 10))) : 100;
+
+    return db.query(`
+      SELECT id, status, reason, occurred_at, detected_at
+      FROM board_connectivity_events
+      ${whereClause}
+      ORDER BY occurred_at DESC, id DESC
+      LIMIT ${limitNum}
+    `, params);
+  },
+
+  async getEventsSince(boardId, since) {
+    return db.query(`
+      SELECT status, reason, occurred_at
+      FROM board_connectivity_events
+      WHERE board_id = ? AND occurred_at >= ?
+      ORDER BY occurred_at ASC, id ASC
+    `, [boardId, since]);
+  },
+
+  async getLastEventBefore(boardId, before) {
+    const [event] = await db.query(`
+      SELECT status, reason, occurred_at
+      FROM board_connectivity_events
+      WHERE board_id = ? AND occurred_at < ?
+      ORDER BY occurred_at DESC, id DESC
+      LIMIT 1
+    `, [boardId, before]);
+    return event || null;
+  },
+
+  async getBoardDeviceIds(boardId) {
+    const rows = await db.query('SELECT device_id FROM devices WHERE board_id = ? AND is_enabled = 1', [boardId]);
+    return rows.map(r => r.device_id);
+  }
+};
+
+module.exports = BoardConnectivityModel;
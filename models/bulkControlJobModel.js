@@ -0,0 +1,40 @@
+const db = require('../config/database');
+
+function parseJson(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+function toJob(row) {
+  if (!row) return null;
+  return { ...row, results: parseJson(row.results), summary: parseJson(row.summary) };
+}
+
+const BulkControlJobModel = {
+  async create(userId, results) {
+    const result = await db.query(
+      'INSERT INTO bulk_control_jobs (user_id, total, results) VALUES (?, ?, ?)',
+      [userId, results.length, JSON.stringify(results)]
+    );
+    return result.insertId;
+  },
+
+  async complete(jobId, { status = 'completed', results, summary }) {
+    await db.query(`
+      UPDATE bulk_control_jobs
+      SET status = ?, results = ?, summary = ?, completed_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [status, JSON.stringify(results), JSON.stringify(summary), jobId]);
+  },
+
+  async findForUser(jobId, userId) {
+    const [row] = await db.query('SELECT * FROM bulk_control_jobs WHERE id = ? AND user_id = ?', [jobId, userId]);
+    return toJob(row);
+  },
+
+  async deleteOlderThan(cutoff) {
+    const result = await db.query('DELETE FROM bulk_control_jobs WHERE created_at < ?', [cutoff]);
+    return result.affectedRows;
+  }
+};
+
+module.exports = BulkControlJobModel;
@@ -0,0 +1,136 @@
+const db = require('../config/database');
+
+const CommandModel = {
+  async create({ commandId, boardId, deviceId, commandType, message, payload, expectedAction, expectedPin, policy, queued = false, ownerInstance = null, leaseMs }) {
+    const leaseExpiresAt = ownerInstance ? new Date(Date.now() + leaseMs) : null;
+    const expiresAt = policy.ttlMs ? new Date(Date.now() + policy.ttlMs) : null;
+    const pin = expectedPin === null || expectedPin === undefined ? NaN : Number(expectedPin);
+    await db.query(`
+      INSERT INTO device_commands
+        (command_id, board_id, device_id, command_type, command_data, payload, expected_action, expected_pin,
+         status, queued_offline, max_attempts, ack_timeout_ms, retry_delay_ms, expires_at, owner_instance, owner_lease_expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      commandId,
+      boardId,
+      deviceId || null,
+      commandType,
+      JSON.stringify(message),
+      JSON.stringify(payload),
+      expectedAction || null,
+      Number.isFinite(pin) ? pin : null,
+      queued ? 'queued' : 'pending',
+      queued ? 1 : 0,
+      policy.maxAttempts,
+      policy.ackTimeoutMs,
+      policy.retryDelayMs,
+      expiresAt,
+      ownerInstance,
+      leaseExpiresAt
+    ]);
+    return this.findByCommandId(commandId);
+  },
+
+  async findByCommandId(commandId) {
+    const [command] = await db.query('SELECT * FROM device_commands WHERE command_id = ?', [commandId]);
+    return command || null;
+  },
+
+  // Each backend instance only recovers the commands it owns
+  async findActive(ownerInstance) {
+    return db.query(`
+      SELECT * FROM device_commands
+      WHERE status IN ('queued', 'pending', 'sent') AND (owner_instance = ? OR owner_instance IS NULL)
+      ORDER BY created_at, id
+    `, [ownerInstance]);
+  },
+
+  // An instance keeps its active commands by renewing their lease on every sweep
+  async renewLeases(ownerInstance, leaseMs) {
+    return db.query(`
+      UPDATE device_commands
+      SET owner_lease_expires_at = ?
+      WHERE owner_instance = ? AND status IN ('queued', 'pending', 'sent')
+    `, [new Date(Date.now() + leaseMs), ownerInstance]);
+  },
+
+  /**
+   * Take over active commands nobody is looking after: unowned rows and rows whose
+   * owner stopped renewing them (scaled away, or restarted under another hostname).
+   * The conditional UPDATE lets only one instance win each row. Resolves to the
+   * number of rows taken.
+   */
+  async takeOverStale(ownerInstance, leaseMs) {
+    const now = new Date();
+    const result = await db.query(`
+      UPDATE device_commands
+      SET owner_instance = ?, owner_lease_expires_at = ?
+      WHERE status IN ('queued', 'pending', 'sent')
+        AND (owner_instance IS NULL OR (owner_instance <> ? AND (owner_lease_expires_at IS NULL OR owner_lease_expires_at < ?)))
+    `, [ownerInstance, new Date(now.getTime() + leaseMs), ownerInstance, now]);
+    return result.affectedRows;
+  },
+
+  async markSent(commandId, deadlineAt) {
+    return db.query(`
+      UPDATE device_commands
+      SET status = 'sent', attempts = attempts + 1, sent_at = CURRENT_TIMESTAMP, deadline_at = ?
+      WHERE command_id = ? AND status IN ('queued', 'pending', 'sent')
+    `, [deadlineAt, commandId]);
+  },
+
+  async markPending(commandId) {
+    return db.query(`
+      UPDATE device_commands
+      SET status = 'pending', deadline_at = NULL
+      WHERE command_id = ? AND status IN ('queued', 'pending', 'sent')
+    `, [commandId]);
+  },
+
+  async markFinished(commandId, status, errorMessage = null) {
+    const result = await db.query(`
+      UPDATE device_commands
+      SET status = ?,
+          error_message = ?,
+          acknowledged_at = IF(? IN ('acknowledged', 'failed'), CURRENT_TIMESTAMP, acknowledged_at)
+      WHERE command_id = ? AND status IN ('queued', 'pending', 'sent')
+    `, [status, errorMessage, status, commandId]);
+    return result.affectedRows > 0;
+  },
+
+  async listByBoard(boardId, { status, limit = 50 } = {}) {
+    let whereClause = 'WHERE board_id = ?';
+    const params = [boardId];
+    if (status) {
+      whereClause += ' AND status = ?';
+      params.push(status);
+    }
+    const limitNum = Number.isFinite(parseInt(limit, 10)) ? Math.max(1, Math.min(500, parseInt(limit, 10))) : 50;
+
+    return db.query(`
+      SELECT command_id, device_id, command_type, command_data, status, queued_offline, attempts,
+             error_message, expires_at, sent_at, acknowledged_at, created_at
+      FROM device_commands
+      ${whereClause}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ${limitNum}
+    `, params);
+  },
+
+  // Collapse the queue status into what API clients care about: is it still waiting, or did it reach the board
+  deliveryState(command) {
+    switch (command.status) {
+      case 'queued':
+      case 'pending':
+        return 'queued';
+      case 'superseded':
+        return 'superseded';
+      case 'timeout':
+        return command.attempts > 0 ? 'delivered' : 'expired';
+      default:
+        return 'delivered';
+    }
+  }
+};
+
+module.exports = CommandModel;
@@ -1,22 +1,22 @@
 const db = require('../config/database');
 
 const DataModel = {
-  async getSensorData(deviceId, { limit = 100, offset = 0, sensor_name, start_date, end_date }) {
-    let whereClause = 'WHERE device_id = ? AND data_type = "sensor"';
+  async getSensorData(deviceId, { limit = 100, offset = 0, metric, start_date, end_date }) {
+    let whereClause = "WHERE device_id = ? AND data_type = 'sensor'";
     const queryParams = [deviceId];
 
-    if (sensor_name) {
-      whereClause += ' AND sensor_name = ?';
-      queryParams.push(sensor_name);
+    if (metric) {
+      whereClause += ' AND metric = ?';
+      queryParams.push(metric);
     }
 
     if (start_date) {
-      whereClause += ' AND timestamp >= ?';
+      whereClause += ' AND observed_at >= ?';
       queryParams.push(start_date);
     }
 
     if (end_date) {
-      whereClause += ' AND timestamp <= ?';
+      whereClause += ' AND observed_at <= ?';
       queryParams.push(end_date);
     }
 
@@ -24,11 +24,11 @@ const DataModel = {
     const offsetNum = Number.isFinite(parseInt(offset, 10)) ? Math.max(0, parseInt(offset, 10)) : 0;
 
     const sensorData = await db.query(`
-      SELECT 
-        id, data_type, sensor_name, value, unit, raw_data, timestamp
+      SELECT
+        id, data_type, metric, value, unit, quality, observed_at, received_at, timestamp_status
       FROM device_data
       ${whereClause}
-      ORDER BY \`timestamp\` DESC
+      ORDER BY observed_at DESC, id DESC
       LIMIT ${limitNum} OFFSET ${offsetNum}
     `, queryParams);
 
@@ -57,7 +57,8 @@ const DataModel = {
 
     const commands = await db.query(`
       SELECT 
-        id, command, status, response, sent_at, acknowledged_at, created_at
+        id, command_id, command_type, command_data, status, attempts, error_message,
+        sent_at, acknowledged_at, created_at
       FROM device_commands
       ${whereClause}
       ORDER BY created_at DESC
@@ -75,66 +76,54 @@ const DataModel = {
     return { commands, total };
   },
 
-  async getAnalytics(deviceId, { period = 'day', sensor_name }) {
-    let groupBy, dateFormat;
-    switch (period) {
-      case 'hour':
-        groupBy = 'DATE_FORMAT(timestamp, "%Y-%m-%d %H:00:00")';
-        dateFormat = '%Y-%m-%d %H:00:00';
-        break;
-      case 'week':
-        groupBy = 'DATE_FORMAT(timestamp, "%Y-%u")';
-        dateFormat = '%Y-%u';
-        break;
-      case 'month':
-        groupBy = 'DATE_FORMAT(timestamp, "%Y-%m")';
-        dateFormat = '%Y-%m';
-        break;
-      default:
-        groupBy = 'DATE(timestamp)';
-        dateFormat = '%Y-%m-%d';
+  /**
+   * Sensor readings of `sensorDeviceIds` and state changes of `stateDeviceIds`
+   * between two instants, oldest first: the history a dry run replays.
+   */
+  async getReplayData({ sensorDeviceIds = [], stateDeviceIds = [] }, start, end, limit) {
+    const clauses = [];
+    const queryParams = [start, end];
+    if (sensorDeviceIds.length > 0) {
+      clauses.push(`(data_type = 'sensor' AND quality <> 'bad' AND device_id IN (${sensorDeviceIds.map(() => '?').join(', ')}))`);
+      queryParams.push(...sensorDeviceIds);
     }
-
-    let whereClause = 'WHERE device_id = ? AND data_type = "sensor"';
-    const queryParams = [deviceId];
-
-    if (sensor_name) {
-      whereClause += ' AND sensor_name = ?';
-      queryParams.push(sensor_name);
+    if (stateDeviceIds.length > 0) {
+      clauses.push(`(data_type = 'state' AND device_id IN (${stateDeviceIds.map(() => '?').join(', ')}))`);
+      queryParams.push(...stateDeviceIds);
     }
+    if (clauses.length === 0) return [];
 
-    const analytics = await db.query(`
-      SELECT 
-        ${groupBy} as period,
-        sensor_name,
-        COUNT(*) as data_points,
-        AVG(value) as avg_value,
-        MIN(value) as min_value,
-        MAX(value) as max_value,
-        unit
+    return db.query(`
+      SELECT id, device_id, data_type, metric, value, payload, observed_at
       FROM device_data
-      ${whereClause}
-      GROUP BY ${groupBy}, sensor_name, unit
-      ORDER BY period DESC
-      LIMIT 30
+      WHERE observed_at >= ? AND observed_at <= ? AND (${clauses.join(' OR ')})
+      ORDER BY observed_at, id
+      LIMIT ${Number(limit)}
     `, queryParams);
+  },
 
-    const sensorSummary = await db.query(`
-      SELECT 
-        sensor_name,
-        unit,
-        COUNT(*) as total_readings,
-        AVG(value) as avg_value,
-        MIN(value) as min_value,
-        MAX(value) as max_value,
-        MIN(timestamp) as first_reading,
-        MAX(timestamp) as last_reading
+  // Last state change recorded before `before` (its payload), or null
+  async getStateBefore(deviceId, before) {
+    const [row] = await db.query(`
+      SELECT payload, observed_at
       FROM device_data
-      ${whereClause}
-      GROUP BY sensor_name, unit
-    `, queryParams);
+      WHERE device_id = ? AND data_type = 'state' AND observed_at < ?
+      ORDER BY observed_at DESC, id DESC
+      LIMIT 1
+    `, [deviceId, before]);
+    return row || null;
+  },
 
-    return { analytics, sensorSummary, period };
+  // Last usable reading of one metric before `before`, or null
+  async getReadingBefore(deviceId, metric, before) {
+    const [row] = await db.query(`
+      SELECT value, observed_at
+      FROM device_data
+      WHERE device_id = ? AND data_type = 'sensor' AND metric = ? AND quality <> 'bad' AND observed_at < ?
+      ORDER BY observed_at DESC, id DESC
+      LIMIT 1
+    `, [deviceId, metric, before]);
+    return row || null;
   }
 };
 
@@ -0,0 +1,70 @@
+const db = require('../config/database');
+
+const DeviceGroupModel = {
+  async listGroups(userId) {
+    return db.query(`
+      SELECT g.*, COUNT(m.device_id) AS device_count
+      FROM device_groups g
+      LEFT JOIN device_group_members m ON m.group_id = g.id
+      WHERE g.user_id = ?
+      GROUP BY g.id
+      ORDER BY g.name
+    `, [userId]);
+  },
+
+  async getGroup(groupId, userId) {
+    const [group] = await db.query('SELECT * FROM device_groups WHERE id = ? AND user_id = ?', [groupId, userId]);
+    return group || null;
+  },
+
+  async createGroup(userId, { name, description = null }) {
+    const result = await db.query(
+      'INSERT INTO device_groups (user_id, name, description) VALUES (?, ?, ?)',
+      [userId, name, description]
+    );
+    return result.insertId;
+  },
+
+  async updateGroup(groupId, userId, { name, description }) {
+    const updateFields = [];
+    const updateValues = [];
+    if (name !== undefined) {
+      updateFields.push('name = ?');
+      updateValues.push(name);
+    }
+    if (description !== undefined) {
+      updateFields.push('description = ?');
+      updateValues.push(description);
+    }
+    if (updateFields.length === 0) return true;
+
+    const result = await db.query(
+      `UPDATE device_groups SET ${updateFields.join(', ')} WHERE id = ? AND user_id = ?`,
+      [...updateValues, groupId, userId]
+    );
+    return result.affectedRows > 0;
+  },
+
+  async deleteGroup(groupId, userId) {
+    const result = await db.query('DELETE FROM device_groups WHERE id = ? AND user_id = ?', [groupId, userId]);
+    return result.affectedRows > 0;
+  },
+
+  // Callers check that the devices belong to the group's owner
+  async addMembers(groupId, deviceIds) {
+    if (deviceIds.length === 0) return 0;
+    const placeholders = deviceIds.map(() => '(?, ?)').join(', ');
+    const result = await db.query(
+      `INSERT IGNORE INTO device_group_members (group_id, device_id) VALUES ${placeholders}`,
+      deviceIds.flatMap(deviceId => [groupId, deviceId])
+    );
+    return result.affectedRows;
+  },
+
+  async removeMember(groupId, deviceId) {
+    const result = await db.query('DELETE FROM device_group_members WHERE group_id = ? AND device_id = ?', [groupId, deviceId]);
+    return result.affectedRows > 0;
+  }
+};
+
+module.exports = DeviceGroupModel;
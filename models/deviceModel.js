@@ -1,12 +1,23 @@
 const db = require('../config/database');
+const DeviceTypeRegistry = require('../services/deviceTypeRegistry');
+
+// Where a device is: its own room, or its board's room when it has none
+const DEVICE_LOCATION_JOINS = `
+  LEFT JOIN rooms r ON r.id = COALESCE(d.room_id, b.room_id)
+  LEFT JOIN floors f ON f.id = r.floor_id
+  LEFT JOIN homes h ON h.id = r.home_id`;
+const DEVICE_LOCATION_COLUMNS = `r.id as effective_room_id, r.name as room_name,
+  f.id as floor_id, f.name as floor_name, h.id as home_id, h.name as home_name`;
 
 const DeviceModel = {
   async getBoardsByUser(userId) {
     return db.query(`
       SELECT b.*, 
+             r.name as room_name,
              COUNT(d.id) as device_count,
              GROUP_CONCAT(d.device_type) as device_types
       FROM esp32_boards b
+      LEFT JOIN rooms r ON r.id = b.room_id
       LEFT JOIN devices d ON b.board_id = d.board_id AND d.is_enabled = 1
       WHERE b.user_id = ?
       GROUP BY b.id
@@ -14,6 +25,14 @@ const DeviceModel = {
     `, [userId]);
   },
 
+  async getBoard(boardId, userId) {
+    const [board] = await db.query(`
+      SELECT * FROM esp32_boards 
+      WHERE board_id = ? AND user_id = ?
+    `, [boardId, userId]);
+    return board || null;
+  },
+
   async getBoardWithDevices(boardId, userId) {
     const [board] = await db.query(`
       SELECT * FROM esp32_boards 
@@ -49,24 +68,96 @@ const DeviceModel = {
     return { updated: true };
   },
 
-  async getDevicesByUser(userId) {
+  async getBoardCodec(boardId) {
+    const [board] = await db.query(
+      'SELECT payload_codec, compact_schema FROM esp32_boards WHERE board_id = ?',
+      [boardId]
+    );
+    return board || null;
+  },
+
+  async updateBoardCodec(boardId, userId, { codec, compactSchema }) {
+    const result = await db.query(`
+      UPDATE esp32_boards
+      SET payload_codec = ?, compact_schema = ?, last_seen = last_seen, updated_at = CURRENT_TIMESTAMP
+      WHERE board_id = ? AND user_id = ?
+    `, [codec, compactSchema ? JSON.stringify(compactSchema) : null, boardId, userId]);
+    return result.affectedRows > 0;
+  },
+
+  /**
+   * The user's enabled devices with their location. `filters` narrows them to
+   * a home, floor or room (by where the device effectively is) or a group.
+   */
+  async getDevicesByUser(userId, { homeId, floorId, roomId, groupId } = {}) {
+    let whereClause = 'WHERE b.user_id = ? AND d.is_enabled = 1';
+    const params = [userId];
+    if (homeId !== undefined) {
+      whereClause += ' AND h.id = ?';
+      params.push(homeId);
+    }
+    if (floorId !== undefined) {
+      whereClause += ' AND f.id = ?';
+      params.push(floorId);
+    }
+    if (roomId !== undefined) {
+      whereClause += ' AND r.id = ?';
+      params.push(roomId);
+    }
+    if (groupId !== undefined) {
+      whereClause += ' AND d.device_id IN (SELECT device_id FROM device_group_members WHERE group_id = ?)';
+      params.push(groupId);
+    }
+
     return db.query(`
-      SELECT d.*, b.name as board_name, b.location as board_location, b.is_online as board_online
+      SELECT d.*, b.name as board_name, b.location as board_location, b.is_online as board_online,
+             ${DEVICE_LOCATION_COLUMNS}
       FROM devices d
       JOIN esp32_boards b ON d.board_id = b.board_id
-      WHERE b.user_id = ? AND d.is_enabled = 1
-      ORDER BY b.name, d.gpio_pin
-    `, [userId]);
+      ${DEVICE_LOCATION_JOINS}
+      ${whereClause}
+      ORDER BY h.name, f.level, r.name, b.name, d.gpio_pin
+    `, params);
+  },
+
+  // roomId null clears the assignment; the caller checks the room is the user's
+  async setBoardRoom(boardId, userId, roomId) {
+    const result = await db.query(
+      'UPDATE esp32_boards SET room_id = ?, last_seen = last_seen WHERE board_id = ? AND user_id = ?',
+      [roomId, boardId, userId]
+    );
+    return result.affectedRows > 0;
+  },
+
+  // A device without a room of its own follows its board
+  async setDeviceRoom(deviceId, userId, roomId) {
+    const result = await db.query(`
+      UPDATE devices d
+      JOIN esp32_boards b ON d.board_id = b.board_id
+      SET d.room_id = ?
+      WHERE d.device_id = ? AND b.user_id = ?
+    `, [roomId, deviceId, userId]);
+    return result.affectedRows > 0;
   },
 
-  async addDevice({ board_id, device_type, name, gpio_pin, config }, userId) {
+  async getOnlineBoardIds(boardIds) {
+    if (!boardIds || boardIds.length === 0) return [];
+    const placeholders = boardIds.map(() => '?').join(', ');
+    const rows = await db.query(`
+      SELECT board_id FROM esp32_boards
+      WHERE board_id IN (${placeholders}) AND is_online = 1
+    `, boardIds);
+    return rows.map(r => r.board_id);
+  },
+
+  async addDevice({ board_id, device_type, name, gpio_pin, config }, userId, { allowOffline = false } = {}) {
     const [board] = await db.query(`
       SELECT * FROM esp32_boards 
       WHERE board_id = ? AND user_id = ?
     `, [board_id, userId]);
 
     if (!board) return { notFound: true };
-    if (!board.is_online) return { offline: true };
+    if (!board.is_online && !allowOffline) return { offline: true };
 
     const [existingDevice] = await db.query(`
       SELECT * FROM devices 
@@ -77,11 +168,11 @@ const DeviceModel = {
 
     const device_id = `${board_id}_GPIO${gpio_pin}`;
 
-    return { device_id };
+    return { device_id, boardOnline: Boolean(board.is_online) };
   },
 
   async persistAddedDevice({ device_id, board_id, device_type, name, gpio_pin, config }) {
-    const initialState = device_type === 'switch' ? { state: false } : {};
+    const initialState = DeviceTypeRegistry.initialState(device_type);
     await db.query(`
       INSERT INTO devices (device_id, board_id, device_type, name, gpio_pin, config, state, is_enabled)
       VALUES (?, ?, ?, ?, ?, ?, ?, 1)
@@ -99,6 +190,29 @@ const DeviceModel = {
     return device || null;
   },
 
+  // Several of the user's devices with their boards, for bulk control
+  async getDevicesWithBoards(deviceIds, userId) {
+    if (!deviceIds || deviceIds.length === 0) return [];
+    const placeholders = deviceIds.map(() => '?').join(', ');
+    return db.query(`
+      SELECT d.*, b.user_id, b.is_online, b.board_id, b.features AS board_features
+      FROM devices d
+      JOIN esp32_boards b ON d.board_id = b.board_id
+      WHERE d.device_id IN (${placeholders}) AND b.user_id = ?
+    `, [...deviceIds, userId]);
+  },
+
+  // Device with its board, regardless of owner (for internal callbacks)
+  async findDevice(deviceId) {
+    const [device] = await db.query(`
+      SELECT d.*, b.user_id, b.is_online, b.board_id
+      FROM devices d
+      JOIN esp32_boards b ON d.board_id = b.board_id
+      WHERE d.device_id = ?
+    `, [deviceId]);
+    return device || null;
+  },
+
   async updateDevice(deviceId, { name, config }) {
     await db.query(`
       UPDATE devices 
@@ -108,7 +222,7 @@ const DeviceModel = {
     return { updated: true };
   },
 
-  async deleteDevice(deviceId, userId) {
+  async deleteDevice(deviceId, userId, { allowOffline = false } = {}) {
     const [device] = await db.query(`
       SELECT d.*, b.user_id, b.is_online, b.board_id
       FROM devices d
@@ -117,7 +231,7 @@ const DeviceModel = {
     `, [deviceId, userId]);
 
     if (!device) return { notFound: true };
-    if (!device.is_online) return { offline: true };
+    if (!device.is_online && !allowOffline) return { offline: true };
 
     await db.query(`
       UPDATE devices 
@@ -0,0 +1,98 @@
+const db = require('../config/database');
+
+function parseJson(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+function toExecution(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    trigger_data: parseJson(row.trigger_data),
+    conditions: parseJson(row.conditions),
+    commands: parseJson(row.commands),
+    results: parseJson(row.results)
+  };
+}
+
+const ExecutionModel = {
+  // One row per run; every device in `results` is indexed so the run shows up in that device's log
+  async create(userId, { source, timer_id = null, automation_id = null, name, status, trigger, conditions = null, commands = null, results, error = null }) {
+    return db.transaction(async (connection) => {
+      const [result] = await connection.execute(`
+        INSERT INTO executions (user_id, source, timer_id, automation_id, name, status, trigger_data, conditions, commands, results, error)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        userId, source, timer_id, automation_id, name, status, JSON.stringify(trigger),
+        conditions && JSON.stringify(conditions), commands && JSON.stringify(commands), JSON.stringify(results), error
+      ]);
+
+      // A device a rule drives directly and through a scene is indexed once, with its last outcome
+      const devices = new Map(results.filter(entry => entry.device_id).map(entry => [entry.device_id, entry.status]));
+      if (devices.size > 0) {
+        await connection.execute(
+          `INSERT INTO execution_devices (execution_id, device_id, status) VALUES ${[...devices].map(() => '(?, ?, ?)').join(', ')}`,
+          [...devices].flatMap(([deviceId, deviceStatus]) => [result.insertId, deviceId, deviceStatus])
+        );
+      }
+      return result.insertId;
+    });
+  },
+
+  async list(userId, { limit = 50, offset = 0, source, timer_id, automation_id, device_id, status, start_date, end_date } = {}) {
+    let whereClause = 'WHERE e.user_id = ?';
+    const queryParams = [userId];
+
+    for (const [column, value] of [['source', source], ['timer_id', timer_id], ['automation_id', automation_id], ['status', status]]) {
+      if (value === undefined) continue;
+      whereClause += ` AND e.${column} = ?`;
+      queryParams.push(value);
+    }
+
+    if (device_id) {
+      whereClause += ' AND e.id IN (SELECT execution_id FROM execution_devices WHERE device_id = ?)';
+      queryParams.push(device_id);
+    }
+
+    if (start_date) {
+      whereClause += ' AND e.created_at >= ?';
+      queryParams.push(start_date);
+    }
+
+    if (end_date) {
+      whereClause += ' AND e.created_at <= ?';
+      queryParams.push(end_date);
+    }
+
+    const limitNum = Number.isFinite(parseInt(limit, 10)) ? Math.max(1, Math.min(200, parseInt(limit, 10))) : 50;
+    const offsetNum = Number.isFinite(parseInt(offset, 10)) ? Math.max(0, parseInt(offset, 10)) : 0;
+
+    const rows = await db.query(`
+      SELECT e.*
+      FROM executions e
+      ${whereClause}
+      ORDER BY e.created_at DESC, e.id DESC
+      LIMIT ${limitNum} OFFSET ${offsetNum}
+    `, queryParams);
+
+    const totalResult = await db.query(`
+      SELECT COUNT(*) as total
+      FROM executions e
+      ${whereClause}
+    `, queryParams);
+
+    return { executions: rows.map(toExecution), total: totalResult[0].total };
+  },
+
+  async get(executionId, userId) {
+    const [row] = await db.query('SELECT * FROM executions WHERE id = ? AND user_id = ?', [executionId, userId]);
+    return toExecution(row);
+  },
+
+  async deleteOlderThan(cutoff) {
+    const result = await db.query('DELETE FROM executions WHERE created_at < ?', [cutoff]);
+    return result.affectedRows;
+  }
+};
+
+module.exports = ExecutionModel;
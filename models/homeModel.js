@@ -0,0 +1,145 @@
+const db = require('../config/database');
+
+// SET clause for the given columns, skipping the ones left undefined
+function assignments(fields) {
+  const columns = Object.keys(fields).filter(column => fields[column] !== undefined);
+  return {
+    sql: columns.map(column => `${column} = ?`).join(', '),
+    params: columns.map(column => fields[column])
+  };
+}
+
+// Devices count towards their own room, or their board's room when they have none
+const ROOM_DEVICE_COUNT = `
+  (SELECT COUNT(*) FROM devices d
+   JOIN esp32_boards b ON d.board_id = b.board_id
+   WHERE d.is_enabled = 1 AND COALESCE(d.room_id, b.room_id) = r.id) AS device_count`;
+
+const HomeModel = {
+  // ===== HOMES =====
+
+  async listHomes(userId) {
+    return db.query(`
+      SELECT h.*,
+             (SELECT COUNT(*) FROM floors f WHERE f.home_id = h.id) AS floor_count,
+             (SELECT COUNT(*) FROM rooms r WHERE r.home_id = h.id) AS room_count
+      FROM homes h
+      WHERE h.user_id = ?
+      ORDER BY h.name
+    `, [userId]);
+  },
+
+  async getHome(homeId, userId) {
+    const [home] = await db.query('SELECT * FROM homes WHERE id = ? AND user_id = ?', [homeId, userId]);
+    return home || null;
+  },
+
+  async createHome(userId, { name, address = null, latitude = null, longitude = null }) {
+    const result = await db.query(
+      'INSERT INTO homes (user_id, name, address, latitude, longitude) VALUES (?, ?, ?, ?, ?)',
+      [userId, name, address, latitude, longitude]
+    );
+    return result.insertId;
+  },
+
+  async updateHome(homeId, userId, { name, address, latitude, longitude }) {
+    const { sql, params } = assignments({ name, address, latitude, longitude });
+    if (!sql) return true;
+    const result = await db.query(`UPDATE homes SET ${sql} WHERE id = ? AND user_id = ?`, [...params, homeId, userId]);
+    return result.affectedRows > 0;
+  },
+
+  // Floors and rooms go with the home; boards and devices in it become unassigned
+  async deleteHome(homeId, userId) {
+    const result = await db.query('DELETE FROM homes WHERE id = ? AND user_id = ?', [homeId, userId]);
+    return result.affectedRows > 0;
+  },
+
+  // ===== FLOORS =====
+
+  async listFloors(homeId) {
+    return db.query('SELECT * FROM floors WHERE home_id = ? ORDER BY level, name', [homeId]);
+  },
+
+  async getFloor(floorId, userId) {
+    const [floor] = await db.query(`
+      SELECT f.*, h.name AS home_name
+      FROM floors f
+      JOIN homes h ON f.home_id = h.id
+      WHERE f.id = ? AND h.user_id = ?
+    `, [floorId, userId]);
+    return floor || null;
+  },
+
+  async createFloor(homeId, { name, level = 0 }) {
+    const result = await db.query('INSERT INTO floors (home_id, name, level) VALUES (?, ?, ?)', [homeId, name, level]);
+    return result.insertId;
+  },
+
+  async updateFloor(floorId, { name, level }) {
+    const { sql, params } = assignments({ name, level });
+    if (!sql) return true;
+    const result = await db.query(`UPDATE floors SET ${sql} WHERE id = ?`, [...params, floorId]);
+    return result.affectedRows > 0;
+  },
+
+  // Rooms on the floor stay in the home without a floor
+  async deleteFloor(floorId) {
+    const result = await db.query('DELETE FROM floors WHERE id = ?', [floorId]);
+    return result.affectedRows > 0;
+  },
+
+  // ===== ROOMS =====
+
+  async listRooms(userId, { homeId, floorId } = {}) {
+    let whereClause = 'WHERE h.user_id = ?';
+    const params = [userId];
+    if (homeId !== undefined) {
+      whereClause += ' AND r.home_id = ?';
+      params.push(homeId);
+    }
+    if (floorId !== undefined) {
+      whereClause += ' AND r.floor_id = ?';
+      params.push(floorId);
+    }
+    return db.query(`
+      SELECT r.*, f.name AS floor_name, f.level AS floor_level, h.name AS home_name, ${ROOM_DEVICE_COUNT}
+      FROM rooms r
+      JOIN homes h ON r.home_id = h.id
+      LEFT JOIN floors f ON r.floor_id = f.id
+      ${whereClause}
+      ORDER BY h.name, f.level, r.name
+    `, params);
+  },
+
+  async getRoom(roomId, userId) {
+    const [room] = await db.query(`
+      SELECT r.*, f.name AS floor_name, f.level AS floor_level, h.name AS home_name, ${ROOM_DEVICE_COUNT}
+      FROM rooms r
+      JOIN homes h ON r.home_id = h.id
+      LEFT JOIN floors f ON r.floor_id = f.id
+      WHERE r.id = ? AND h.user_id = ?
+    `, [roomId, userId]);
+    return room || null;
+  },
+
+  async createRoom(homeId, { name, floorId = null }) {
+    const result = await db.query('INSERT INTO rooms (home_id, floor_id, name) VALUES (?, ?, ?)', [homeId, floorId, name]);
+    return result.insertId;
+  },
+
+  async updateRoom(roomId, { name, floorId }) {
+    const { sql, params } = assignments({ name, floor_id: floorId });
+    if (!sql) return true;
+    const result = await db.query(`UPDATE rooms SET ${sql} WHERE id = ?`, [...params, roomId]);
+    return result.affectedRows > 0;
+  },
+
+  // Boards and devices in the room become unassigned
+  async deleteRoom(roomId) {
+    const result = await db.query('DELETE FROM rooms WHERE id = ?', [roomId]);
+    return result.affectedRows > 0;
+  }
+};
+
+module.exports = HomeModel;
@@ -0,0 +1,22 @@
+const db = require('../config/database');
+
+const MqttCredentialModel = {
+  async getBoardCredentials(boardId) {
+    const [board] = await db.query(
+      'SELECT board_id, mqtt_password_hash, mqtt_credentials_issued_at FROM esp32_boards WHERE board_id = ?',
+      [boardId]
+    );
+    return board || null;
+  },
+
+  async setBoardPassword(boardId, passwordHash) {
+    const result = await db.query(`
+      UPDATE esp32_boards
+      SET mqtt_password_hash = ?, mqtt_credentials_issued_at = CURRENT_TIMESTAMP, last_seen = last_seen
+      WHERE board_id = ?
+    `, [passwordHash, boardId]);
+    return result.affectedRows > 0;
+  }
+};
+
+module.exports = MqttCredentialModel;
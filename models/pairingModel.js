@@ -0,0 +1,144 @@
+const db = require('../config/database');
+
+const PairingModel = {
+  // ===== PAIRING TOKENS =====
+
+  async createToken({ userId, tokenHash, boardId = null, expiresAt }) {
+    const result = await db.query(`
+      INSERT INTO board_pairing_tokens (user_id, token_hash, board_id, expires_at)
+      VALUES (?, ?, ?, ?)
+    `, [userId, tokenHash, boardId, expiresAt]);
+    return result.insertId;
+  },
+
+  async findTokenByHash(tokenHash) {
+    const [token] = await db.query('SELECT * FROM board_pairing_tokens WHERE token_hash = ?', [tokenHash]);
+    return token || null;
+  },
+
+  async findTokenById(id) {
+    const [token] = await db.query('SELECT * FROM board_pairing_tokens WHERE id = ?', [id]);
+    return token || null;
+  },
+
+  async listActiveTokens(userId) {
+    return db.query(`
+      SELECT id, board_id, expires_at, created_at
+      FROM board_pairing_tokens
+      WHERE user_id = ? AND used_at IS NULL AND expires_at > NOW()
+      ORDER BY created_at DESC
+    `, [userId]);
+  },
+
+  async deleteToken(id, userId) {
+    const result = await db.query(
+      'DELETE FROM board_pairing_tokens WHERE id = ? AND user_id = ? AND used_at IS NULL',
+      [id, userId]
+    );
+    return result.affectedRows > 0;
+  },
+
+  // Single-use: only the first registration to get here wins the token
+  async consumeToken(id, boardId) {
+    const result = await db.query(`
+      UPDATE board_pairing_tokens
+      SET used_at = CURRENT_TIMESTAMP, used_by_board = ?
+      WHERE id = ? AND used_at IS NULL AND expires_at > NOW()
+    `, [boardId, id]);
+    return result.affectedRows > 0;
+  },
+
+  // ===== OWNERSHIP TRANSFERS =====
+
+  async createTransfer({ boardId, fromUserId, toUserId, expiresAt }) {
+    // A newer claim replaces any request still waiting for the owner
+    await db.query(`
+      UPDATE board_transfers SET status = 'expired', resolved_at = CURRENT_TIMESTAMP
+      WHERE board_id = ? AND status = 'pending'
+    `, [boardId]);
+
+    const result = await db.query(`
+      INSERT INTO board_transfers (board_id, from_user_id, to_user_id, expires_at)
+      VALUES (?, ?, ?, ?)
+    `, [boardId, fromUserId, toUserId, expiresAt]);
+    return result.insertId;
+  },
+
+  async listTransfers(userId) {
+    return db.query(`
+      SELECT t.id, t.board_id, b.name AS board_name, t.from_user_id, t.to_user_id,
+             u.email AS to_user_email, t.status, t.expires_at, t.resolved_at, t.created_at
+      FROM board_transfers t
+      JOIN esp32_boards b ON b.board_id = t.board_id
+      JOIN users u ON u.id = t.to_user_id
+      WHERE (t.from_user_id = ? OR t.to_user_id = ?)
+        AND (t.status <> 'pending' OR t.expires_at > NOW())
+      ORDER BY t.created_at DESC
+      LIMIT 50
+    `, [userId, userId]);
+  },
+
+  async rejectTransfer(id, ownerId) {
+    const result = await db.query(`
+      UPDATE board_transfers SET status = 'rejected', resolved_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND from_user_id = ? AND status = 'pending'
+    `, [id, ownerId]);
+    return result.affectedRows > 0;
+  },
+
+  /**
+   * Move the board to the new owner. Timers, room assignments, group
+   * memberships and scene entries belong to the previous owner's account, so
+   * they are dropped with the handover.
+   */
+  async approveTransfer(id, ownerId) {
+    return db.transaction(async (connection) => {
+      const [transfers] = await connection.execute(`
+        SELECT * FROM board_transfers
+        WHERE id = ? AND from_user_id = ? AND status = 'pending' AND expires_at > NOW()
+        FOR UPDATE
+      `, [id, ownerId]);
+      if (transfers.length === 0) return null;
+      const transfer = transfers[0];
+
+      const [moved] = await connection.execute(
+        'UPDATE esp32_boards SET user_id = ?, room_id = NULL, last_seen = last_seen WHERE board_id = ? AND user_id = ?',
+        [transfer.to_user_id, transfer.board_id, ownerId]
+      );
+      if (moved.affectedRows === 0) return null;
+
+      await connection.execute('UPDATE devices SET room_id = NULL WHERE board_id = ?', [transfer.board_id]);
+      await connection.execute(`
+        DELETE m FROM device_group_members m
+        JOIN devices d ON d.device_id = m.device_id
+        WHERE d.board_id = ?
+      `, [transfer.board_id]);
+      await connection.execute(`
+        DELETE s FROM scene_devices s
+        JOIN devices d ON d.device_id = s.device_id
+        WHERE d.board_id = ?
+      `, [transfer.board_id]);
+
+      const [timers] = await connection.execute(`
+        SELECT t.id FROM timers t
+        JOIN devices d ON d.device_id = t.device_id
+        WHERE d.board_id = ? AND t.user_id = ?
+      `, [transfer.board_id, ownerId]);
+      const removedTimerIds = timers.map(t => t.id);
+      if (removedTimerIds.length > 0) {
+        await connection.execute(
+          `DELETE FROM timers WHERE id IN (${removedTimerIds.map(() => '?').join(',')})`,
+          removedTimerIds
+        );
+      }
+
+      await connection.execute(
+        "UPDATE board_transfers SET status = 'approved', resolved_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [id]
+      );
+      return { transfer, removedTimerIds };
+    });
+  }
+};
+
+module.exports = PairingModel;
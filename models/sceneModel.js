@@ -0,0 +1,162 @@
+const db = require('../config/database');
+
+function parseJson(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+function toActivation(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    previous_state: parseJson(row.previous_state),
+    results: parseJson(row.results),
+    summary: parseJson(row.summary),
+    undo_results: parseJson(row.undo_results)
+  };
+}
+
+const SceneModel = {
+  // ===== SCENES =====
+
+  async listScenes(userId) {
+    return db.query(`
+      SELECT s.*, COUNT(sd.device_id) AS device_count
+      FROM scenes s
+      LEFT JOIN scene_devices sd ON sd.scene_id = s.id
+      WHERE s.user_id = ?
+      GROUP BY s.id
+      ORDER BY s.name
+    `, [userId]);
+  },
+
+  async getScene(sceneId, userId) {
+    const [scene] = await db.query('SELECT * FROM scenes WHERE id = ? AND user_id = ?', [sceneId, userId]);
+    return scene || null;
+  },
+
+  // Target state of every device in the scene, with the device's name and type
+  async getSceneDevices(sceneId) {
+    const rows = await db.query(`
+      SELECT sd.device_id, sd.state, d.name, d.device_type
+      FROM scene_devices sd
+      JOIN devices d ON d.device_id = sd.device_id
+      WHERE sd.scene_id = ?
+      ORDER BY d.name
+    `, [sceneId]);
+    return rows.map(row => ({ ...row, state: parseJson(row.state) }));
+  },
+
+  async createScene(userId, { name, description = null }, devices) {
+    return db.transaction(async (connection) => {
+      const [result] = await connection.execute(
+        'INSERT INTO scenes (user_id, name, description) VALUES (?, ?, ?)',
+        [userId, name, description]
+      );
+      await this.writeDevices(connection, result.insertId, devices);
+      return result.insertId;
+    });
+  },
+
+  // `devices` ([{ device_id, state }]) replaces the scene's devices when given
+  async updateScene(sceneId, { name, description }, devices) {
+    return db.transaction(async (connection) => {
+      const updateFields = [];
+      const updateValues = [];
+      if (name !== undefined) {
+        updateFields.push('name = ?');
+        updateValues.push(name);
+      }
+      if (description !== undefined) {
+        updateFields.push('description = ?');
+        updateValues.push(description);
+      }
+      if (updateFields.length > 0) {
+        await connection.execute(`UPDATE scenes SET ${updateFields.join(', ')} WHERE id = ?`, [...updateValues, sceneId]);
+      }
+      if (devices) {
+        await connection.execute('DELETE FROM scene_devices WHERE scene_id = ?', [sceneId]);
+        await this.writeDevices(connection, sceneId, devices);
+      }
+    });
+  },
+
+  async writeDevices(connection, sceneId, devices) {
+    if (!devices || devices.length === 0) return;
+    await connection.execute(
+      `INSERT INTO scene_devices (scene_id, device_id, state) VALUES ${devices.map(() => '(?, ?, ?)').join(', ')}`,
+      devices.flatMap(({ device_id, state }) => [sceneId, device_id, JSON.stringify(state)])
+    );
+  },
+
+  async deleteScene(sceneId, userId) {
+    const result = await db.query('DELETE FROM scenes WHERE id = ? AND user_id = ?', [sceneId, userId]);
+    return result.affectedRows > 0;
+  },
+
+  // ===== ACTIVATIONS =====
+
+  async createActivation(sceneId, userId, source, previousState) {
+    const result = await db.query(
+      'INSERT INTO scene_activations (scene_id, user_id, source, previous_state) VALUES (?, ?, ?, ?)',
+      [sceneId, userId, source, JSON.stringify(previousState)]
+    );
+    return result.insertId;
+  },
+
+  async completeActivation(activationId, { status = 'completed', results, summary }) {
+    await db.query(`
+      UPDATE scene_activations
+      SET status = ?, results = ?, summary = ?, completed_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [status, JSON.stringify(results), JSON.stringify(summary), activationId]);
+  },
+
+  // Only one undo wins; a second one sees zero affected rows
+  async claimUndo(activationId) {
+    const result = await db.query(
+      "UPDATE scene_activations SET status = 'undone', undone_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'completed'",
+      [activationId]
+    );
+    return result.affectedRows > 0;
+  },
+
+  async recordUndo(activationId, undoResults) {
+    await db.query('UPDATE scene_activations SET undo_results = ? WHERE id = ?', [JSON.stringify(undoResults), activationId]);
+  },
+
+  async getActivation(activationId, userId) {
+    const [row] = await db.query(`
+      SELECT a.*, s.name AS scene_name
+      FROM scene_activations a
+      JOIN scenes s ON a.scene_id = s.id
+      WHERE a.id = ? AND a.user_id = ?
+    `, [activationId, userId]);
+    return toActivation(row);
+  },
+
+  async listActivations(sceneId, limit = 20) {
+    const rows = await db.query(
+      `SELECT * FROM scene_activations WHERE scene_id = ? ORDER BY created_at DESC, id DESC LIMIT ${Number(limit)}`,
+      [sceneId]
+    );
+    return rows.map(toActivation);
+  },
+
+  // Most recent activation that can still be undone
+  async latestUndoable(sceneId, userId) {
+    const [row] = await db.query(`
+      SELECT * FROM scene_activations
+      WHERE scene_id = ? AND user_id = ? AND status = 'completed'
+      ORDER BY created_at DESC, id DESC
+      LIMIT 1
+    `, [sceneId, userId]);
+    return toActivation(row);
+  },
+
+  async deleteActivationsOlderThan(cutoff) {
+    const result = await db.query('DELETE FROM scene_activations WHERE created_at < ?', [cutoff]);
+    return result.affectedRows;
+  }
+};
+
+module.exports = SceneModel;
@@ -0,0 +1,126 @@
+const db = require('../config/database');
+
+function parseJson(value, fallback = {}) {
+  if (value === null || value === undefined) return fallback;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Shadow-style merge: nested objects merge key by key, null removes a key
+function mergeState(target, patch) {
+  const result = { ...target };
+  for (const [key, value] of Object.entries(patch || {})) {
+    if (value === null) {
+      delete result[key];
+    } else if (isPlainObject(value) && isPlainObject(result[key])) {
+      result[key] = mergeState(result[key], value);
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+function toDocument(row) {
+  return {
+    deviceId: row.device_id,
+    desired: parseJson(row.desired),
+    reported: parseJson(row.reported),
+    version: row.version,
+    desiredUpdatedAt: row.desired_updated_at,
+    reportedUpdatedAt: row.reported_updated_at
+  };
+}
+
+const ShadowModel = {
+  async getShadow(deviceId) {
+    const [row] = await db.query('SELECT * FROM device_shadows WHERE device_id = ?', [deviceId]);
+    if (row) return toDocument(row);
+
+    // No shadow yet: seed reported from the legacy devices.state blob
+    const [device] = await db.query('SELECT device_id, state FROM devices WHERE device_id = ?', [deviceId]);
+    if (!device) return null;
+    return {
+      deviceId,
+      desired: {},
+      reported: parseJson(device.state),
+      version: 0,
+      desiredUpdatedAt: null,
+      reportedUpdatedAt: null
+    };
+  },
+
+  async getShadowsByBoard(boardId) {
+    const devices = await db.query(`
+      SELECT d.device_id, d.device_type, d.gpio_pin, d.state,
+             s.desired, s.reported, s.version, s.desired_updated_at, s.reported_updated_at
+      FROM devices d
+      LEFT JOIN device_shadows s ON s.device_id = d.device_id
+      WHERE d.board_id = ? AND d.is_enabled = 1
+      ORDER BY d.gpio_pin
+    `, [boardId]);
+
+    return devices.map(d => ({
+      device: { device_id: d.device_id, device_type: d.device_type, gpio_pin: d.gpio_pin },
+      shadow: d.version === null
+        ? { deviceId: d.device_id, desired: {}, reported: parseJson(d.state), version: 0, desiredUpdatedAt: null, reportedUpdatedAt: null }
+        : toDocument(d)
+    }));
+  },
+
+  /**
+   * Merge a patch into the desired or reported section under a row lock.
+   * Returns { shadow, changed } or { conflict: true, shadow } when expectedVersion is stale.
+   */
+  async updateSection(deviceId, section, patch, expectedVersion) {
+    if (section !== 'desired' && section !== 'reported') {
+      throw new Error(`Unknown shadow section: ${section}`);
+    }
+
+    return db.transaction(async (connection) => {
+      const [devices] = await connection.execute('SELECT device_id, state FROM devices WHERE device_id = ?', [deviceId]);
+      if (devices.length === 0) return { notFound: true };
+
+      let [rows] = await connection.execute('SELECT * FROM device_shadows WHERE device_id = ? FOR UPDATE', [deviceId]);
+      if (rows.length === 0) {
+        await connection.execute(
+          'INSERT INTO device_shadows (device_id, desired, reported, version) VALUES (?, ?, ?, 0)',
+          [deviceId, JSON.stringify({}), JSON.stringify(parseJson(devices[0].state))]
+        );
+        [rows] = await connection.execute('SELECT * FROM device_shadows WHERE device_id = ? FOR UPDATE', [deviceId]);
+      }
+
+      const current = toDocument(rows[0]);
+      if (expectedVersion !== undefined && expectedVersion !== null && Number(expectedVersion) !== current.version) {
+        return { conflict: true, shadow: current };
+      }
+
+      const next = mergeState(current[section], patch);
+      if (JSON.stringify(next) === JSON.stringify(current[section])) {
+        return { shadow: current, changed: false };
+      }
+
+      await connection.execute(`
+        UPDATE device_shadows
+        SET ${section} = ?, ${section}_updated_at = CURRENT_TIMESTAMP, version = version + 1
+        WHERE device_id = ?
+      `, [JSON.stringify(next), deviceId]);
+
+      // devices.state stays a mirror of what the board reports, for older readers
+      if (section === 'reported') {
+        await connection.execute(
+          'UPDATE devices SET state = ?, updated_at = CURRENT_TIMESTAMP WHERE device_id = ?',
+          [JSON.stringify(next), deviceId]
+        );
+      }
+
+      const [updated] = await connection.execute('SELECT * FROM device_shadows WHERE device_id = ?', [deviceId]);
+      return { shadow: toDocument(updated[0]), changed: true };
+    });
+  }
+};
+
+module.exports = ShadowModel;
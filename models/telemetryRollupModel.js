@@ -0,0 +1,213 @@
+const db = require('../config/database');
+
+// Tier name -> table; names come from this map only, never from the request
+const ROLLUP_TABLES = {
+  '1m': 'device_data_1m',
+  '1h': 'device_data_1h',
+  '1d': 'device_data_1d'
+};
+
+// Bucket start of a finer row in the coarser tier
+const BUCKET_EXPRESSIONS = {
+  '1h': "DATE_FORMAT(bucket_start, '%Y-%m-%d %H:00:00')",
+  '1d': 'DATE(bucket_start)'
+};
+
+// Devices whose owner is on `plan`; the default plan also covers users on a plan without a policy
+function planFilter(plan, otherPlans, isDefault) {
+  if (isDefault && otherPlans.length > 0) {
+    return { sql: `u.plan NOT IN (${otherPlans.map(() => '?').join(', ')})`, params: otherPlans };
+  }
+  if (isDefault) return { sql: '1 = 1', params: [] };
+  return { sql: 'u.plan = ?', params: [plan] };
+}
+
+const TelemetryRollupModel = {
+  tables: ROLLUP_TABLES,
+
+  async getJob(name) {
+    const [job] = await db.query('SELECT * FROM telemetry_jobs WHERE name = ?', [name]);
+    return job || null;
+  },
+
+  // Lease a job so that with several instances only one runs it at a time
+  async claimJob(name, owner, leaseMs) {
+    const now = new Date();
+    const result = await db.query(`
+      UPDATE telemetry_jobs
+      SET lease_owner = ?, lease_expires_at = ?
+      WHERE name = ? AND (lease_expires_at IS NULL OR lease_expires_at < ? OR lease_owner = ?)
+    `, [owner, new Date(now.getTime() + leaseMs), name, now, owner]);
+    return result.affectedRows > 0;
+  },
+
+  async releaseJob(name, owner) {
+    return db.query(
+      'UPDATE telemetry_jobs SET lease_owner = NULL, lease_expires_at = NULL WHERE name = ? AND lease_owner = ?',
+      [name, owner]
+    );
+  },
+
+  async setWatermark(name, watermark) {
+    return db.query('UPDATE telemetry_jobs SET watermark = ? WHERE name = ?', [watermark, name]);
+  },
+
+  // Move a watermark forward only if nobody rewound it since it was read; false means it was
+  async advanceWatermark(name, expected, watermark) {
+    const result = await db.query(
+      'UPDATE telemetry_jobs SET watermark = ? WHERE name = ? AND watermark <=> ?',
+      [watermark, name, expected]
+    );
+    return result.affectedRows > 0;
+  },
+
+  // Move a watermark back so the tier is rebuilt from `watermark` on
+  async rewindWatermark(name, watermark) {
+    const result = await db.query(
+      'UPDATE telemetry_jobs SET watermark = ? WHERE name = ? AND watermark > ?',
+      [watermark, name, watermark]
+    );
+    return result.affectedRows > 0;
+  },
+
+  async getWatermarks() {
+    const rows = await db.query("SELECT name, watermark FROM telemetry_jobs WHERE name IN ('1m', '1h', '1d')");
+    const watermarks = {};
+    rows.forEach(row => {
+      watermarks[row.name] = row.watermark ? new Date(row.watermark) : null;
+    });
+    return watermarks;
+  },
+
+  async getEarliestRawSensorTime() {
+    const [row] = await db.query("SELECT MIN(observed_at) AS earliest FROM device_data WHERE data_type = 'sensor'");
+    return row && row.earliest ? new Date(row.earliest) : null;
+  },
+
+  async getEarliestBucket(tier) {
+    const [row] = await db.query(`SELECT MIN(bucket_start) AS earliest FROM ${ROLLUP_TABLES[tier]}`);
+    return row && row.earliest ? new Date(row.earliest) : null;
+  },
+
+  // Build [from, to) of the 1-minute tier from usable raw sensor readings
+  async rollupRaw(from, to) {
+    const bucket = 'FROM_UNIXTIME(FLOOR(UNIX_TIMESTAMP(observed_at) / 60) * 60)';
+    const result = await db.query(`
+      INSERT INTO device_data_1m
+        (device_id, metric, unit, bucket_start, min_value, max_value, sum_value, sample_count)
+      SELECT device_id, metric, MAX(unit), ${bucket}, MIN(value), MAX(value), SUM(value), COUNT(*)
+      FROM device_data
+      WHERE data_type = 'sensor' AND metric IS NOT NULL AND value IS NOT NULL AND quality <> 'bad'
+        AND observed_at >= ? AND observed_at < ?
+      GROUP BY device_id, metric, ${bucket}
+      ON DUPLICATE KEY UPDATE
+        unit = VALUES(unit),
+        min_value = VALUES(min_value),
+        max_value = VALUES(max_value),
+        sum_value = VALUES(sum_value),
+        sample_count = VALUES(sample_count)
+    `, [from, to]);
+    return result.affectedRows;
+  },
+
+  // Build [from, to) of a coarser tier from the next finer one
+  async rollupTier(sourceTier, targetTier, from, to) {
+    const bucket = BUCKET_EXPRESSIONS[targetTier];
+    const result = await db.query(`
+      INSERT INTO ${ROLLUP_TABLES[targetTier]}
+        (device_id, metric, unit, bucket_start, min_value, max_value, sum_value, sample_count)
+      SELECT device_id, metric, MAX(unit), ${bucket}, MIN(min_value), MAX(max_value), SUM(sum_value), SUM(sample_count)
+      FROM ${ROLLUP_TABLES[sourceTier]}
+      WHERE bucket_start >= ? AND bucket_start < ?
+      GROUP BY device_id, metric, ${bucket}
+      ON DUPLICATE KEY UPDATE
+        unit = VALUES(unit),
+        min_value = VALUES(min_value),
+        max_value = VALUES(max_value),
+        sum_value = VALUES(sum_value),
+        sample_count = VALUES(sample_count)
+    `, [from, to]);
+    return result.affectedRows;
+  },
+
+  /**
+   * Aggregates of one device's tier rows in [from, to), regrouped by `periodExpression`
+   * (an SQL expression over bucket_start chosen by the caller from a fixed list).
+   */
+  async getRollups(tier, deviceId, { from, to, metric, periodExpression }) {
+    let whereClause = 'WHERE device_id = ? AND bucket_start >= ? AND bucket_start < ?';
+    const params = [deviceId, from, to];
+    if (metric) {
+      whereClause += ' AND metric = ?';
+      params.push(metric);
+    }
+
+    return db.query(`
+      SELECT
+        ${periodExpression} AS period,
+        metric,
+        MAX(unit) AS unit,
+        MIN(min_value) AS min_value,
+        MAX(max_value) AS max_value,
+        SUM(sum_value) AS sum_value,
+        SUM(sample_count) AS sample_count,
+        MIN(bucket_start) AS first_bucket,
+        MAX(bucket_start) AS last_bucket
+      FROM ${ROLLUP_TABLES[tier]}
+      ${whereClause}
+      GROUP BY ${periodExpression}, metric
+      ORDER BY period
+    `, params);
+  },
+
+  async getRawRows(deviceId, { from, to, dataType, limit }) {
+    const limitNum = Math.max(1, parseInt(limit, 10));
+    return db.query(`
+      SELECT data_type, metric, value, unit, quality, payload, observed_at, received_at, timestamp_status
+      FROM device_data
+      WHERE device_id = ? AND data_type = ? AND observed_at >= ? AND observed_at < ?
+      ORDER BY observed_at ASC, id ASC
+      LIMIT ${limitNum}
+    `, [deviceId, dataType, from, to]);
+  },
+
+  async getRetentionPolicies() {
+    return db.query('SELECT * FROM retention_policies');
+  },
+
+  async getDeviceOwnerPlan(deviceId) {
+    const [row] = await db.query(`
+      SELECT u.plan
+      FROM devices d
+      JOIN esp32_boards b ON d.board_id = b.board_id
+      JOIN users u ON b.user_id = u.id
+      WHERE d.device_id = ?
+    `, [deviceId]);
+    return row ? row.plan : null;
+  },
+
+  /**
+   * Delete up to `limit` rows older than `cutoff` from device_data (tier 'raw') or a
+   * rollup table, for devices owned by users on `plan`. Returns the number deleted.
+   */
+  async pruneForPlan(tier, { plan, otherPlans, isDefault, cutoff, limit }) {
+    const table = tier === 'raw' ? 'device_data' : ROLLUP_TABLES[tier];
+    const timeColumn = tier === 'raw' ? 'observed_at' : 'bucket_start';
+    const filter = planFilter(plan, otherPlans, isDefault);
+
+    const result = await db.query(`
+      DELETE FROM ${table}
+      WHERE ${timeColumn} < ? AND device_id IN (
+        SELECT d.device_id
+        FROM devices d
+        JOIN esp32_boards b ON d.board_id = b.board_id
+        JOIN users u ON b.user_id = u.id
+        WHERE ${filter.sql}
+      )
+      LIMIT ${parseInt(limit, 10)}
+    `, [cutoff, ...filter.params]);
+    return result.affectedRows;
+  }
+};
+
+module.exports = TelemetryRollupModel;
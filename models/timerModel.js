@@ -1,22 +1,68 @@
 const db = require('../config/database');
 
+// Timers with what their schedule depends on: the owner's timezone and the home's location
+const TIMER_SELECT = `
+  SELECT t.*, u.timezone AS user_timezone, h.latitude, h.longitude
+  FROM timers t
+  JOIN users u ON t.user_id = u.id
+  LEFT JOIN homes h ON t.home_id = h.id`;
+
+function parseJson(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+function fromRow(row) {
+  return { ...row, vacation: parseJson(row.vacation) };
+}
+
+// Fields a client may set; user_id and last_run_at are the server's
+const FIELDS = [
+  'name', 'is_enabled', 'kind', 'cron_expression', 'timezone', 'solar_event', 'offset_minutes', 'home_id',
+  'run_at', 'duration_seconds', 'vacation', 'device_id', 'action', 'value', 'scene_id'
+];
+const WRITABLE_COLUMNS = [...FIELDS, 'last_run_at'];
+
+// Column values as stored, the vacation settings as JSON; columns left undefined are skipped
+function toRow(timer, columns) {
+  const row = {};
+  for (const column of columns) {
+    if (timer[column] === undefined) continue;
+    row[column] = column === 'vacation' && timer.vacation ? JSON.stringify(timer.vacation) : timer[column];
+  }
+  return row;
+}
+
 const TimerModel = {
+  FIELDS,
+
   async getTimersByUser(userId) {
-    return db.query('SELECT * FROM timers WHERE user_id = ?', [userId]);
+    const rows = await db.query(`${TIMER_SELECT} WHERE t.user_id = ?`, [userId]);
+    return rows.map(fromRow);
   },
 
   async getTimerById(timerId, userId) {
-    const [timer] = await db.query('SELECT * FROM timers WHERE id = ? AND user_id = ?', [timerId, userId]);
-    return timer;
+    const [timer] = await db.query(`${TIMER_SELECT} WHERE t.id = ? AND t.user_id = ?`, [timerId, userId]);
+    return timer && fromRow(timer);
   },
 
   async createTimer(timer) {
-    const result = await db.query('INSERT INTO timers SET ?', timer);
+    const row = toRow(timer, ['user_id', ...WRITABLE_COLUMNS]);
+    const columns = Object.keys(row);
+    const result = await db.query(
+      `INSERT INTO timers (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      Object.values(row)
+    );
     return result.insertId;
   },
 
   async updateTimer(timerId, timer, userId) {
-    return db.query('UPDATE timers SET ? WHERE id = ? AND user_id = ?', [timer, timerId, userId]);
+    const row = toRow(timer, WRITABLE_COLUMNS);
+    const columns = Object.keys(row);
+    if (columns.length === 0) return null;
+    return db.query(
+      `UPDATE timers SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ? AND user_id = ?`,
+      [...Object.values(row), timerId, userId]
+    );
   },
 
   async deleteTimer(timerId, userId) {
@@ -24,18 +70,28 @@ const TimerModel = {
   },
 
   async getAllEnabledTimers() {
-    return db.query('SELECT * FROM timers WHERE is_enabled = 1');
+    const rows = await db.query(`${TIMER_SELECT} WHERE t.is_enabled = 1`);
+    return rows.map(fromRow);
+  },
+
+  async getEnabledTimersByUser(userId) {
+    const rows = await db.query(`${TIMER_SELECT} WHERE t.user_id = ? AND t.is_enabled = 1`, [userId]);
+    return rows.map(fromRow);
+  },
+
+  async getEnabledTimer(timerId) {
+    const [timer] = await db.query(`${TIMER_SELECT} WHERE t.id = ? AND t.is_enabled = 1`, [timerId]);
+    return timer && fromRow(timer);
   },
 
-  async getDeviceForTimer(timerId) {
-    const [device] = await db.query(
-      `SELECT d.*, t.action, t.value
-       FROM devices d
-       JOIN timers t ON d.device_id = t.device_id
-       WHERE t.id = ?`,
-      [timerId]
+  // Only one instance wins a given firing; the others see zero affected rows
+  async claimRun(timerId, slot) {
+    const result = await db.query(
+      `UPDATE timers SET last_run_at = ?, updated_at = updated_at
+       WHERE id = ? AND is_enabled = 1 AND (last_run_at IS NULL OR last_run_at < ?)`,
+      [slot, timerId, slot]
     );
-    return device;
+    return result.affectedRows > 0;
   }
 };
 
@@ -18,7 +18,7 @@ const UserModel = {
 
   async findPublicById(id) {
     return db.query(
-      'SELECT id, email, first_name, last_name, phone, avatar_url, is_active, email_verified, last_login, created_at FROM users WHERE id = ?',
+      'SELECT id, email, first_name, last_name, phone, timezone, avatar_url, is_active, email_verified, last_login, created_at FROM users WHERE id = ?',
       [id]
     );
   },
@@ -64,6 +64,10 @@ const UserModel = {
       updateFields.push('phone = ?');
       updateValues.push(fields.phone);
     }
+    if (fields.timezone !== undefined) {
+      updateFields.push('timezone = ?');
+      updateValues.push(fields.timezone);
+    }
 
     if (updateFields.length === 0) return { affectedRows: 0 };
 
@@ -72,13 +76,37 @@ const UserModel = {
   },
 
   async getDashboardStats(userId) {
+    // A device is online when its board is
     const [deviceStats] = await db.query(
       `SELECT 
          COUNT(*) as total_devices,
-         SUM(CASE WHEN is_online = true THEN 1 ELSE 0 END) as online_devices,
-         SUM(CASE WHEN is_online = false THEN 1 ELSE 0 END) as offline_devices
-       FROM devices 
-       WHERE user_id = ?`,
+         SUM(CASE WHEN b.is_online = true THEN 1 ELSE 0 END) as online_devices,
+         SUM(CASE WHEN b.is_online = false THEN 1 ELSE 0 END) as offline_devices
+       FROM devices d
+       JOIN esp32_boards b ON d.board_id = b.board_id
+       WHERE b.user_id = ? AND d.is_enabled = 1`,
+      [userId]
+    );
+
+    // Per room, counting devices in their own room or their board's
+    const rooms = await db.query(
+      `SELECT 
+         h.id as home_id,
+         h.name as home_name,
+         f.id as floor_id,
+         f.name as floor_name,
+         r.id as room_id,
+         r.name as room_name,
+         COUNT(d.id) as total_devices,
+         COALESCE(SUM(CASE WHEN b.is_online = true THEN 1 ELSE 0 END), 0) as online_devices
+       FROM rooms r
+       JOIN homes h ON r.home_id = h.id
+       LEFT JOIN floors f ON r.floor_id = f.id
+       LEFT JOIN (devices d JOIN esp32_boards b ON d.board_id = b.board_id)
+         ON COALESCE(d.room_id, b.room_id) = r.id AND d.is_enabled = 1
+       WHERE h.user_id = ?
+       GROUP BY r.id
+       ORDER BY h.name, f.level, r.name`,
       [userId]
     );
 
@@ -86,14 +114,15 @@ const UserModel = {
       `SELECT 
          d.name as device_name,
          dd.data_type,
-         dd.sensor_name,
+         dd.metric,
          dd.value,
          dd.unit,
-         dd.timestamp
+         dd.observed_at
        FROM device_data dd
-       JOIN devices d ON dd.device_id = d.id
-       WHERE d.user_id = ?
-       ORDER BY dd.timestamp DESC
+       JOIN devices d ON dd.device_id = d.device_id
+       JOIN esp32_boards b ON d.board_id = b.board_id
+       WHERE b.user_id = ?
+       ORDER BY dd.observed_at DESC
        LIMIT 10`,
       [userId]
     );
@@ -119,7 +148,7 @@ const UserModel = {
       [userId]
     );
 
-    return { deviceStats, recentData, recentCommands, integrations };
+    return { deviceStats, rooms, recentData, recentCommands, integrations };
   }
 };
 
@@ -0,0 +1,230 @@
+const express = require('express');
+const { authMiddleware: auth } = require('../middleware/auth');
+const AutomationController = require('../controllers/automationController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/automations:
+ *   get:
+ *     summary: List the user's automation rules
+ *     tags: [Automations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Rules with their conditions, actions and whether they are currently triggered (is_active)
+ *   post:
+ *     summary: Create an automation rule
+ *     description: >
+ *       "If conditions then actions". Conditions are a tree of groups ({ all } = AND, { any } = OR)
+ *       over sensor readings ({ type sensor, device_id, metric, operator, value, for_seconds?, hysteresis? }),
+ *       device state ({ type state, device_id, key, operator, value, for_seconds? }) and time windows
+ *       ({ type time, from HH:MM, to HH:MM, days? }). The rule fires when the conditions become true,
+ *       and again only after they were false in between and cooldown_seconds have passed. A
+ *       hysteresis keeps a crossed threshold held until the reading moves that far back.
+ *       Actions are device commands ({ type device, device_id, capability, command, args } or
+ *       { type device, device_id, action, state, value }) and scenes ({ type scene, scene_id }).
+ *     tags: [Automations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, conditions, actions]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Cool the bedroom
+ *               description:
+ *                 type: string
+ *               is_enabled:
+ *                 type: boolean
+ *                 default: true
+ *               conditions:
+ *                 type: object
+ *                 example:
+ *                   all:
+ *                     - { type: sensor, device_id: temp_1, metric: temperature, operator: '>', value: 28, for_seconds: 300, hysteresis: 1 }
+ *                     - { type: time, from: '08:00', to: '22:00' }
+ *               actions:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                 example:
+ *                   - { type: device, device_id: fan_1, action: turn_on }
+ *                   - { type: scene, scene_id: 2 }
+ *               cooldown_seconds:
+ *                 type: integer
+ *                 default: 0
+ *     responses:
+ *       201:
+ *         description: Rule created
+ *       400:
+ *         description: Invalid rule (errors lists every problem)
+ */
+router.get('/', auth, AutomationController.getAutomations);
+router.post('/', auth, AutomationController.createAutomation);
+
+/**
+ * @swagger
+ * /api/automations/dry-run:
+ *   post:
+ *     summary: Replay recorded device data through a rule without sending commands
+ *     description: >
+ *       Feeds the sensor readings and state changes recorded between from and to (at most 31 days)
+ *       through a saved rule (automation_id) or an unsaved definition, in the order they arrived and
+ *       with the engine's periodic tick, and reports every time the rule would have fired with the
+ *       condition values at that moment. Conditions already true when the range opens count as
+ *       triggered before it.
+ *     tags: [Automations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [from]
+ *             properties:
+ *               automation_id:
+ *                 type: integer
+ *               conditions:
+ *                 type: object
+ *               actions:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               cooldown_seconds:
+ *                 type: integer
+ *               from:
+ *                 type: string
+ *                 format: date-time
+ *               to:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *     responses:
+ *       200:
+ *         description: '{ fires: [{ at, trigger, conditions }], fire_count, replayed, evaluations, initially_met, truncated }'
+ *       400:
+ *         description: Invalid rule or range
+ *       404:
+ *         description: Automation not found
+ */
+router.post('/dry-run', auth, AutomationController.dryRun);
+
+/**
+ * @swagger
+ * /api/automations/{automationId}:
+ *   get:
+ *     summary: Get an automation rule
+ *     tags: [Automations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: automationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Rule
+ *       404:
+ *         description: Automation not found
+ *   put:
+ *     summary: Update an automation rule
+ *     description: Fields left out keep their value. Any update re-arms the rule and resets its duration clocks.
+ *     tags: [Automations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: automationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               is_enabled:
+ *                 type: boolean
+ *               conditions:
+ *                 type: object
+ *               actions:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               cooldown_seconds:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Rule updated
+ *   delete:
+ *     summary: Delete an automation rule (its execution log entries are kept)
+ *     tags: [Automations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: automationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Rule deleted
+ */
+router.get('/:automationId', auth, AutomationController.getAutomation);
+router.put('/:automationId', auth, AutomationController.updateAutomation);
+router.delete('/:automationId', auth, AutomationController.deleteAutomation);
+
+/**
+ * @swagger
+ * /api/automations/{automationId}/runs:
+ *   get:
+ *     summary: Execution log of a rule (newest first)
+ *     description: >
+ *       The rule's entries in the execution log (same as /api/executions?automation_id=...): trigger,
+ *       evaluated conditions (per leaf: met and the value seen), actions, per-device results and an
+ *       overall status (success, partial, failed). Entries are kept 30 days.
+ *     tags: [Automations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: automationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: '{ executions, pagination }'
+ */
+router.get('/:automationId/runs', auth, AutomationController.getRuns);
+
+module.exports = router;
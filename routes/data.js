@@ -1,7 +1,6 @@
 const express = require('express');
 const DataController = require('../controllers/dataController');
 const { deviceOwnerMiddleware } = require('../middleware/auth');
-const db = require('../config/database');
 
 const router = express.Router();
 
@@ -18,7 +17,7 @@ const router = express.Router();
  *         name: deviceId
  *         required: true
  *         schema:
- *           type: integer
+ *           type: string
  *       - in: query
  *         name: limit
  *         schema:
@@ -30,7 +29,8 @@ const router = express.Router();
  *           type: integer
  *           default: 0
  *       - in: query
- *         name: sensor_name
+ *         name: metric
+ *         description: Metric name, e.g. temperature (sensor_name is accepted as an alias)
  *         schema:
  *           type: string
  *       - in: query
@@ -62,7 +62,7 @@ router.get('/sensors/:deviceId', deviceOwnerMiddleware, DataController.getSensor
  *         name: deviceId
  *         required: true
  *         schema:
- *           type: integer
+ *           type: string
  *       - in: query
  *         name: limit
  *         schema:
@@ -97,7 +97,7 @@ router.get('/commands/:deviceId', deviceOwnerMiddleware, DataController.getComma
  *         name: deviceId
  *         required: true
  *         schema:
- *           type: integer
+ *           type: string
  *       - in: query
  *         name: period
  *         schema:
@@ -105,12 +105,27 @@ router.get('/commands/:deviceId', deviceOwnerMiddleware, DataController.getComma
  *           enum: [hour, day, week, month]
  *           default: day
  *       - in: query
- *         name: sensor_name
+ *         name: metric
+ *         description: Metric name, e.g. temperature (sensor_name is accepted as an alias)
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: start_date
+ *         description: Defaults to 30 periods before end_date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: end_date
+ *         description: Defaults to now
+ *         schema:
+ *           type: string
+ *           format: date-time
  *     responses:
  *       200:
- *         description: Analytics data retrieved successfully
+ *         description: Analytics read from the rollup tier (1m, 1h or 1d) that fits the range; see data.resolution
+ *       400:
+ *         description: Invalid period or date range
  */
 router.get('/analytics/:deviceId', deviceOwnerMiddleware, DataController.getAnalytics);
 
@@ -127,7 +142,7 @@ router.get('/analytics/:deviceId', deviceOwnerMiddleware, DataController.getAnal
  *         name: deviceId
  *         required: true
  *         schema:
- *           type: integer
+ *           type: string
  *       - in: query
  *         name: start_date
  *         schema:
@@ -143,38 +158,22 @@ router.get('/analytics/:deviceId', deviceOwnerMiddleware, DataController.getAnal
  *         schema:
  *           type: string
  *           default: sensor
+ *       - in: query
+ *         name: resolution
+ *         description: Force raw rows or a rollup tier; by default short recent ranges are raw and longer ones use a rollup tier
+ *         schema:
+ *           type: string
+ *           enum: [raw, 1m, 1h, 1d]
  *     responses:
  *       200:
- *         description: CSV data export
+ *         description: CSV data export; the X-Data-Resolution header names the source used
  *         content:
  *           text/csv:
  *             schema:
  *               type: string
+ *       400:
+ *         description: Invalid range, or a raw export over TELEMETRY_RAW_EXPORT_MAX_DAYS (31) days or TELEMETRY_RAW_EXPORT_MAX_ROWS (100000) rows
  */
-router.get('/export/:deviceId', deviceOwnerMiddleware, async (req, res) => {
-  try {
-    const { start_date, end_date, data_type = 'sensor' } = req.query;
-    let whereClause = 'WHERE device_id = ? AND data_type = ?';
-    const queryParams = [req.params.deviceId, data_type];
-    if (start_date) { whereClause += ' AND timestamp >= ?'; queryParams.push(start_date); }
-    if (end_date) { whereClause += ' AND timestamp <= ?'; queryParams.push(end_date); }
-    const data = await db.query(`
-      SELECT sensor_name, value, unit, timestamp
-      FROM device_data
-      ${whereClause}
-      ORDER BY timestamp ASC
-    `, queryParams);
-
-    let csv = 'Sensor Name,Value,Unit,Timestamp\n';
-    data.forEach(row => { csv += `"${row.sensor_name}","${row.value}","${row.unit || ''}","${row.timestamp}"\n`; });
-
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename="device_${req.params.deviceId}_data.csv"`);
-    res.send(csv);
-  } catch (error) {
-    console.error('Export data error:', error);
-    res.status(500).json({ success: false, message: 'Internal server error' });
-  }
-});
+router.get('/export/:deviceId', deviceOwnerMiddleware, DataController.exportCsv);
 
 module.exports = router;
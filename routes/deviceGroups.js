@@ -0,0 +1,163 @@
+const express = require('express');
+const { authMiddleware: auth } = require('../middleware/auth');
+const DeviceGroupController = require('../controllers/deviceGroupController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/device-groups:
+ *   get:
+ *     summary: List the user's device groups
+ *     tags: [Device Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: '[{ id, name, description, device_count }]'
+ *   post:
+ *     summary: Create a device group
+ *     description: Groups are free-form sets of devices, across rooms and boards (e.g. "all outdoor lights").
+ *     tags: [Device Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Group created
+ */
+router.get('/', auth, DeviceGroupController.getGroups);
+router.post('/', auth, DeviceGroupController.createGroup);
+
+/**
+ * @swagger
+ * /api/device-groups/{groupId}:
+ *   get:
+ *     summary: Get a device group with its devices
+ *     tags: [Device Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Group with devices
+ *   put:
+ *     summary: Rename a device group
+ *     tags: [Device Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Group updated
+ *   delete:
+ *     summary: Delete a device group (the devices are kept)
+ *     tags: [Device Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Group deleted
+ */
+router.get('/:groupId', auth, DeviceGroupController.getGroup);
+router.put('/:groupId', auth, DeviceGroupController.updateGroup);
+router.delete('/:groupId', auth, DeviceGroupController.deleteGroup);
+
+/**
+ * @swagger
+ * /api/device-groups/{groupId}/devices:
+ *   post:
+ *     summary: Add devices to a group
+ *     tags: [Device Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [device_ids]
+ *             properties:
+ *               device_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Devices added (ones already in the group are skipped)
+ *       404:
+ *         description: Group or one of the devices not found
+ */
+router.post('/:groupId/devices', auth, DeviceGroupController.addDevices);
+
+/**
+ * @swagger
+ * /api/device-groups/{groupId}/devices/{deviceId}:
+ *   delete:
+ *     summary: Remove a device from a group
+ *     tags: [Device Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Device removed
+ */
+router.delete('/:groupId/devices/:deviceId', auth, DeviceGroupController.removeDevice);
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const express = require('express');
+const { authMiddleware: auth } = require('../middleware/auth');
+const DeviceTypeController = require('../controllers/deviceTypeController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/device-types:
+ *   get:
+ *     summary: List registered device types
+ *     description: |
+ *       Types are loaded at startup from config/device-types and the optional
+ *       DEVICE_TYPES_DIR. Each entry lists its category, capabilities, the JSON
+ *       schema its `config` must satisfy and the shape of its state.
+ *     tags: [Device Types]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: '[{ type, label, category, capabilities, config_schema, state_schema, initial_state }]'
+ */
+router.get('/', auth, DeviceTypeController.getDeviceTypes);
+
+/**
+ * @swagger
+ * /api/device-types/{type}:
+ *   get:
+ *     summary: Get one device type
+ *     tags: [Device Types]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Device type description
+ *       404:
+ *         description: Device type not found
+ */
+router.get('/:type', auth, DeviceTypeController.getDeviceType);
+
+module.exports = router;
@@ -1,9 +1,133 @@
 const express = require('express');
 const { authMiddleware: auth } = require('../middleware/auth');
 const DeviceController = require('../controllers/deviceController');
+const PairingController = require('../controllers/pairingController');
 
 const router = express.Router();
 
+// ===========================
+// BOARD PAIRING & TRANSFERS
+// ===========================
+
+/**
+ * @swagger
+ * /api/devices/pairing-tokens:
+ *   post:
+ *     summary: Create a one-time claim code for pairing a board
+ *     description: |
+ *       The board presents the code in its `register` message, either as `claimCode`
+ *       or as `pairingId` + `timestamp` + `signature` (hex HMAC-SHA256 of "<deviceId>:<timestamp>"
+ *       keyed with the hex SHA-256 of the claim code). The code is shown only once.
+ *     tags: [Board Pairing]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               board_id:
+ *                 type: string
+ *                 description: Restrict the code to one board
+ *               expires_in:
+ *                 type: integer
+ *                 description: Lifetime in seconds (default 15 minutes, max 24 hours)
+ *     responses:
+ *       201:
+ *         description: '{ pairing_id, claim_code, board_id, expires_at }'
+ *   get:
+ *     summary: List unused, unexpired pairing tokens
+ *     tags: [Board Pairing]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active pairing tokens (codes are never returned again)
+ */
+router.post('/pairing-tokens', auth, PairingController.createPairingToken);
+router.get('/pairing-tokens', auth, PairingController.listPairingTokens);
+
+/**
+ * @swagger
+ * /api/devices/pairing-tokens/{tokenId}:
+ *   delete:
+ *     summary: Revoke an unused pairing token
+ *     tags: [Board Pairing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tokenId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Token revoked
+ *       404:
+ *         description: Token not found or already used
+ */
+router.delete('/pairing-tokens/:tokenId', auth, PairingController.revokePairingToken);
+
+/**
+ * @swagger
+ * /api/devices/transfers:
+ *   get:
+ *     summary: List board ownership transfers
+ *     description: "`incoming` are claims on your boards awaiting your decision; `outgoing` are your claims on other users' boards."
+ *     tags: [Board Pairing]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: '{ incoming, outgoing }'
+ */
+router.get('/transfers', auth, PairingController.listTransfers);
+
+/**
+ * @swagger
+ * /api/devices/transfers/{transferId}/approve:
+ *   post:
+ *     summary: Approve handing a board over to the user who claimed it
+ *     description: Only the current owner can approve. The previous owner's timers on the board are removed.
+ *     tags: [Board Pairing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transferId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Board transferred
+ *       404:
+ *         description: Transfer not found, expired or already resolved
+ */
+router.post('/transfers/:transferId/approve', auth, PairingController.approveTransfer);
+
+/**
+ * @swagger
+ * /api/devices/transfers/{transferId}/reject:
+ *   post:
+ *     summary: Reject a claim on one of your boards
+ *     tags: [Board Pairing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transferId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Transfer rejected
+ */
+router.post('/transfers/:transferId/reject', auth, PairingController.rejectTransfer);
+
 // ===========================
 // ESP32 BOARDS MANAGEMENT
 // ===========================
@@ -73,6 +197,189 @@ router.get('/boards/:boardId', auth, DeviceController.getBoardDetails);
  */
 router.put('/boards/:boardId', auth, DeviceController.updateBoard);
 
+/**
+ * @swagger
+ * /api/devices/boards/{boardId}/room:
+ *   put:
+ *     summary: Place a board in a room
+ *     description: Devices without a room of their own are in their board's room. Works while the board is offline.
+ *     tags: [ESP32 Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: boardId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [room_id]
+ *             properties:
+ *               room_id:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: null removes the board from its room
+ *     responses:
+ *       200:
+ *         description: Board assigned
+ *       404:
+ *         description: Board or room not found
+ */
+router.put('/boards/:boardId/room', auth, DeviceController.setBoardRoom);
+
+/**
+ * @swagger
+ * /api/devices/boards/{boardId}/codec:
+ *   put:
+ *     summary: Set the MQTT payload codec a board speaks
+ *     description: |
+ *       Payloads on cmd/<boardId> and resp/<boardId> are encoded/decoded with this codec.
+ *       A board can also pick a codec per message with a topic suffix (resp/<boardId>/cbor).
+ *       `compact` frames are fixed-layout binary sensor readings described by `compact_schema`;
+ *       commands to a compact board are sent as JSON.
+ *     tags: [ESP32 Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: boardId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - codec
+ *             properties:
+ *               codec:
+ *                 type: string
+ *                 enum: [json, cbor, msgpack, compact]
+ *               compact_schema:
+ *                 type: object
+ *                 properties:
+ *                   endian:
+ *                     type: string
+ *                     enum: [little, big]
+ *                   type:
+ *                     type: string
+ *                     default: sensor
+ *                   fields:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         name:
+ *                           type: string
+ *                         type:
+ *                           type: string
+ *                           enum: [bool, int8, uint8, int16, uint16, int32, uint32, float32, float64]
+ *                         scale:
+ *                           type: number
+ *                         offset:
+ *                           type: number
+ *     responses:
+ *       200:
+ *         description: Codec updated
+ *       400:
+ *         description: Unknown codec or invalid schema
+ */
+router.put('/boards/:boardId/codec', auth, DeviceController.updateBoardCodec);
+
+/**
+ * @swagger
+ * /api/devices/boards/{boardId}/commands:
+ *   get:
+ *     summary: Get recent commands for an ESP32 board, including ones queued while it is offline
+ *     tags: [ESP32 Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: boardId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, pending, sent, acknowledged, failed, timeout, superseded]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Commands with a delivery field (queued, delivered, superseded, expired)
+ */
+router.get('/boards/:boardId/commands', auth, DeviceController.getBoardCommands);
+
+/**
+ * @swagger
+ * /api/devices/boards/{boardId}/connectivity:
+ *   get:
+ *     summary: Get the online/offline timeline of an ESP32 board
+ *     tags: [ESP32 Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: boardId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Transitions, newest first, with how long each state lasted
+ */
+router.get('/boards/:boardId/connectivity', auth, DeviceController.getBoardConnectivity);
+
+/**
+ * @swagger
+ * /api/devices/boards/{boardId}/uptime:
+ *   get:
+ *     summary: Get uptime statistics of an ESP32 board
+ *     description: Uptime percentage, disconnect count, mean time between disconnects and longest outage for the last day, week and 30 days
+ *     tags: [ESP32 Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: boardId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Uptime report per period (day, week, month)
+ */
+router.get('/boards/:boardId/uptime', auth, DeviceController.getBoardUptime);
+
 // ===========================
 // DEVICES MANAGEMENT
 // ===========================
@@ -82,15 +389,144 @@ router.put('/boards/:boardId', auth, DeviceController.updateBoard);
  * /api/devices:
  *   get:
  *     summary: Get all devices for user
+ *     description: |
+ *       Each device carries its location (effective_room_id, room_name, floor_id, floor_name,
+ *       home_id, home_name): its own room, or its board's room when it has none.
  *     tags: [Devices]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: home_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: floor_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: room_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: group_id
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
  *         description: List of devices
  */
 router.get('/', auth, DeviceController.listDevices);
 
+/**
+ * @swagger
+ * /api/devices/bulk-control:
+ *   post:
+ *     summary: Control many devices at once
+ *     description: |
+ *       Commands are sent to all boards concurrently and the acks awaited in parallel.
+ *       A board that advertises the `batch` firmware feature gets all of its commands in
+ *       one `{ action: "batch", commands: [...] }` message. Each device gets one status:
+ *       acked, failed, timeout, queued, offline, rejected, not_found or error.
+ *       With `async: true` the request returns 202 with a job id to poll.
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               commands:
+ *                 type: array
+ *                 description: One command per device, in either form accepted by /control
+ *                 items:
+ *                   type: object
+ *                   required: [device_id]
+ *                   properties:
+ *                     device_id:
+ *                       type: string
+ *                     capability:
+ *                       type: string
+ *                     command:
+ *                       type: string
+ *                     args:
+ *                       type: object
+ *                     action:
+ *                       type: string
+ *                     state:
+ *                       type: boolean
+ *                     value:
+ *                       type: number
+ *               device_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Alternative to commands; the capability/command/args (or action/state/value) of the body go to every device
+ *               home_id:
+ *                 type: integer
+ *                 description: Alternative to device_ids, every device of the home (likewise floor_id, room_id, group_id)
+ *               floor_id:
+ *                 type: integer
+ *               room_id:
+ *                 type: integer
+ *               group_id:
+ *                 type: integer
+ *               category:
+ *                 type: string
+ *                 description: With a home/floor/room/group, only devices of this category (e.g. light)
+ *               capability:
+ *                 type: string
+ *                 example: on_off
+ *               command:
+ *                 type: string
+ *                 example: "off"
+ *               args:
+ *                 type: object
+ *               queue_if_offline:
+ *                 type: boolean
+ *                 description: Queue commands for offline boards instead of reporting them as offline
+ *               expires_in:
+ *                 type: integer
+ *                 description: Seconds a queued command stays deliverable (default 24h, max 7 days)
+ *               async:
+ *                 type: boolean
+ *                 description: Return a job id right away instead of waiting for the acks
+ *     responses:
+ *       200:
+ *         description: '{ total, summary: { <status>: count }, results: [{ device_id, status, message?, command_ids?, patch? }] }'
+ *       202:
+ *         description: '{ job_id, status: running, status_url }'
+ *       400:
+ *         description: Malformed request, duplicate device or too many devices
+ */
+router.post('/bulk-control', auth, DeviceController.bulkControl);
+
+/**
+ * @swagger
+ * /api/devices/bulk-control/{jobId}:
+ *   get:
+ *     summary: Status and per-device results of an async bulk control job
+ *     description: Jobs are kept for 24 hours.
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: '{ job_id, status: running|completed|failed, total, summary, results }'
+ *       404:
+ *         description: Job not found
+ */
+router.get('/bulk-control/:jobId', auth, DeviceController.getBulkControlJob);
+
 /**
  * @swagger
  * /api/devices:
@@ -115,16 +551,25 @@ router.get('/', auth, DeviceController.listDevices);
  *                 type: string
  *               device_type:
  *                 type: string
- *                 enum: [switch, dimmer, sensor_dht22, sensor_ds18b20, sensor_analog]
+ *                 description: A registered device type, see GET /api/device-types
  *               name:
  *                 type: string
  *               gpio_pin:
  *                 type: integer
  *               config:
  *                 type: object
+ *                 description: Validated against the type's config_schema
+ *               queue_if_offline:
+ *                 type: boolean
+ *                 description: Queue the command if the board is offline instead of failing (202 Accepted)
+ *               expires_in:
+ *                 type: integer
+ *                 description: Seconds a queued command stays deliverable (default 24h, max 7 days)
  *     responses:
  *       201:
  *         description: Device added successfully
+ *       202:
+ *         description: Board offline, add_device command queued
  */
 router.post('/', auth, DeviceController.addDevice);
 
@@ -153,12 +598,55 @@ router.post('/', auth, DeviceController.addDevice);
  *                 type: string
  *               config:
  *                 type: object
+ *               queue_if_offline:
+ *                 type: boolean
+ *                 description: Queue the command if the board is offline instead of failing (202 Accepted)
+ *               expires_in:
+ *                 type: integer
+ *                 description: Seconds a queued command stays deliverable (default 24h, max 7 days)
  *     responses:
  *       200:
  *         description: Device updated successfully
+ *       202:
+ *         description: Board offline, update queued
  */
 router.put('/:deviceId', auth, DeviceController.updateDevice);
 
+/**
+ * @swagger
+ * /api/devices/{deviceId}/room:
+ *   put:
+ *     summary: Place a device in a room
+ *     description: Overrides the board's room for this device. Works while the board is offline.
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [room_id]
+ *             properties:
+ *               room_id:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: null makes the device follow its board's room again
+ *     responses:
+ *       200:
+ *         description: Device assigned
+ *       404:
+ *         description: Device or room not found
+ */
+router.put('/:deviceId/room', auth, DeviceController.setDeviceRoom);
+
 /**
  * @swagger
  * /api/devices/{deviceId}:
@@ -173,9 +661,23 @@ router.put('/:deviceId', auth, DeviceController.updateDevice);
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               queue_if_offline:
+ *                 type: boolean
+ *                 description: Queue the command if the board is offline instead of failing (202 Accepted)
+ *               expires_in:
+ *                 type: integer
+ *                 description: Seconds a queued command stays deliverable (default 24h, max 7 days)
  *     responses:
  *       200:
  *         description: Device removed successfully
+ *       202:
+ *         description: Board offline, removal queued
  */
 router.delete('/:deviceId', auth, DeviceController.removeDevice);
 
@@ -184,6 +686,18 @@ router.delete('/:deviceId', auth, DeviceController.removeDevice);
  * /api/devices/{deviceId}/control:
  *   post:
  *     summary: Control device (turn on/off, set value, etc.)
+ *     description: |
+ *       Two request forms:
+ *       - capability command: `{ capability, command, args }`, e.g.
+ *         `{ "capability": "level", "command": "set", "args": { "percent": 40, "transitionMs": 500 } }`.
+ *         GET /api/device-types lists the commands and arguments of each capability
+ *         (on_off, level, color, color_temperature, fan_speed, position,
+ *         thermostat_setpoint, thermostat_mode, pulse).
+ *       - legacy: `action` (turn_on/turn_off/toggle), `state` and/or `value`; on/off needs
+ *         the `on_off` capability, a value needs `level` and must lie in its range.
+ *       Commands are checked against the device type's capabilities. One request may
+ *       send several firmware commands (e.g. one pwm per colour channel). Pulses are
+ *       never queued for offline boards.
  *     tags: [Devices]
  *     security:
  *       - bearerAuth: []
@@ -203,15 +717,94 @@ router.delete('/:deviceId', auth, DeviceController.removeDevice);
  *               action:
  *                 type: string
  *                 enum: [turn_on, turn_off, toggle, set_value, set_brightness]
+ *               capability:
+ *                 type: string
+ *                 example: level
+ *               command:
+ *                 type: string
+ *                 example: set
+ *               args:
+ *                 type: object
+ *                 example: { percent: 40, transitionMs: 500 }
+ *               state:
+ *                 type: boolean
  *               value:
  *                 type: number
- *                 description: For dimmer or analog devices
+ *                 description: Level for types with the `level` capability
+ *               queue_if_offline:
+ *                 type: boolean
+ *                 description: Queue the command if the board is offline instead of failing (202 Accepted)
+ *               expires_in:
+ *                 type: integer
+ *                 description: Seconds a queued command stays deliverable (default 24h, max 7 days)
  *     responses:
  *       200:
  *         description: Device controlled successfully
+ *       400:
+ *         description: The device type does not support the requested action or value
+ *       202:
+ *         description: Board offline, command queued (a newer on/off for the same device replaces it)
  */
 router.post('/:deviceId/control', auth, DeviceController.controlDevice);
 
+/**
+ * @swagger
+ * /api/devices/{deviceId}/shadow:
+ *   get:
+ *     summary: Get device shadow (desired, reported and delta state with version)
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shadow document
+ */
+router.get('/:deviceId/shadow', auth, DeviceController.getShadow);
+
+/**
+ * @swagger
+ * /api/devices/{deviceId}/shadow:
+ *   put:
+ *     summary: Update desired state; the delta is pushed to the board now or when it reconnects
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               state:
+ *                 type: object
+ *                 properties:
+ *                   desired:
+ *                     type: object
+ *                     description: Keys to merge into desired state; null removes a key
+ *               version:
+ *                 type: integer
+ *                 description: Optional expected shadow version (optimistic locking)
+ *     responses:
+ *       200:
+ *         description: Updated shadow document
+ *       409:
+ *         description: Version conflict
+ */
+router.put('/:deviceId/shadow', auth, DeviceController.updateShadow);
+
 /**
  * @swagger
  * /api/devices/{deviceId}/data:
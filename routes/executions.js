@@ -0,0 +1,91 @@
+const express = require('express');
+const { authMiddleware: auth } = require('../middleware/auth');
+const ExecutionController = require('../controllers/executionController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/executions:
+ *   get:
+ *     summary: Execution log of the user's timers and automations (newest first)
+ *     description: >
+ *       One entry per timer firing or automation run: trigger, evaluated conditions (automations),
+ *       commands, per-device results with their ack outcome (acked, failed, timeout, offline,
+ *       rejected, not_found, error) and an overall status. Entries are kept 30 days.
+ *     tags: [Executions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [timer, automation]
+ *       - in: query
+ *         name: timer_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: automation_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: device_id
+ *         description: Only executions that sent commands to this device
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [success, partial, failed]
+ *       - in: query
+ *         name: start_date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: end_date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: '{ executions, pagination }'
+ */
+router.get('/', auth, ExecutionController.getExecutions);
+
+/**
+ * @swagger
+ * /api/executions/{executionId}:
+ *   get:
+ *     summary: Get one execution
+ *     tags: [Executions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: executionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: '{ id, source, timer_id, automation_id, name, status, trigger_data, conditions, commands, results, error }'
+ *       404:
+ *         description: Execution not found
+ */
+router.get('/:executionId', auth, ExecutionController.getExecution);
+
+module.exports = router;
@@ -0,0 +1,113 @@
+const express = require('express');
+const { authMiddleware: auth } = require('../middleware/auth');
+const HomeController = require('../controllers/homeController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/floors:
+ *   get:
+ *     summary: List the floors of a home
+ *     tags: [Homes & Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: home_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Floors ordered by level
+ *   post:
+ *     summary: Add a floor to a home
+ *     tags: [Homes & Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [home_id, name]
+ *             properties:
+ *               home_id:
+ *                 type: integer
+ *               name:
+ *                 type: string
+ *               level:
+ *                 type: integer
+ *                 description: Sort order, 0 for the ground floor, negative below ground
+ *     responses:
+ *       201:
+ *         description: Floor created
+ */
+router.get('/', auth, HomeController.getFloors);
+router.post('/', auth, HomeController.createFloor);
+
+/**
+ * @swagger
+ * /api/floors/{floorId}:
+ *   get:
+ *     summary: Get a floor with its rooms
+ *     tags: [Homes & Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: floorId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Floor with rooms
+ *   put:
+ *     summary: Rename or reorder a floor
+ *     tags: [Homes & Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: floorId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               level:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Floor updated
+ *   delete:
+ *     summary: Delete a floor
+ *     description: Its rooms stay in the home, on no floor.
+ *     tags: [Homes & Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: floorId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Floor deleted
+ */
+router.get('/:floorId', auth, HomeController.getFloor);
+router.put('/:floorId', auth, HomeController.updateFloor);
+router.delete('/:floorId', auth, HomeController.deleteFloor);
+
+module.exports = router;
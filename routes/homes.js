@@ -0,0 +1,121 @@
+const express = require('express');
+const { authMiddleware: auth } = require('../middleware/auth');
+const HomeController = require('../controllers/homeController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/homes:
+ *   get:
+ *     summary: List the user's homes
+ *     tags: [Homes & Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: '[{ id, name, address, latitude, longitude, floor_count, room_count }]'
+ *   post:
+ *     summary: Create a home
+ *     tags: [Homes & Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               latitude:
+ *                 type: number
+ *                 description: Where the home is, for solar timers (with longitude)
+ *                 example: 21.0285
+ *               longitude:
+ *                 type: number
+ *                 example: 105.8542
+ *     responses:
+ *       201:
+ *         description: Home created
+ */
+router.get('/', auth, HomeController.getHomes);
+router.post('/', auth, HomeController.createHome);
+
+/**
+ * @swagger
+ * /api/homes/{homeId}:
+ *   get:
+ *     summary: Get a home with its floors and rooms
+ *     description: Floors are ordered by level and carry their rooms; `rooms` lists the rooms on no floor.
+ *     tags: [Homes & Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: homeId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: '{ id, name, address, latitude, longitude, floors: [{ ..., rooms }], rooms }'
+ *       404:
+ *         description: Home not found
+ *   put:
+ *     summary: Rename a home or change its address or location
+ *     tags: [Homes & Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: homeId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               latitude:
+ *                 type: number
+ *                 description: Where the home is, for solar timers (with longitude)
+ *                 example: 21.0285
+ *               longitude:
+ *                 type: number
+ *                 example: 105.8542
+ *     responses:
+ *       200:
+ *         description: Home updated
+ *   delete:
+ *     summary: Delete a home with its floors and rooms
+ *     description: Boards and devices in it are kept, without a room.
+ *     tags: [Homes & Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: homeId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Home deleted
+ */
+router.get('/:homeId', auth, HomeController.getHome);
+router.put('/:homeId', auth, HomeController.updateHome);
+router.delete('/:homeId', auth, HomeController.deleteHome);
+
+module.exports = router;
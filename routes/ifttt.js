@@ -1,7 +1,9 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
-const mqttService = require('../services/mqttService');
+const DeviceModel = require('../models/deviceModel');
+const DeviceTypeRegistry = require('../services/deviceTypeRegistry');
+const DeviceControlService = require('../services/deviceControlService');
 const { authMiddleware, optionalAuth } = require('../middleware/auth');
 
 const router = express.Router();
@@ -60,7 +62,6 @@ router.post('/test/setup', (req, res) => {
           control_device: {
             device_name: "Living Room Light",
             action: "turn_on",
-            pin: "2",
             value: "1"
           }
         }
@@ -120,8 +121,9 @@ router.post('/triggers/sensor_threshold_reached', authMiddleware, async (req, re
 
     // Get device by name
     const devices = await db.query(`
-      SELECT id, device_id, name FROM devices 
-      WHERE user_id = ? AND name = ?
+      SELECT d.*, b.is_online, b.board_id FROM devices d
+      JOIN esp32_boards b ON d.board_id = b.board_id
+      WHERE b.user_id = ? AND d.name = ?
     `, [req.user.id, device_name]);
 
     if (devices.length === 0) {
@@ -150,12 +152,12 @@ router.post('/triggers/sensor_threshold_reached', authMiddleware, async (req, re
 
     // Get sensor data that meets threshold
     const sensorData = await db.query(`
-      SELECT value, unit, timestamp
+      SELECT value, unit, observed_at AS timestamp
       FROM device_data
-      WHERE device_id = ? AND sensor_name = ? AND value ${comparisonOp} ?
-      ORDER BY \`timestamp\` DESC
+      WHERE device_id = ? AND metric = ? AND value ${comparisonOp} ?
+      ORDER BY observed_at DESC
       LIMIT ${safeLimit}
-    `, [device.id, sensor_name, threshold_value]);
+    `, [device.device_id, sensor_name, threshold_value]);
 
     // Format for IFTTT
     const triggerEvents = sensorData.map(data => ({
@@ -299,8 +301,6 @@ router.post('/triggers/device_status_changed', authMiddleware, async (req, res)
  *                   action:
  *                     type: string
  *                     enum: ['turn_on', 'turn_off', 'set_value']
- *                   pin:
- *                     type: string
  *                   value:
  *                     type: string
  *     responses:
@@ -310,7 +310,7 @@ router.post('/triggers/device_status_changed', authMiddleware, async (req, res)
 router.post('/actions/control_device', authMiddleware, async (req, res) => {
   try {
     const { actionFields } = req.body;
-    const { device_name, action, pin, value } = actionFields || {};
+    const { device_name, action, value } = actionFields || {};
 
     if (!device_name || !action) {
       return res.status(400).json({
@@ -340,49 +340,29 @@ router.post('/actions/control_device', authMiddleware, async (req, res) => {
 
     const device = devices[0];
 
-    // Build MQTT command based on action
-    let mqttCommand;
-    switch (action) {
-      case 'turn_on':
-        mqttCommand = {
-          action: 'gpio',
-          pin: parseInt(pin) || 2,
-          state: 'on',
-          source: 'ifttt'
-        };
-        break;
-      case 'turn_off':
-        mqttCommand = {
-          action: 'gpio',
-          pin: parseInt(pin) || 2,
-          state: 'off',
-          source: 'ifttt'
-        };
-        break;
-      case 'set_value':
-        mqttCommand = {
-          action: 'pwm',
-          pin: parseInt(pin) || 2,
-          value: parseInt(value) || 0,
-          source: 'ifttt'
-        };
-        break;
-      default:
-        return res.status(400).json({
-          errors: [
-            {
-              message: 'Invalid action type'
-            }
-          ]
-        });
+    // The device's type decides which firmware commands carry the action
+    const currentState = typeof device.state === 'string' ? JSON.parse(device.state) : (device.state || {});
+    const { patch, error } = DeviceTypeRegistry.controlPatch(device.device_type, { action, value }, currentState);
+    if (error) {
+      return res.status(400).json({
+        errors: [
+          {
+            message: error
+          }
+        ]
+      });
     }
 
-    // Send command via MQTT
-    await mqttService.sendDeviceCommand(device.device_id, {
-      ...mqttCommand,
-      userId: req.user.id,
-      timestamp: new Date().toISOString()
-    });
+    const result = await DeviceControlService.applyState(device, patch, { queueOptions: device.is_online ? null : { queueOffline: true } });
+    if (result.error) {
+      return res.status(400).json({
+        errors: [
+          {
+            message: result.error
+          }
+        ]
+      });
+    }
 
     res.json({
       data: [
@@ -420,12 +400,7 @@ router.post('/actions/control_device', authMiddleware, async (req, res) => {
 router.get('/user/info', authMiddleware, async (req, res) => {
   try {
     // Get user's devices for IFTTT
-    const devices = await db.query(`
-      SELECT device_id, name, description, room
-      FROM devices
-      WHERE user_id = ?
-      ORDER BY name
-    `, [req.user.id]);
+    const devices = await DeviceModel.getDevicesByUser(req.user.id);
 
     res.json({
       data: {
@@ -435,8 +410,8 @@ router.get('/user/info', authMiddleware, async (req, res) => {
         devices: devices.map(device => ({
           name: device.name,
           id: device.device_id,
-          description: device.description || '',
-          room: device.room || ''
+          description: device.device_type,
+          room: device.room_name || device.board_location || ''
         }))
       }
     });
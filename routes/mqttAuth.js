@@ -0,0 +1,93 @@
+const express = require('express');
+const { brokerHookMiddleware } = require('../middleware/auth');
+const MqttAuthController = require('../controllers/mqttAuthController');
+
+const router = express.Router();
+
+router.use(brokerHookMiddleware);
+
+/**
+ * @swagger
+ * /api/mqtt/auth:
+ *   post:
+ *     summary: Broker hook - authenticate an MQTT client
+ *     description: Called by EMQX HTTP auth or mosquitto-go-auth on CONNECT. Requires the X-Broker-Secret header.
+ *     tags: [MQTT Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *               clientid:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: '{ result: allow|deny, ok, is_superuser }'
+ */
+router.post('/auth', MqttAuthController.authenticate);
+
+/**
+ * @swagger
+ * /api/mqtt/superuser:
+ *   post:
+ *     summary: Broker hook - check whether a username is a superuser
+ *     tags: [MQTT Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: '{ result: allow|deny, ok }'
+ */
+router.post('/superuser', MqttAuthController.superuser);
+
+/**
+ * @swagger
+ * /api/mqtt/acl:
+ *   post:
+ *     summary: Broker hook - authorize a publish or subscribe
+ *     description: >
+ *       Boards may only use cmd/<boardId> and resp/<boardId> for their own board id. The
+ *       provisioning login may only publish register and subscribe to cmd/<boardId>/<replyNonce>;
+ *       the client ID is not used.
+ *     tags: [MQTT Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *               clientid:
+ *                 type: string
+ *               topic:
+ *                 type: string
+ *               action:
+ *                 type: string
+ *                 enum: [publish, subscribe]
+ *                 description: EMQX style
+ *               acc:
+ *                 type: integer
+ *                 enum: [1, 2, 3, 4]
+ *                 description: mosquitto-go-auth style (1 read, 2 write, 3 read+write, 4 subscribe)
+ *     responses:
+ *       200:
+ *         description: '{ result: allow|deny, ok }'
+ */
+router.post('/acl', MqttAuthController.checkAcl);
+
+module.exports = router;
@@ -0,0 +1,118 @@
+const express = require('express');
+const { authMiddleware: auth } = require('../middleware/auth');
+const HomeController = require('../controllers/homeController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/rooms:
+ *   get:
+ *     summary: List the user's rooms
+ *     tags: [Homes & Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: home_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: floor_id
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: '[{ id, name, home_id, home_name, floor_id, floor_name, device_count }]'
+ *   post:
+ *     summary: Create a room
+ *     description: Give `floor_id` to put the room on a floor (its home is the floor's), or only `home_id` for a room on no floor.
+ *     tags: [Homes & Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               home_id:
+ *                 type: integer
+ *               floor_id:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Room created
+ */
+router.get('/', auth, HomeController.getRooms);
+router.post('/', auth, HomeController.createRoom);
+
+/**
+ * @swagger
+ * /api/rooms/{roomId}:
+ *   get:
+ *     summary: Get a room with its boards and devices
+ *     description: Devices are listed when they are assigned to the room or their board is.
+ *     tags: [Homes & Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Room with boards and devices
+ *   put:
+ *     summary: Rename a room or move it to another floor of its home
+ *     tags: [Homes & Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               floor_id:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Room updated
+ *   delete:
+ *     summary: Delete a room
+ *     description: Boards and devices in it are kept, without a room.
+ *     tags: [Homes & Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Room deleted
+ */
+router.get('/:roomId', auth, HomeController.getRoom);
+router.put('/:roomId', auth, HomeController.updateRoom);
+router.delete('/:roomId', auth, HomeController.deleteRoom);
+
+module.exports = router;
@@ -0,0 +1,266 @@
+const express = require('express');
+const { authMiddleware: auth } = require('../middleware/auth');
+const SceneController = require('../controllers/sceneController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/scenes:
+ *   get:
+ *     summary: List the user's scenes
+ *     tags: [Scenes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: '[{ id, name, description, device_count }]'
+ *   post:
+ *     summary: Create a scene
+ *     description: >
+ *       A scene stores a target state per device (on/off, dimmer level, colour, ...). Give the
+ *       states in `devices`, or capture the current state of the devices `snapshot` selects.
+ *       Only state keys the device type controls are accepted; sensors are left out of snapshots.
+ *     tags: [Scenes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Movie night
+ *               description:
+ *                 type: string
+ *               devices:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [device_id, state]
+ *                   properties:
+ *                     device_id:
+ *                       type: string
+ *                     state:
+ *                       type: object
+ *                       example: { state: true, value: 40 }
+ *               snapshot:
+ *                 type: object
+ *                 description: Devices whose current state becomes the scene (device_ids, home_id, floor_id, room_id, group_id, category)
+ *                 example: { room_id: 3 }
+ *     responses:
+ *       201:
+ *         description: Scene created with its devices
+ *       400:
+ *         description: Invalid name, device or state
+ */
+router.get('/', auth, SceneController.getScenes);
+router.post('/', auth, SceneController.createScene);
+
+/**
+ * @swagger
+ * /api/scenes/activations/{activationId}:
+ *   get:
+ *     summary: Get a scene activation with per-device results
+ *     tags: [Scenes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: activationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: '{ id, scene_id, source, status, previous_state, results, summary, undo_results }'
+ *       404:
+ *         description: Activation not found
+ */
+router.get('/activations/:activationId', auth, SceneController.getActivation);
+
+/**
+ * @swagger
+ * /api/scenes/activations/{activationId}/undo:
+ *   post:
+ *     summary: Undo a scene activation
+ *     description: >
+ *       Restores the states the activation replaced, on the devices that acknowledged it.
+ *       Each activation can be undone once.
+ *     tags: [Scenes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: activationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Per-device results of the restore
+ *       404:
+ *         description: Activation not found
+ *       409:
+ *         description: Activation is still running, failed or was already undone
+ */
+router.post('/activations/:activationId/undo', auth, SceneController.undoActivation);
+
+/**
+ * @swagger
+ * /api/scenes/{sceneId}:
+ *   get:
+ *     summary: Get a scene with its device states
+ *     tags: [Scenes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sceneId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Scene with devices
+ *   put:
+ *     summary: Update a scene
+ *     description: devices or snapshot, when given, replace the scene's devices.
+ *     tags: [Scenes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sceneId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               devices:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               snapshot:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Scene updated
+ *   delete:
+ *     summary: Delete a scene
+ *     tags: [Scenes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sceneId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Scene deleted
+ */
+router.get('/:sceneId', auth, SceneController.getScene);
+router.put('/:sceneId', auth, SceneController.updateScene);
+router.delete('/:sceneId', auth, SceneController.deleteScene);
+
+/**
+ * @swagger
+ * /api/scenes/{sceneId}/snapshot:
+ *   post:
+ *     summary: Replace the scene's states with its devices' current states
+ *     tags: [Scenes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sceneId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Scene updated
+ */
+router.post('/:sceneId/snapshot', auth, SceneController.snapshotScene);
+
+/**
+ * @swagger
+ * /api/scenes/{sceneId}/activate:
+ *   post:
+ *     summary: Activate a scene
+ *     description: >
+ *       Sends every device its scene state (boards in parallel, batched where the firmware
+ *       supports it) and waits for the acks. Results use the bulk control statuses
+ *       (acked, failed, timeout, offline, rejected, not_found, error). With async true the
+ *       activation runs in the background; poll /api/scenes/activations/{activationId}.
+ *       The user's sockets receive scene_activated when it completes.
+ *     tags: [Scenes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sceneId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               async:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: '{ activation_id, scene_id, results, summary }'
+ *       202:
+ *         description: Activation started (async)
+ *       400:
+ *         description: Scene has no devices
+ *       404:
+ *         description: Scene not found
+ */
+router.post('/:sceneId/activate', auth, SceneController.activateScene);
+
+/**
+ * @swagger
+ * /api/scenes/{sceneId}/activations:
+ *   get:
+ *     summary: Recent activations of a scene (newest first)
+ *     tags: [Scenes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sceneId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Activations
+ */
+router.get('/:sceneId/activations', auth, SceneController.getActivations);
+
+module.exports = router;
@@ -161,7 +161,7 @@ router.post('/google/fulfill', async (req, res) => {
         break;
       
       case 'action.devices.EXECUTE':
-        response.payload = await handleGoogleExecute(input.payload.commands);
+        response.payload = await handleGoogleExecute(input.payload.commands, req.user.id);
         break;
       
       default:
@@ -192,8 +192,8 @@ async function handleGoogleQuery(devices) {
   return await googleHomeService.handleQuery(devices);
 }
 
-async function handleGoogleExecute(commands) {
-  return await googleHomeService.handleExecute(commands);
+async function handleGoogleExecute(commands, userId) {
+  return await googleHomeService.handleExecute(commands, userId);
 }
 
 /**
@@ -308,7 +308,7 @@ router.post('/alexa/directive', async (req, res) => {
       };
     } else {
       // Handle other directives
-      response = await alexaService.handleDirective(directive);
+      response = await alexaService.handleDirective(directive, req.user?.id);
     }
 
     res.json(response);
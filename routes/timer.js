@@ -6,6 +6,123 @@ const router = express.Router();
 
 router.get('/', auth, TimerController.getTimers);
 router.post('/', auth, TimerController.createTimer);
+
+/**
+ * @swagger
+ * /api/timers/dry-run:
+ *   post:
+ *     summary: Show what a timer would have done over a past range without sending commands
+ *     description: >
+ *       Fires a saved timer (timer_id) or an unsaved definition of any kind on its schedule between
+ *       from and to (at most 31 days). Each firing lists, per device, the state recorded in device_data at
+ *       that moment and the patch the timer would have applied (would_change, unchanged, rejected).
+ *     tags: [Timers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [from]
+ *             properties:
+ *               timer_id:
+ *                 type: integer
+ *               kind:
+ *                 type: string
+ *                 enum: [recurring, once, countdown, pulse, vacation]
+ *                 default: recurring
+ *               cron_expression:
+ *                 type: string
+ *                 example: '0 7 * * 1-5'
+ *               timezone:
+ *                 type: string
+ *                 description: IANA timezone of the cron schedule (defaults to the user's, then the server's)
+ *                 example: Asia/Ho_Chi_Minh
+ *               solar_event:
+ *                 type: string
+ *                 enum: [sunrise, sunset, dawn, dusk]
+ *                 description: Instead of cron_expression; needs home_id of a home with latitude and longitude
+ *               offset_minutes:
+ *                 type: integer
+ *                 description: Minutes after (or, negative, before) the solar event, at most 720 either way
+ *                 example: -30
+ *               home_id:
+ *                 type: integer
+ *               run_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When a once timer (or a single pulse) runs
+ *               duration_seconds:
+ *                 type: integer
+ *                 description: Countdown delay, or how long a pulse keeps the device on
+ *               vacation:
+ *                 type: object
+ *                 example:
+ *                   device_ids: [light_1, light_2]
+ *                   windows: [{ from: '18:30', to: '23:00' }]
+ *                   min_on_minutes: 30
+ *                   max_on_minutes: 120
+ *               device_id:
+ *                 type: string
+ *               action:
+ *                 type: string
+ *                 enum: [turn_on, turn_off, toggle, set_value]
+ *               value:
+ *                 type: integer
+ *               scene_id:
+ *                 type: integer
+ *               from:
+ *                 type: string
+ *                 format: date-time
+ *               to:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: '{ fires: [{ at, commands, devices: [{ device_id, status, state_before, patch }] }], fire_count, truncated }'
+ *       400:
+ *         description: Invalid timer or range
+ *       404:
+ *         description: Timer not found
+ */
+router.post('/dry-run', auth, TimerController.dryRun);
+
+/**
+ * @swagger
+ * /api/timers/{id}/next-runs:
+ *   get:
+ *     summary: Preview a timer's next runs
+ *     description: >
+ *       The next runs as the scheduler works them out: in the timer's timezone (or the user's),
+ *       at the home's sunrise/sunset for solar timers, with both ends of a pulse and the picked
+ *       vacation times. A disabled timer's runs are listed as if it were enabled; a finished one
+ *       has none.
+ *     tags: [Timers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: count
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: '{ timer_id, is_enabled, timezone, runs: [{ at, commands }] }'
+ *       400:
+ *         description: Invalid count
+ *       404:
+ *         description: Timer not found
+ */
+router.get('/:id/next-runs', auth, TimerController.nextRuns);
 router.get('/:id', auth, TimerController.getTimerById);
 router.put('/:id', auth, TimerController.updateTimer);
 router.delete('/:id', auth, TimerController.deleteTimer);
@@ -1,13 +1,15 @@
 const express = require('express');
 const { body } = require('express-validator');
 const UserController = require('../controllers/userController');
+const TimeZone = require('../services/timeZone');
 
 const router = express.Router();
 
 const updateProfileValidation = [
   body('first_name').optional().trim().isLength({ min: 1 }).withMessage('First name cannot be empty'),
   body('last_name').optional().trim().isLength({ min: 1 }).withMessage('Last name cannot be empty'),
-  body('phone').optional().isMobilePhone().withMessage('Please provide a valid phone number')
+  body('phone').optional().isMobilePhone().withMessage('Please provide a valid phone number'),
+  body('timezone').optional({ values: 'null' }).custom(TimeZone.isValid).withMessage('Timezone must be an IANA name such as Asia/Ho_Chi_Minh')
 ];
 
 const changePasswordValidation = [
@@ -56,6 +58,11 @@ router.get('/profile', UserController.getProfile);
  *                 type: string
  *               phone:
  *                 type: string
+ *               timezone:
+ *                 type: string
+ *                 nullable: true
+ *                 description: IANA timezone timers run in unless they set their own (null = the server's)
+ *                 example: Asia/Ho_Chi_Minh
  *     responses:
  *       200:
  *         description: Profile updated successfully
@@ -0,0 +1,160 @@
+const mysql = require('mysql2/promise');
+const TelemetryNormalizer = require('../services/telemetryNormalizer');
+const { deviceDataTable } = require('./telemetrySchema');
+require('dotenv').config();
+
+// Converts a pre-existing device_data table (JSON `value` blobs, or the sensor_name/unit/raw_data
+// variant keyed by the numeric devices.id) into the canonical one-reading-per-row layout.
+// The old table is kept as device_data_legacy unless --drop-legacy is given.
+
+const BATCH_SIZE = 1000;
+// How long device_data is watched for new rows before converting
+const LIVE_CHECK_MS = 5000;
+
+async function maxId(connection, table) {
+  const [[row]] = await connection.query(`SELECT COALESCE(MAX(id), 0) AS id FROM ${table}`);
+  return Number(row.id);
+}
+
+async function getColumns(connection, table) {
+  const [rows] = await connection.execute(
+    `SELECT COLUMN_NAME AS name FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+    [table]
+  );
+  return new Set(rows.map(row => row.name));
+}
+
+function legacyRows(row, deviceId, columns) {
+  const observedAt = row.timestamp || row.created_at || new Date();
+  const options = { observedAt, receivedAt: observedAt };
+  const rawData = columns.has('raw_data') ? row.raw_data : null;
+
+  if (columns.has('sensor_name') && row.sensor_name) {
+    const sensor = { name: row.sensor_name, value: row.value, unit: columns.has('unit') ? row.unit : null };
+    return TelemetryNormalizer.normalize(deviceId, 'sensor', { sensors: [sensor] }, options);
+  }
+
+  const value = row.value === null || row.value === undefined ? rawData : row.value;
+  return TelemetryNormalizer.normalize(deviceId, row.data_type, value, options);
+}
+
+// Convert the rows of `source` after `afterId` into `target`, batch by batch; counts go into
+// `progress`. Resolves to the last id read.
+async function copyRows(connection, source, target, afterId, progress) {
+  const { byDeviceId, byNumericId, columns } = progress;
+  let lastId = afterId;
+
+  for (;;) {
+    const [batch] = await connection.query(
+      `SELECT * FROM ${source} WHERE id > ? ORDER BY id LIMIT ${BATCH_SIZE}`,
+      [lastId]
+    );
+    if (batch.length === 0) return lastId;
+    lastId = batch[batch.length - 1].id;
+    progress.read += batch.length;
+
+    const params = [];
+    let count = 0;
+    for (const row of batch) {
+      const key = String(row.device_id);
+      const deviceId = byDeviceId.has(key) ? key : byNumericId.get(key);
+      if (!deviceId) {
+        progress.skipped++;
+        continue;
+      }
+      for (const reading of legacyRows(row, deviceId, columns)) {
+        params.push(
+          reading.deviceId, reading.dataType, reading.metric, reading.value, reading.unit, reading.quality,
+          reading.payload === null ? null : JSON.stringify(reading.payload), reading.observedAt, reading.receivedAt
+        );
+        count++;
+      }
+    }
+
+    if (count > 0) {
+      await connection.query(`
+        INSERT INTO ${target} (device_id, data_type, metric, value, unit, quality, payload, observed_at, received_at)
+        VALUES ${new Array(count).fill('(?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}
+      `, params);
+      progress.written += count;
+    }
+    console.log(`   ${progress.read} legacy row(s) read, ${progress.written} reading(s) written`);
+  }
+}
+
+async function migrateTelemetry({ dropLegacy = false } = {}) {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST || 'localhost',
+    port: process.env.DB_PORT || 3306,
+    user: process.env.DB_USER || 'root',
+    password: process.env.DB_PASSWORD || '',
+    database: process.env.DB_NAME || 'iot_platform'
+  });
+
+  try {
+    console.log('🔄 Starting telemetry migration...');
+
+    const columns = await getColumns(connection, 'device_data');
+    if (columns.size === 0) {
+      console.log('ℹ️ No device_data table found, run npm run migrate instead');
+      return;
+    }
+    if (columns.has('observed_at') && columns.has('metric')) {
+      console.log('✅ device_data already uses the canonical schema, nothing to do');
+      return;
+    }
+    if ((await getColumns(connection, 'device_data_legacy')).size > 0) {
+      throw new Error('device_data_legacy already exists; drop or rename it before migrating again');
+    }
+
+    // A running server keeps writing old-format rows, and would fail to write once the table
+    // is converted: the servers have to be stopped first
+    const idBefore = await maxId(connection, 'device_data');
+    await new Promise(resolve => setTimeout(resolve, LIVE_CHECK_MS));
+    if (await maxId(connection, 'device_data') !== idBefore) {
+      throw new Error('device_data is still being written; stop every server instance before migrating');
+    }
+
+    await connection.execute('DROP TABLE IF EXISTS device_data_v2');
+    await connection.execute(deviceDataTable('device_data_v2'));
+    console.log('✅ Created device_data_v2 table');
+
+    // Rows may reference a device by its string id or, in the sensor_name variant, by devices.id
+    const [devices] = await connection.execute('SELECT id, device_id FROM devices');
+    const byDeviceId = new Set(devices.map(device => device.device_id));
+    const byNumericId = new Map(devices.map(device => [String(device.id), device.device_id]));
+
+    const progress = { byDeviceId, byNumericId, columns, read: 0, written: 0, skipped: 0 };
+    const lastId = await copyRows(connection, 'device_data', 'device_data_v2', 0, progress);
+
+    // Should a writer have started anyway: RENAME is atomic, so rows written after the last
+    // batch are in the legacy table and nothing reaches it afterwards; copy that tail too
+    await connection.execute('RENAME TABLE device_data TO device_data_legacy, device_data_v2 TO device_data');
+    const copied = progress.read;
+    await copyRows(connection, 'device_data_legacy', 'device_data', lastId, progress);
+    if (progress.read > copied) {
+      console.log(`⚠️ ${progress.read - copied} row(s) arrived while copying; stop the server before migrating`);
+    }
+    const { read, written, skipped } = progress;
+    console.log(`✅ Migrated ${read} legacy row(s) into ${written} reading(s), skipped ${skipped} for unknown devices`);
+
+    if (dropLegacy) {
+      await connection.execute('DROP TABLE device_data_legacy');
+      console.log('✅ Dropped device_data_legacy');
+    } else {
+      console.log('ℹ️ Old rows kept in device_data_legacy (pass --drop-legacy to remove it)');
+    }
+  } finally {
+    await connection.end();
+  }
+}
+
+if (require.main === module) {
+  migrateTelemetry({ dropLegacy: process.argv.includes('--drop-legacy') }).catch(error => {
+    console.error('❌ Telemetry migration failed:', error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = migrateTelemetry;
@@ -1,4 +1,5 @@
 const mysql = require('mysql2/promise');
+const { deviceDataTable } = require('./telemetrySchema');
 require('dotenv').config();
 
 async function migrate() {
@@ -15,13 +16,34 @@ async function migrate() {
 
     // Drop existing tables in correct order (child tables first)
     await connection.execute('SET FOREIGN_KEY_CHECKS = 0');
+    await connection.execute('DROP TABLE IF EXISTS execution_devices');
+    await connection.execute('DROP TABLE IF EXISTS executions');
     await connection.execute('DROP TABLE IF EXISTS timers');
+    await connection.execute('DROP TABLE IF EXISTS automations');
+    await connection.execute('DROP TABLE IF EXISTS scene_activations');
+    await connection.execute('DROP TABLE IF EXISTS scene_devices');
+    await connection.execute('DROP TABLE IF EXISTS scenes');
+    await connection.execute('DROP TABLE IF EXISTS board_connectivity_events');
+    await connection.execute('DROP TABLE IF EXISTS board_transfers');
+    await connection.execute('DROP TABLE IF EXISTS board_pairing_tokens');
+    await connection.execute('DROP TABLE IF EXISTS device_shadows');
+    await connection.execute('DROP TABLE IF EXISTS bulk_control_jobs');
     await connection.execute('DROP TABLE IF EXISTS device_commands');
+    await connection.execute('DROP TABLE IF EXISTS device_data_1d');
+    await connection.execute('DROP TABLE IF EXISTS device_data_1h');
+    await connection.execute('DROP TABLE IF EXISTS device_data_1m');
+    await connection.execute('DROP TABLE IF EXISTS telemetry_jobs');
+    await connection.execute('DROP TABLE IF EXISTS retention_policies');
     await connection.execute('DROP TABLE IF EXISTS device_data');
     await connection.execute('DROP TABLE IF EXISTS device_sharing');
     await connection.execute('DROP TABLE IF EXISTS smart_home_integrations');
+    await connection.execute('DROP TABLE IF EXISTS device_group_members');
+    await connection.execute('DROP TABLE IF EXISTS device_groups');
     await connection.execute('DROP TABLE IF EXISTS devices');
     await connection.execute('DROP TABLE IF EXISTS esp32_boards');
+    await connection.execute('DROP TABLE IF EXISTS rooms');
+    await connection.execute('DROP TABLE IF EXISTS floors');
+    await connection.execute('DROP TABLE IF EXISTS homes');
     // Do not drop users or user_tokens
     await connection.execute('SET FOREIGN_KEY_CHECKS = 1');
     console.log('✅ Dropped old tables');
@@ -33,6 +55,63 @@ async function migrate() {
     `);
     console.log('✅ Ensured users.role exists');
 
+    // Ensure users.plan exists (selects the telemetry retention policy)
+    await connection.execute(`
+      ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS plan VARCHAR(20) NOT NULL DEFAULT 'free'
+    `);
+    console.log('✅ Ensured users.plan exists');
+
+    // Ensure users.timezone exists (IANA name timers default to; NULL means the server's)
+    await connection.execute(`
+      ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NULL
+    `);
+    console.log('✅ Ensured users.timezone exists');
+
+    // Create homes / floors / rooms (where boards and devices are; a room may sit directly in a home)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS homes (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        address VARCHAR(255) NULL,
+        latitude DECIMAL(9,6) NULL,
+        longitude DECIMAL(9,6) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_id (user_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS floors (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        home_id INT NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        level INT NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (home_id) REFERENCES homes(id) ON DELETE CASCADE,
+        INDEX idx_home_level (home_id, level)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS rooms (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        home_id INT NOT NULL,
+        floor_id INT NULL,
+        name VARCHAR(100) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (home_id) REFERENCES homes(id) ON DELETE CASCADE,
+        FOREIGN KEY (floor_id) REFERENCES floors(id) ON DELETE SET NULL,
+        INDEX idx_home_id (home_id),
+        INDEX idx_floor_id (floor_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    console.log('✅ Created homes, floors and rooms tables');
+
     // Create esp32_boards table (physical ESP32 chips)
     await connection.execute(`
       CREATE TABLE IF NOT EXISTS esp32_boards (
@@ -42,14 +121,23 @@ async function migrate() {
         user_id INT NOT NULL,
         name VARCHAR(100) NOT NULL,
         location VARCHAR(100),
+        room_id INT NULL,
         mqtt_topic_cmd VARCHAR(100) NOT NULL,
         mqtt_topic_resp VARCHAR(100) NOT NULL,
         is_online BOOLEAN DEFAULT FALSE,
-        last_seen TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        last_seen TIMESTAMP NULL DEFAULT NULL,
         firmware_version VARCHAR(20),
+        features JSON NULL,
+        payload_codec VARCHAR(20) NOT NULL DEFAULT 'json',
+        compact_schema JSON NULL,
+        mqtt_password_hash VARCHAR(255) NULL,
+        mqtt_credentials_issued_at TIMESTAMP NULL DEFAULT NULL,
+        clock_skew_ms BIGINT NULL,
+        clock_skew_updated_at TIMESTAMP NULL DEFAULT NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE SET NULL,
         INDEX idx_board_id (board_id),
         INDEX idx_user_id (user_id),
         INDEX idx_mac_address (mac_address)
@@ -57,21 +145,78 @@ async function migrate() {
     `);
     console.log('✅ Created esp32_boards table');
 
-    // Create devices table (logical devices on GPIO pins)
+    // Create board_connectivity_events table (online/offline transitions per board)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS board_connectivity_events (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        board_id VARCHAR(50) NOT NULL,
+        status ENUM('online', 'offline') NOT NULL,
+        reason VARCHAR(32) NOT NULL,
+        occurred_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (board_id) REFERENCES esp32_boards(board_id) ON DELETE CASCADE,
+        INDEX idx_board_occurred (board_id, occurred_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    console.log('✅ Created board_connectivity_events table');
+
+    // Create board_pairing_tokens table (one-time claim codes a board presents on registration)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS board_pairing_tokens (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT NOT NULL,
+        token_hash CHAR(64) NOT NULL,
+        board_id VARCHAR(50) NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP NULL DEFAULT NULL,
+        used_by_board VARCHAR(50) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_token_hash (token_hash),
+        INDEX idx_user_id (user_id),
+        INDEX idx_expires_at (expires_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    console.log('✅ Created board_pairing_tokens table');
+
+    // Create board_transfers table (ownership changes awaiting the current owner's approval)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS board_transfers (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        board_id VARCHAR(50) NOT NULL,
+        from_user_id INT NOT NULL,
+        to_user_id INT NOT NULL,
+        status ENUM('pending', 'approved', 'rejected', 'expired') NOT NULL DEFAULT 'pending',
+        expires_at TIMESTAMP NOT NULL,
+        resolved_at TIMESTAMP NULL DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (board_id) REFERENCES esp32_boards(board_id) ON DELETE CASCADE,
+        FOREIGN KEY (from_user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (to_user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_board_status (board_id, status),
+        INDEX idx_from_user (from_user_id),
+        INDEX idx_to_user (to_user_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    console.log('✅ Created board_transfers table');
+
+    // Create devices table (logical devices on GPIO pins; a NULL room_id means the board's room)
     await connection.execute(`
       CREATE TABLE IF NOT EXISTS devices (
         id INT PRIMARY KEY AUTO_INCREMENT,
         device_id VARCHAR(50) NOT NULL,
         board_id VARCHAR(50) NOT NULL,
-        device_type ENUM('switch', 'dimmer', 'sensor_dht22', 'sensor_ds18b20', 'sensor_analog') NOT NULL,
+        device_type VARCHAR(50) NOT NULL,
         name VARCHAR(100) NOT NULL,
         gpio_pin INT NOT NULL,
         config JSON,
         state JSON,
+        room_id INT NULL,
         is_enabled BOOLEAN DEFAULT TRUE,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         FOREIGN KEY (board_id) REFERENCES esp32_boards(board_id) ON DELETE CASCADE,
+        FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE SET NULL,
         UNIQUE KEY unique_board_gpio (board_id, gpio_pin),
         UNIQUE KEY unique_device_id (device_id),
         INDEX idx_board_id (board_id),
@@ -80,64 +225,303 @@ async function migrate() {
     `);
     console.log('✅ Created devices table');
 
-    // Create device_data table (sensor readings, state history)
+    // Create device_groups / device_group_members (user-defined sets of devices, across rooms and boards)
     await connection.execute(`
-      CREATE TABLE IF NOT EXISTS device_data (
+      CREATE TABLE IF NOT EXISTS device_groups (
         id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        description VARCHAR(255) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_id (user_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS device_group_members (
+        group_id INT NOT NULL,
         device_id VARCHAR(50) NOT NULL,
-        data_type ENUM('state', 'sensor', 'heartbeat', 'error') NOT NULL,
-        value JSON NOT NULL,
-        timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (group_id, device_id),
+        FOREIGN KEY (group_id) REFERENCES device_groups(id) ON DELETE CASCADE,
         FOREIGN KEY (device_id) REFERENCES devices(device_id) ON DELETE CASCADE,
-        INDEX idx_device_id (device_id),
-        INDEX idx_data_type (data_type),
-        INDEX idx_timestamp (timestamp)
+        INDEX idx_device_id (device_id)
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
     `);
+    console.log('✅ Created device_groups tables');
+
+    // Create device_data table (canonical telemetry: one row per reading)
+    await connection.execute(deviceDataTable('device_data', { ifNotExists: true }));
     console.log('✅ Created device_data table');
 
-    // Create device_commands table (track commands sent to devices)
+    // Create rollup tables (per device and metric: 1-minute, 1-hour and 1-day aggregates of sensor readings)
+    for (const tier of ['1m', '1h', '1d']) {
+      await connection.execute(`
+        CREATE TABLE IF NOT EXISTS device_data_${tier} (
+          device_id VARCHAR(50) NOT NULL,
+          metric VARCHAR(64) NOT NULL,
+          unit VARCHAR(16) NULL,
+          bucket_start TIMESTAMP NOT NULL,
+          min_value DOUBLE NOT NULL,
+          max_value DOUBLE NOT NULL,
+          sum_value DOUBLE NOT NULL,
+          sample_count INT NOT NULL,
+          PRIMARY KEY (device_id, metric, bucket_start),
+          FOREIGN KEY (device_id) REFERENCES devices(device_id) ON DELETE CASCADE,
+          INDEX idx_bucket_start (bucket_start)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+    }
+    console.log('✅ Created device_data_1m/1h/1d rollup tables');
+
+    // Create telemetry_jobs table (rollup watermarks and the lease that keeps one instance per job)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS telemetry_jobs (
+        name VARCHAR(20) PRIMARY KEY,
+        watermark TIMESTAMP NULL DEFAULT NULL,
+        lease_owner VARCHAR(100) NULL,
+        lease_expires_at TIMESTAMP NULL DEFAULT NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    await connection.execute(`
+      INSERT IGNORE INTO telemetry_jobs (name) VALUES ('1m'), ('1h'), ('1d'), ('retention')
+    `);
+    console.log('✅ Created telemetry_jobs table');
+
+    // Create retention_policies table (days kept per tier and user plan; NULL keeps forever)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS retention_policies (
+        plan VARCHAR(20) PRIMARY KEY,
+        raw_days INT NULL,
+        rollup_1m_days INT NULL,
+        rollup_1h_days INT NULL,
+        rollup_1d_days INT NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    await connection.execute(`
+      INSERT IGNORE INTO retention_policies (plan, raw_days, rollup_1m_days, rollup_1h_days, rollup_1d_days)
+      VALUES ('free', 7, 30, 365, NULL), ('pro', 30, 90, 730, NULL)
+    `);
+    console.log('✅ Created retention_policies table');
+
+    // Create device_commands table (durable command queue; rows outlive backend restarts)
     await connection.execute(`
       CREATE TABLE IF NOT EXISTS device_commands (
         id INT PRIMARY KEY AUTO_INCREMENT,
-        device_id VARCHAR(50) NOT NULL,
-        command_type ENUM('control', 'config', 'add_device', 'remove_device', 'update_device') NOT NULL,
+        command_id VARCHAR(64) NOT NULL,
+        board_id VARCHAR(50) NOT NULL,
+        device_id VARCHAR(50) NULL,
+        command_type VARCHAR(32) NOT NULL,
         command_data JSON NOT NULL,
-        status ENUM('pending', 'sent', 'acknowledged', 'failed', 'timeout') DEFAULT 'pending',
+        payload JSON NOT NULL,
+        expected_action VARCHAR(32) NULL,
+        expected_pin INT NULL,
+        status ENUM('queued', 'pending', 'sent', 'acknowledged', 'failed', 'timeout', 'superseded') DEFAULT 'pending',
+        queued_offline BOOLEAN NOT NULL DEFAULT FALSE,
+        attempts INT NOT NULL DEFAULT 0,
+        max_attempts INT NOT NULL DEFAULT 1,
+        ack_timeout_ms INT NOT NULL DEFAULT 10000,
+        retry_delay_ms INT NOT NULL DEFAULT 1000,
+        deadline_at TIMESTAMP NULL,
+        expires_at TIMESTAMP NULL,
         sent_at TIMESTAMP NULL,
         acknowledged_at TIMESTAMP NULL,
         error_message TEXT NULL,
+        owner_instance VARCHAR(100) NULL,
+        owner_lease_expires_at TIMESTAMP NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (board_id) REFERENCES esp32_boards(board_id) ON DELETE CASCADE,
         FOREIGN KEY (device_id) REFERENCES devices(device_id) ON DELETE CASCADE,
+        UNIQUE KEY unique_command_id (command_id),
+        INDEX idx_board_status (board_id, status),
         INDEX idx_device_id (device_id),
         INDEX idx_status (status),
+        INDEX idx_owner_status (owner_instance, status),
+        INDEX idx_status_lease (status, owner_lease_expires_at),
         INDEX idx_created_at (created_at)
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
     `);
     console.log('✅ Created device_commands table');
 
-    // Create timers table
+    // Create bulk_control_jobs table (per-device outcome of one bulk control request)
     await connection.execute(`
-      CREATE TABLE IF NOT EXISTS timers (
+      CREATE TABLE IF NOT EXISTS bulk_control_jobs (
         id INT PRIMARY KEY AUTO_INCREMENT,
         user_id INT NOT NULL,
+        status ENUM('running', 'completed', 'failed') DEFAULT 'running',
+        total INT NOT NULL,
+        results JSON NOT NULL,
+        summary JSON NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_created (user_id, created_at),
+        INDEX idx_created_at (created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    console.log('✅ Created bulk_control_jobs table');
+
+    // Create scenes tables (target state per device; each activation keeps the states it replaced for undo)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS scenes (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        description VARCHAR(255) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_id (user_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS scene_devices (
+        scene_id INT NOT NULL,
         device_id VARCHAR(50) NOT NULL,
+        state JSON NOT NULL,
+        PRIMARY KEY (scene_id, device_id),
+        FOREIGN KEY (scene_id) REFERENCES scenes(id) ON DELETE CASCADE,
+        FOREIGN KEY (device_id) REFERENCES devices(device_id) ON DELETE CASCADE,
+        INDEX idx_device_id (device_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS scene_activations (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        scene_id INT NOT NULL,
+        user_id INT NOT NULL,
+        source ENUM('api', 'socket', 'timer', 'voice', 'automation') NOT NULL,
+        status ENUM('running', 'completed', 'failed', 'undone') DEFAULT 'running',
+        previous_state JSON NOT NULL,
+        results JSON NULL,
+        summary JSON NULL,
+        undo_results JSON NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP NULL,
+        undone_at TIMESTAMP NULL,
+        FOREIGN KEY (scene_id) REFERENCES scenes(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_scene_created (scene_id, created_at),
+        INDEX idx_created_at (created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    console.log('✅ Created scenes tables');
+
+    // Create automations table (event-driven rules; runtime_state holds per-condition progress, see services/automationConditions.js)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS automations (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        description VARCHAR(255) NULL,
+        is_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        conditions JSON NOT NULL,
+        actions JSON NOT NULL,
+        cooldown_seconds INT NOT NULL DEFAULT 0,
+        runtime_state JSON NULL,
+        is_active BOOLEAN NOT NULL DEFAULT FALSE,
+        last_triggered_at TIMESTAMP(3) NULL DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_id (user_id),
+        INDEX idx_is_enabled (is_enabled)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    console.log('✅ Created automations table');
+
+    // Create device_shadows table (desired vs reported state per device)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS device_shadows (
+        device_id VARCHAR(50) PRIMARY KEY,
+        desired JSON NOT NULL,
+        reported JSON NOT NULL,
+        version INT NOT NULL DEFAULT 0,
+        desired_updated_at TIMESTAMP NULL,
+        reported_updated_at TIMESTAMP NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (device_id) REFERENCES devices(device_id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    console.log('✅ Created device_shadows table');
+
+    // Create timers table (a timer controls one device, or activates a scene when scene_id is set;
+    // it runs on cron_expression in its timezone, or at solar_event at its home when that is set;
+    // once/countdown timers run at run_at, pulses turn off after duration_seconds, vacation
+    // timers switch vacation.device_ids at random times within vacation.windows)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS timers (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT NOT NULL,
+        device_id VARCHAR(50) NULL,
+        scene_id INT NULL,
         name VARCHAR(100) NOT NULL,
-        cron_expression VARCHAR(50) NOT NULL,
-        action ENUM('turn_on', 'turn_off', 'toggle', 'set_value') NOT NULL,
+        kind ENUM('recurring', 'once', 'countdown', 'pulse', 'vacation') NOT NULL DEFAULT 'recurring',
+        cron_expression VARCHAR(50) NULL,
+        timezone VARCHAR(64) NULL,
+        solar_event ENUM('sunrise', 'sunset', 'dawn', 'dusk') NULL,
+        offset_minutes INT NOT NULL DEFAULT 0,
+        home_id INT NULL,
+        run_at TIMESTAMP NULL DEFAULT NULL,
+        duration_seconds INT NULL,
+        vacation JSON NULL,
+        action ENUM('turn_on', 'turn_off', 'toggle', 'set_value') NULL,
         value INT,
         is_enabled BOOLEAN DEFAULT TRUE,
+        last_run_at TIMESTAMP NULL DEFAULT NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
         FOREIGN KEY (device_id) REFERENCES devices(device_id) ON DELETE CASCADE,
+        FOREIGN KEY (scene_id) REFERENCES scenes(id) ON DELETE CASCADE,
+        FOREIGN KEY (home_id) REFERENCES homes(id) ON DELETE CASCADE,
         INDEX idx_user_id (user_id),
         INDEX idx_device_id (device_id),
-        INDEX idx_is_enabled (is_enabled)
+        INDEX idx_is_enabled (is_enabled),
+        INDEX idx_kind (kind)
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
     `);
     console.log('✅ Created timers table');
 
+    // Create executions tables (log of every timer and automation run; execution_devices indexes it per device)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS executions (
+        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT NOT NULL,
+        source ENUM('timer', 'automation') NOT NULL,
+        timer_id INT NULL,
+        automation_id INT NULL,
+        name VARCHAR(100) NOT NULL,
+        status ENUM('success', 'partial', 'failed') NOT NULL,
+        trigger_data JSON NULL,
+        conditions JSON NULL,
+        commands JSON NULL,
+        results JSON NOT NULL,
+        error VARCHAR(255) NULL,
+        created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (timer_id) REFERENCES timers(id) ON DELETE SET NULL,
+        FOREIGN KEY (automation_id) REFERENCES automations(id) ON DELETE SET NULL,
+        INDEX idx_user_created (user_id, created_at),
+        INDEX idx_timer_created (timer_id, created_at),
+        INDEX idx_automation_created (automation_id, created_at),
+        INDEX idx_created_at (created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS execution_devices (
+        execution_id BIGINT NOT NULL,
+        device_id VARCHAR(50) NOT NULL,
+        status VARCHAR(20) NOT NULL,
+        PRIMARY KEY (execution_id, device_id),
+        FOREIGN KEY (execution_id) REFERENCES executions(id) ON DELETE CASCADE,
+        INDEX idx_device_execution (device_id, execution_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    console.log('✅ Created executions tables');
+
     // Ensure user_tokens table exists and has app_role and nullable expires_at
     await connection.execute(`
       CREATE TABLE IF NOT EXISTS user_tokens (
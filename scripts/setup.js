@@ -53,6 +53,13 @@ async function createDatabase() {
     `);
     console.log('✅ Ensured users.role column exists');
 
+    // Ensure plan column exists (selects the telemetry retention policy)
+    await connection.execute(`
+      ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS plan VARCHAR(20) NOT NULL DEFAULT 'free'
+    `);
+    console.log('✅ Ensured users.plan column exists');
+
     // Create user_tokens table
     await connection.execute(`
       CREATE TABLE IF NOT EXISTS user_tokens (
@@ -0,0 +1,27 @@
+// DDL of the canonical telemetry table (one row per reading; see services/telemetryNormalizer.js).
+// migrate.js creates device_data from it and migrate-telemetry.js the device_data_v2 it converts
+// old tables into, so both end up with the same layout.
+
+function deviceDataTable(name = 'device_data', { ifNotExists = false } = {}) {
+  return `
+    CREATE TABLE ${ifNotExists ? 'IF NOT EXISTS ' : ''}${name} (
+      id BIGINT PRIMARY KEY AUTO_INCREMENT,
+      device_id VARCHAR(50) NOT NULL,
+      data_type ENUM('state', 'sensor', 'heartbeat', 'error') NOT NULL,
+      metric VARCHAR(64) NULL,
+      value DOUBLE NULL,
+      unit VARCHAR(16) NULL,
+      quality ENUM('good', 'uncertain', 'bad') NOT NULL DEFAULT 'good',
+      payload JSON NULL,
+      observed_at TIMESTAMP(3) NOT NULL,
+      received_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      timestamp_status ENUM('server', 'device', 'corrected', 'implausible') NOT NULL DEFAULT 'server',
+      FOREIGN KEY (device_id) REFERENCES devices(device_id) ON DELETE CASCADE,
+      INDEX idx_device_type_time (device_id, data_type, observed_at),
+      INDEX idx_device_metric_time (device_id, metric, observed_at),
+      INDEX idx_type_time (data_type, observed_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `;
+}
+
+module.exports = { deviceDataTable };
@@ -1,4 +1,6 @@
+const http = require('http');
 const express = require('express');
+const { Server: SocketServer } = require('socket.io');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
@@ -8,15 +10,35 @@ require('dotenv').config();
 
 const db = require('./config/database');
 const mqttService = require('./services/mqttService');
+const commandQueueService = require('./services/commandQueueService');
+const boardWatchdogService = require('./services/boardWatchdogService');
+const embeddedBrokerService = require('./services/embeddedBrokerService');
+const clusterBusService = require('./services/clusterBusService');
+const socketService = require('./services/socketService');
+const telemetryIngestService = require('./services/telemetryIngestService');
+const telemetryRollupService = require('./services/telemetryRollupService');
+const BulkControlService = require('./services/bulkControlService');
+const SceneService = require('./services/sceneService');
+const ExecutionLogService = require('./services/executionLogService');
 const timerService = require('./services/timerService');
+const automationService = require('./services/automationService');
 const swaggerSpec = require('./config/swagger');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const deviceRoutes = require('./routes/devices');
+const deviceTypeRoutes = require('./routes/deviceTypes');
+const deviceGroupRoutes = require('./routes/deviceGroups');
+const homeRoutes = require('./routes/homes');
+const floorRoutes = require('./routes/floors');
+const roomRoutes = require('./routes/rooms');
+const sceneRoutes = require('./routes/scenes');
+const automationRoutes = require('./routes/automations');
+const executionRoutes = require('./routes/executions');
 const dataRoutes = require('./routes/data');
 const timerRoutes = require('./routes/timer');
+const mqttAuthRoutes = require('./routes/mqttAuth');
 // const smartHomeRoutes = require('./routes/smartHome');
 // const iftttRoutes = require('./routes/ifttt');
 
@@ -44,7 +66,9 @@ app.use(cors({
 const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
   max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  // The broker calls the auth hooks on every connect/publish/subscribe
+  skip: (req) => req.path.startsWith('/mqtt/')
 });
 app.use('/api/', limiter);
 
@@ -66,7 +90,8 @@ app.get('/health', (req, res) => {
     status: 'OK',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    environment: process.env.NODE_ENV
+    environment: process.env.NODE_ENV,
+    ingestion: telemetryIngestService.getMetrics()
   });
 });
 
@@ -80,8 +105,17 @@ app.get('/api-docs.json', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/users', authMiddleware, userRoutes);
 app.use('/api/devices', authMiddleware, deviceRoutes);
+app.use('/api/device-types', authMiddleware, deviceTypeRoutes);
+app.use('/api/device-groups', authMiddleware, deviceGroupRoutes);
+app.use('/api/homes', authMiddleware, homeRoutes);
+app.use('/api/floors', authMiddleware, floorRoutes);
+app.use('/api/rooms', authMiddleware, roomRoutes);
+app.use('/api/scenes', authMiddleware, sceneRoutes);
+app.use('/api/automations', authMiddleware, automationRoutes);
+app.use('/api/executions', authMiddleware, executionRoutes);
 app.use('/api/data', authMiddleware, dataRoutes);
 app.use('/api/timers', authMiddleware, timerRoutes);
+app.use('/api/mqtt', mqttAuthRoutes);
 // app.use('/api/smart-home', authMiddleware, smartHomeRoutes);
 // app.use('/api/ifttt', iftttRoutes);
 
@@ -109,16 +143,47 @@ async function initializeServices() {
     await db.testConnection();
     console.log('✅ Database connected successfully');
 
+    // Cross-instance bus (Redis when REDIS_URL is set) must be up before anything subscribes to it
+    await clusterBusService.start();
+
+    // Recover in-flight commands before MQTT starts delivering acks
+    await commandQueueService.start();
+
+    // Batched device_data writes; must run before MQTT starts delivering telemetry
+    telemetryIngestService.start();
+
+    // Downsample device_data into 1m/1h/1d rollups and prune per retention policy, along with
+    // the other logs that only need keeping for a while
+    telemetryRollupService.addRetentionTask('bulk_control_jobs', now => BulkControlService.prune(now));
+    telemetryRollupService.addRetentionTask('scene_activations', now => SceneService.prune(now));
+    telemetryRollupService.addRetentionTask('executions', now => ExecutionLogService.prune(now));
+    telemetryRollupService.start();
+
+    // Flip boards offline when their heartbeats stop
+    boardWatchdogService.start();
+
+    // Embedded broker is explicitly requested, so failing to listen is fatal
+    await embeddedBrokerService.start();
+
     // Initialize MQTT service (optional during initial run)
     try {
       await mqttService.initialize();
       await timerService.start();
+      await automationService.start();
     } catch (e) {
       console.warn('⚠️ MQTT service failed to initialize. Continuing without MQTT for now.');
     }
 
-    // Start server
-    serverRef = app.listen(PORT, HOST, () => {
+    // Start server; Socket.IO shares the HTTP server and relays room events through Redis when clustered
+    serverRef = http.createServer(app);
+    const io = new SocketServer(serverRef, {
+      cors: { origin: process.env.CORS_ORIGIN || "http://localhost:3001", credentials: true }
+    });
+    const socketAdapter = await clusterBusService.createSocketAdapter();
+    if (socketAdapter) io.adapter(socketAdapter);
+    socketService.initialize(io);
+
+    serverRef.listen(PORT, HOST, () => {
       console.log(`🚀 IoT Platform Backend running on ${PORT}`);
     });
 
@@ -128,8 +193,23 @@ async function initializeServices() {
   }
 }
 
+// Flush buffered telemetry before exiting (pm2 reload/stop sends SIGINT)
+async function shutdown(signal) {
+  console.log(`🛑 ${signal} received, shutting down`);
+  try {
+    if (serverRef) serverRef.close();
+    telemetryRollupService.stop();
+    await telemetryIngestService.stop();
+  } catch (error) {
+    console.error('❌ Error during shutdown:', error);
+  }
+  process.exit(0);
+}
+
 // Start the application
 if (require.main === module) {
+  process.once('SIGINT', () => shutdown('SIGINT'));
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
   initializeServices();
 }
 
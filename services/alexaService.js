@@ -1,86 +1,119 @@
-const db = require('../config/database');
-const mqttService = require('./mqttService');
+const DeviceModel = require('../models/deviceModel');
+const SceneModel = require('../models/sceneModel');
+const DeviceTypeRegistry = require('./deviceTypeRegistry');
+const DeviceControlService = require('./deviceControlService');
+const SceneService = require('./sceneService');
+
+function parseState(state) {
+  if (!state) return {};
+  return typeof state === 'string' ? JSON.parse(state) : state;
+}
+
+function toCelsius({ value, scale }) {
+  return scale === 'FAHRENHEIT' ? Math.round(((value - 32) * 5 / 9) * 10) / 10 : value;
+}
+
+// Scene directives answer within Alexa's deadline; devices still pending count as timed out
+const SCENE_ACK_TIMEOUT_MS = 5000;
+
+// RangeController instance per ranged capability
+const RANGE_INSTANCES = { fan_speed: 'FanSpeed', position: 'Blind.Lift' };
+
+class AlexaError extends Error {
+  constructor(type, message) {
+    super(message);
+    this.type = type;
+  }
+}
 
 class AlexaService {
   constructor() {
+    // Registry category -> Alexa display category
     this.deviceTypes = {
       'light': 'LIGHT',
       'switch': 'SWITCH',
       'outlet': 'SMARTPLUG',
       'fan': 'FAN',
       'thermostat': 'THERMOSTAT',
-      'sensor': 'TEMPERATURE_SENSOR'
+      'cover': 'INTERIOR_BLIND',
+      'sensor': 'TEMPERATURE_SENSOR',
+      'other': 'OTHER'
     };
 
+    // Registry capability -> Alexa interface
     this.capabilities = {
-      'light': [
-        'Alexa.PowerController',
-        'Alexa.BrightnessController',
-        'Alexa.EndpointHealth'
-      ],
-      'switch': [
-        'Alexa.PowerController',
-        'Alexa.EndpointHealth'
-      ],
-      'outlet': [
-        'Alexa.PowerController',
-        'Alexa.EndpointHealth'
-      ],
-      'fan': [
-        'Alexa.PowerController',
-        'Alexa.RangeController',
-        'Alexa.EndpointHealth'
-      ],
-      'thermostat': [
-        'Alexa.ThermostatController',
-        'Alexa.TemperatureSensor',
-        'Alexa.EndpointHealth'
-      ],
-      'sensor': [
-        'Alexa.TemperatureSensor',
-        'Alexa.EndpointHealth'
-      ]
+      'on_off': 'Alexa.PowerController',
+      'level': 'Alexa.BrightnessController',
+      'color': 'Alexa.ColorController',
+      'color_temperature': 'Alexa.ColorTemperatureController',
+      'fan_speed': 'Alexa.RangeController',
+      'position': 'Alexa.RangeController',
+      'thermostat_setpoint': 'Alexa.ThermostatController',
+      'thermostat_mode': 'Alexa.ThermostatController',
+      'temperature': 'Alexa.TemperatureSensor'
     };
   }
 
+  // [{ interface, capability }], one RangeController per ranged capability
+  getInterfaces(deviceType) {
+    const interfaces = [];
+    for (const name of DeviceTypeRegistry.capabilityNames(deviceType)) {
+      const alexaInterface = this.capabilities[name];
+      if (!alexaInterface) continue;
+      if (alexaInterface !== 'Alexa.RangeController' && interfaces.some(entry => entry.interface === alexaInterface)) continue;
+      interfaces.push({ interface: alexaInterface, capability: name });
+    }
+    interfaces.push({ interface: 'Alexa.EndpointHealth' });
+    return interfaces;
+  }
+
   async handleDiscovery(userId) {
     try {
       console.log(`🔍 Alexa Discovery request for user ${userId}`);
 
-      // Get user's devices
-      const devices = await db.query(`
-        SELECT device_id, name, description, room, device_type, config, is_online
-        FROM devices
-        WHERE user_id = ?
-        ORDER BY name
-      `, [userId]);
-
-      const alexaEndpoints = devices.map(device => {
-        const deviceConfig = device.config ? JSON.parse(device.config) : {};
-        const deviceType = deviceConfig.alexa_type || 'switch';
-
-        return {
-          endpointId: device.device_id,
-          manufacturerName: 'IoT Platform',
-          friendlyName: device.name,
-          description: device.description || `Smart ${deviceType} controlled by ESP32`,
-          displayCategories: [this.deviceTypes[deviceType] || this.deviceTypes.switch],
-          capabilities: this.buildCapabilities(deviceType, deviceConfig),
-          additionalAttributes: {
-            manufacturer: 'IoT Platform',
-            model: device.device_type || 'ESP32',
-            serialNumber: device.device_id,
-            firmwareVersion: '2.0.0',
-            softwareVersion: '2.0.0',
-            customIdentifier: device.device_id
-          }
-        };
-      });
-
-      console.log(`✅ Discovery response: ${alexaEndpoints.length} endpoints`);
+      const devices = await DeviceModel.getDevicesByUser(userId);
+
+      const alexaEndpoints = devices
+        .filter(device => DeviceTypeRegistry.has(device.device_type))
+        .map(device => {
+          const definition = DeviceTypeRegistry.get(device.device_type);
+
+          return {
+            endpointId: device.device_id,
+            manufacturerName: 'IoT Platform',
+            friendlyName: device.name,
+            // Alexa has no room field; the room shows up in the app's device description
+            description: device.room_name ? `${definition.label} in ${device.room_name}` : `${definition.label} controlled by ESP32`,
+            displayCategories: [this.deviceTypes[definition.category] || this.deviceTypes.other],
+            capabilities: this.buildCapabilities(device.device_type),
+            additionalAttributes: {
+              manufacturer: 'IoT Platform',
+              model: device.device_type,
+              serialNumber: device.device_id,
+              firmwareVersion: '2.0.0',
+              softwareVersion: '2.0.0',
+              customIdentifier: device.device_id
+            }
+          };
+        });
+
+      const scenes = await SceneModel.listScenes(userId);
+      const sceneEndpoints = scenes.map(scene => ({
+        endpointId: SceneService.endpointId(scene.id),
+        manufacturerName: 'IoT Platform',
+        friendlyName: scene.name,
+        description: scene.description || 'Scene',
+        displayCategories: ['SCENE_TRIGGER'],
+        capabilities: [
+          { type: 'AlexaInterface', interface: 'Alexa.SceneController', version: '3', supportsDeactivation: true },
+          { type: 'AlexaInterface', interface: 'Alexa', version: '3' }
+        ]
+      }));
+
+      console.log(`✅ Discovery response: ${alexaEndpoints.length} endpoints, ${sceneEndpoints.length} scenes`);
 
       return {
-        endpoints: alexaEndpoints
+        endpoints: [...alexaEndpoints, ...sceneEndpoints]
       };
 
     } catch (error) {
@@ -89,7 +122,7 @@ class AlexaService {
     }
   }
 
-  async handleDirective(directive) {
+  async handleDirective(directive, userId) {
     try {
       const { header, endpoint, payload } = directive;
       const { namespace, name } = header;
@@ -97,39 +130,20 @@ class AlexaService {
 
       console.log(`⚡ Alexa Directive: ${namespace}.${name} for ${endpointId}`);
 
-      // Get device from database
-      const devices = await db.query(`
-        SELECT id, device_id, user_id, name, config
-        FROM devices
-        WHERE device_id = ?
-      `, [endpointId]);
-
-      if (devices.length === 0) {
-        throw new Error('Device not found');
+      if (namespace === 'Alexa.SceneController') {
+        return await this.handleSceneDirective(directive, userId);
       }
 
-      const device = devices[0];
-      const deviceConfig = device.config ? JSON.parse(device.config) : {};
-
-      let response;
-
-      switch (namespace) {
-        case 'Alexa.PowerController':
-          response = await this.handlePowerController(device, name, payload, deviceConfig);
-          break;
-        case 'Alexa.BrightnessController':
-          response = await this.handleBrightnessController(device, name, payload, deviceConfig);
-          break;
-        case 'Alexa.RangeController':
-          response = await this.handleRangeController(device, name, payload, deviceConfig);
-          break;
-        case 'Alexa.ThermostatController':
-          response = await this.handleThermostatController(device, name, payload, deviceConfig);
-          break;
-        default:
-          throw new Error(`Unsupported namespace: ${namespace}`);
+      const device = await DeviceModel.findDevice(endpointId);
+
+      if (!device || !DeviceTypeRegistry.has(device.device_type)) {
+        throw new AlexaError('NO_SUCH_ENDPOINT', 'Device not found');
       }
 
+      const request = this.convertDirective(device, namespace, name, payload, header.instance);
+      const result = await this.execute(device, request);
+      const response = { properties: this.buildProperties(device.device_type, { ...parseState(device.state), ...result.patch }) };
+
       // Build response
       return {
         event: {
@@ -163,7 +177,7 @@ class AlexaService {
             messageId: this.generateMessageId()
           },
           payload: {
-            type: 'INTERNAL_ERROR',
+            type: error.type || 'INTERNAL_ERROR',
             message: error.message
           }
         }
@@ -171,162 +185,149 @@ class AlexaService {
     }
   }
 
-  async handlePowerController(device, name, payload, config) {
-    const powerState = name === 'TurnOn' ? 'ON' : 'OFF';
-    
-    // Send MQTT command
-    const mqttCommand = {
-      action: 'gpio',
-      pin: config.control_pin || 2,
-      state: powerState === 'ON' ? 'on' : 'off',
-      source: 'alexa',
-      userId: device.user_id,
-      timestamp: new Date().toISOString()
-    };
+  // Activate runs the scene, Deactivate undoes its latest activation
+  async handleSceneDirective({ header, endpoint }, userId) {
+    const sceneId = SceneService.sceneIdFromEndpoint(endpoint.endpointId);
+    if (!sceneId || !userId) {
+      throw new AlexaError('NO_SUCH_ENDPOINT', 'Scene not found');
+    }
+    if (header.name !== 'Activate' && header.name !== 'Deactivate') {
+      throw new AlexaError('INVALID_DIRECTIVE', `Unsupported directive: ${header.namespace}.${header.name}`);
+    }
 
-    await mqttService.sendDeviceCommand(device.device_id, mqttCommand);
+    const options = { timeoutMs: SCENE_ACK_TIMEOUT_MS };
+    const result = header.name === 'Activate'
+      ? await SceneService.activate(userId, sceneId, { ...options, source: 'voice' })
+      : await SceneService.undoLatest(userId, sceneId, options);
+    if (!result) throw new AlexaError('NO_SUCH_ENDPOINT', 'Scene not found');
+    if (result.error) throw new AlexaError('NOT_SUPPORTED_IN_CURRENT_MODE', result.error);
+    if (result.results.length > 0 && result.summary.acked === 0) {
+      throw new AlexaError('ENDPOINT_UNREACHABLE', 'No device acknowledged the scene');
+    }
 
     return {
-      properties: [
-        {
-          namespace: 'Alexa.PowerController',
-          name: 'powerState',
-          value: powerState,
-          timeOfSample: new Date().toISOString(),
-          uncertaintyInMilliseconds: 500
+      event: {
+        header: {
+          namespace: 'Alexa.SceneController',
+          name: header.name === 'Activate' ? 'ActivationStarted' : 'DeactivationStarted',
+          payloadVersion: '3',
+          messageId: this.generateMessageId(),
+          correlationToken: header.correlationToken
+        },
+        endpoint: {
+          scope: endpoint.scope,
+          endpointId: endpoint.endpointId
+        },
+        payload: {
+          cause: { type: 'VOICE_INTERACTION' },
+          timestamp: new Date().toISOString()
         }
-      ]
+      },
+      context: {}
     };
   }
 
-  async handleBrightnessController(device, name, payload, config) {
-    let brightness;
-
-    switch (name) {
-      case 'SetBrightness':
-        brightness = payload.brightness;
-        break;
-      case 'AdjustBrightness':
-        // Get current brightness from database or assume 50%
-        brightness = Math.max(0, Math.min(100, 50 + payload.brightnessDelta));
-        break;
-      default:
-        throw new Error(`Unsupported brightness command: ${name}`);
+  // Run a capability command on the device through its type's firmware mapping
+  async execute(device, request) {
+    if (!DeviceTypeRegistry.hasCapability(device.device_type, request.capability)) {
+      throw new AlexaError('INVALID_DIRECTIVE', `${device.device_type} has no ${request.capability} capability`);
+    }
+    if (!device.is_online) {
+      throw new AlexaError('ENDPOINT_UNREACHABLE', 'Board is offline');
     }
 
-    // Send MQTT command
-    const mqttCommand = {
-      action: 'pwm',
-      pin: config.control_pin || 2,
-      value: Math.round((brightness / 100) * 255),
-      source: 'alexa',
-      userId: device.user_id,
-      timestamp: new Date().toISOString()
-    };
-
-    await mqttService.sendDeviceCommand(device.device_id, mqttCommand);
-
-    return {
-      properties: [
-        {
-          namespace: 'Alexa.BrightnessController',
-          name: 'brightness',
-          value: brightness,
-          timeOfSample: new Date().toISOString(),
-          uncertaintyInMilliseconds: 500
-        }
-      ]
-    };
+    const result = await DeviceControlService.execute(device, request);
+    if (result.error) throw new AlexaError('INVALID_VALUE', result.error);
+    if (!result.acked) throw new AlexaError('ENDPOINT_UNREACHABLE', 'ESP32 did not acknowledge the command');
+    return result;
   }
 
-  async handleRangeController(device, name, payload, config) {
-    let rangeValue;
-
-    switch (name) {
-      case 'SetRangeValue':
-        rangeValue = payload.rangeValue;
-        break;
-      case 'AdjustRangeValue':
-        // Get current value from database or assume 50
-        rangeValue = Math.max(0, Math.min(100, 50 + payload.rangeValueDelta));
-        break;
+  // Alexa directive -> capability command
+  convertDirective(device, namespace, name, payload, instance) {
+    switch (`${namespace}.${name}`) {
+      case 'Alexa.PowerController.TurnOn':
+        return { capability: 'on_off', command: 'on' };
+      case 'Alexa.PowerController.TurnOff':
+        return { capability: 'on_off', command: 'off' };
+      case 'Alexa.BrightnessController.SetBrightness':
+        return { capability: 'level', command: 'set', args: { percent: payload.brightness } };
+      case 'Alexa.BrightnessController.AdjustBrightness':
+        return { capability: 'level', command: 'step', args: { percent: payload.brightnessDelta } };
+      case 'Alexa.RangeController.SetRangeValue':
+      case 'Alexa.RangeController.AdjustRangeValue': {
+        const capability = Object.keys(RANGE_INSTANCES).find(key => RANGE_INSTANCES[key] === instance) ||
+          Object.keys(RANGE_INSTANCES).find(key => DeviceTypeRegistry.hasCapability(device.device_type, key));
+        return name === 'SetRangeValue'
+          ? { capability, command: 'set', args: { percent: payload.rangeValue } }
+          : { capability, command: 'step', args: { percent: payload.rangeValueDelta } };
+      }
+      case 'Alexa.ColorController.SetColor':
+        return {
+          capability: 'color',
+          command: 'set',
+          args: { hsv: { h: payload.color.hue, s: payload.color.saturation * 100, v: payload.color.brightness * 100 } }
+        };
+      case 'Alexa.ColorTemperatureController.SetColorTemperature':
+        return { capability: 'color_temperature', command: 'set', args: { kelvin: Math.round(payload.colorTemperatureInKelvin) } };
+      case 'Alexa.ThermostatController.SetTargetTemperature':
+        return { capability: 'thermostat_setpoint', command: 'set', args: { celsius: toCelsius(payload.targetSetpoint) } };
+      case 'Alexa.ThermostatController.AdjustTargetTemperature': {
+        const delta = payload.targetSetpointDelta;
+        return { capability: 'thermostat_setpoint', command: 'step', args: { delta: delta.scale === 'FAHRENHEIT' ? delta.value * 5 / 9 : delta.value } };
+      }
+      case 'Alexa.ThermostatController.SetThermostatMode':
+        return { capability: 'thermostat_mode', command: 'set', args: { mode: String(payload.thermostatMode.value).toLowerCase() } };
       default:
-        throw new Error(`Unsupported range command: ${name}`);
+        throw new AlexaError('INVALID_DIRECTIVE', `Unsupported directive: ${namespace}.${name}`);
     }
+  }
 
-    // Send MQTT command (for fan speed control)
-    const mqttCommand = {
-      action: 'pwm',
-      pin: config.control_pin || 2,
-      value: Math.round((rangeValue / 100) * 255),
-      source: 'alexa',
-      userId: device.user_id,
-      timestamp: new Date().toISOString()
-    };
-
-    await mqttService.sendDeviceCommand(device.device_id, mqttCommand);
-
+  property(namespace, name, value, extra = {}) {
     return {
-      properties: [
-        {
-          namespace: 'Alexa.RangeController',
-          instance: 'FanSpeed',
-          name: 'rangeValue',
-          value: rangeValue,
-          timeOfSample: new Date().toISOString(),
-          uncertaintyInMilliseconds: 500
-        }
-      ]
+      namespace,
+      ...extra,
+      name,
+      value,
+      timeOfSample: new Date().toISOString(),
+      uncertaintyInMilliseconds: 500
     };
   }
 
-  async handleThermostatController(device, name, payload, config) {
-    let targetTemperature;
-
-    switch (name) {
-      case 'SetTargetTemperature':
-        targetTemperature = payload.targetSetpoint.value;
-        break;
-      case 'AdjustTargetTemperature':
-        // Get current target from database or assume 22°C
-        targetTemperature = 22 + payload.targetSetpointDelta.value;
-        break;
-      default:
-        throw new Error(`Unsupported thermostat command: ${name}`);
-    }
-
-    // Send MQTT command
-    const mqttCommand = {
-      action: 'thermostat',
-      target_temperature: targetTemperature,
-      source: 'alexa',
-      userId: device.user_id,
-      timestamp: new Date().toISOString()
+  // Context properties for the device's state after a directive
+  buildProperties(deviceType, state) {
+    const properties = [];
+    const read = name => {
+      const capability = DeviceTypeRegistry.capability(deviceType, name);
+      return capability && !capability.readOnly && !capability.momentary ? state[capability.stateKey] : undefined;
     };
 
-    await mqttService.sendDeviceCommand(device.device_id, mqttCommand);
-
-    return {
-      properties: [
-        {
-          namespace: 'Alexa.ThermostatController',
-          name: 'targetSetpoint',
-          value: {
-            value: targetTemperature,
-            scale: 'CELSIUS'
-          },
-          timeOfSample: new Date().toISOString(),
-          uncertaintyInMilliseconds: 500
-        }
-      ]
-    };
+    if (read('on_off') !== undefined) {
+      properties.push(this.property('Alexa.PowerController', 'powerState', read('on_off') ? 'ON' : 'OFF'));
+    }
+    if (read('level') !== undefined) {
+      properties.push(this.property('Alexa.BrightnessController', 'brightness', DeviceTypeRegistry.toPercent(deviceType, 'level', read('level'))));
+    }
+    for (const [name, instance] of Object.entries(RANGE_INSTANCES)) {
+      if (read(name) !== undefined) {
+        properties.push(this.property('Alexa.RangeController', 'rangeValue', DeviceTypeRegistry.toPercent(deviceType, name, read(name)), { instance }));
+      }
+    }
+    if (read('color_temperature') !== undefined) {
+      properties.push(this.property('Alexa.ColorTemperatureController', 'colorTemperatureInKelvin', read('color_temperature')));
+    }
+    if (read('thermostat_setpoint') !== undefined) {
+      properties.push(this.property('Alexa.ThermostatController', 'targetSetpoint', { value: read('thermostat_setpoint'), scale: 'CELSIUS' }));
+    }
+    if (read('thermostat_mode') !== undefined) {
+      properties.push(this.property('Alexa.ThermostatController', 'thermostatMode', String(read('thermostat_mode')).toUpperCase()));
+    }
+    return properties;
   }
 
-  buildCapabilities(deviceType, config) {
+  buildCapabilities(deviceType) {
     const capabilities = [];
-    const deviceCapabilities = this.capabilities[deviceType] || this.capabilities.switch;
 
-    for (const capability of deviceCapabilities) {
+    for (const { interface: capability, capability: name } of this.getInterfaces(deviceType)) {
       const capabilityObj = {
         type: 'AlexaInterface',
         interface: capability,
@@ -335,11 +336,11 @@ class AlexaService {
 
       // Add specific configurations for certain capabilities
       if (capability === 'Alexa.RangeController') {
-        capabilityObj.instance = 'FanSpeed';
+        const label = name === 'position' ? 'Position' : 'Fan Speed';
+        capabilityObj.instance = RANGE_INSTANCES[name];
         capabilityObj.capabilityResources = {
           friendlyNames: [
-            { '@type': 'text', value: { text: 'Speed', locale: 'en-US' } },
-            { '@type': 'text', value: { text: 'Fan Speed', locale: 'en-US' } }
+            { '@type': 'text', value: { text: label, locale: 'en-US' } }
           ]
         };
         capabilityObj.configuration = {
@@ -347,6 +348,13 @@ class AlexaService {
           unitOfMeasure: 'Alexa.Unit.Percent'
         };
       }
+      if (capability === 'Alexa.ThermostatController') {
+        const mode = DeviceTypeRegistry.capability(deviceType, 'thermostat_mode');
+        capabilityObj.configuration = {
+          supportedModes: mode ? mode.schema.enum.map(value => value.toUpperCase()) : ['HEAT'],
+          supportsScheduling: false
+        };
+      }
 
       capabilities.push(capabilityObj);
     }
@@ -0,0 +1,206 @@
+// Conditions of an automation rule: a tree of groups ({ all: [...] } is AND,
+// { any: [...] } is OR) over three kinds of leaf:
+//   { type: 'sensor', device_id, metric, operator, value, for_seconds?, hysteresis? }
+//   { type: 'state', device_id, key, operator, value, for_seconds? }
+//   { type: 'time', from: 'HH:MM', to: 'HH:MM', days?: [0-6] }   (0 = Sunday; a window may wrap midnight)
+// Time windows read the clock in the rule owner's timezone (the server's if unset).
+// Evaluation is pure: the caller passes the rule's runtime state, one entry per
+// leaf keyed by its path in the tree ({ value, at } of the last sensor reading,
+// `since` when the leaf started to hold, `latched` while a hysteresis band is
+// crossed), and stores the runtime state it gets back.
+
+const TimeZone = require('./timeZone');
+
+const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+const MAX_DEPTH = 4;
+const MAX_LEAVES = 20;
+const MAX_FOR_SECONDS = 24 * 60 * 60;
+const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function isGroup(node) {
+  return Boolean(node) && typeof node === 'object' && (Array.isArray(node.all) || Array.isArray(node.any));
+}
+
+function children(node) {
+  return node.all || node.any;
+}
+
+// Every leaf with its path: the root is 'c', its second child 'c.1', and so on
+function leaves(node, path = 'c', list = []) {
+  if (isGroup(node)) {
+    children(node).forEach((child, index) => leaves(child, `${path}.${index}`, list));
+  } else {
+    list.push({ path, leaf: node });
+  }
+  return list;
+}
+
+function minutesOf(time) {
+  const [, hours, minutes] = TIME_OF_DAY.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+function inWindow({ from, to, days }, now, timeZone) {
+  const wall = new Date(TimeZone.wallTime(now, timeZone));
+  const minute = wall.getUTCHours() * 60 + wall.getUTCMinutes();
+  const start = minutesOf(from);
+  const end = minutesOf(to);
+  const wraps = end <= start;
+  const inside = wraps ? minute >= start || minute < end : minute >= start && minute < end;
+  if (!inside || !Array.isArray(days)) return inside;
+  // After midnight, a wrapping window still belongs to the day it opened on
+  const day = wraps && minute < end ? (wall.getUTCDay() + 6) % 7 : wall.getUTCDay();
+  return days.includes(day);
+}
+
+// Past a hysteresis band, a crossed threshold only releases `hysteresis` further back
+function compare(leaf, value, latched) {
+  if (value === undefined || value === null) return false;
+  const band = latched && leaf.hysteresis ? leaf.hysteresis : 0;
+  if (leaf.operator === '>' || leaf.operator === '>=') return OPERATORS[leaf.operator](value, leaf.value - band);
+  if (leaf.operator === '<' || leaf.operator === '<=') return OPERATORS[leaf.operator](value, leaf.value + band);
+  return OPERATORS[leaf.operator](value, leaf.value);
+}
+
+function leafErrors(leaf, at) {
+  if (!leaf || typeof leaf !== 'object') return [`${at} must be a condition or a group ({ all } / { any })`];
+  const errors = [];
+
+  if (leaf.type === 'time') {
+    if (!TIME_OF_DAY.test(leaf.from || '') || !TIME_OF_DAY.test(leaf.to || '')) errors.push(`${at}.from and ${at}.to must be HH:MM`);
+    if (leaf.days !== undefined && (!Array.isArray(leaf.days) || leaf.days.length === 0 || !leaf.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+      errors.push(`${at}.days must list weekdays 0 (Sunday) to 6`);
+    }
+    return errors;
+  }
+
+  if (leaf.type !== 'sensor' && leaf.type !== 'state') return [`${at}.type must be sensor, state or time`];
+  if (typeof leaf.device_id !== 'string' || leaf.device_id.length === 0) errors.push(`${at}.device_id is required`);
+  if (leaf.type === 'sensor' && (typeof leaf.metric !== 'string' || leaf.metric.length === 0)) errors.push(`${at}.metric is required`);
+  if (leaf.type === 'state' && (typeof leaf.key !== 'string' || leaf.key.length === 0)) errors.push(`${at}.key is required`);
+  if (!OPERATORS[leaf.operator]) errors.push(`${at}.operator must be one of ${Object.keys(OPERATORS).join(' ')}`);
+
+  const ordered = ['>', '>=', '<', '<='].includes(leaf.operator);
+  if (leaf.type === 'sensor' || ordered) {
+    if (typeof leaf.value !== 'number' || !Number.isFinite(leaf.value)) errors.push(`${at}.value must be a number`);
+  } else if (!['number', 'string', 'boolean'].includes(typeof leaf.value)) {
+    errors.push(`${at}.value must be a number, string or boolean`);
+  }
+
+  if (leaf.for_seconds !== undefined && (!Number.isInteger(leaf.for_seconds) || leaf.for_seconds < 0 || leaf.for_seconds > MAX_FOR_SECONDS)) {
+    errors.push(`${at}.for_seconds must be an integer between 0 and ${MAX_FOR_SECONDS}`);
+  }
+  if (leaf.hysteresis !== undefined) {
+    if (leaf.type !== 'sensor' || !ordered) errors.push(`${at}.hysteresis only applies to sensor conditions with >, >=, < or <=`);
+    else if (typeof leaf.hysteresis !== 'number' || !(leaf.hysteresis >= 0)) errors.push(`${at}.hysteresis must be a non-negative number`);
+  }
+  return errors;
+}
+
+function nodeErrors(node, at, depth) {
+  if (!isGroup(node)) return leafErrors(node, at);
+  if (depth >= MAX_DEPTH) return [`${at} nests groups deeper than ${MAX_DEPTH} levels`];
+  if (node.all && node.any) return [`${at} must have either all or any, not both`];
+  const list = children(node);
+  if (list.length === 0) return [`${at}.${node.all ? 'all' : 'any'} must not be empty`];
+  return list.flatMap((child, index) => nodeErrors(child, `${at}.${node.all ? 'all' : 'any'}[${index}]`, depth + 1));
+}
+
+function evaluateNode(node, path, runtime, context, next, report) {
+  if (isGroup(node)) {
+    // Every child is evaluated, so their `since` clocks keep running
+    const results = children(node).map((child, index) => evaluateNode(child, `${path}.${index}`, runtime, context, next, report));
+    return node.all ? results.every(Boolean) : results.some(Boolean);
+  }
+
+  const entry = runtime[path] || {};
+  let value;
+  let holds;
+  if (node.type === 'time') {
+    holds = inWindow(node, context.now, context.timeZone);
+  } else if (node.type === 'sensor') {
+    value = entry.value;
+    holds = compare(node, value, entry.latched);
+  } else {
+    value = context.states[node.device_id] ? context.states[node.device_id][node.key] : undefined;
+    holds = compare(node, value, false);
+  }
+
+  const updated = { ...entry };
+  delete updated.since;
+  delete updated.latched;
+  if (holds && node.hysteresis) updated.latched = true;
+  if (holds && node.for_seconds) updated.since = entry.since || context.now.getTime();
+  next[path] = updated;
+
+  const met = holds && (!node.for_seconds || context.now.getTime() - updated.since >= node.for_seconds * 1000);
+  report.push({ path, type: node.type, met, ...(value !== undefined ? { value } : {}) });
+  return met;
+}
+
+const AutomationConditions = {
+  operators: Object.keys(OPERATORS),
+  maxLeaves: MAX_LEAVES,
+
+  // [] when the tree is valid, otherwise one message per problem
+  validate(conditions) {
+    if (!conditions || typeof conditions !== 'object') return ['conditions must be a condition or a group ({ all } / { any })'];
+    const errors = nodeErrors(conditions, 'conditions', 0);
+    if (errors.length === 0 && leaves(conditions).length > MAX_LEAVES) errors.push(`At most ${MAX_LEAVES} conditions per rule`);
+    return errors;
+  },
+
+  // Devices whose sensor readings ('sensor') or state ('state') the conditions read
+  deviceIds(conditions, type) {
+    return [...new Set(leaves(conditions).filter(({ leaf }) => leaf.type === type).map(({ leaf }) => leaf.device_id))];
+  },
+
+  // Distinct { device_id, metric } pairs the sensor conditions read
+  sensorMetrics(conditions) {
+    const pairs = new Map();
+    for (const { leaf } of leaves(conditions)) {
+      if (leaf.type === 'sensor') pairs.set(`${leaf.device_id}\u0000${leaf.metric}`, { device_id: leaf.device_id, metric: leaf.metric });
+    }
+    return [...pairs.values()];
+  },
+
+  // Conditions that can turn true with nothing arriving from a board: a duration running out, a time window opening
+  isTimed(conditions) {
+    return leaves(conditions).some(({ leaf }) => leaf.type === 'time' || leaf.for_seconds);
+  },
+
+  /**
+   * Record readings ([{ metric, value }]) of `deviceId` in the sensor leaves
+   * that watch them. Returns the new runtime state.
+   */
+  observe(conditions, runtime, deviceId, readings, observedAt) {
+    const next = { ...runtime };
+    for (const { path, leaf } of leaves(conditions)) {
+      if (leaf.type !== 'sensor' || leaf.device_id !== deviceId) continue;
+      const reading = readings.find(candidate => candidate.metric === leaf.metric);
+      if (reading) next[path] = { ...next[path], value: reading.value, at: new Date(observedAt).toISOString() };
+    }
+    return next;
+  },
+
+  /**
+   * Evaluate the tree at `now` against the recorded sensor values and the
+   * current device `states` ({ device_id: state }), with time windows in
+   * `timeZone`. Returns { met, runtime, leaves: [{ path, type, met, value? }] }.
+   */
+  evaluate(conditions, runtime = {}, { now = new Date(), states = {}, timeZone } = {}) {
+    const next = {};
+    const report = [];
+    const met = evaluateNode(conditions, 'c', runtime, { now, states, timeZone }, next, report);
+    return { met, runtime: next, leaves: report };
+  }
+};
+
+module.exports = AutomationConditions;
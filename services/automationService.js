@@ -0,0 +1,253 @@
+const AutomationModel = require('../models/automationModel');
+const DeviceModel = require('../models/deviceModel');
+const SceneModel = require('../models/sceneModel');
+const AutomationConditions = require('./automationConditions');
+const DeviceTypeRegistry = require('./deviceTypeRegistry');
+const TelemetryNormalizer = require('./telemetryNormalizer');
+const BulkControlService = require('./bulkControlService');
+const SceneService = require('./sceneService');
+const ExecutionLogService = require('./executionLogService');
+const clusterBusService = require('./clusterBusService');
+
+const TICK_MS = parseInt(process.env.AUTOMATION_TICK_MS || '30000', 10);
+const MAX_ACTIONS = 20;
+const MAX_COOLDOWN_SECONDS = 7 * 24 * 60 * 60;
+
+// Enabled rules by id, reloaded when one changes
+const rules = new Map();
+// Per-rule promise chain: one evaluation of a rule at a time on this instance
+const queues = new Map();
+let tickTimer = null;
+
+function parseState(state) {
+  if (!state) return {};
+  return typeof state === 'string' ? JSON.parse(state) : state;
+}
+
+// Device actions are the bulk control command forms; a scene action is { type: 'scene', scene_id }
+function deviceItem({ type, ...item }) {
+  return item;
+}
+
+/**
+ * Event-driven rules: "if <conditions> then <actions>". Sensor readings and
+ * state changes from mqttService, plus a periodic tick for durations and time
+ * windows, re-evaluate the rules that watch them. A rule fires when its
+ * conditions become true and fires again only after they were false in
+ * between (and its cooldown is over). Condition progress lives in the
+ * database, so every instance sees the same rule state.
+ */
+const AutomationService = {
+  tickMs: TICK_MS,
+
+  async start() {
+    // Other instances reload rules edited through them, or all of a user's after a timezone change
+    clusterBusService.subscribe('automation_changed', ({ automationId, userId }, { local }) => {
+      if (local) return;
+      return automationId !== undefined ? this.reload(automationId) : this.reloadUser(userId);
+    });
+
+    for (const rule of await AutomationModel.getEnabledAutomations()) {
+      rules.set(rule.id, rule);
+    }
+
+    if (!tickTimer) {
+      tickTimer = setInterval(() => this.tick(), TICK_MS);
+      tickTimer.unref();
+    }
+    console.log(`🤖 Automation engine started with ${rules.size} rules`);
+  },
+
+  async reload(automationId) {
+    const rule = await AutomationModel.getEnabledAutomation(automationId);
+    if (rule) {
+      rules.set(rule.id, rule);
+    } else {
+      rules.delete(Number(automationId));
+    }
+  },
+
+  async reloadUser(userId) {
+    for (const [id, rule] of rules) {
+      if (rule.user_id === Number(userId)) rules.delete(id);
+    }
+    for (const rule of await AutomationModel.getEnabledAutomationsByUser(userId)) {
+      rules.set(rule.id, rule);
+    }
+  },
+
+  // Tell the other instances to pick up a created, updated or deleted rule
+  announceChange(automationId) {
+    clusterBusService.publish('automation_changed', { automationId: Number(automationId) })
+      .catch(error => console.error(`❌ Failed to announce change of automation ${automationId}:`, error));
+  },
+
+  // Tell the other instances to reload every rule of a user
+  announceUserChange(userId) {
+    clusterBusService.publish('automation_changed', { userId: Number(userId) })
+      .catch(error => console.error(`❌ Failed to announce automation changes of user ${userId}:`, error));
+  },
+
+  /**
+   * Check a rule definition from the API: { errors } lists what is wrong with
+   * the conditions, actions and cooldown. Devices and scenes must be the user's.
+   */
+  async validate({ conditions, actions, cooldown_seconds }, userId) {
+    const errors = AutomationConditions.validate(conditions);
+
+    if (!Array.isArray(actions) || actions.length === 0 || actions.length > MAX_ACTIONS) {
+      errors.push(`actions must be an array of 1 to ${MAX_ACTIONS} actions`);
+    } else {
+      const sceneActions = actions.filter(action => action && action.type === 'scene');
+      const deviceActions = actions.filter(action => action && action.type === 'device');
+      if (sceneActions.length + deviceActions.length !== actions.length) errors.push('Every action needs type device or scene');
+
+      const parsed = deviceActions.length > 0 ? await BulkControlService.parseRequest({ commands: deviceActions.map(deviceItem) }, userId) : { items: [] };
+      if (parsed.error) errors.push(parsed.error);
+      const items = parsed.items || [];
+      const devices = items.length > 0 ? await DeviceModel.getDevicesWithBoards(items.map(item => item.device_id), userId) : [];
+      for (const item of items) {
+        const device = devices.find(candidate => candidate.device_id === item.device_id);
+        if (!device) {
+          errors.push(`Device ${item.device_id} not found`);
+          continue;
+        }
+        const resolved = item.capability !== undefined
+          ? DeviceTypeRegistry.resolveCommand(device.device_type, item, parseState(device.state))
+          : DeviceTypeRegistry.controlPatch(device.device_type, item, parseState(device.state));
+        if (resolved.error) errors.push(`${item.device_id}: ${resolved.error}`);
+      }
+
+      for (const action of sceneActions) {
+        if (!(await SceneModel.getScene(action.scene_id, userId))) errors.push(`Scene ${action.scene_id} not found`);
+      }
+    }
+
+    if (errors.length === 0) {
+      const watched = [...new Set([...AutomationConditions.deviceIds(conditions, 'sensor'), ...AutomationConditions.deviceIds(conditions, 'state')])];
+      const owned = await DeviceModel.getDevicesWithBoards(watched, userId);
+      for (const deviceId of watched.filter(id => !owned.some(device => device.device_id === id))) {
+        errors.push(`Device ${deviceId} not found`);
+      }
+    }
+
+    if (cooldown_seconds !== undefined && (!Number.isInteger(cooldown_seconds) || cooldown_seconds < 0 || cooldown_seconds > MAX_COOLDOWN_SECONDS)) {
+      errors.push(`cooldown_seconds must be an integer between 0 and ${MAX_COOLDOWN_SECONDS}`);
+    }
+    return { errors };
+  },
+
+  // The newest reading of a sensor message; mqttService does not wait for the rules
+  onSensorData(deviceId, values, observedAt) {
+    const readings = TelemetryNormalizer.sensorReadings(values).filter(reading => reading.value !== null && reading.quality !== 'bad');
+    if (readings.length === 0) return;
+    const trigger = { type: 'sensor', device_id: deviceId, readings: readings.map(({ metric, value }) => ({ metric, value })), observed_at: observedAt };
+
+    for (const rule of rules.values()) {
+      if (AutomationConditions.deviceIds(rule.conditions, 'sensor').includes(deviceId)) {
+        this.enqueue(rule.id, () => this.evaluate(rule.id, trigger, readings));
+      }
+    }
+  },
+
+  onStateChange(deviceId) {
+    for (const rule of rules.values()) {
+      if (AutomationConditions.deviceIds(rule.conditions, 'state').includes(deviceId)) {
+        this.enqueue(rule.id, () => this.evaluate(rule.id, { type: 'state', device_id: deviceId }));
+      }
+    }
+  },
+
+  // Durations and time windows can complete between messages
+  tick() {
+    for (const rule of rules.values()) {
+      if (AutomationConditions.isTimed(rule.conditions) && !queues.has(rule.id)) {
+        this.enqueue(rule.id, () => this.evaluate(rule.id, { type: 'tick' }));
+      }
+    }
+  },
+
+  enqueue(ruleId, task) {
+    const next = (queues.get(ruleId) || Promise.resolve())
+      .then(task)
+      .catch(error => console.error(`❌ Automation ${ruleId} failed:`, error));
+    queues.set(ruleId, next);
+    next.then(() => {
+      if (queues.get(ruleId) === next) queues.delete(ruleId);
+    });
+    return next;
+  },
+
+  async evaluate(ruleId, trigger, readings = null) {
+    const rule = rules.get(ruleId);
+    const runtime = await AutomationModel.getRuntime(ruleId);
+    if (!rule || !runtime || !runtime.is_enabled) return;
+
+    // Only devices the rule's owner still has count (a board may have changed hands)
+    const watched = [...new Set([...AutomationConditions.deviceIds(rule.conditions, 'sensor'), ...AutomationConditions.deviceIds(rule.conditions, 'state')])];
+    const devices = watched.length > 0 ? await DeviceModel.getDevicesWithBoards(watched, rule.user_id) : [];
+
+    let state = runtime.runtime_state;
+    if (readings) {
+      if (!devices.some(device => device.device_id === trigger.device_id)) return;
+      state = AutomationConditions.observe(rule.conditions, state, trigger.device_id, readings, trigger.observed_at);
+    }
+
+    const now = new Date();
+    const evaluation = AutomationConditions.evaluate(rule.conditions, state, {
+      now,
+      states: Object.fromEntries(devices.map(device => [device.device_id, parseState(device.state)])),
+      timeZone: rule.user_timezone || undefined
+    });
+
+    if (JSON.stringify(evaluation.runtime) !== JSON.stringify(runtime.runtime_state)) {
+      await AutomationModel.saveRuntime(ruleId, evaluation.runtime);
+    }
+
+    if (!evaluation.met) {
+      if (runtime.is_active) await AutomationModel.rearm(ruleId);
+      return;
+    }
+    if (runtime.is_active || !(await AutomationModel.claimTrigger(ruleId, rule.cooldown_seconds, now))) return;
+
+    await this.execute(rule, trigger, evaluation.leaves);
+  },
+
+  // Run the actions and log the run with what triggered it and how each action ended
+  async execute(rule, trigger, conditions) {
+    console.log(`🤖 Automation "${rule.name}" triggered by ${trigger.type}${trigger.device_id ? ` from ${trigger.device_id}` : ''}`);
+
+    const deviceActions = rule.actions.filter(action => action.type === 'device');
+    const results = deviceActions.length > 0 ? await BulkControlService.run(rule.user_id, deviceActions.map(deviceItem)) : [];
+
+    for (const action of rule.actions.filter(candidate => candidate.type === 'scene')) {
+      try {
+        const activation = await SceneService.activate(rule.user_id, action.scene_id, { source: 'automation' });
+        results.push(...ExecutionLogService.sceneResults(action.scene_id, activation));
+      } catch (error) {
+        console.error(`❌ Automation ${rule.id} could not activate scene ${action.scene_id}:`, error);
+        results.push({ scene_id: action.scene_id, status: 'error', message: 'Scene activation failed' });
+      }
+    }
+
+    const execution = await ExecutionLogService.record(rule.user_id, {
+      source: 'automation',
+      automation_id: rule.id,
+      name: rule.name,
+      trigger,
+      conditions,
+      commands: rule.actions,
+      results
+    });
+
+    const socketService = require('./socketService');
+    socketService.broadcastToUser(rule.user_id, 'automation_triggered', {
+      automation_id: rule.id,
+      execution_id: execution.id,
+      status: execution.status,
+      results
+    });
+  }
+};
+
+module.exports = AutomationService;
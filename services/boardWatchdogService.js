@@ -0,0 +1,71 @@
+const BoardConnectivityModel = require('../models/boardConnectivityModel');
+
+class BoardWatchdogService {
+  constructor() {
+    this.heartbeatIntervalMs = parseInt(process.env.BOARD_HEARTBEAT_INTERVAL_MS || '30000', 10);
+    this.missedHeartbeats = parseInt(process.env.BOARD_MISSED_HEARTBEATS || '3', 10);
+    this.checkIntervalMs = parseInt(process.env.BOARD_WATCHDOG_CHECK_MS || '15000', 10);
+    this.timer = null;
+    this.startedAt = null;
+    this.scanning = false;
+  }
+
+  get offlineAfterMs() {
+    return this.heartbeatIntervalMs * this.missedHeartbeats;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.startedAt = Date.now();
+    this.timer = setInterval(() => {
+      this.scan().catch(error => console.error('❌ Board watchdog scan failed:', error));
+    }, this.checkIntervalMs);
+    this.timer.unref();
+    console.log(`🐕 Board watchdog started (offline after ${this.missedHeartbeats} missed heartbeats / ${this.offlineAfterMs}ms)`);
+  }
+
+  async scan() {
+    // Heartbeats that arrived while the backend was down were never recorded;
+    // give every board one full window after startup before judging it
+    if (this.scanning || Date.now() - this.startedAt < this.offlineAfterMs) return;
+    this.scanning = true;
+
+    try {
+      const timeoutSeconds = Math.ceil(this.offlineAfterMs / 1000);
+      const staleBoards = await BoardConnectivityModel.findStaleOnlineBoards(timeoutSeconds);
+
+      for (const board of staleBoards) {
+        const flipped = await BoardConnectivityModel.markOffline(board.board_id, timeoutSeconds);
+        if (!flipped) continue;
+
+        console.log(`💤 Board ${board.board_id} missed ${this.missedHeartbeats} heartbeats, marking offline`);
+        await this.recordTransition(board.board_id, 'offline', 'heartbeat_timeout', board.last_seen);
+      }
+    } finally {
+      this.scanning = false;
+    }
+  }
+
+  // Persist an online/offline change and push it to everyone watching the board or its devices
+  async recordTransition(boardId, status, reason, occurredAt = null) {
+    try {
+      await BoardConnectivityModel.recordTransition({ boardId, status, reason, occurredAt });
+
+      const socketService = require('./socketService');
+      const payload = { boardId, online: status === 'online', reason, since: occurredAt || new Date() };
+      socketService.broadcastDeviceStatus(boardId, payload);
+
+      const deviceIds = await BoardConnectivityModel.getBoardDeviceIds(boardId);
+      for (const deviceId of deviceIds) {
+        socketService.broadcastDeviceStatus(deviceId, payload);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to record ${status} transition for board ${boardId}:`, error);
+    }
+  }
+}
+
+// Create singleton instance
+const boardWatchdogService = new BoardWatchdogService();
+
+module.exports = boardWatchdogService;
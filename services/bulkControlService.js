@@ -0,0 +1,261 @@
+const BulkControlJobModel = require('../models/bulkControlJobModel');
+const CommandModel = require('../models/commandModel');
+const DeviceModel = require('../models/deviceModel');
+const DeviceTypeRegistry = require('./deviceTypeRegistry');
+const DeviceControlService = require('./deviceControlService');
+const mqttService = require('./mqttService');
+
+const MAX_DEVICES = parseInt(process.env.BULK_CONTROL_MAX_DEVICES || '200', 10);
+const ACK_TIMEOUT_MS = 10000;
+// Finished jobs stay pollable this long
+const JOB_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Body fields that select devices by where they are, and the DeviceModel filter each maps to
+const SELECTORS = [['home_id', 'homeId'], ['floor_id', 'floorId'], ['room_id', 'roomId'], ['group_id', 'groupId']];
+
+// Per-device outcomes, in the order summaries list them
+const STATUSES = ['acked', 'failed', 'timeout', 'queued', 'offline', 'rejected', 'not_found', 'error'];
+
+function parseJson(value) {
+  if (!value) return null;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+function summarize(results) {
+  const summary = Object.fromEntries(STATUSES.map(status => [status, 0]));
+  for (const { status } of results) {
+    if (summary[status] !== undefined) summary[status]++;
+  }
+  return summary;
+}
+
+// What the request resolved to, next to the outcome
+function details(prepared) {
+  const extra = {};
+  if (prepared.patch) extra.patch = prepared.patch;
+  if (prepared.transitionMs !== undefined) extra.transition_ms = prepared.transitionMs;
+  if (prepared.pulseMs !== undefined) extra.pulse_ms = prepared.pulseMs;
+  return extra;
+}
+
+/**
+ * Controls many devices in one go. Boards are handled concurrently; a board
+ * that advertises the `batch` firmware feature receives all of its commands in
+ * one MQTT message. Every device ends up with one status from STATUSES.
+ */
+const BulkControlService = {
+  maxDevices: MAX_DEVICES,
+  statuses: STATUSES,
+  summarize,
+
+  /**
+   * Devices a body selects through `device_ids` or `home_id` / `floor_id` /
+   * `room_id` / `group_id` (optionally narrowed by device `category`), as
+   * devices rows joined with their boards. Resolves to { devices },
+   * { error }, or null when the body selects nothing.
+   */
+  async selectDevices(body = {}, userId) {
+    if (Array.isArray(body.device_ids)) {
+      if (!body.device_ids.every(id => typeof id === 'string')) return { error: 'device_ids must be an array of device ids' };
+      return { devices: await DeviceModel.getDevicesWithBoards([...new Set(body.device_ids)], userId) };
+    }
+    if (!SELECTORS.some(([param]) => body[param] !== undefined)) return null;
+
+    const filters = {};
+    for (const [param, key] of SELECTORS) {
+      if (body[param] === undefined) continue;
+      if (!Number.isInteger(Number(body[param]))) return { error: `${param} must be a number` };
+      filters[key] = Number(body[param]);
+    }
+    const devices = await DeviceModel.getDevicesByUser(userId, filters);
+    return { devices: devices.filter(device => !body.category || DeviceTypeRegistry.category(device.device_type) === body.category) };
+  },
+
+  /**
+   * Normalise a request body to one item per device: either `commands`
+   * ([{ device_id, capability, command, args } | { device_id, action, state, value }]),
+   * or one command applied to `device_ids` or to the devices selectDevices()
+   * finds for a home, floor, room or group. Selected devices whose type lacks
+   * the capability are left out. Resolves to { items } or { error }.
+   */
+  async parseRequest(body = {}, userId) {
+    const { capability, command, args, action, state, value } = body;
+    let items;
+    if (Array.isArray(body.commands)) {
+      items = body.commands;
+    } else if (Array.isArray(body.device_ids)) {
+      items = body.device_ids.map(device_id => ({ device_id, capability, command, args, action, state, value }));
+    } else {
+      const selected = await this.selectDevices(body, userId);
+      if (!selected) {
+        return { error: 'Provide commands (one per device), or device_ids, home_id, floor_id, room_id or group_id with a shared command' };
+      }
+      if (selected.error) return selected;
+      items = selected.devices
+        .filter(device => capability === undefined || DeviceTypeRegistry.hasCapability(device.device_type, capability))
+        .map(device => ({ device_id: device.device_id, capability, command, args, action, state, value }));
+    }
+
+    if (items.length === 0) return { error: 'No devices to control' };
+    if (items.length > MAX_DEVICES) return { error: `At most ${MAX_DEVICES} devices per request` };
+
+    const seen = new Set();
+    for (const item of items) {
+      if (!item || typeof item !== 'object' || typeof item.device_id !== 'string' || item.device_id.length === 0) {
+        return { error: 'Every command needs a device_id' };
+      }
+      if (seen.has(item.device_id)) return { error: `Device ${item.device_id} appears more than once` };
+      seen.add(item.device_id);
+    }
+    return { items };
+  },
+
+  /**
+   * Run the items and resolve to their results, in request order.
+   * `queueOptions` (see queue_if_offline) buffers commands for offline boards.
+   */
+  async run(userId, items, { queueOptions = null, timeoutMs = ACK_TIMEOUT_MS } = {}) {
+    const results = new Map(items.map(item => [item.device_id, { device_id: item.device_id, status: 'not_found', message: 'Device not found' }]));
+    const devices = await DeviceModel.getDevicesWithBoards(items.map(item => item.device_id), userId);
+    const itemsById = new Map(items.map(item => [item.device_id, item]));
+
+    const boards = new Map();
+    for (const device of devices) {
+      if (!boards.has(device.board_id)) boards.set(device.board_id, []);
+      boards.get(device.board_id).push({ device, item: itemsById.get(device.device_id) });
+    }
+
+    await Promise.all([...boards.entries()].map(async ([boardId, entries]) => {
+      try {
+        for (const result of await this.runBoard(boardId, entries, { queueOptions, timeoutMs })) {
+          results.set(result.device_id, result);
+        }
+      } catch (error) {
+        console.error(`❌ Bulk control failed on board ${boardId}:`, error);
+        for (const { device } of entries) {
+          results.set(device.device_id, { device_id: device.device_id, status: 'error', message: 'Failed to send command' });
+        }
+      }
+    }));
+
+    return items.map(item => results.get(item.device_id));
+  },
+
+  async runBoard(boardId, entries, { queueOptions, timeoutMs }) {
+    const online = Boolean(entries[0].device.is_online);
+    const results = [];
+    const ready = [];
+
+    for (const { device, item } of entries) {
+      if (!online && !queueOptions) {
+        results.push({ device_id: device.device_id, status: 'offline', message: 'Board is offline' });
+        continue;
+      }
+      const prepared = await this.prepare(device, item);
+      if (prepared.error) {
+        results.push({ device_id: device.device_id, status: prepared.offline ? 'offline' : 'rejected', message: prepared.error });
+        continue;
+      }
+      ready.push({ device, prepared });
+    }
+    if (ready.length === 0) return results;
+
+    if (!online) {
+      for (const { device, prepared } of ready) {
+        const queued = await DeviceControlService.send(device, prepared.commands, { queueOptions });
+        results.push({
+          device_id: device.device_id,
+          status: 'queued',
+          command_ids: queued.commandIds,
+          expires_at: new Date(Date.now() + queueOptions.policy.ttlMs).toISOString(),
+          ...details(prepared)
+        });
+      }
+      return results;
+    }
+
+    const features = parseJson(entries[0].device.board_features) || [];
+    const flat = ready.flatMap(({ device, prepared }) => prepared.commands.map(command => ({ ...command, deviceId: device.device_id })));
+    const commandIds = await mqttService.sendBatch(boardId, flat, { batch: flat.length > 1 && features.includes('batch') });
+
+    let offset = 0;
+    const sent = ready.map(({ device, prepared }) => {
+      const withIds = prepared.commands.map((command, index) => ({ ...command, commandId: commandIds[offset + index] }));
+      offset += prepared.commands.length;
+      return { device, prepared, sent: withIds };
+    });
+
+    const settled = await Promise.all(sent.map(entry => this.settle(entry, timeoutMs)));
+    return results.concat(settled);
+  },
+
+  // Same two request forms as POST /api/devices/:deviceId/control, plus a raw
+  // state `patch` (what scenes store)
+  async prepare(device, item) {
+    try {
+      if (item.patch !== undefined) {
+        const prepared = await DeviceControlService.prepareState(device, item.patch);
+        return prepared.error ? prepared : { ...prepared, patch: item.patch };
+      }
+      if (item.capability !== undefined) {
+        return await DeviceControlService.prepare(device, { capability: item.capability, command: item.command, args: item.args });
+      }
+      const state = parseJson(device.state) || {};
+      const resolved = DeviceTypeRegistry.controlPatch(device.device_type, { action: item.action, state: item.state, value: item.value }, state);
+      if (resolved.error) return resolved;
+      const prepared = await DeviceControlService.prepareState(device, resolved.patch);
+      return prepared.error ? prepared : { ...prepared, patch: resolved.patch };
+    } catch (error) {
+      console.error(`❌ Error preparing bulk command for ${device.device_id}:`, error);
+      return { error: 'Failed to prepare command' };
+    }
+  },
+
+  async settle({ device, prepared, sent }, timeoutMs) {
+    const settled = await DeviceControlService.settle(device, sent, timeoutMs);
+    const result = { device_id: device.device_id, status: 'acked', command_ids: settled.commandIds, ...details(prepared) };
+    if (settled.acked) return result;
+
+    // A board that answered with an error beats one that never answered
+    const rows = await Promise.all(settled.unacked.map(commandId => CommandModel.findByCommandId(commandId)));
+    const failed = rows.find(row => row && row.status === 'failed');
+    return failed
+      ? { ...result, status: 'failed', message: failed.error_message || 'Board reported a failure' }
+      : { ...result, status: 'timeout', message: `No acknowledgement within ${timeoutMs}ms` };
+  },
+
+  // Drop finished jobs nobody can poll any more; run by the periodic retention job
+  async prune(now = new Date()) {
+    return BulkControlJobModel.deleteOlderThan(new Date(now.getTime() - JOB_RETENTION_MS));
+  },
+
+  /**
+   * Run in the background and resolve to a job id right away; the job row
+   * holds per-device results once done (GET /api/devices/bulk-control/:jobId),
+   * and the user's sockets get `bulk_control_completed`.
+   */
+  async start(userId, items, options = {}) {
+    const jobId = await BulkControlJobModel.create(userId, items.map(item => ({ device_id: item.device_id, status: 'pending' })));
+
+    this.run(userId, items, options)
+      .then(async (results) => {
+        const summary = summarize(results);
+        await BulkControlJobModel.complete(jobId, { results, summary });
+        const socketService = require('./socketService');
+        socketService.broadcastToUser(userId, 'bulk_control_completed', { job_id: jobId, summary });
+      })
+      .catch(async (error) => {
+        console.error(`❌ Bulk control job ${jobId} failed:`, error);
+        const results = items.map(item => ({ device_id: item.device_id, status: 'error', message: 'Bulk control job failed' }));
+        await BulkControlJobModel.complete(jobId, { status: 'failed', results, summary: summarize(results) }).catch(() => {});
+      });
+
+    return jobId;
+  },
+
+  async getJob(jobId, userId) {
+    return BulkControlJobModel.findForUser(jobId, userId);
+  }
+};
+
+module.exports = BulkControlService;
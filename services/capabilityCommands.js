@@ -0,0 +1,213 @@
+// Typed commands per capability: { capability, command, args } -> state patch.
+// Works on a compiled capability (see deviceTypeRegistry), so ranges a type
+// narrowed (min/max, modes) are respected. Every resolver returns
+// { patch, transitionMs? }, { pulseMs } for momentary capabilities, or { error }.
+
+const MAX_TRANSITION_MS = 60 * 1000;
+
+// Named fan speeds, in percent
+const FAN_SPEEDS = { off: 0, low: 33, medium: 66, high: 100 };
+
+function isNumber(value) {
+  return value !== null && value !== '' && typeof value !== 'boolean' && Number.isFinite(Number(value));
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function toPercent(capability, value) {
+  if (!capability || capability.min === undefined || !isNumber(value)) return null;
+  return Math.round(((Number(value) - capability.min) / (capability.max - capability.min)) * 100);
+}
+
+function fromPercent(capability, percent) {
+  if (!capability || capability.min === undefined || !isNumber(percent)) return null;
+  return Math.round(capability.min + (clamp(Number(percent), 0, 100) / 100) * (capability.max - capability.min));
+}
+
+function hexByte(value) {
+  return clamp(Math.round(value), 0, 255).toString(16).padStart(2, '0');
+}
+
+// '#rrggbb', 'rrggbb' or { r, g, b } (0-255) -> '#rrggbb'
+function parseRgb(rgb) {
+  if (typeof rgb === 'string' && /^#?[0-9a-fA-F]{6}$/.test(rgb)) {
+    return '#' + rgb.replace('#', '').toLowerCase();
+  }
+  if (rgb && typeof rgb === 'object' && ['r', 'g', 'b'].every(key => isNumber(rgb[key]))) {
+    return '#' + ['r', 'g', 'b'].map(key => hexByte(Number(rgb[key]))).join('');
+  }
+  return null;
+}
+
+// { h: 0-360, s: 0-100, v: 0-100 } -> '#rrggbb'
+function hsvToHex(hsv) {
+  if (!hsv || typeof hsv !== 'object' || !['h', 's', 'v'].every(key => isNumber(hsv[key]))) return null;
+  const hue = ((Number(hsv.h) % 360) + 360) % 360;
+  const saturation = clamp(Number(hsv.s), 0, 100) / 100;
+  const brightness = clamp(Number(hsv.v), 0, 100) / 100;
+  const chroma = brightness * saturation;
+  const x = chroma * (1 - Math.abs(((hue / 60) % 2) - 1));
+  const m = brightness - chroma;
+  const [r, g, b] = [[chroma, x, 0], [x, chroma, 0], [0, chroma, x], [0, x, chroma], [x, 0, chroma], [chroma, 0, x]][Math.floor(hue / 60) % 6];
+  return '#' + [r, g, b].map(channel => hexByte((channel + m) * 255)).join('');
+}
+
+function current(capability, state) {
+  return state ? state[capability.stateKey] : undefined;
+}
+
+function inRange(capability, value, label) {
+  if (!isNumber(value)) return { error: `${label} must be a number` };
+  const number = Number(value);
+  if (capability.min !== undefined && (number < capability.min || number > capability.max)) {
+    return { error: `${label} must be between ${capability.min} and ${capability.max}` };
+  }
+  return { value: capability.schema && capability.schema.type === 'integer' ? Math.round(number) : number };
+}
+
+function set(capability, value) {
+  return { patch: { [capability.stateKey]: value } };
+}
+
+// `percent` (0-100 of the capability's range) or a raw `value`
+function setRanged(capability, args) {
+  if (args.percent !== undefined) {
+    if (!isNumber(args.percent) || Number(args.percent) < 0 || Number(args.percent) > 100) {
+      return { error: 'percent must be a number between 0 and 100' };
+    }
+    return set(capability, fromPercent(capability, args.percent));
+  }
+  if (args.value !== undefined) {
+    const checked = inRange(capability, args.value, 'value');
+    return checked.error ? checked : set(capability, checked.value);
+  }
+  return { error: `${capability.name}.set needs percent or value` };
+}
+
+function stepRanged(capability, args, state) {
+  if (!isNumber(args.percent)) return { error: 'percent (the step, may be negative) must be a number' };
+  const base = isNumber(current(capability, state)) ? toPercent(capability, current(capability, state)) : 0;
+  return set(capability, fromPercent(capability, base + Number(args.percent)));
+}
+
+const COMMANDS = {
+  on_off: {
+    on: { args: {}, run: capability => set(capability, true) },
+    off: { args: {}, run: capability => set(capability, false) },
+    toggle: { args: {}, run: (capability, args, state) => set(capability, current(capability, state) !== true) }
+  },
+  level: {
+    set: { args: { percent: '0-100', value: 'raw level', transitionMs: 'fade time' }, run: setRanged },
+    step: { args: { percent: 'change in percent', transitionMs: 'fade time' }, run: stepRanged }
+  },
+  color: {
+    set: {
+      args: { rgb: "'#rrggbb' or { r, g, b }", hsv: '{ h: 0-360, s: 0-100, v: 0-100 }', transitionMs: 'fade time' },
+      run: (capability, args) => {
+        const color = args.rgb !== undefined ? parseRgb(args.rgb) : hsvToHex(args.hsv);
+        return color ? set(capability, color) : { error: "color.set needs rgb ('#rrggbb' or { r, g, b }) or hsv ({ h, s, v })" };
+      }
+    }
+  },
+  color_temperature: {
+    set: {
+      args: { kelvin: 'colour temperature in K', transitionMs: 'fade time' },
+      run: (capability, args) => {
+        const checked = inRange(capability, args.kelvin, 'kelvin');
+        return checked.error ? checked : set(capability, checked.value);
+      }
+    }
+  },
+  fan_speed: {
+    set: {
+      args: { percent: '0-100', speed: Object.keys(FAN_SPEEDS).join('|') },
+      run: (capability, args) => {
+        if (args.speed === undefined) return setRanged(capability, args);
+        return FAN_SPEEDS[args.speed] === undefined
+          ? { error: `speed must be one of ${Object.keys(FAN_SPEEDS).join(', ')}` }
+          : set(capability, fromPercent(capability, FAN_SPEEDS[args.speed]));
+      }
+    },
+    step: { args: { percent: 'change in percent' }, run: stepRanged }
+  },
+  position: {
+    set: { args: { percent: '0 (closed) - 100 (open)' }, run: setRanged },
+    open: { args: {}, run: capability => set(capability, capability.max) },
+    close: { args: {}, run: capability => set(capability, capability.min) }
+  },
+  thermostat_setpoint: {
+    set: {
+      args: { celsius: 'target temperature' },
+      run: (capability, args) => {
+        const checked = inRange(capability, args.celsius, 'celsius');
+        return checked.error ? checked : set(capability, checked.value);
+      }
+    },
+    step: {
+      args: { delta: 'change in °C' },
+      run: (capability, args, state) => {
+        if (!isNumber(args.delta)) return { error: 'delta must be a number' };
+        const base = isNumber(current(capability, state)) ? Number(current(capability, state)) : (capability.min + capability.max) / 2;
+        return set(capability, clamp(base + Number(args.delta), capability.min, capability.max));
+      }
+    }
+  },
+  thermostat_mode: {
+    set: {
+      args: { mode: 'one of the type\'s modes' },
+      run: (capability, args) => (capability.schema.enum.includes(args.mode)
+        ? set(capability, args.mode)
+        : { error: `mode must be one of ${capability.schema.enum.join(', ')}` })
+    }
+  },
+  pulse: {
+    trigger: {
+      args: { durationMs: 'how long the output stays on' },
+      run: (capability, args) => {
+        const durationMs = args.durationMs === undefined ? capability.defaultMs : args.durationMs;
+        if (!Number.isInteger(Number(durationMs)) || Number(durationMs) < capability.min || Number(durationMs) > capability.max) {
+          return { error: `durationMs must be an integer between ${capability.min} and ${capability.max}` };
+        }
+        return { pulseMs: Number(durationMs) };
+      }
+    }
+  }
+};
+
+const CapabilityCommands = {
+  maxTransitionMs: MAX_TRANSITION_MS,
+  fanSpeeds: FAN_SPEEDS,
+  toPercent,
+  fromPercent,
+  parseRgb,
+  hsvToHex,
+
+  // { command: [arg names] } a capability accepts, for GET /api/device-types
+  list(capabilityName) {
+    const commands = COMMANDS[capabilityName] || {};
+    return Object.fromEntries(Object.entries(commands).map(([name, { args }]) => [name, args]));
+  },
+
+  resolve(capability, command, args = {}, state = {}) {
+    if (capability.readOnly) return { error: `${capability.name} is read-only` };
+    const definition = (COMMANDS[capability.name] || {})[command];
+    if (!definition) {
+      return { error: `${capability.name} has no command "${command}" (supported: ${Object.keys(COMMANDS[capability.name] || {}).join(', ')})` };
+    }
+    if (args === null || typeof args !== 'object' || Array.isArray(args)) return { error: 'args must be an object' };
+
+    const result = definition.run(capability, args, state || {});
+    if (result.error || args.transitionMs === undefined) return result;
+
+    if (!capability.transitions) return { error: `${capability.name} does not support transitionMs` };
+    const transitionMs = Number(args.transitionMs);
+    if (!Number.isInteger(transitionMs) || transitionMs < 0 || transitionMs > MAX_TRANSITION_MS) {
+      return { error: `transitionMs must be an integer between 0 and ${MAX_TRANSITION_MS}` };
+    }
+    return { ...result, transitionMs };
+  }
+};
+
+module.exports = CapabilityCommands;
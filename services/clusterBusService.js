@@ -0,0 +1,108 @@
+const os = require('os');
+const { EventEmitter } = require('events');
+
+const CHANNEL_PREFIX = process.env.CLUSTER_CHANNEL_PREFIX || 'iot-platform:';
+
+/**
+ * Pub/sub between backend instances. With REDIS_URL set, messages go through
+ * Redis and reach every instance; without it an in-process emitter stands in,
+ * which is all a single instance (or a test) needs. Every message, including
+ * one's own, is delivered to every subscriber; handlers get { origin, local }
+ * to tell them apart.
+ */
+class ClusterBusService {
+  constructor() {
+    // Stable across restarts under pm2 so an instance can reclaim its own work
+    this.instanceId = process.env.INSTANCE_ID
+      || `${os.hostname()}-${process.env.NODE_APP_INSTANCE !== undefined ? process.env.NODE_APP_INSTANCE : '0'}`;
+    this.redisUrl = process.env.REDIS_URL || '';
+    this.handlers = new Map();
+    this.emitter = new EventEmitter();
+    this.pubClient = null;
+    this.subClient = null;
+  }
+
+  get distributed() {
+    return Boolean(this.pubClient);
+  }
+
+  async start() {
+    if (!this.redisUrl || this.pubClient) return;
+
+    const { createClient } = require('redis');
+    const pubClient = createClient({ url: this.redisUrl });
+    const subClient = pubClient.duplicate();
+    pubClient.on('error', (error) => console.error('❌ Cluster bus (pub) error:', error.message));
+    subClient.on('error', (error) => console.error('❌ Cluster bus (sub) error:', error.message));
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+
+    this.pubClient = pubClient;
+    this.subClient = subClient;
+    for (const channel of this.handlers.keys()) {
+      await this.listen(channel);
+    }
+    console.log(`🛰️ Cluster bus connected to Redis as instance ${this.instanceId}`);
+  }
+
+  subscribe(channel, handler) {
+    const isNew = !this.handlers.has(channel);
+    if (isNew) this.handlers.set(channel, new Set());
+    this.handlers.get(channel).add(handler);
+
+    if (isNew) {
+      if (this.subClient) {
+        this.listen(channel).catch(error => console.error(`❌ Failed to subscribe to bus channel ${channel}:`, error));
+      } else {
+        this.emitter.on(channel, (raw) => this.dispatch(channel, raw));
+      }
+    }
+  }
+
+  async listen(channel) {
+    // Drop the in-process listener once Redis takes over the channel
+    this.emitter.removeAllListeners(channel);
+    await this.subClient.subscribe(CHANNEL_PREFIX + channel, (raw) => this.dispatch(channel, raw));
+  }
+
+  async publish(channel, payload) {
+    const raw = JSON.stringify({ origin: this.instanceId, payload });
+    if (this.pubClient) {
+      await this.pubClient.publish(CHANNEL_PREFIX + channel, raw);
+      return;
+    }
+    // Keep delivery asynchronous, like it is over Redis
+    setImmediate(() => this.emitter.emit(channel, raw));
+  }
+
+  dispatch(channel, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (e) {
+      console.warn(`⚠️ Ignoring malformed bus message on ${channel}`);
+      return;
+    }
+
+    const meta = { origin: message.origin, local: message.origin === this.instanceId };
+    for (const handler of this.handlers.get(channel) || []) {
+      Promise.resolve()
+        .then(() => handler(message.payload, meta))
+        .catch(error => console.error(`❌ Bus handler for ${channel} failed:`, error));
+    }
+  }
+
+  // Socket.IO adapter so room broadcasts reach clients connected to any instance
+  async createSocketAdapter() {
+    if (!this.pubClient) return null;
+    const { createAdapter } = require('@socket.io/redis-adapter');
+    const pubClient = this.pubClient.duplicate();
+    const subClient = this.subClient.duplicate();
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+    return createAdapter(pubClient, subClient);
+  }
+}
+
+// Create singleton instance
+const clusterBusService = new ClusterBusService();
+
+module.exports = clusterBusService;
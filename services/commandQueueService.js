@@ -0,0 +1,495 @@
+const CommandModel = require('../models/commandModel');
+const DeviceModel = require('../models/deviceModel');
+const clusterBusService = require('./clusterBusService');
+
+const SWEEP_INTERVAL_MS = 30000;
+// Commands whose owner has not renewed them for this long are taken over by another instance
+const OWNER_LEASE_MS = parseInt(process.env.COMMAND_OWNER_LEASE_MS || String(3 * SWEEP_INTERVAL_MS), 10);
+
+const DEFAULT_POLICY = {
+  maxAttempts: parseInt(process.env.COMMAND_MAX_ATTEMPTS || '1', 10),
+  ackTimeoutMs: parseInt(process.env.COMMAND_ACK_TIMEOUT_MS || '10000', 10),
+  retryDelayMs: parseInt(process.env.COMMAND_RETRY_DELAY_MS || '1000', 10),
+  ttlMs: parseInt(process.env.COMMAND_TTL_MS || '60000', 10)
+};
+
+// Per command type overrides. gpio/pwm set an absolute output so resending is safe,
+// and their retries fit inside the 10s window controllers wait for.
+const TYPE_POLICIES = {
+  gpio: { maxAttempts: 3, ackTimeoutMs: 3000, retryDelayMs: 250 },
+  pwm: { maxAttempts: 3, ackTimeoutMs: 3000, retryDelayMs: 250 },
+  add_device: { ackTimeoutMs: 15000 }
+};
+
+// Buffered commands of these types only matter in their latest form per pin (the last on/off wins)
+const COALESCED_TYPES = new Set(['gpio', 'pwm']);
+
+function parseJson(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+class CommandQueueService {
+  constructor() {
+    // Mirror of the active (pending/sent) device_commands rows plus their timers.
+    // The table is the source of truth; this map is rebuilt from it on start().
+    this.inflight = new Map();
+    this.waiters = new Map();
+    this.deliveryHandlers = new Map();
+    this.started = false;
+    this.sweepTimer = null;
+  }
+
+  async start() {
+    if (this.started) return;
+    this.started = true;
+
+    // With several instances each one owns the commands it created; acks and
+    // reconnects seen by another instance are routed here over the cluster bus
+    clusterBusService.subscribe('command_ack', (message, { local }) => {
+      if (!local) return this.acknowledge(message.commandId, message.success, message.error, message.boardId);
+      return null;
+    });
+    clusterBusService.subscribe('firmware_response', (message, { local }) => {
+      if (!local) return this.resolveFirmwareResponse(message.boardId, message.action, message.pin, message.success, message.error);
+      return null;
+    });
+    clusterBusService.subscribe('supersede_queued', (message, { local }) => {
+      if (!local) return this.supersedeQueued(message.boardId, message.deviceId, message.commandType, message.supersededBy, message.pin);
+      return null;
+    });
+    clusterBusService.subscribe('board_online', (message) => this.deliverQueued(message.boardId));
+
+    await CommandModel.renewLeases(clusterBusService.instanceId, OWNER_LEASE_MS);
+    await CommandModel.takeOverStale(clusterBusService.instanceId, OWNER_LEASE_MS);
+    const { recovered, expired } = await this.adopt();
+
+    this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+
+    console.log(`📦 Command queue started: ${recovered} recovered, ${expired} expired`);
+    await this.flushPending();
+  }
+
+  /**
+   * Bring the in-memory mirror in line with the rows this instance owns: track
+   * the ones it does not hold yet, and drop the ones another instance took
+   * over (or settled) so they are not retried twice.
+   */
+  async adopt() {
+    // Only entries tracked before the query can be judged by it; commands created or
+    // settled while it runs are left alone
+    const known = new Set(this.inflight.keys());
+    const owned = await CommandModel.findActive(clusterBusService.instanceId);
+    const ownedIds = new Set(owned.map(row => row.command_id));
+    for (const commandId of known) {
+      const entry = this.inflight.get(commandId);
+      if (entry && !ownedIds.has(commandId)) {
+        clearTimeout(entry.timer);
+        this.inflight.delete(commandId);
+      }
+    }
+
+    const rows = owned.filter(row => !known.has(row.command_id) && !this.inflight.has(row.command_id));
+    const now = Date.now();
+    let expired = 0;
+
+    for (const row of rows) {
+      this.track(row);
+      const entry = this.inflight.get(row.command_id);
+
+      if (entry.expiresAt && entry.expiresAt <= now) {
+        await this.finish(row.command_id, 'timeout', 'Command expired before acknowledgement');
+        expired++;
+        continue;
+      }
+
+      if (entry.status === 'sent') {
+        // Re-arm whatever is left of the ack window; an elapsed window retries or times out immediately
+        const deadline = row.deadline_at ? new Date(row.deadline_at).getTime() : now;
+        this.armAckTimer(row.command_id, deadline - now);
+      }
+    }
+    return { recovered: rows.length - expired, expired };
+  }
+
+  // Keep this instance's commands, pick up those of instances that went away, expire what waited too long
+  async sweep() {
+    try {
+      const owner = clusterBusService.instanceId;
+      await CommandModel.renewLeases(owner, OWNER_LEASE_MS);
+      await CommandModel.takeOverStale(owner, OWNER_LEASE_MS);
+      const { recovered, expired } = await this.adopt();
+      if (recovered + expired > 0) {
+        console.log(`📦 Took over ${recovered + expired} command(s) of stale instances (${expired} expired)`);
+        await this.flushPending();
+      }
+    } catch (error) {
+      console.error('❌ Error taking over stale commands:', error);
+    }
+    await this.expireStale();
+  }
+
+  resolvePolicy(commandType, overrides = {}) {
+    return { ...DEFAULT_POLICY, ...(TYPE_POLICIES[commandType] || {}), ...overrides };
+  }
+
+  // `deferred` rows are created but left for dispatchBatch() to publish together
+  async enqueue({ commandId, boardId, deviceId, commandType, message, payload, expectedAction, expectedPin, policy, queued = false, deferred = false }) {
+    if (queued && deviceId && COALESCED_TYPES.has(commandType)) {
+      await this.supersedeQueued(boardId, deviceId, commandType, commandId, expectedPin);
+      // Other instances may hold older queued commands for the same device
+      await clusterBusService.publish('supersede_queued', { boardId, deviceId, commandType, supersededBy: commandId, pin: expectedPin });
+    }
+
+    const row = await CommandModel.create({
+      commandId,
+      boardId,
+      deviceId,
+      commandType,
+      message,
+      payload,
+      expectedAction,
+      expectedPin,
+      policy: this.resolvePolicy(commandType, policy),
+      queued,
+      ownerInstance: clusterBusService.instanceId,
+      leaseMs: OWNER_LEASE_MS
+    });
+
+    this.track(row);
+    if (deferred && !queued) {
+      this.inflight.get(commandId).deferred = true;
+    } else if (!queued) {
+      await this.dispatch(commandId);
+    }
+    return row;
+  }
+
+  /**
+   * Publish fresh commands for one board as a single { action: 'batch' } message.
+   * Each command keeps its own id, ack window and retries; a retry goes out on
+   * its own. Falls back to one message per command when the broker is away.
+   */
+  async dispatchBatch(boardId, commandIds) {
+    const batchIds = commandIds.filter(commandId => {
+      const entry = this.inflight.get(commandId);
+      if (!entry || !entry.deferred) return false;
+      entry.deferred = false;
+      return entry.boardId === boardId && entry.status === 'pending' && entry.attempts === 0;
+    });
+    if (batchIds.length === 0) return;
+
+    // Lazy require: mqttService depends on this module
+    const mqttService = require('./mqttService');
+    if (batchIds.length === 1 || !mqttService.isConnected) {
+      for (const commandId of batchIds) {
+        await this.dispatch(commandId);
+      }
+      return;
+    }
+
+    const batchId = `batch_${Date.now()}_${batchIds.length}`;
+    try {
+      await mqttService.publishBatch(boardId, batchId, batchIds.map(commandId => this.inflight.get(commandId).payload));
+    } catch (error) {
+      console.error(`❌ Failed to dispatch batch ${batchId}, sending its commands one by one:`, error.message || error);
+      for (const commandId of batchIds) {
+        await this.dispatch(commandId);
+      }
+      return;
+    }
+
+    console.log(`📦 Sent ${batchIds.length} command(s) to board ${boardId} as batch ${batchId}`);
+    for (const commandId of batchIds) {
+      await this.markDispatched(commandId);
+    }
+  }
+
+  // Devices driving several pins (RGB channels) keep one queued command per pin
+  async supersedeQueued(boardId, deviceId, commandType, supersededBy, pin) {
+    for (const [commandId, entry] of this.inflight.entries()) {
+      const samePin = pin === undefined || pin === null || entry.expectedPin === null || entry.expectedPin === undefined ||
+        Number(entry.expectedPin) === Number(pin);
+      if (entry.status === 'queued' && entry.boardId === boardId && entry.deviceId === deviceId && entry.commandType === commandType && samePin) {
+        console.log(`🗑️ Queued command ${commandId} superseded by ${supersededBy}`);
+        await this.finish(commandId, 'superseded', `Superseded by ${supersededBy}`);
+      }
+    }
+  }
+
+  // Tell every instance (this one included) to release what it buffered for the board
+  async announceBoardOnline(boardId) {
+    await clusterBusService.publish('board_online', { boardId });
+  }
+
+  // Release everything buffered for a board that just came back online, oldest first
+  async deliverQueued(boardId) {
+    const queuedIds = [...this.inflight.entries()]
+      .filter(([, entry]) => entry.boardId === boardId && entry.status === 'queued')
+      .map(([commandId]) => commandId);
+    if (queuedIds.length === 0) return;
+
+    console.log(`📬 Delivering ${queuedIds.length} queued command(s) to board ${boardId}`);
+    for (const commandId of queuedIds) {
+      await this.dispatch(commandId);
+    }
+  }
+
+  hasActiveCommand(deviceId) {
+    for (const entry of this.inflight.values()) {
+      if (entry.deviceId === deviceId) return true;
+    }
+    return false;
+  }
+
+  // Effects a controller would apply after waitForAck; for queued commands no request is
+  // waiting any more, so they run here once the board finally acknowledges.
+  onDelivered(commandType, handler) {
+    this.deliveryHandlers.set(commandType, handler);
+  }
+
+  track(row) {
+    this.inflight.set(row.command_id, {
+      boardId: row.board_id,
+      deviceId: row.device_id,
+      commandType: row.command_type,
+      message: parseJson(row.command_data),
+      payload: parseJson(row.payload),
+      expectedAction: row.expected_action,
+      expectedPin: row.expected_pin,
+      status: row.status,
+      queuedOffline: Boolean(row.queued_offline),
+      attempts: row.attempts,
+      maxAttempts: row.max_attempts,
+      ackTimeoutMs: row.ack_timeout_ms,
+      retryDelayMs: row.retry_delay_ms,
+      expiresAt: row.expires_at ? new Date(row.expires_at).getTime() : null,
+      timer: null
+    });
+  }
+
+  async dispatch(commandId) {
+    const entry = this.inflight.get(commandId);
+    if (!entry) return;
+    entry.timer = null;
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      await this.finish(commandId, 'timeout', 'Command expired before acknowledgement');
+      return;
+    }
+
+    // Lazy require: mqttService depends on this module
+    const mqttService = require('./mqttService');
+    if (!mqttService.isConnected) {
+      // Left pending; flushPending() picks it up once the broker connection is back
+      entry.status = 'pending';
+      await CommandModel.markPending(commandId);
+      return;
+    }
+
+    try {
+      await mqttService.publishCommand(entry.boardId, commandId, entry.payload, {
+        commandType: entry.commandType,
+        deviceId: entry.deviceId,
+        attempt: entry.attempts + 1,
+        expiresAt: entry.expiresAt
+      });
+    } catch (error) {
+      console.error(`❌ Failed to dispatch command ${commandId}:`, error.message || error);
+      entry.status = 'pending';
+      await CommandModel.markPending(commandId);
+      return;
+    }
+
+    await this.markDispatched(commandId);
+  }
+
+  async markDispatched(commandId) {
+    // The ack may already have been handled while the publish was in flight
+    const entry = this.inflight.get(commandId);
+    if (!entry) return;
+
+    entry.status = 'sent';
+    entry.attempts += 1;
+    await CommandModel.markSent(commandId, new Date(Date.now() + entry.ackTimeoutMs));
+    this.armAckTimer(commandId, entry.ackTimeoutMs);
+  }
+
+  armAckTimer(commandId, delayMs) {
+    const entry = this.inflight.get(commandId);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => {
+      this.handleAckTimeout(commandId).catch(error => {
+        console.error(`❌ Error handling ack timeout for ${commandId}:`, error);
+      });
+    }, Math.max(0, delayMs));
+  }
+
+  async handleAckTimeout(commandId) {
+    const entry = this.inflight.get(commandId);
+    if (!entry) return;
+    entry.timer = null;
+
+    if (entry.attempts < entry.maxAttempts) {
+      console.log(`🔁 Command ${commandId} not acknowledged, retrying (${entry.attempts}/${entry.maxAttempts})`);
+      entry.timer = setTimeout(() => {
+        this.dispatch(commandId).catch(error => {
+          console.error(`❌ Error retrying command ${commandId}:`, error);
+        });
+      }, entry.retryDelayMs);
+      return;
+    }
+
+    console.log(`⏰ Command ${commandId} timed out`);
+    await this.finish(commandId, 'timeout', `No acknowledgement after ${entry.attempts} attempt(s)`);
+  }
+
+  async flushPending() {
+    if (!this.started) return;
+    for (const [commandId, entry] of this.inflight.entries()) {
+      if (entry.status === 'pending' && !entry.timer && !entry.deferred) {
+        await this.dispatch(commandId);
+      }
+    }
+
+    // Boards that reconnected while the backend or broker link was down never produce an
+    // offline -> online transition, so check them explicitly
+    const queuedBoards = new Set();
+    for (const entry of this.inflight.values()) {
+      if (entry.status === 'queued') queuedBoards.add(entry.boardId);
+    }
+    if (queuedBoards.size === 0) return;
+
+    const onlineBoards = await DeviceModel.getOnlineBoardIds([...queuedBoards]);
+    for (const boardId of onlineBoards) {
+      await this.deliverQueued(boardId);
+    }
+  }
+
+  async expireStale() {
+    const now = Date.now();
+    for (const [commandId, entry] of this.inflight.entries()) {
+      const waiting = entry.status === 'queued' || (entry.status === 'pending' && !entry.timer);
+      if (waiting && entry.expiresAt && entry.expiresAt <= now) {
+        await this.finish(commandId, 'timeout', 'Command expired before acknowledgement').catch(error => {
+          console.error(`❌ Error expiring command ${commandId}:`, error);
+        });
+      }
+    }
+  }
+
+  async finish(commandId, status, errorMessage = null) {
+    const entry = this.inflight.get(commandId);
+    if (entry) {
+      clearTimeout(entry.timer);
+      this.inflight.delete(commandId);
+    }
+
+    await CommandModel.markFinished(commandId, status, errorMessage);
+    this.notifyWaiters(commandId, status === 'acknowledged');
+
+    if (entry && entry.queuedOffline && status === 'acknowledged') {
+      await this.runDeliveryHandler(commandId, entry);
+    }
+    return Boolean(entry);
+  }
+
+  async runDeliveryHandler(commandId, entry) {
+    const handler = this.deliveryHandlers.get(entry.commandType);
+    if (!handler) return;
+    try {
+      await handler({ commandId, boardId: entry.boardId, deviceId: entry.deviceId, data: entry.message.data });
+    } catch (error) {
+      console.error(`❌ Error applying delivered command ${commandId}:`, error);
+    }
+  }
+
+  // boardId, when known, keeps a board from settling another board's command.
+  // An ack for a command this instance does not own is forwarded to the others.
+  async acknowledge(commandId, success, errorMessage = null, boardId = null, { forward = false } = {}) {
+    const entry = this.inflight.get(commandId);
+    if (!entry) {
+      if (forward) {
+        await clusterBusService.publish('command_ack', { commandId, success, error: errorMessage, boardId });
+      }
+      return false;
+    }
+    if (boardId && entry.boardId !== boardId) return false;
+    return this.finish(commandId, success ? 'acknowledged' : 'failed', success ? null : (errorMessage || null));
+  }
+
+  /**
+   * Settle the command a status/action style response answers. Tried locally
+   * first; if nothing here matches, the other instances get a chance.
+   * Resolves to the settled command id, or null.
+   */
+  async resolveFirmwareResponse(boardId, action, pin, success, errorMessage = null, { forward = false } = {}) {
+    const commandId = this.matchFirmwareResponse(boardId, action, pin);
+    if (commandId) {
+      await this.finish(commandId, success ? 'acknowledged' : 'failed', success ? null : (errorMessage || null));
+      return commandId;
+    }
+    if (forward) {
+      await clusterBusService.publish('firmware_response', { boardId, action, pin, success, error: errorMessage });
+    }
+    return null;
+  }
+
+  // Firmware replying in the simple status/action style carries no command id;
+  // pick the oldest sent command on the board that the response plausibly answers.
+  matchFirmwareResponse(boardId, action, pin) {
+    for (const [commandId, entry] of this.inflight.entries()) {
+      if (entry.boardId !== boardId || entry.status !== 'sent') continue;
+      const actionMatches = !entry.expectedAction || entry.expectedAction === action;
+      const pinMatches = entry.expectedPin === null || entry.expectedPin === undefined || Number(pin) === Number(entry.expectedPin);
+      if (actionMatches && pinMatches) {
+        return commandId;
+      }
+    }
+    return null;
+  }
+
+  waitFor(commandId, timeoutMs = 10000) {
+    return new Promise((resolve) => {
+      if (!this.inflight.has(commandId)) {
+        // Already settled (or unknown): answer from the stored outcome
+        CommandModel.findByCommandId(commandId)
+          .then(row => resolve(Boolean(row) && row.status === 'acknowledged'))
+          .catch(() => resolve(false));
+        return;
+      }
+
+      if (!this.waiters.has(commandId)) {
+        this.waiters.set(commandId, new Set());
+      }
+      const waiters = this.waiters.get(commandId);
+
+      const settle = (acknowledged) => {
+        clearTimeout(timer);
+        waiters.delete(settle);
+        if (waiters.size === 0) this.waiters.delete(commandId);
+        resolve(acknowledged);
+      };
+      const timer = setTimeout(() => {
+        console.log(`⏰ Gave up waiting for ack of command ${commandId}`);
+        settle(false);
+      }, timeoutMs);
+
+      waiters.add(settle);
+    });
+  }
+
+  notifyWaiters(commandId, acknowledged) {
+    const waiters = this.waiters.get(commandId);
+    if (!waiters) return;
+    for (const settle of [...waiters]) {
+      settle(acknowledged);
+    }
+  }
+}
+
+// Create singleton instance
+const commandQueueService = new CommandQueueService();
+
+module.exports = commandQueueService;
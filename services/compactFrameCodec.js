@@ -0,0 +1,104 @@
+// Fixed-layout binary sensor frames described by a per-board schema, e.g.
+// {
+//   "endian": "little",
+//   "type": "sensor",
+//   "fields": [
+//     { "name": "temperature", "type": "int16", "scale": 0.1 },
+//     { "name": "humidity", "type": "uint8" },
+//     { "name": "battery", "type": "uint16", "scale": 0.001, "offset": 0 }
+//   ]
+// }
+// A frame is the fields packed back to back with no padding.
+
+const FIELD_TYPES = {
+  bool: { size: 1, read: (buf, at) => buf.readUInt8(at) !== 0 },
+  int8: { size: 1, read: (buf, at) => buf.readInt8(at) },
+  uint8: { size: 1, read: (buf, at) => buf.readUInt8(at) },
+  int16: { size: 2, read: (buf, at, le) => (le ? buf.readInt16LE(at) : buf.readInt16BE(at)) },
+  uint16: { size: 2, read: (buf, at, le) => (le ? buf.readUInt16LE(at) : buf.readUInt16BE(at)) },
+  int32: { size: 4, read: (buf, at, le) => (le ? buf.readInt32LE(at) : buf.readInt32BE(at)) },
+  uint32: { size: 4, read: (buf, at, le) => (le ? buf.readUInt32LE(at) : buf.readUInt32BE(at)) },
+  float32: { size: 4, read: (buf, at, le) => (le ? buf.readFloatLE(at) : buf.readFloatBE(at)) },
+  float64: { size: 8, read: (buf, at, le) => (le ? buf.readDoubleLE(at) : buf.readDoubleBE(at)) }
+};
+
+const MAX_FIELDS = 64;
+
+const CompactFrameCodec = {
+  fieldTypes: Object.keys(FIELD_TYPES),
+
+  // Returns a list of problems; empty means the schema is usable
+  validateSchema(schema) {
+    const errors = [];
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+      return ['schema must be an object'];
+    }
+    if (schema.endian !== undefined && !['little', 'big'].includes(schema.endian)) {
+      errors.push('endian must be "little" or "big"');
+    }
+    if (!Array.isArray(schema.fields) || schema.fields.length === 0) {
+      errors.push('fields must be a non-empty array');
+      return errors;
+    }
+    if (schema.fields.length > MAX_FIELDS) {
+      errors.push(`at most ${MAX_FIELDS} fields are allowed`);
+    }
+
+    const names = new Set();
+    schema.fields.forEach((field, index) => {
+      if (!field || typeof field.name !== 'string' || field.name.length === 0) {
+        errors.push(`fields[${index}].name is required`);
+      } else if (names.has(field.name)) {
+        errors.push(`fields[${index}].name "${field.name}" is duplicated`);
+      } else {
+        names.add(field.name);
+      }
+      if (!field || !FIELD_TYPES[field.type]) {
+        errors.push(`fields[${index}].type must be one of ${Object.keys(FIELD_TYPES).join(', ')}`);
+      }
+      if (field && field.scale !== undefined && !Number.isFinite(field.scale)) {
+        errors.push(`fields[${index}].scale must be a number`);
+      }
+      if (field && field.offset !== undefined && !Number.isFinite(field.offset)) {
+        errors.push(`fields[${index}].offset must be a number`);
+      }
+    });
+    return errors;
+  },
+
+  frameSize(schema) {
+    return schema.fields.reduce((total, field) => total + FIELD_TYPES[field.type].size, 0);
+  },
+
+  // Decodes into the same shape a JSON board sends: { type: 'sensor', data: { <name>: value } }
+  decode(buffer, schema) {
+    if (!schema) {
+      throw new Error('Board has no compact frame schema');
+    }
+    const expected = this.frameSize(schema);
+    if (buffer.length !== expected) {
+      throw new Error(`Compact frame is ${buffer.length} bytes, schema expects ${expected}`);
+    }
+
+    const littleEndian = schema.endian !== 'big';
+    const data = {};
+    let at = 0;
+    for (const field of schema.fields) {
+      const type = FIELD_TYPES[field.type];
+      let value = type.read(buffer, at, littleEndian);
+      at += type.size;
+      if (typeof value === 'number') {
+        value = value * (field.scale !== undefined ? field.scale : 1) + (field.offset || 0);
+        if (field.scale !== undefined) {
+          // Drop float noise from scaling (23.5 rather than 23.500000000000004)
+          value = Number(value.toPrecision(12));
+        }
+      }
+      data[field.name] = value;
+    }
+
+    return { type: schema.type || 'sensor', data };
+  }
+};
+
+module.exports = CompactFrameCodec;
@@ -0,0 +1,118 @@
+const BoardConnectivityModel = require('../models/boardConnectivityModel');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIODS = {
+  day: DAY_MS,
+  week: 7 * DAY_MS,
+  month: 30 * DAY_MS
+};
+
+// Turn ascending transitions into [start, end) spans clipped to the window.
+// Time before the first known transition has no state and is left out.
+function buildIntervals(events, initialStatus, windowStart, now) {
+  const intervals = [];
+  let status = initialStatus;
+  let cursor = windowStart;
+
+  for (const event of events) {
+    const at = Math.max(new Date(event.occurred_at).getTime(), windowStart);
+    if (status && at > cursor) {
+      intervals.push({ status, start: cursor, end: at, ongoing: false });
+    }
+    status = event.status;
+    cursor = at;
+  }
+
+  if (status && now > cursor) {
+    intervals.push({ status, start: cursor, end: now, ongoing: true });
+  }
+  return intervals;
+}
+
+function summarize(intervals, disconnects) {
+  let onlineMs = 0;
+  let offlineMs = 0;
+  let longest = null;
+
+  for (const interval of intervals) {
+    const duration = interval.end - interval.start;
+    if (interval.status === 'online') {
+      onlineMs += duration;
+    } else {
+      offlineMs += duration;
+      if (!longest || duration > longest.duration_ms) {
+        longest = {
+          start: new Date(interval.start).toISOString(),
+          end: interval.ongoing ? null : new Date(interval.end).toISOString(),
+          duration_ms: duration,
+          ongoing: interval.ongoing
+        };
+      }
+    }
+  }
+
+  const observedMs = onlineMs + offlineMs;
+  return {
+    uptime_percent: observedMs > 0 ? Math.round((onlineMs / observedMs) * 10000) / 100 : null,
+    online_ms: onlineMs,
+    offline_ms: offlineMs,
+    observed_ms: observedMs,
+    disconnects,
+    mean_time_between_disconnects_ms: disconnects > 0 ? Math.round(onlineMs / disconnects) : null,
+    longest_outage: longest
+  };
+}
+
+const ConnectivityReportService = {
+  async getTimeline(boardId, { from, to, limit }) {
+    const events = await BoardConnectivityModel.getEvents(boardId, { from, to, limit });
+
+    // Events come newest first; each one lasted until the next (newer) transition.
+    // Without an upper bound the newest event is the current state, still running.
+    let nextAt = to ? null : Date.now();
+    return events.map((event, index) => {
+      const at = new Date(event.occurred_at).getTime();
+      const entry = {
+        ...event,
+        duration_ms: nextAt === null ? null : Math.max(0, nextAt - at),
+        ongoing: index === 0 && !to
+      };
+      nextAt = at;
+      return entry;
+    });
+  },
+
+  async getUptimeReport(board) {
+    const now = Date.now();
+    const since = new Date(now - PERIODS.month);
+    const [events, before] = await Promise.all([
+      BoardConnectivityModel.getEventsSince(board.board_id, since),
+      BoardConnectivityModel.getLastEventBefore(board.board_id, since)
+    ]);
+
+    const periods = {};
+    for (const [name, lengthMs] of Object.entries(PERIODS)) {
+      const windowStart = now - lengthMs;
+      const initial = [before, ...events.filter(e => new Date(e.occurred_at).getTime() < windowStart)]
+        .filter(Boolean)
+        .pop();
+      const inWindow = events.filter(e => new Date(e.occurred_at).getTime() >= windowStart);
+      const disconnects = inWindow.filter(e => e.status === 'offline').length;
+
+      periods[name] = {
+        from: new Date(windowStart).toISOString(),
+        to: new Date(now).toISOString(),
+        ...summarize(buildIntervals(inWindow, initial ? initial.status : null, windowStart, now), disconnects)
+      };
+    }
+
+    return {
+      board_id: board.board_id,
+      is_online: Boolean(board.is_online),
+      last_seen: board.last_seen,
+      periods
+    };
+  }
+};
+
+module.exports = ConnectivityReportService;
@@ -0,0 +1,135 @@
+// Fire times of a cron expression: 5 fields (minute hour day month weekday)
+// or 6 with leading seconds; '*', ranges, steps, lists and three-letter
+// month/weekday names. As in standard cron, a day matches on its day of month
+// OR its weekday when both fields are restricted, and on both otherwise.
+// Times are wall-clock times in `timeZone` (default: the server's).
+// Not node-cron: it matches the local clock second by second, so a time the
+// clock skips never fires and one it passes twice fires twice, it requires both
+// day fields, and it cannot list the runs that previews, conflict checks and
+// dry runs need. One engine here keeps all of those in line with the scheduler.
+
+const TimeZone = require('./timeZone');
+
+const FIELDS = [
+  { name: 'second', min: 0, max: 59 },
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+// How far next() looks ahead; covers expressions that only match on 29 February
+const HORIZON_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+// Wall-clock slack around a range: a skipped time just before it can resolve into it
+const SLACK_MS = 3 * HOUR_MS;
+
+function fieldValue(text, field) {
+  if (/^\d+$/.test(text)) return Number(text);
+  const index = field.names && text.length === 3 ? field.names.indexOf(text.toLowerCase()) : -1;
+  return index === -1 ? NaN : index + field.min;
+}
+
+// Set of the values one field allows; throws on anything out of range or malformed
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText, extra] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (extra !== undefined || !Number.isInteger(step) || step < 1) throw new Error(`Invalid step in ${field.name} field: ${part}`);
+
+    let start;
+    let end;
+    if (range === '*') {
+      [start, end] = [field.min, field.max];
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(value => fieldValue(value, field));
+    } else {
+      start = fieldValue(range, field);
+      end = stepText === undefined ? start : field.max;
+    }
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < field.min || end > field.max || start > end) {
+      throw new Error(`Invalid ${field.name} field: ${part}`);
+    }
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+  if (field.name === 'day of week' && values.has(7)) values.add(0);
+  return values;
+}
+
+function parse(expression) {
+  if (typeof expression !== 'string') throw new Error('Cron expression must be a string');
+  const texts = expression.trim().split(/\s+/);
+  if (texts.length !== 5 && texts.length !== 6) throw new Error('Cron expression needs 5 or 6 fields');
+  if (texts.length === 5) texts.unshift('0');
+  const [second, minute, hour, day, month, weekday] = texts.map((text, index) => parseField(text, FIELDS[index]));
+  // A field starting with '*' leaves the choice of day to the other one
+  const eitherDay = !texts[3].startsWith('*') && !texts[5].startsWith('*');
+  return { seconds: [...second].sort((a, b) => a - b), minute, hour, day, month, weekday, eitherDay };
+}
+
+/**
+ * Fire times in [start, end], earliest first; stops after `limit`. Walks the
+ * wall clock of the zone and turns each matching time into an instant, so a
+ * time the clock skips when it springs forward fires as the clock jumps past
+ * it and a time it passes twice when it falls back fires once.
+ */
+function walk(schedule, start, end, timeZone, limit) {
+  const times = [];
+  const wallEnd = TimeZone.wallTime(end, timeZone) + SLACK_MS;
+  let wall = Math.ceil((TimeZone.wallTime(start, timeZone) - SLACK_MS) / MINUTE_MS) * MINUTE_MS;
+  while (wall <= wallEnd && times.length < limit) {
+    const clock = new Date(wall);
+    const dayOfMonth = schedule.day.has(clock.getUTCDate());
+    const dayOfWeek = schedule.weekday.has(clock.getUTCDay());
+    const dayMatches = schedule.month.has(clock.getUTCMonth() + 1)
+      && (schedule.eitherDay ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek);
+    if (!dayMatches) {
+      wall = (Math.floor(wall / DAY_MS) + 1) * DAY_MS;
+      continue;
+    }
+    if (!schedule.hour.has(clock.getUTCHours())) {
+      wall = (Math.floor(wall / HOUR_MS) + 1) * HOUR_MS;
+      continue;
+    }
+    // A minute that resolves before the range (its slack) has nothing to fire
+    if (schedule.minute.has(clock.getUTCMinutes()) && TimeZone.toInstant(wall, timeZone) + MINUTE_MS > start) {
+      for (const second of schedule.seconds) {
+        const time = TimeZone.toInstant(wall + second * 1000, timeZone);
+        if (time > end || times.length >= limit) return times;
+        // Skipped times all resolve to the jump, which may also be a fire time of its own
+        const last = times.length > 0 ? times[times.length - 1].getTime() : null;
+        if (time >= start && time !== last) times.push(new Date(time));
+      }
+    }
+    wall += MINUTE_MS;
+  }
+  return times;
+}
+
+const CronSchedule = {
+  // null when the expression is valid, otherwise what is wrong with it
+  validate(expression) {
+    try {
+      parse(expression);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  },
+
+  // Fire times between `from` and `to` (inclusive)
+  between(expression, from, to, { timeZone = undefined, limit = 1000 } = {}) {
+    return walk(parse(expression), new Date(from).getTime(), new Date(to).getTime(), timeZone, limit);
+  },
+
+  // The next `count` fire times after `after`
+  next(expression, after = new Date(), count = 1, { timeZone = undefined } = {}) {
+    const start = new Date(after).getTime() + 1;
+    return walk(parse(expression), start, start + HORIZON_MS, timeZone, count);
+  }
+};
+
+module.exports = CronSchedule;
@@ -0,0 +1,122 @@
+const db = require('../config/database');
+
+// Readings stamped further ahead of the server than this (after correction) are implausible
+const MAX_FUTURE_MS = parseInt(process.env.TELEMETRY_MAX_FUTURE_MS || '60000', 10);
+// Oldest backfill accepted; keep it below the shortest raw retention so rollups can be rebuilt
+const MAX_BACKFILL_MS = parseInt(process.env.TELEMETRY_MAX_BACKFILL_MS || String(3 * 24 * 60 * 60 * 1000), 10);
+
+// Heartbeat samples are smoothed; a sample this far off the estimate means the clock was reset
+const SKEW_SMOOTHING = 0.2;
+const SKEW_RESET_MS = 60 * 1000;
+// The stored estimate is refreshed when it drifts this much, or at least this often
+const PERSIST_DELTA_MS = 250;
+const PERSIST_INTERVAL_MS = 10 * 60 * 1000;
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Epoch numbers below this are seconds, above milliseconds
+const EPOCH_MS_THRESHOLD = 1e11;
+
+/**
+ * Works out when a board's reading was actually taken. Boards report their
+ * own time on heartbeats and readings; the difference to the server clock
+ * (skew) is estimated from heartbeats, kept in esp32_boards.clock_skew_ms so
+ * every instance shares it, and subtracted from reading timestamps. A board
+ * without NTP (time counting from boot) still gets correct times this way.
+ */
+class DeviceClockService {
+  constructor() {
+    this.skews = new Map();
+  }
+
+  // Epoch seconds, epoch milliseconds or an ISO string -> epoch ms, or null
+  parseTimestamp(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const numeric = typeof value === 'number' ? value : /^\d+(\.\d+)?$/.test(String(value).trim()) ? Number(value) : NaN;
+    if (Number.isFinite(numeric)) {
+      return Math.round(numeric < EPOCH_MS_THRESHOLD ? numeric * 1000 : numeric);
+    }
+    const parsed = typeof value === 'string' ? Date.parse(value) : NaN;
+    return Number.isFinite(parsed) ? parsed : null;
+  }
+
+  // Device time of a message, from `ts` or `timestamp`
+  messageTime(message) {
+    if (!message || typeof message !== 'object') return null;
+    return message.ts !== undefined ? message.ts : message.timestamp;
+  }
+
+  async getSkew(boardId) {
+    const cached = this.skews.get(boardId);
+    if (cached && cached.expiresAt > Date.now()) return cached.skewMs;
+
+    const [board] = await db.query('SELECT clock_skew_ms FROM esp32_boards WHERE board_id = ?', [boardId]);
+    const skewMs = board && board.clock_skew_ms !== null ? Number(board.clock_skew_ms) : null;
+    this.skews.set(boardId, {
+      skewMs,
+      persistedSkewMs: skewMs,
+      persistedAt: cached ? cached.persistedAt : 0,
+      expiresAt: Date.now() + CACHE_TTL_MS
+    });
+    return skewMs;
+  }
+
+  /**
+   * Fold a heartbeat's device time into the board's skew estimate.
+   * Returns the new estimate in ms (device minus server), or null if the
+   * heartbeat carried no usable time.
+   */
+  async observeHeartbeat(boardId, deviceTime, receivedAt = new Date()) {
+    const deviceMs = this.parseTimestamp(deviceTime);
+    if (deviceMs === null) return null;
+
+    const sample = deviceMs - receivedAt.getTime();
+    const previous = await this.getSkew(boardId);
+    const skewMs = previous === null || Math.abs(sample - previous) > SKEW_RESET_MS
+      ? sample
+      : Math.round(previous + SKEW_SMOOTHING * (sample - previous));
+
+    const entry = this.skews.get(boardId);
+    entry.skewMs = skewMs;
+    entry.expiresAt = Date.now() + CACHE_TTL_MS;
+
+    const drifted = entry.persistedSkewMs === null || Math.abs(skewMs - entry.persistedSkewMs) >= PERSIST_DELTA_MS;
+    if (drifted || Date.now() - entry.persistedAt >= PERSIST_INTERVAL_MS) {
+      await db.query(
+        'UPDATE esp32_boards SET clock_skew_ms = ?, clock_skew_updated_at = CURRENT_TIMESTAMP WHERE board_id = ?',
+        [skewMs, boardId]
+      );
+      entry.persistedSkewMs = skewMs;
+      entry.persistedAt = Date.now();
+    }
+    return skewMs;
+  }
+
+  /**
+   * Timestamp options for telemetryIngestService.enqueue():
+   * { observedAt, receivedAt, timestampStatus } where the status is
+   *   server      - no device time, observed_at is the arrival time
+   *   device      - device time taken as is (no skew known yet)
+   *   corrected   - device time minus the board's skew
+   *   implausible - too far in the future or past; observed_at falls back to arrival
+   */
+  async stamp(boardId, deviceTime, receivedAt = new Date()) {
+    if (deviceTime === null || deviceTime === undefined) {
+      return { observedAt: receivedAt, receivedAt, timestampStatus: 'server' };
+    }
+
+    const deviceMs = this.parseTimestamp(deviceTime);
+    const skewMs = deviceMs === null ? null : await this.getSkew(boardId);
+    const observedMs = deviceMs === null ? null : deviceMs - (skewMs || 0);
+    const received = receivedAt.getTime();
+
+    if (observedMs === null || observedMs > received + MAX_FUTURE_MS || observedMs < received - MAX_BACKFILL_MS) {
+      return { observedAt: receivedAt, receivedAt, timestampStatus: 'implausible' };
+    }
+    return { observedAt: new Date(observedMs), receivedAt, timestampStatus: skewMs === null ? 'device' : 'corrected' };
+  }
+}
+
+// Create singleton instance
+const deviceClockService = new DeviceClockService();
+
+module.exports = deviceClockService;
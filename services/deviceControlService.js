@@ -0,0 +1,117 @@
+const DeviceTypeRegistry = require('./deviceTypeRegistry');
+const mqttService = require('./mqttService');
+const shadowService = require('./shadowService');
+
+function parseState(state) {
+  if (!state) return {};
+  return typeof state === 'string' ? JSON.parse(state) : state;
+}
+
+/**
+ * Drives a device to a state patch ({ state: true }, { value: 128 }, ...):
+ * records it as desired in the shadow, sends the firmware commands the
+ * device type maps it to and, once the board acks, records it as reported.
+ * State keys no capability maps to firmware travel as one shadow_delta.
+ * `device` is a devices row joined with its board (board_id, is_online).
+ */
+const DeviceControlService = {
+  /**
+   * Run a typed capability command ({ capability, command, args }).
+   * Resolves like applyState(), or { error } when the device type rejects it.
+   */
+  async execute(device, request, options = {}) {
+    const prepared = await this.prepare(device, request);
+    if (prepared.error) return prepared;
+
+    const { commands, ...details } = prepared;
+    const result = await this.send(device, commands, options);
+    return { ...result, ...details };
+  },
+
+  async applyState(device, patch, { queueOptions = null, timeoutMs = 10000, transitionMs } = {}) {
+    const prepared = await this.prepareState(device, patch, { transitionMs });
+    if (prepared.error) return prepared;
+    return this.send(device, prepared.commands, { queueOptions, timeoutMs });
+  },
+
+  /**
+   * Resolve a typed command to the firmware commands that carry it, without
+   * sending them: { commands, patch, transitionMs } or { commands, pulseMs },
+   * or { error } (with `offline` set when only the board being away is the problem).
+   */
+  async prepare(device, request) {
+    const resolved = DeviceTypeRegistry.resolveCommand(device.device_type, request, parseState(device.state));
+    if (resolved.error) return resolved;
+
+    if (resolved.pulseMs !== undefined) {
+      // A pulse delivered hours late would surprise whoever is near the device
+      if (!device.is_online) return { error: 'Board is offline. Pulses are not queued.', offline: true };
+      const command = DeviceTypeRegistry.momentaryCommand(device, request.capability, resolved.pulseMs);
+      if (!command) return { error: `Device has no pin configured for ${request.capability}` };
+      return { commands: [command], pulseMs: resolved.pulseMs };
+    }
+
+    const prepared = await this.prepareState(device, resolved.patch, { transitionMs: resolved.transitionMs });
+    return prepared.error ? prepared : { ...prepared, patch: resolved.patch, transitionMs: resolved.transitionMs };
+  },
+
+  // Records the patch as desired; the returned commands are what still has to reach the board
+  async prepareState(device, patch, { transitionMs } = {}) {
+    const { commands, rest } = DeviceTypeRegistry.commandsForState(device, patch, { transitionMs });
+    if (commands.length === 0 && Object.keys(rest).length === 0) {
+      return { error: `Device type "${device.device_type}" has no firmware command for ${Object.keys(patch).join(', ')}` };
+    }
+
+    const desired = await shadowService.setDesired(device.device_id, patch);
+
+    if (Object.keys(rest).length > 0) {
+      commands.push({
+        commandType: 'shadow_delta',
+        data: { data: { device_id: device.device_id, delta: rest, version: desired.document ? desired.document.version : undefined } },
+        reported: rest
+      });
+    }
+    return { commands };
+  },
+
+  async send(device, commands, { queueOptions = null, timeoutMs = 10000 } = {}) {
+    if (!device.is_online && queueOptions) {
+      const commandIds = [];
+      for (const { commandType, data } of commands) {
+        commandIds.push(await mqttService.sendCommand(device.board_id, commandType, data, { deviceId: device.device_id, ...queueOptions }));
+      }
+      return { delivery: 'queued', commandIds };
+    }
+
+    const sent = [];
+    for (const command of commands) {
+      sent.push({ ...command, commandId: await mqttService.sendCommand(device.board_id, command.commandType, command.data, { deviceId: device.device_id }) });
+    }
+    return this.settle(device, sent, timeoutMs);
+  },
+
+  /**
+   * Wait for the acks of commands already sent ({ ...command, commandId }) and
+   * record the acknowledged parts as reported.
+   */
+  async settle(device, sent, timeoutMs = 10000) {
+    const acks = await Promise.all(sent.map(({ commandId }) => mqttService.waitForAck(commandId, timeoutMs)));
+
+    const reported = {};
+    sent.forEach(({ reported: part }, index) => {
+      if (acks[index]) Object.assign(reported, part);
+    });
+    if (Object.keys(reported).length > 0) {
+      await shadowService.report(device.device_id, reported);
+    }
+
+    return {
+      delivery: 'delivered',
+      commandIds: sent.map(({ commandId }) => commandId),
+      acked: acks.every(Boolean),
+      unacked: sent.filter((command, index) => !acks[index]).map(({ commandId }) => commandId)
+    };
+  }
+};
+
+module.exports = DeviceControlService;
@@ -0,0 +1,469 @@
+const fs = require('fs');
+const path = require('path');
+const CapabilityCommands = require('./capabilityCommands');
+
+// One JSON file per device type. DEVICE_TYPES_DIR adds (or overrides) types without touching the code.
+const BUILTIN_DIR = path.join(__dirname, '..', 'config', 'device-types');
+const EXTRA_DIR = process.env.DEVICE_TYPES_DIR || null;
+
+const TYPE_NAME = /^[a-z][a-z0-9_]{0,49}$/;
+const CATEGORIES = ['light', 'switch', 'outlet', 'fan', 'thermostat', 'cover', 'sensor', 'other'];
+
+// What each capability means to the backend. Controllable capabilities own a key of
+// the device state (and shadow); read-only ones describe telemetry metrics; momentary
+// ones (pulse) act without leaving state behind. A type may narrow min/max, rename the
+// state key / metric or, for thermostat_mode, list its `modes`.
+// `transitions`: the capability's commands accept transitionMs.
+const CAPABILITIES = {
+  on_off: { stateKey: 'state', schema: { type: 'boolean' } },
+  level: { stateKey: 'value', schema: { type: 'number' }, min: 0, max: 255, transitions: true },
+  color: { stateKey: 'color', schema: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' }, transitions: true },
+  color_temperature: { stateKey: 'color_temperature', schema: { type: 'integer' }, min: 2700, max: 6500, transitions: true },
+  fan_speed: { stateKey: 'fan_speed', schema: { type: 'integer' }, min: 0, max: 100 },
+  position: { stateKey: 'position', schema: { type: 'integer' }, min: 0, max: 100 },
+  thermostat_setpoint: { stateKey: 'setpoint', schema: { type: 'number' }, min: 5, max: 35 },
+  thermostat_mode: { stateKey: 'mode', schema: { type: 'string', enum: ['off', 'heat', 'cool', 'auto'] } },
+  pulse: { momentary: true, min: 50, max: 60000, defaultMs: 500 },
+  temperature: { readOnly: true, metric: 'temperature', unit: '°C' },
+  humidity: { readOnly: true, metric: 'humidity', unit: '%' },
+  analog: { readOnly: true, metric: 'value', unit: null }
+};
+
+const JSON_TYPES = {
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: Array.isArray,
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: Number.isInteger,
+  boolean: value => typeof value === 'boolean'
+};
+
+// The subset of JSON Schema the type files use; returns a list of problems
+function checkValue(schema, value, at) {
+  if (!schema) return [];
+  if (schema.type && JSON_TYPES[schema.type] && !JSON_TYPES[schema.type](value)) {
+    return [`${at} must be ${schema.type === 'integer' || schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`];
+  }
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${at} must be one of ${schema.enum.join(', ')}`);
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} must be <= ${schema.maximum}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at} must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at} has an invalid format`);
+  }
+  if (JSON_TYPES.object(value)) {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${at}.${key} is required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...checkValue(properties[key], item, `${at}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}.${key} is not allowed`);
+      }
+    }
+  }
+  return errors;
+}
+
+// Keys of a firmware value map are JSON text of the state value ("true", "1") or plain strings
+function mapKeyValue(key) {
+  try {
+    return JSON.parse(key);
+  } catch (e) {
+    return key;
+  }
+}
+
+function invalid(file, message) {
+  return new Error(`Invalid device type definition ${file}: ${message}`);
+}
+
+// Resolve a type file into the shape the rest of the backend uses
+function compile(definition, file) {
+  if (!definition || typeof definition !== 'object') throw invalid(file, 'not an object');
+  const { type, label, category } = definition;
+  if (typeof type !== 'string' || !TYPE_NAME.test(type)) throw invalid(file, '"type" must match ' + TYPE_NAME);
+  if (!CATEGORIES.includes(category)) throw invalid(file, `"category" must be one of ${CATEGORIES.join(', ')}`);
+  if (!JSON_TYPES.object(definition.capabilities)) throw invalid(file, '"capabilities" must be an object');
+
+  const capabilities = {};
+  const stateKeys = new Set();
+  for (const [name, options] of Object.entries(definition.capabilities)) {
+    const base = CAPABILITIES[name];
+    if (!base) throw invalid(file, `unknown capability "${name}" (known: ${Object.keys(CAPABILITIES).join(', ')})`);
+    const { state_key: stateKey, default_ms: defaultMs, modes, ...overrides } = options || {};
+    const capability = { name, ...base, ...overrides, ...(stateKey ? { stateKey } : {}), ...(defaultMs ? { defaultMs } : {}) };
+    if (modes) {
+      if (name !== 'thermostat_mode' || !Array.isArray(modes) || modes.length === 0) throw invalid(file, `${name}: "modes" must be a non-empty array on thermostat_mode`);
+      capability.schema = { ...base.schema, enum: modes };
+    }
+
+    if (capability.momentary) {
+      const firmware = capability.firmware;
+      if (!firmware || typeof firmware.command !== 'string' || typeof firmware.field !== 'string') {
+        throw invalid(file, `${name}: firmware needs "command" and "field"`);
+      }
+    } else if (!capability.readOnly) {
+      if (stateKeys.has(capability.stateKey)) throw invalid(file, `state key "${capability.stateKey}" is used twice`);
+      stateKeys.add(capability.stateKey);
+      if (capability.min !== undefined && !(capability.min < capability.max)) throw invalid(file, `${name}: min must be below max`);
+      const firmware = capability.firmware;
+      if (firmware && (typeof firmware.command !== 'string' || typeof firmware.field !== 'string')) {
+        throw invalid(file, `${name}: firmware needs "command" and "field"`);
+      }
+      if (firmware && firmware.range && !(Array.isArray(firmware.range) && firmware.range.length === 2 && firmware.range.every(Number.isFinite))) {
+        throw invalid(file, `${name}: firmware.range must be [low, high]`);
+      }
+      if (firmware && firmware.channels && (name !== 'color' || !['r', 'g', 'b'].every(key => typeof firmware.channels[key] === 'string'))) {
+        throw invalid(file, `${name}: firmware.channels must name the config keys of the r, g and b pins`);
+      }
+    }
+    capabilities[name] = capability;
+  }
+
+  const add = definition.firmware && definition.firmware.add;
+  if (add && (typeof add.action !== 'string' || typeof add.type !== 'string')) {
+    throw invalid(file, 'firmware.add needs "action" and "type"');
+  }
+
+  return {
+    type,
+    label: label || type,
+    category,
+    capabilities,
+    configSchema: definition.config_schema || { type: 'object' },
+    extraState: (definition.state_schema && definition.state_schema.properties) || {},
+    initialState: definition.initial_state || {},
+    addCommand: add || null
+  };
+}
+
+function loadDirectory(dir, types) {
+  if (!dir || !fs.existsSync(dir)) return;
+  for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json')).sort()) {
+    const fullPath = path.join(dir, file);
+    let definition;
+    try {
+      definition = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+    } catch (error) {
+      throw invalid(fullPath, error.message);
+    }
+    const compiled = compile(definition, fullPath);
+    types.set(compiled.type, compiled);
+  }
+}
+
+function loadTypes() {
+  const types = new Map();
+  loadDirectory(BUILTIN_DIR, types);
+  loadDirectory(EXTRA_DIR, types);
+  return types;
+}
+
+const types = loadTypes();
+
+function controllable(definition) {
+  return Object.values(definition.capabilities).filter(capability => !capability.readOnly && !capability.momentary);
+}
+
+// Pin a firmware mapping drives: a config key (firmware.pin) or the device's own pin
+function firmwarePin(device, firmware, key = firmware.pin) {
+  if (!key) return device.gpio_pin;
+  const config = typeof device.config === 'string' ? JSON.parse(device.config || '{}') : (device.config || {});
+  return config[key] === undefined ? null : Number(config[key]);
+}
+
+// State value -> firmware value (and back) through `map` or a linear `range`
+function toFirmware(capability, value) {
+  const { map, range } = capability.firmware;
+  if (map) return map[String(value)];
+  if (range) return Math.round(range[0] + ((value - capability.min) / (capability.max - capability.min)) * (range[1] - range[0]));
+  return value;
+}
+
+function fromFirmware(capability, sent) {
+  const { map, range } = capability.firmware;
+  if (map) {
+    const entry = Object.entries(map).find(([, mapped]) => mapped === sent);
+    return entry ? mapKeyValue(entry[0]) : undefined;
+  }
+  if (range) return Math.round(capability.min + ((sent - range[0]) / (range[1] - range[0])) * (capability.max - capability.min));
+  return sent;
+}
+
+/**
+ * Device types and what they can do, loaded once from config/device-types.
+ * Controllers, timers, the shadow and the smart-home adapters ask this module
+ * instead of comparing device_type strings, so adding a type is a JSON file.
+ */
+const DeviceTypeRegistry = {
+  knownCapabilities: Object.keys(CAPABILITIES),
+  categories: CATEGORIES,
+
+  get(type) {
+    return types.get(type) || null;
+  },
+
+  has(type) {
+    return types.has(type);
+  },
+
+  names() {
+    return [...types.keys()];
+  },
+
+  // Public description of every type, as served by GET /api/device-types
+  list() {
+    return this.names().map(type => this.describe(type));
+  },
+
+  describe(type) {
+    const definition = this.get(type);
+    if (!definition) return null;
+    return {
+      type: definition.type,
+      label: definition.label,
+      category: definition.category,
+      capabilities: Object.values(definition.capabilities).map(capability => ({
+        name: capability.name,
+        read_only: Boolean(capability.readOnly),
+        ...(capability.readOnly
+          ? { metric: capability.metric, unit: capability.unit }
+          : {
+            state_key: capability.stateKey,
+            min: capability.min,
+            max: capability.max,
+            ...(capability.schema && capability.schema.enum ? { values: capability.schema.enum } : {}),
+            commands: CapabilityCommands.list(capability.name)
+          })
+      })),
+      config_schema: definition.configSchema,
+      state_schema: this.stateSchema(type),
+      initial_state: definition.initialState
+    };
+  },
+
+  capability(type, name) {
+    const definition = this.get(type);
+    return definition ? definition.capabilities[name] || null : null;
+  },
+
+  hasCapability(type, name) {
+    return Boolean(this.capability(type, name));
+  },
+
+  capabilityNames(type) {
+    const definition = this.get(type);
+    return definition ? Object.keys(definition.capabilities) : [];
+  },
+
+  // A ranged capability's value as 0-100 %, the scale voice assistants use, and back
+  toPercent(type, name, value) {
+    return CapabilityCommands.toPercent(this.capability(type, name), value);
+  },
+
+  fromPercent(type, name, percent) {
+    return CapabilityCommands.fromPercent(this.capability(type, name), percent);
+  },
+
+  /**
+   * Resolve a typed capability command ({ capability, command, args }) for a
+   * device of `type`: { patch, transitionMs? }, { pulseMs } or { error }.
+   */
+  resolveCommand(type, { capability, command, args } = {}, currentState = {}) {
+    const definition = this.get(type);
+    if (!definition) return { error: `Unknown device type "${type}"` };
+    const declared = definition.capabilities[capability];
+    if (!declared) {
+      return { error: `Device type "${type}" has no capability "${capability}" (has: ${Object.keys(definition.capabilities).join(', ')})` };
+    }
+    return CapabilityCommands.resolve(declared, command, args || {}, currentState);
+  },
+
+  category(type) {
+    const definition = this.get(type);
+    return definition ? definition.category : null;
+  },
+
+  // Telemetry metrics a sensor type reports, e.g. ['temperature', 'humidity']
+  metrics(type) {
+    const definition = this.get(type);
+    if (!definition) return [];
+    return Object.values(definition.capabilities).filter(capability => capability.readOnly).map(capability => capability.metric);
+  },
+
+  // JSON schema of the controllable state, derived from the capabilities
+  stateSchema(type) {
+    const definition = this.get(type);
+    if (!definition) return null;
+    const properties = { ...definition.extraState };
+    for (const capability of controllable(definition)) {
+      const schema = { ...capability.schema };
+      if (capability.min !== undefined) schema.minimum = capability.min;
+      if (capability.max !== undefined) schema.maximum = capability.max;
+      properties[capability.stateKey] = schema;
+    }
+    return { type: 'object', properties };
+  },
+
+  // The part of a device state its type's capabilities control, e.g. for a scene snapshot
+  controllableState(type, state = {}) {
+    const definition = this.get(type);
+    if (!definition) return {};
+    const picked = {};
+    for (const capability of controllable(definition)) {
+      if (state[capability.stateKey] !== undefined) picked[capability.stateKey] = state[capability.stateKey];
+    }
+    return picked;
+  },
+
+  validateConfig(type, config) {
+    const definition = this.get(type);
+    if (!definition) return [`Unknown device type "${type}"`];
+    return checkValue(definition.configSchema, config === undefined ? {} : config, 'config');
+  },
+
+  // Keys outside the schema are left alone; they travel to the board as a shadow_delta
+  validateState(type, patch) {
+    const schema = this.stateSchema(type);
+    if (!schema) return [`Unknown device type "${type}"`];
+    return checkValue(schema, patch, 'state');
+  },
+
+  initialState(type) {
+    const definition = this.get(type);
+    return definition ? { ...definition.initialState } : {};
+  },
+
+  // { action, type } of the firmware message that creates the device on the board
+  addCommand(type) {
+    const definition = this.get(type);
+    return definition ? definition.addCommand : null;
+  },
+
+  /**
+   * Turn a REST/timer style request ({ action: turn_on|turn_off|toggle|set_value,
+   * state, value }) into a state patch, checked against the type's capabilities.
+   * Returns { patch } or { error }.
+   */
+  controlPatch(type, { action, state, value } = {}, currentState = {}) {
+    const definition = this.get(type);
+    if (!definition) return { error: `Unknown device type "${type}"` };
+
+    const onOff = definition.capabilities.on_off;
+    const level = definition.capabilities.level;
+    const patch = {};
+
+    let desired;
+    if (typeof state === 'boolean') {
+      desired = state;
+    } else if (typeof action === 'string') {
+      const a = action.toLowerCase();
+      if (a === 'turn_on' || a === 'on') desired = true;
+      else if (a === 'turn_off' || a === 'off') desired = false;
+      else if (a === 'toggle') desired = !(onOff && currentState && currentState[onOff.stateKey]);
+    }
+    if (typeof desired === 'boolean') {
+      if (!onOff) return { error: `Device type "${type}" cannot be switched on or off` };
+      patch[onOff.stateKey] = desired;
+    }
+
+    if (value !== undefined && value !== null && value !== '') {
+      const number = Number(value);
+      if (!level) {
+        if (Object.keys(patch).length === 0) return { error: `Device type "${type}" does not accept a value` };
+      } else if (!Number.isFinite(number) || number < level.min || number > level.max) {
+        return { error: `value must be a number between ${level.min} and ${level.max}` };
+      } else {
+        patch[level.stateKey] = number;
+      }
+    }
+
+    if (Object.keys(patch).length === 0) {
+      return { error: 'Invalid control parameters. Provide state boolean, action turn_on/turn_off/toggle or a value.' };
+    }
+    return { patch };
+  },
+
+  /**
+   * Firmware commands that bring a device to `patch`, one per capability:
+   * [{ commandType, data, reported }]. Keys no capability maps are returned in
+   * `rest` for the caller to forward as a shadow_delta.
+   */
+  commandsForState(device, patch, { transitionMs } = {}) {
+    const definition = this.get(device.device_type);
+    const commands = [];
+    const rest = { ...patch };
+    if (!definition) return { commands, rest };
+
+    for (const capability of controllable(definition)) {
+      const key = capability.stateKey;
+      if (rest[key] === undefined || !capability.firmware) continue;
+      if (checkValue(this.stateSchema(device.device_type).properties[key], rest[key], key).length > 0) continue;
+
+      const { command, field, channels } = capability.firmware;
+      const extra = transitionMs !== undefined && capability.transitions ? { transition_ms: transitionMs } : {};
+      if (channels) {
+        // One command per colour channel, each on the pin its config key names
+        const pins = ['r', 'g', 'b'].map(channel => firmwarePin(device, capability.firmware, channels[channel]));
+        if (pins.some(pin => pin === null)) continue;
+        const bytes = [1, 3, 5].map(offset => parseInt(rest[key].slice(offset, offset + 2), 16));
+        pins.forEach((pin, index) => {
+          commands.push({ commandType: command, data: { pin, [field]: bytes[index], ...extra }, reported: index === 2 ? { [key]: rest[key] } : {} });
+        });
+      } else {
+        const value = toFirmware(capability, rest[key]);
+        const pin = firmwarePin(device, capability.firmware);
+        if (value === undefined || pin === null) continue;
+        commands.push({ commandType: command, data: { pin, [field]: value, ...extra }, reported: { [key]: rest[key] } });
+      }
+      delete rest[key];
+    }
+    return { commands, rest };
+  },
+
+  // Firmware command of a momentary capability (pulse) lasting `durationMs`
+  momentaryCommand(device, capabilityName, durationMs) {
+    const capability = this.capability(device.device_type, capabilityName);
+    if (!capability || !capability.momentary) return null;
+    const { command, field, fields } = capability.firmware;
+    const pin = firmwarePin(device, capability.firmware);
+    return pin === null ? null : { commandType: command, data: { pin, ...(fields || {}), [field]: durationMs }, reported: {} };
+  },
+
+  // Reverse of commandsForState: the state a delivered firmware command established
+  reportedFromCommand(device, commandType, data) {
+    const definition = this.get(device.device_type);
+    if (!definition || !data) return null;
+    const capabilities = Object.values(definition.capabilities).filter(capability => capability.firmware && capability.firmware.command === commandType);
+    // A pulse leaves no state behind, even though it drives the same pin as on_off
+    if (capabilities.some(capability => capability.momentary && data[capability.firmware.field] !== undefined)) return null;
+
+    for (const capability of capabilities) {
+      const firmware = capability.firmware;
+      if (capability.momentary || firmware.channels || data[firmware.field] === undefined) continue;
+      if (Number(data.pin) !== Number(firmwarePin(device, firmware))) continue;
+      const value = fromFirmware(capability, data[firmware.field]);
+      if (value !== undefined) return { [capability.stateKey]: value };
+    }
+    return null;
+  },
+
+  // Every firmware command type some registered type sends
+  firmwareCommandTypes() {
+    const commands = new Set();
+    for (const definition of types.values()) {
+      for (const capability of Object.values(definition.capabilities)) {
+        if (capability.firmware) commands.add(capability.firmware.command);
+      }
+    }
+    return [...commands];
+  }
+};
+
+module.exports = DeviceTypeRegistry;
@@ -0,0 +1,197 @@
+const DataModel = require('../models/dataModel');
+const DeviceModel = require('../models/deviceModel');
+const SceneModel = require('../models/sceneModel');
+const AutomationConditions = require('./automationConditions');
+const AutomationService = require('./automationService');
+const TimerSchedule = require('./timerSchedule');
+const DeviceTypeRegistry = require('./deviceTypeRegistry');
+
+const MAX_RANGE_MS = 31 * 24 * 60 * 60 * 1000;
+// History rows replayed per run; a busier range has to be split
+const MAX_ROWS = 100000;
+const MAX_FIRES = 500;
+
+function parseJson(value) {
+  if (!value) return null;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+function changes(state, patch) {
+  return Object.keys(patch).some(key => state[key] !== patch[key]);
+}
+
+/**
+ * What a rule or timer would have done over a past time range, worked out
+ * from the recorded device_data without sending anything. Rules see the
+ * sensor readings and state changes in the order they arrived, plus the
+ * periodic tick the live engine uses; timers fire on their schedule against
+ * the device state recorded at each firing.
+ */
+const DryRunService = {
+  // { from, to } (ISO strings) as Dates, or { error }
+  parseRange({ from, to } = {}) {
+    const start = new Date(from);
+    const end = to === undefined ? new Date() : new Date(to);
+    if (from === undefined || Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      return { error: 'from (and optionally to) must be ISO 8601 timestamps' };
+    }
+    if (end <= start) return { error: 'to must be after from' };
+    if (end - start > MAX_RANGE_MS) return { error: `The range can span at most ${MAX_RANGE_MS / (24 * 60 * 60 * 1000)} days` };
+    return { start, end };
+  },
+
+  /**
+   * Replay a rule ({ conditions, actions, cooldown_seconds }) over the range.
+   * Resolves to { fires: [{ at, trigger, conditions }], ... } or { error }.
+   */
+  async automation(rule, { start, end }) {
+    const { conditions } = rule;
+    const timeZone = rule.user_timezone || undefined;
+    const cooldownMs = (rule.cooldown_seconds || 0) * 1000;
+    const sensorDeviceIds = AutomationConditions.deviceIds(conditions, 'sensor');
+    const stateDeviceIds = AutomationConditions.deviceIds(conditions, 'state');
+
+    const rows = await DataModel.getReplayData({ sensorDeviceIds, stateDeviceIds }, start, end, MAX_ROWS + 1);
+    if (rows.length > MAX_ROWS) return { error: `More than ${MAX_ROWS} recorded readings in the range; choose a shorter one` };
+
+    // Where things stood when the range opens
+    let runtime = {};
+    for (const { device_id, metric } of AutomationConditions.sensorMetrics(conditions)) {
+      const reading = await DataModel.getReadingBefore(device_id, metric, start);
+      if (reading) runtime = AutomationConditions.observe(conditions, runtime, device_id, [{ metric, value: reading.value }], reading.observed_at);
+    }
+    const states = {};
+    for (const deviceId of stateDeviceIds) {
+      const row = await DataModel.getStateBefore(deviceId, start);
+      states[deviceId] = row ? parseJson(row.payload) || {} : {};
+    }
+
+    const fires = [];
+    let evaluations = 0;
+    let active = false;
+    let lastFiredAt = null;
+    const step = (at, trigger) => {
+      evaluations += 1;
+      const evaluation = AutomationConditions.evaluate(conditions, runtime, { now: at, states, timeZone });
+      runtime = evaluation.runtime;
+      if (!evaluation.met) {
+        active = false;
+        return evaluation;
+      }
+      if (!active && (lastFiredAt === null || at - lastFiredAt >= cooldownMs) && trigger) {
+        active = true;
+        lastFiredAt = at;
+        if (fires.length < MAX_FIRES) fires.push({ at: at.toISOString(), trigger, conditions: evaluation.leaves });
+      }
+      return evaluation;
+    };
+
+    // Conditions already holding when the range opens count as triggered before it
+    const initial = step(start, null);
+    active = initial.met;
+
+    const tickMs = AutomationConditions.isTimed(conditions) ? AutomationService.tickMs : null;
+    let nextTick = tickMs ? start.getTime() + tickMs : Infinity;
+    const tickUntil = (time) => {
+      while (nextTick <= time) {
+        step(new Date(nextTick), { type: 'tick' });
+        nextTick += tickMs;
+      }
+    };
+
+    // Rows of one device stamped with the same instant came in one message
+    for (let index = 0; index < rows.length;) {
+      const row = rows[index];
+      const at = new Date(row.observed_at);
+      let next = index + 1;
+      while (next < rows.length && rows[next].device_id === row.device_id && rows[next].data_type === row.data_type
+        && new Date(rows[next].observed_at).getTime() === at.getTime()) next += 1;
+      const group = rows.slice(index, next);
+      index = next;
+
+      tickUntil(at.getTime());
+      if (row.data_type === 'sensor') {
+        const readings = group.map(({ metric, value }) => ({ metric, value }));
+        runtime = AutomationConditions.observe(conditions, runtime, row.device_id, readings, at);
+        step(at, { type: 'sensor', device_id: row.device_id, readings, observed_at: at.toISOString() });
+      } else {
+        for (const { payload } of group) Object.assign(states[row.device_id], parseJson(payload));
+        step(at, { type: 'state', device_id: row.device_id, state: { ...states[row.device_id] } });
+      }
+    }
+    tickUntil(end.getTime());
+
+    return {
+      from: start.toISOString(),
+      to: end.toISOString(),
+      replayed: rows.length,
+      evaluations,
+      initially_met: initial.met,
+      fire_count: fires.length,
+      truncated: fires.length >= MAX_FIRES,
+      actions: rule.actions,
+      fires
+    };
+  },
+
+  /**
+   * Fire a timer (any kind, as TimerSchedule reads it) over the range. Each
+   * firing reports the recorded state of the devices at that moment and the
+   * change it would have made. Resolves to { fires: [...], ... } or { error }.
+   */
+  async timer(timer, userId, { start, end }) {
+    const runs = TimerSchedule.runs(timer, start, end, { limit: MAX_FIRES + 1 });
+
+    const sceneDevices = timer.scene_id ? await SceneModel.getSceneDevices(timer.scene_id) : [];
+    const deviceIds = [...new Set([
+      ...sceneDevices.map(target => target.device_id),
+      ...runs.flatMap(run => run.commands.filter(command => command.type === 'device').map(command => command.device_id))
+    ])];
+    const devices = await DeviceModel.getDevicesWithBoards(deviceIds, userId);
+
+    const histories = new Map();
+    for (const deviceId of deviceIds) {
+      const before = await DataModel.getStateBefore(deviceId, start);
+      const rows = await DataModel.getReplayData({ stateDeviceIds: [deviceId] }, start, end, MAX_ROWS + 1);
+      if (rows.length > MAX_ROWS) return { error: `More than ${MAX_ROWS} recorded state changes in the range; choose a shorter one` };
+      histories.set(deviceId, { state: before ? parseJson(before.payload) || {} : {}, rows, index: 0 });
+    }
+
+    // What one device would have got at `time`: the scene's state, or the command's patch
+    const entry = (deviceId, time, resolve) => {
+      const device = devices.find(candidate => candidate.device_id === deviceId);
+      if (!device) return { device_id: deviceId, status: 'not_found' };
+
+      // Recorded state at the firing: everything reported up to that instant
+      const history = histories.get(deviceId);
+      while (history.index < history.rows.length && new Date(history.rows[history.index].observed_at) <= time) {
+        Object.assign(history.state, parseJson(history.rows[history.index].payload));
+        history.index += 1;
+      }
+      const before = { ...history.state };
+
+      const resolved = resolve(device, before);
+      if (resolved.error) return { device_id: deviceId, status: 'rejected', message: resolved.error, state_before: before };
+      return { device_id: deviceId, status: changes(before, resolved.patch) ? 'would_change' : 'unchanged', state_before: before, patch: resolved.patch };
+    };
+
+    const fires = runs.slice(0, MAX_FIRES).map(({ at, commands }) => {
+      const entries = commands.flatMap((command) => {
+        if (command.type === 'scene') return sceneDevices.map(({ device_id, state }) => entry(device_id, at, () => ({ patch: state })));
+        const control = { action: command.action, value: command.value };
+        return [entry(command.device_id, at, (device, before) => DeviceTypeRegistry.controlPatch(device.device_type, control, before))];
+      });
+      return { at: at.toISOString(), commands, devices: entries };
+    });
+
+    return {
+      from: start.toISOString(),
+      to: end.toISOString(),
+      fire_count: fires.length,
+      truncated: runs.length > MAX_FIRES,
+      fires
+    };
+  }
+};
+
+module.exports = DryRunService;
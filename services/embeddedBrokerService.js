@@ -0,0 +1,129 @@
+const net = require('net');
+const { Duplex } = require('stream');
+const { WebSocketServer, createWebSocketStream } = require('ws');
+const mqttAuthService = require('./mqttAuthService');
+
+// Two connected in-memory streams: whatever is written to one is read from the other
+function createDuplexPair() {
+  let left = null;
+  let right = null;
+  const makeSide = (getPeer) => new Duplex({
+    read() {},
+    write(chunk, encoding, callback) {
+      getPeer().push(chunk);
+      callback();
+    },
+    final(callback) {
+      getPeer().push(null);
+      callback();
+    }
+  });
+  left = makeSide(() => right);
+  right = makeSide(() => left);
+  return [left, right];
+}
+
+class EmbeddedBrokerService {
+  constructor() {
+    this.enabled = process.env.MQTT_EMBEDDED === 'true';
+    this.host = process.env.MQTT_EMBEDDED_HOST || '0.0.0.0';
+    this.port = parseInt(process.env.MQTT_EMBEDDED_PORT || '1883', 10);
+    this.wsPort = parseInt(process.env.MQTT_EMBEDDED_WS_PORT || '8083', 10);
+    this.broker = null;
+    this.tcpServer = null;
+    this.wsServer = null;
+    // Connections opened by the backend itself skip authentication and ACLs
+    this.trustedStreams = new WeakSet();
+  }
+
+  async start() {
+    if (!this.enabled || this.broker) return;
+
+    const aedes = require('aedes');
+    this.broker = aedes({ id: `iot-platform-${process.pid}` });
+    this.broker.authenticate = (client, username, password, done) => this.authenticate(client, username, password, done);
+    this.broker.authorizePublish = (client, packet, done) => this.authorizePublish(client, packet, done);
+    this.broker.authorizeSubscribe = (client, subscription, done) => this.authorizeSubscribe(client, subscription, done);
+
+    this.broker.on('clientError', (client, error) => {
+      console.warn(`⚠️ Embedded broker client ${client && client.id} error:`, error.message);
+    });
+
+    this.tcpServer = net.createServer(this.broker.handle);
+    await new Promise((resolve, reject) => {
+      this.tcpServer.once('error', reject);
+      this.tcpServer.listen(this.port, this.host, resolve);
+    });
+
+    if (this.wsPort > 0) {
+      this.wsServer = new WebSocketServer({ host: this.host, port: this.wsPort });
+      this.wsServer.on('connection', (socket) => this.broker.handle(createWebSocketStream(socket)));
+      await new Promise((resolve, reject) => {
+        this.wsServer.once('error', reject);
+        this.wsServer.once('listening', resolve);
+      });
+    }
+
+    console.log(`📡 Embedded MQTT broker listening on mqtt://${this.host}:${this.port}${this.wsServer ? ` and ws://${this.host}:${this.wsPort}` : ''}`);
+  }
+
+  // Stream builder for mqtt.MqttClient: the backend talks to the broker without a socket
+  createInProcessStream() {
+    const [clientSide, brokerSide] = createDuplexPair();
+    this.trustedStreams.add(brokerSide);
+    this.broker.handle(brokerSide);
+    return clientSide;
+  }
+
+  isTrusted(client) {
+    return Boolean(client && this.trustedStreams.has(client.conn));
+  }
+
+  authenticate(client, username, password, done) {
+    if (this.isTrusted(client)) return done(null, true);
+
+    mqttAuthService.authenticate({ username, password: password ? password.toString() : password })
+      .then(({ allowed }) => {
+        if (!allowed) {
+          console.warn(`⚠️ Embedded broker rejected login for ${username || '(no username)'}`);
+          const error = new Error('Bad username or password');
+          error.returnCode = 4;
+          return done(error, false);
+        }
+        client.mqttUsername = username;
+        done(null, true);
+      })
+      .catch((error) => {
+        console.error('❌ Embedded broker authentication failed:', error);
+        const authError = new Error('Server unavailable');
+        authError.returnCode = 3;
+        done(authError, false);
+      });
+  }
+
+  authorizePublish(client, packet, done) {
+    if (this.isTrusted(client)) return done(null);
+    const allowed = mqttAuthService.checkAcl({
+      username: client.mqttUsername,
+      topic: packet.topic,
+      access: 'publish'
+    });
+    done(allowed ? null : new Error(`Publish to ${packet.topic} not allowed`));
+  }
+
+  authorizeSubscribe(client, subscription, done) {
+    if (this.isTrusted(client)) return done(null, subscription);
+    const allowed = mqttAuthService.checkAcl({
+      username: client.mqttUsername,
+      topic: subscription.topic,
+      access: 'subscribe'
+    });
+    // A null subscription is refused with a failure return code instead of dropping the client
+    done(null, allowed ? subscription : null);
+  }
+}
+
+// Create singleton instance
+const embeddedBrokerService = new EmbeddedBrokerService();
+
+module.exports = embeddedBrokerService;
@@ -0,0 +1,48 @@
+const ExecutionModel = require('../models/executionModel');
+
+// Executions stay in the log this long
+const RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Log of everything that ran without a user pressing a button: timers and
+ * automations. Each entry holds what triggered it, the conditions it
+ * evaluated (automations), the commands it sent and how every device
+ * acknowledged them, in the bulk control result format.
+ */
+const ExecutionLogService = {
+  // success when every device acked, failed when none did (or nothing was sent)
+  status(results, error = null) {
+    const applied = results.filter(result => result.status === 'acked').length;
+    if (error || applied === 0) return 'failed';
+    return applied === results.length ? 'success' : 'partial';
+  },
+
+  // Results of a scene action: one entry per scene device, or a single entry when the scene did not run
+  sceneResults(sceneId, activation) {
+    if (!activation || activation.error) {
+      return [{ scene_id: sceneId, status: 'rejected', message: activation ? activation.error : 'Scene not found' }];
+    }
+    return activation.results.map(result => ({ ...result, scene_id: sceneId, activation_id: activation.activation_id }));
+  },
+
+  // Drop entries past the retention; run by the periodic retention job
+  async prune(now = new Date()) {
+    return ExecutionModel.deleteOlderThan(new Date(now.getTime() - RETENTION_MS));
+  },
+
+  /**
+   * Store one execution ({ source, timer_id | automation_id, name, trigger,
+   * conditions?, commands, results, error? }) and resolve to { id, status }.
+   */
+  async record(userId, entry) {
+    const status = this.status(entry.results, entry.error);
+    const id = await ExecutionModel.create(userId, { ...entry, status });
+
+    const applied = entry.results.filter(result => result.status === 'acked').length;
+    const icon = { success: '✅', partial: '⚠️', failed: '❌' }[status];
+    console.log(`${icon} ${entry.source === 'timer' ? 'Timer' : 'Automation'} "${entry.name}" ${status}: ${applied}/${entry.results.length} acknowledged`);
+    return { id, status };
+  }
+};
+
+module.exports = ExecutionLogService;
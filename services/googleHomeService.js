@@ -1,47 +1,95 @@
 const db = require('../config/database');
-const mqttService = require('./mqttService');
+const DeviceModel = require('../models/deviceModel');
+const SceneModel = require('../models/sceneModel');
+const DeviceTypeRegistry = require('./deviceTypeRegistry');
+const DeviceControlService = require('./deviceControlService');
+const SceneService = require('./sceneService');
+
+function parseState(state) {
+  if (!state) return {};
+  return typeof state === 'string' ? JSON.parse(state) : state;
+}
+
+function hexToRgbInt(hex) {
+  return typeof hex === 'string' && /^#[0-9a-fA-F]{6}$/.test(hex) ? parseInt(hex.slice(1), 16) : null;
+}
+
+function rgbIntToHex(value) {
+  return '#' + Number(value).toString(16).padStart(6, '0').slice(-6);
+}
+
+// Scene activations answer within Google's EXECUTE deadline; devices still pending count as timed out
+const SCENE_ACK_TIMEOUT_MS = 5000;
+
+// Google's heatcool is our auto
+const THERMOSTAT_MODES = { heatcool: 'auto' };
 
 class GoogleHomeService {
   constructor() {
+    // Registry category -> Google device type
     this.deviceTypes = {
       'light': 'action.devices.types.LIGHT',
       'switch': 'action.devices.types.SWITCH',
       'outlet': 'action.devices.types.OUTLET',
       'fan': 'action.devices.types.FAN',
       'thermostat': 'action.devices.types.THERMOSTAT',
-      'sensor': 'action.devices.types.SENSOR'
+      'cover': 'action.devices.types.BLINDS',
+      'sensor': 'action.devices.types.SENSOR',
+      'other': 'action.devices.types.SWITCH'
     };
 
-    this.deviceTraits = {
-      'light': ['action.devices.traits.OnOff', 'action.devices.traits.Brightness'],
-      'switch': ['action.devices.traits.OnOff'],
-      'outlet': ['action.devices.traits.OnOff'],
-      'fan': ['action.devices.traits.OnOff', 'action.devices.traits.FanSpeed'],
-      'thermostat': ['action.devices.traits.TemperatureSetting'],
-      'sensor': ['action.devices.traits.SensorState']
+    // Registry capability -> Google trait (fans expose their level as FanSpeed)
+    this.capabilityTraits = {
+      'on_off': 'action.devices.traits.OnOff',
+      'level': 'action.devices.traits.Brightness',
+      'color': 'action.devices.traits.ColorSetting',
+      'color_temperature': 'action.devices.traits.ColorSetting',
+      'fan_speed': 'action.devices.traits.FanSpeed',
+      'position': 'action.devices.traits.OpenClose',
+      'thermostat_setpoint': 'action.devices.traits.TemperatureSetting',
+      'thermostat_mode': 'action.devices.traits.TemperatureSetting',
+      'temperature': 'action.devices.traits.TemperatureControl',
+      'humidity': 'action.devices.traits.HumiditySetting'
     };
   }
 
+  isThermostat(deviceType) {
+    return DeviceTypeRegistry.hasCapability(deviceType, 'thermostat_setpoint') || DeviceTypeRegistry.hasCapability(deviceType, 'thermostat_mode');
+  }
+
+  // A fan without fan_speed is driven through its level
+  fanSpeedCapability(deviceType) {
+    if (DeviceTypeRegistry.hasCapability(deviceType, 'fan_speed')) return 'fan_speed';
+    return DeviceTypeRegistry.category(deviceType) === 'fan' && DeviceTypeRegistry.hasCapability(deviceType, 'level') ? 'level' : null;
+  }
+
+  getTraits(deviceType) {
+    const traits = new Set();
+    for (const name of DeviceTypeRegistry.capabilityNames(deviceType)) {
+      if (name === 'level' && this.fanSpeedCapability(deviceType) === 'level') {
+        traits.add('action.devices.traits.FanSpeed');
+      } else if (name === 'temperature' && this.isThermostat(deviceType)) {
+        // Reported as the thermostat's ambient temperature instead
+        continue;
+      } else if (this.capabilityTraits[name]) {
+        traits.add(this.capabilityTraits[name]);
+      }
+    }
+    return [...traits];
+  }
+
   async handleSync(userId) {
     try {
       console.log(`🔄 Google Home SYNC request for user ${userId}`);
 
-      // Get user's devices
-      const devices = await db.query(`
-        SELECT device_id, name, description, room, device_type, config, is_online
-        FROM devices
-        WHERE user_id = ?
-        ORDER BY name
-      `, [userId]);
-
-      const googleDevices = devices.map(device => {
-        const deviceConfig = device.config ? JSON.parse(device.config) : {};
-        const deviceType = deviceConfig.google_type || 'switch';
-        
-        return {
+      const devices = await DeviceModel.getDevicesByUser(userId);
+
+      const googleDevices = devices
+        .filter(device => DeviceTypeRegistry.has(device.device_type))
+        .map(device => ({
           id: device.device_id,
-          type: this.deviceTypes[deviceType] || this.deviceTypes.switch,
-          traits: this.deviceTraits[deviceType] || this.deviceTraits.switch,
+          type: this.deviceTypes[DeviceTypeRegistry.category(device.device_type)] || this.deviceTypes.other,
+          traits: this.getTraits(device.device_type),
           name: {
             defaultNames: [device.name],
             name: device.name,
@@ -49,25 +97,43 @@ class GoogleHomeService {
           },
           deviceInfo: {
             manufacturer: 'IoT Platform',
-            model: device.device_type || 'ESP32',
+            model: device.device_type,
             hwVersion: '1.0',
             swVersion: '2.0.0'
           },
-          roomHint: device.room || 'Unknown',
+          roomHint: device.room_name || device.board_location || undefined,
           willReportState: true,
-          attributes: this.getDeviceAttributes(deviceType, deviceConfig),
+          attributes: this.getDeviceAttributes(device.device_type),
           customData: {
             deviceId: device.device_id,
             userId: userId
           }
-        };
-      });
+        }));
+
+      // Scenes are reversible: "deactivate" undoes the latest activation
+      const scenes = await SceneModel.listScenes(userId);
+      const googleScenes = scenes.map(scene => ({
+        id: SceneService.endpointId(scene.id),
+        type: 'action.devices.types.SCENE',
+        traits: ['action.devices.traits.Scene'],
+        name: {
+          defaultNames: [scene.name],
+          name: scene.name,
+          nicknames: [scene.name]
+        },
+        willReportState: false,
+        attributes: { sceneReversible: true },
+        customData: {
+          sceneId: scene.id,
+          userId: userId
+        }
+      }));
 
-      console.log(`✅ SYNC response: ${googleDevices.length} devices`);
+      console.log(`✅ SYNC response: ${googleDevices.length} devices, ${googleScenes.length} scenes`);
 
       return {
         agentUserId: userId.toString(),
-        devices: googleDevices
+        devices: [...googleDevices, ...googleScenes]
       };
 
     } catch (error) {
@@ -83,15 +149,16 @@ class GoogleHomeService {
       const deviceStates = {};
 
       for (const device of devices) {
+        // Scenes have no state to report
+        if (SceneService.sceneIdFromEndpoint(device.id)) {
+          deviceStates[device.id] = { online: true, status: 'SUCCESS' };
+          continue;
+        }
+
         try {
-          // Get device from database
-          const deviceData = await db.query(`
-            SELECT id, device_id, is_online, last_seen, config
-            FROM devices
-            WHERE device_id = ?
-          `, [device.id]);
-
-          if (deviceData.length === 0) {
+          const dbDevice = await DeviceModel.findDevice(device.id);
+
+          if (!dbDevice || !DeviceTypeRegistry.has(dbDevice.device_type)) {
             deviceStates[device.id] = {
               online: false,
               status: 'ERROR',
@@ -100,30 +167,22 @@ class GoogleHomeService {
             continue;
           }
 
-          const dbDevice = deviceData[0];
-          const deviceConfig = dbDevice.config ? JSON.parse(dbDevice.config) : {};
-
-          // Get latest sensor data for state
-          const sensorData = await db.query(`
-            SELECT sensor_name, value, timestamp
+          // Latest reading of each metric the type reports
+          const metrics = DeviceTypeRegistry.metrics(dbDevice.device_type);
+          const sensorData = metrics.length === 0 ? [] : await db.query(`
+            SELECT metric, value, observed_at
             FROM device_data
-            WHERE device_id = ? AND data_type = 'sensor'
-            ORDER BY timestamp DESC
+            WHERE device_id = ? AND data_type = 'sensor' AND metric IN (${metrics.map(() => '?').join(', ')})
+            ORDER BY observed_at DESC
             LIMIT 10
-          `, [dbDevice.id]);
+          `, [dbDevice.device_id, ...metrics]);
 
-          // Build device state
-          const state = {
-            online: dbDevice.is_online,
-            status: 'SUCCESS'
+          deviceStates[device.id] = {
+            online: Boolean(dbDevice.is_online),
+            status: 'SUCCESS',
+            ...this.buildStates(dbDevice.device_type, parseState(dbDevice.state), sensorData)
           };
 
-          // Add trait-specific states
-          const deviceType = deviceConfig.google_type || 'switch';
-          this.addTraitStates(state, deviceType, sensorData, deviceConfig);
-
-          deviceStates[device.id] = state;
-
         } catch (error) {
           console.error(`❌ Error querying device ${device.id}:`, error);
           deviceStates[device.id] = {
@@ -143,7 +202,7 @@ class GoogleHomeService {
     }
   }
 
-  async handleExecute(commands) {
+  async handleExecute(commands, userId) {
     try {
       console.log(`⚡ Google Home EXECUTE request: ${commands.length} commands`);
 
@@ -153,7 +212,9 @@ class GoogleHomeService {
         for (const device of command.devices) {
           for (const execution of command.execution) {
             try {
-              const result = await this.executeDeviceCommand(device.id, execution);
+              const result = SceneService.sceneIdFromEndpoint(device.id)
+                ? await this.executeSceneCommand(device.id, execution, userId)
+                : await this.executeDeviceCommand(device.id, execution);
               commandResults.push(result);
             } catch (error) {
               console.error(`❌ Error executing command for device ${device.id}:`, error);
@@ -178,14 +239,9 @@ class GoogleHomeService {
 
   async executeDeviceCommand(deviceId, execution) {
     try {
-      // Get device from database
-      const devices = await db.query(`
-        SELECT id, device_id, user_id, config
-        FROM devices
-        WHERE device_id = ?
-      `, [deviceId]);
-
-      if (devices.length === 0) {
+      const device = await DeviceModel.findDevice(deviceId);
+
+      if (!device) {
         return {
           ids: [deviceId],
           status: 'ERROR',
@@ -193,13 +249,9 @@ class GoogleHomeService {
         };
       }
 
-      const device = devices[0];
-      const deviceConfig = device.config ? JSON.parse(device.config) : {};
-
-      // Convert Google command to MQTT command
-      const mqttCommand = this.convertGoogleCommandToMQTT(execution, deviceConfig);
+      const request = this.convertGoogleCommand(device.device_type, execution);
 
-      if (!mqttCommand) {
+      if (!request || !DeviceTypeRegistry.hasCapability(device.device_type, request.capability)) {
         return {
           ids: [deviceId],
           status: 'ERROR',
@@ -207,21 +259,27 @@ class GoogleHomeService {
         };
       }
 
-      // Add metadata
-      mqttCommand.source = 'google_home';
-      mqttCommand.userId = device.user_id;
-      mqttCommand.timestamp = new Date().toISOString();
-
-      // Send command via MQTT
-      await mqttService.sendDeviceCommand(deviceId, mqttCommand);
+      if (!device.is_online) {
+        return {
+          ids: [deviceId],
+          status: 'OFFLINE',
+          errorCode: 'deviceOffline'
+        };
+      }
 
-      // Build response state
-      const responseState = this.buildResponseState(execution);
+      const result = await DeviceControlService.execute(device, request);
+      if (result.error || !result.acked) {
+        return {
+          ids: [deviceId],
+          status: 'ERROR',
+          errorCode: result.error ? 'functionNotSupported' : 'deviceTurnedOff'
+        };
+      }
 
       return {
         ids: [deviceId],
         status: 'SUCCESS',
-        states: responseState
+        states: this.buildStates(device.device_type, { ...parseState(device.state), ...result.patch }, [])
       };
 
     } catch (error) {
@@ -234,142 +292,173 @@ class GoogleHomeService {
     }
   }
 
-  getDeviceAttributes(deviceType, config) {
+  // ActivateScene runs the scene; with deactivate it undoes the scene's latest activation
+  async executeSceneCommand(id, execution, userId) {
+    try {
+      if (execution.command !== 'action.devices.commands.ActivateScene') {
+        return { ids: [id], status: 'ERROR', errorCode: 'functionNotSupported' };
+      }
+
+      const sceneId = SceneService.sceneIdFromEndpoint(id);
+      const options = { timeoutMs: SCENE_ACK_TIMEOUT_MS };
+      const result = execution.params && execution.params.deactivate
+        ? await SceneService.undoLatest(userId, sceneId, options)
+        : await SceneService.activate(userId, sceneId, { ...options, source: 'voice' });
+
+      if (!result) {
+        return { ids: [id], status: 'ERROR', errorCode: 'deviceNotFound' };
+      }
+      if (result.error) {
+        return { ids: [id], status: 'ERROR', errorCode: 'actionNotAvailable' };
+      }
+      // Per-device outcomes stay on the activation; Google only hears whether anything took effect
+      if (result.results.length > 0 && result.summary.acked === 0) {
+        return { ids: [id], status: 'ERROR', errorCode: result.summary.offline > 0 ? 'deviceOffline' : 'transientError' };
+      }
+      return { ids: [id], status: 'SUCCESS' };
+
+    } catch (error) {
+      console.error(`❌ Error executing scene command:`, error);
+      return {
+        ids: [id],
+        status: 'ERROR',
+        errorCode: 'hardError'
+      };
+    }
+  }
+
+  getDeviceAttributes(deviceType) {
     const attributes = {};
+    const colorTemperature = DeviceTypeRegistry.capability(deviceType, 'color_temperature');
 
-    switch (deviceType) {
-      case 'light':
-        if (config.supports_brightness) {
-          attributes.colorModel = 'rgb';
-        }
-        break;
-      case 'fan':
-        attributes.availableFanSpeeds = {
-          speeds: [
-            { speed_name: 'low', speed_values: [{ speed_synonym: ['low', 'slow'], lang: 'en' }] },
-            { speed_name: 'medium', speed_values: [{ speed_synonym: ['medium', 'mid'], lang: 'en' }] },
-            { speed_name: 'high', speed_values: [{ speed_synonym: ['high', 'fast'], lang: 'en' }] }
-          ],
-          ordered: true
-        };
-        break;
-      case 'thermostat':
-        attributes.availableThermostatModes = ['off', 'heat', 'cool', 'auto'];
-        attributes.thermostatTemperatureUnit = 'C';
-        break;
+    if (DeviceTypeRegistry.hasCapability(deviceType, 'color')) {
+      attributes.colorModel = 'rgb';
+    }
+    if (colorTemperature) {
+      attributes.colorTemperatureRange = { temperatureMinK: colorTemperature.min, temperatureMaxK: colorTemperature.max };
+    }
+    if (this.fanSpeedCapability(deviceType)) {
+      attributes.supportsFanSpeedPercent = true;
+    }
+    if (DeviceTypeRegistry.hasCapability(deviceType, 'position')) {
+      attributes.discreteOnlyOpenClose = false;
+    }
+    if (this.isThermostat(deviceType)) {
+      const mode = DeviceTypeRegistry.capability(deviceType, 'thermostat_mode');
+      const setpoint = DeviceTypeRegistry.capability(deviceType, 'thermostat_setpoint');
+      attributes.availableThermostatModes = mode ? mode.schema.enum.map(value => (value === 'auto' ? 'heatcool' : value)) : ['heat'];
+      attributes.thermostatTemperatureUnit = 'C';
+      if (setpoint) {
+        attributes.thermostatTemperatureRange = { minThresholdCelsius: setpoint.min, maxThresholdCelsius: setpoint.max };
+      }
+    } else if (DeviceTypeRegistry.hasCapability(deviceType, 'temperature')) {
+      attributes.queryOnlyTemperatureControl = true;
+      attributes.temperatureUnitForUX = 'C';
+      attributes.temperatureRange = { minThresholdCelsius: -40, maxThresholdCelsius: 125 };
+    }
+    if (DeviceTypeRegistry.hasCapability(deviceType, 'humidity')) {
+      attributes.queryOnlyHumiditySetting = true;
     }
 
     return attributes;
   }
 
-  addTraitStates(state, deviceType, sensorData, config) {
-    // Add OnOff trait state
-    if (this.deviceTraits[deviceType]?.includes('action.devices.traits.OnOff')) {
-      state.on = state.online; // Default to online status
+  // Google state of a device from its stored state and latest readings
+  buildStates(deviceType, state, sensorData) {
+    const googleState = {};
+    const onOff = DeviceTypeRegistry.capability(deviceType, 'on_off');
+    const level = DeviceTypeRegistry.capability(deviceType, 'level');
+    const color = DeviceTypeRegistry.capability(deviceType, 'color');
+    const colorTemperature = DeviceTypeRegistry.capability(deviceType, 'color_temperature');
+
+    if (onOff) {
+      googleState.on = state[onOff.stateKey] === true;
+    }
+    const fanSpeed = this.fanSpeedCapability(deviceType);
+    if (level && state[level.stateKey] !== undefined && fanSpeed !== 'level') {
+      googleState.brightness = DeviceTypeRegistry.toPercent(deviceType, 'level', state[level.stateKey]);
+    }
+    if (fanSpeed) {
+      const capability = DeviceTypeRegistry.capability(deviceType, fanSpeed);
+      if (state[capability.stateKey] !== undefined) {
+        googleState.currentFanSpeedPercent = DeviceTypeRegistry.toPercent(deviceType, fanSpeed, state[capability.stateKey]);
+      }
+    }
+    const position = DeviceTypeRegistry.capability(deviceType, 'position');
+    if (position && state[position.stateKey] !== undefined) {
+      googleState.openPercent = DeviceTypeRegistry.toPercent(deviceType, 'position', state[position.stateKey]);
+    }
+    const setpoint = DeviceTypeRegistry.capability(deviceType, 'thermostat_setpoint');
+    if (setpoint && state[setpoint.stateKey] !== undefined) {
+      googleState.thermostatTemperatureSetpoint = Number(state[setpoint.stateKey]);
+    }
+    const mode = DeviceTypeRegistry.capability(deviceType, 'thermostat_mode');
+    if (mode && state[mode.stateKey] !== undefined) {
+      googleState.thermostatMode = state[mode.stateKey] === 'auto' ? 'heatcool' : state[mode.stateKey];
+    }
+    if (color && hexToRgbInt(state[color.stateKey]) !== null) {
+      googleState.color = { spectrumRgb: hexToRgbInt(state[color.stateKey]) };
+    } else if (colorTemperature && state[colorTemperature.stateKey] !== undefined) {
+      googleState.color = { temperatureK: state[colorTemperature.stateKey] };
     }
 
-    // Add device-specific states based on sensor data
+    // Rows are newest first; keep the first value of each metric
     const sensorMap = {};
     sensorData.forEach(sensor => {
-      sensorMap[sensor.sensor_name] = sensor.value;
+      if (sensorMap[sensor.metric] === undefined) sensorMap[sensor.metric] = sensor.value;
     });
-
-    switch (deviceType) {
-      case 'light':
-        if (config.supports_brightness && sensorMap.brightness !== undefined) {
-          state.brightness = Math.round(sensorMap.brightness);
-        }
-        break;
-      case 'fan':
-        if (sensorMap.fan_speed !== undefined) {
-          state.currentFanSpeedSetting = this.mapFanSpeed(sensorMap.fan_speed);
-        }
-        break;
-      case 'thermostat':
-        if (sensorMap.temperature !== undefined) {
-          state.thermostatTemperatureAmbient = parseFloat(sensorMap.temperature);
-        }
-        if (sensorMap.target_temperature !== undefined) {
-          state.thermostatTemperatureSetpoint = parseFloat(sensorMap.target_temperature);
-        }
-        state.thermostatMode = sensorMap.thermostat_mode || 'auto';
-        break;
-      case 'sensor':
-        if (sensorMap.temperature !== undefined) {
-          state.currentSensorStateData = [{
-            name: 'AmbientTemperature',
-            currentSensorState: 'temperature',
-            rawValue: parseFloat(sensorMap.temperature)
-          }];
-        }
-        break;
+    if (sensorMap.temperature !== undefined) {
+      if (this.isThermostat(deviceType)) {
+        googleState.thermostatTemperatureAmbient = parseFloat(sensorMap.temperature);
+      } else {
+        googleState.temperatureAmbientCelsius = parseFloat(sensorMap.temperature);
+      }
+    }
+    if (sensorMap.humidity !== undefined) {
+      googleState.humidityAmbientPercent = Math.round(sensorMap.humidity);
     }
+
+    return googleState;
   }
 
-  convertGoogleCommandToMQTT(execution, config) {
-    const { command, params } = execution;
+  // Google command -> capability command, or null when Google sent something we do not map
+  convertGoogleCommand(deviceType, execution) {
+    const { command, params = {} } = execution;
 
     switch (command) {
       case 'action.devices.commands.OnOff':
-        return {
-          action: 'gpio',
-          pin: config.control_pin || 2,
-          state: params.on ? 'on' : 'off'
-        };
+        return { capability: 'on_off', command: params.on ? 'on' : 'off' };
 
       case 'action.devices.commands.BrightnessAbsolute':
-        return {
-          action: 'pwm',
-          pin: config.control_pin || 2,
-          value: Math.round((params.brightness / 100) * 255)
-        };
+        return { capability: 'level', command: 'set', args: { percent: params.brightness } };
 
-      case 'action.devices.commands.SetFanSpeed':
-        const speedMap = { low: 85, medium: 170, high: 255 };
-        return {
-          action: 'pwm',
-          pin: config.control_pin || 2,
-          value: speedMap[params.fanSpeed] || 255
-        };
-
-      case 'action.devices.commands.ThermostatTemperatureSetpoint':
-        return {
-          action: 'thermostat',
-          target_temperature: params.thermostatTemperatureSetpoint
-        };
+      case 'action.devices.commands.SetFanSpeed': {
+        const capability = this.fanSpeedCapability(deviceType);
+        if (!capability) return null;
+        if (params.fanSpeedPercent !== undefined) return { capability, command: 'set', args: { percent: params.fanSpeedPercent } };
+        return capability === 'fan_speed' ? { capability, command: 'set', args: { speed: params.fanSpeed } } : null;
+      }
 
-      default:
-        console.warn(`❌ Unsupported Google command: ${command}`);
+      case 'action.devices.commands.ColorAbsolute': {
+        const color = params.color || {};
+        if (color.spectrumRGB !== undefined) return { capability: 'color', command: 'set', args: { rgb: rgbIntToHex(color.spectrumRGB) } };
+        if (color.temperature !== undefined) return { capability: 'color_temperature', command: 'set', args: { kelvin: Math.round(color.temperature) } };
         return null;
-    }
-  }
+      }
 
-  buildResponseState(execution) {
-    const { command, params } = execution;
-    const state = {};
+      case 'action.devices.commands.OpenClose':
+        return { capability: 'position', command: 'set', args: { percent: params.openPercent } };
 
-    switch (command) {
-      case 'action.devices.commands.OnOff':
-        state.on = params.on;
-        break;
-      case 'action.devices.commands.BrightnessAbsolute':
-        state.brightness = params.brightness;
-        break;
-      case 'action.devices.commands.SetFanSpeed':
-        state.currentFanSpeedSetting = params.fanSpeed;
-        break;
       case 'action.devices.commands.ThermostatTemperatureSetpoint':
-        state.thermostatTemperatureSetpoint = params.thermostatTemperatureSetpoint;
-        break;
-    }
+        return { capability: 'thermostat_setpoint', command: 'set', args: { celsius: params.thermostatTemperatureSetpoint } };
 
-    return state;
-  }
+      case 'action.devices.commands.ThermostatSetMode':
+        return { capability: 'thermostat_mode', command: 'set', args: { mode: THERMOSTAT_MODES[params.thermostatMode] || params.thermostatMode } };
 
-  mapFanSpeed(value) {
-    if (value <= 85) return 'low';
-    if (value <= 170) return 'medium';
-    return 'high';
+      default:
+        console.warn(`❌ Unsupported Google command: ${command}`);
+        return null;
+    }
   }
 }
 
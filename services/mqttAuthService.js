@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const MqttCredentialModel = require('../models/mqttCredentialModel');
+const payloadCodecService = require('./payloadCodecService');
+
+// Generated passwords are 32 random bytes, so a cheap bcrypt cost is plenty
+// and keeps broker CONNECT checks fast
+const PASSWORD_SALT_ROUNDS = 10;
+// Provisioning replies go to cmd/<boardId>/<replyNonce>; at least 22 base64url
+// characters (128 bits) so nobody else holding the shared login can guess it
+const REPLY_NONCE = /^[A-Za-z0-9_-]{22,64}$/;
+
+// Broker plugins describe access differently: EMQX sends 'publish'/'subscribe',
+// mosquitto-go-auth sends acc = 1 (read), 2 (write), 3 (read+write), 4 (subscribe)
+function normalizeAccess(access) {
+  switch (String(access)) {
+    case 'publish':
+    case '2':
+      return ['publish'];
+    case 'subscribe':
+    case 'read':
+    case '1':
+    case '4':
+      return ['subscribe'];
+    case '3':
+      return ['publish', 'subscribe'];
+    default:
+      return null;
+  }
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+class MqttAuthService {
+  constructor() {
+    this.backendUsername = process.env.MQTT_USERNAME || '';
+    this.backendPassword = process.env.MQTT_PASSWORD || '';
+    this.provisionUsername = process.env.MQTT_PROVISION_USERNAME || '';
+    this.provisionPassword = process.env.MQTT_PROVISION_PASSWORD || '';
+  }
+
+  isBackend(username) {
+    return Boolean(this.backendUsername) && username === this.backendUsername;
+  }
+
+  isProvisioning(username) {
+    return Boolean(this.provisionUsername) && username === this.provisionUsername;
+  }
+
+  // Returns the plaintext password once; only the hash is stored
+  async issueBoardCredentials(boardId) {
+    const password = crypto.randomBytes(32).toString('base64url');
+    const hash = await bcrypt.hash(password, PASSWORD_SALT_ROUNDS);
+    const stored = await MqttCredentialModel.setBoardPassword(boardId, hash);
+    if (!stored) return null;
+
+    console.log(`🔑 Issued MQTT credentials for board ${boardId}`);
+    return { username: boardId, password };
+  }
+
+  async hasBoardCredentials(boardId) {
+    const board = await MqttCredentialModel.getBoardCredentials(boardId);
+    return Boolean(board && board.mqtt_password_hash);
+  }
+
+  async authenticate({ username, password }) {
+    if (!username || password === undefined || password === null) {
+      return { allowed: false, superuser: false };
+    }
+
+    if (this.isBackend(username)) {
+      return { allowed: safeEqual(password, this.backendPassword), superuser: true, role: 'backend' };
+    }
+    if (this.isProvisioning(username)) {
+      return { allowed: safeEqual(password, this.provisionPassword), superuser: false, role: 'provisioning' };
+    }
+
+    const board = await MqttCredentialModel.getBoardCredentials(username);
+    if (!board || !board.mqtt_password_hash) {
+      return { allowed: false, superuser: false };
+    }
+    const allowed = await bcrypt.compare(String(password), board.mqtt_password_hash);
+    return { allowed, superuser: false, role: 'board' };
+  }
+
+  isSuperuser(username) {
+    return this.isBackend(username);
+  }
+
+  // The one-time reply topic a registering board asked for, or null when it sent no usable nonce
+  replyTopic(boardId, nonce) {
+    return boardId && typeof nonce === 'string' && REPLY_NONCE.test(nonce) ? `cmd/${boardId}/${nonce}` : null;
+  }
+
+  isReplyTopic(topic) {
+    const levels = topic.split('/');
+    return levels.length === 3 && this.replyTopic(levels[1], levels[2]) === topic;
+  }
+
+  /**
+   * Topic ACL. The backend may do anything; a board may only listen on its own
+   * cmd/<boardId>, publish to its own cmd/resp topics and re-register.
+   * The provisioning login is shared by every board, and its client ID is
+   * whatever the client says, so it gets no board's topics: it may only
+   * register and listen on a reply topic with an unguessable nonce.
+   * Wildcard subscriptions are never granted to non-superusers.
+   */
+  checkAcl({ username, topic, access }) {
+    if (!username || !topic) return false;
+    if (this.isBackend(username)) return true;
+
+    const actions = normalizeAccess(access);
+    if (!actions || topic.includes('+') || topic.includes('#')) return false;
+
+    // Codec suffixes (resp/<boardId>/cbor, register/msgpack) share the base topic's rules
+    const { baseTopic } = payloadCodecService.splitTopic(topic);
+
+    if (this.isProvisioning(username)) {
+      return actions.every(action => (action === 'publish' ? baseTopic === 'register' : this.isReplyTopic(baseTopic)));
+    }
+
+    const owner = username;
+    const allowed = {
+      publish: ['register', `cmd/${owner}`, `resp/${owner}`],
+      subscribe: [`cmd/${owner}`]
+    };
+
+    return actions.every(action => allowed[action].includes(baseTopic));
+  }
+}
+
+// Create singleton instance
+const mqttAuthService = new MqttAuthService();
+
+module.exports = mqttAuthService;
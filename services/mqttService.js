@@ -1,6 +1,26 @@
+const crypto = require('crypto');
 const mqtt = require('mqtt');
 const os = require('os');
 const db = require('../config/database');
+const commandQueueService = require('./commandQueueService');
+const shadowService = require('./shadowService');
+const boardWatchdogService = require('./boardWatchdogService');
+const mqttAuthService = require('./mqttAuthService');
+const pairingService = require('./pairingService');
+const payloadCodecService = require('./payloadCodecService');
+const embeddedBrokerService = require('./embeddedBrokerService');
+const telemetryIngestService = require('./telemetryIngestService');
+const deviceClockService = require('./deviceClockService');
+const DeviceTypeRegistry = require('./deviceTypeRegistry');
+
+// Historical readings accepted from one `readings` array
+const MAX_BATCH_READINGS = 500;
+
+// Optional firmware features a board advertises in register/status messages, e.g. ['batch']
+function boardFeatures(data) {
+  const features = (data.details && data.details.features) || data.features;
+  return Array.isArray(features) ? JSON.stringify(features.filter(feature => typeof feature === 'string')) : null;
+}
 
 class MQTTService {
   constructor() {
@@ -8,6 +28,15 @@ class MQTTService {
     this.isConnected = false;
     this.subscriptions = new Map();
     this.messageHandlers = new Map();
+    // 5 enables correlation data / response topics / message expiry; v3.1.1 boards keep working
+    this.protocolVersion = parseInt(process.env.MQTT_PROTOCOL_VERSION || '4', 10) === 5 ? 5 : 4;
+    // With several backend instances each message should be processed by exactly one of them
+    this.sharedGroup = process.env.MQTT_SHARED_GROUP || '';
+  }
+
+  // $share/<group>/<topic> so the broker load-balances between instances; the embedded broker has no shared subscriptions
+  subscriptionTopic(topic) {
+    return this.sharedGroup && !embeddedBrokerService.enabled ? `$share/${this.sharedGroup}/${topic}` : topic;
   }
 
   async initialize() {
@@ -20,7 +49,7 @@ class MQTTService {
         keepalive: parseInt(process.env.MQTT_KEEPALIVE || '30', 10),
         reconnectPeriod: parseInt(process.env.MQTT_RECONNECT_MS || '5000', 10),
         connectTimeout: parseInt(process.env.MQTT_CONNECT_TIMEOUT_MS || '15000', 10),
-        protocolVersion: 4,
+        protocolVersion: this.protocolVersion,
         resubscribe: true,
         username: process.env.MQTT_USERNAME || undefined,
         password: process.env.MQTT_PASSWORD || undefined,
@@ -32,13 +61,28 @@ class MQTTService {
         }
       };
 
-      this.client = mqtt.connect(brokerUrl, options);
+      if (embeddedBrokerService.enabled) {
+        // Aedes speaks MQTT 3.1.1 only
+        if (this.protocolVersion === 5) {
+          console.warn('⚠️ Embedded broker does not support MQTT 5, falling back to 3.1.1');
+          this.protocolVersion = 4;
+          options.protocolVersion = 4;
+        }
+        this.client = new mqtt.MqttClient(() => embeddedBrokerService.createInProcessStream(), options);
+        console.log('🔗 MQTT client attached to the embedded broker');
+      } else {
+        this.client = mqtt.connect(brokerUrl, options);
+      }
 
       this.client.on('connect', (connack) => {
         console.log('✅ MQTT client connected');
         this.isConnected = true;
         this.subscribeToDeviceTopics();
-        this.subscribe('register', (topic, message) => this.handleRegistration(topic, message));
+        this.subscribe('register', (topic, data, codec) => this.handleRegistration(topic, data, codec));
+        this.subscribe('register/+', (topic, data, codec) => this.handleRegistration(topic, data, codec));
+        commandQueueService.flushPending().catch(error => {
+          console.error('❌ Failed to flush pending commands:', error);
+        });
       });
 
       this.client.on('close', () => {
@@ -64,8 +108,8 @@ class MQTTService {
         console.log('🛑 MQTT client ended');
       });
 
-      this.client.on('message', (topic, message) => {
-        this.handleMessage(topic, message);
+      this.client.on('message', (topic, message, packet) => {
+        this.handleMessage(topic, message, packet && packet.properties);
       });
 
       return true;
@@ -78,18 +122,23 @@ class MQTTService {
   async subscribeToDeviceTopics() {
     try {
       // Subscribe to all device response topics using wildcard
-      this.subscribe('resp/+', (topic, message) => {
+      // (resp/+/+ carries an explicit codec suffix, e.g. resp/ESP32_XXX/cbor)
+      const onResponse = (topic, data, codec, properties) => {
         // Extract deviceId from topic: resp/ESP32_XXX -> ESP32_XXX
         const deviceId = topic.split('/')[1];
-        this.handleDeviceResponse(deviceId, topic, message);
-      });
+        this.handleDeviceResponse(deviceId, topic, data, properties);
+      };
+      this.subscribe('resp/+', onResponse);
+      this.subscribe('resp/+/+', onResponse);
 
       // Subscribe to device sync topics
-      this.subscribe('cmd/+', (topic, message) => {
+      const onCommand = (topic, data) => {
         // Extract deviceId from topic: cmd/ESP32_XXX -> ESP32_XXX
         const deviceId = topic.split('/')[1];
-        this.handleDeviceCommand(deviceId, topic, message);
-      });
+        this.handleDeviceCommand(deviceId, topic, data);
+      };
+      this.subscribe('cmd/+', onCommand);
+      this.subscribe('cmd/+/+', onCommand);
 
     } catch (error) {
       console.error('❌ Failed to subscribe to device topics:', error);
@@ -102,11 +151,12 @@ class MQTTService {
       return;
     }
 
-    this.client.subscribe(topic, (err) => {
+    const subscription = this.subscriptionTopic(topic);
+    this.client.subscribe(subscription, (err) => {
       if (err) {
-        console.error(`❌ Failed to subscribe to ${topic}:`, err);
+        console.error(`❌ Failed to subscribe to ${subscription}:`, err);
       } else {
-        console.log(`✅ Subscribed to topic: ${topic}`);
+        console.log(`✅ Subscribed to topic: ${subscription}`);
         this.subscriptions.set(topic, true);
         if (handler) {
           this.messageHandlers.set(topic, handler);
@@ -120,7 +170,7 @@ class MQTTService {
       return;
     }
 
-    this.client.unsubscribe(topic, (err) => {
+    this.client.unsubscribe(this.subscriptionTopic(topic), (err) => {
       if (err) {
         console.error(`❌ Failed to unsubscribe from ${topic}:`, err);
       } else {
@@ -131,16 +181,17 @@ class MQTTService {
     });
   }
 
-  publish(topic, message, options = {}) {
-    return new Promise((resolve, reject) => {
-      if (!this.isConnected) {
-        reject(new Error('MQTT client not connected'));
-        return;
-      }
+  // Objects are encoded with the target board's codec; options.codec overrides it
+  async publish(topic, message, options = {}) {
+    if (!this.isConnected) {
+      throw new Error('MQTT client not connected');
+    }
 
-      const messageStr = typeof message === 'string' ? message : JSON.stringify(message);
+    const { codec, ...publishOptions } = options;
+    const encoded = await payloadCodecService.encode(topic, message, codec);
 
-      this.client.publish(topic, messageStr, options, (err) => {
+    return new Promise((resolve, reject) => {
+      this.client.publish(topic, encoded, publishOptions, (err) => {
         if (err) {
           console.error(`❌ Failed to publish to ${topic}:`, err);
           reject(err);
@@ -152,73 +203,68 @@ class MQTTService {
     });
   }
 
-  async sendDeviceCommand(deviceId, command) {
-    try {
-      // Get device info
-      const devices = await db.query('SELECT id, mqtt_topic_cmd FROM devices WHERE device_id = ?', [deviceId]);
-      
-      if (devices.length === 0) {
-        throw new Error('Device not found');
-      }
-
-      const device = devices[0];
-      
-      if (!device.mqtt_topic_cmd) {
-        throw new Error('Device command topic not configured');
-      }
-
-      // Save command to database
-      const result = await db.query(
-        'INSERT INTO device_commands (device_id, user_id, command, status) VALUES (?, ?, ?, ?)',
-        [device.id, command.userId || null, JSON.stringify(command), 'pending']
-      );
-
-      const commandId = result.insertId;
-
-      // Publish command to MQTT
-      await this.publish(device.mqtt_topic_cmd, command);
-
-      // Update command status
-      await db.query(
-        'UPDATE device_commands SET status = ?, sent_at = NOW() WHERE id = ?',
-        ['sent', commandId]
-      );
-
-      return {
-        commandId,
-        topic: device.mqtt_topic_cmd,
-        command
+  /**
+   * Publish a queued command. Under MQTT 5 the command carries its id as
+   * correlation data with resp/<boardId> as response topic, so the reply can be
+   * matched exactly, and expires at the broker once the command's TTL is over.
+   */
+  async publishCommand(boardId, commandId, payload, { commandType, deviceId, attempt, expiresAt } = {}) {
+    const options = { qos: 2 }; // QoS 2 for important commands
+
+    if (this.protocolVersion === 5) {
+      const userProperties = { commandId, commandType: String(commandType), attempt: String(attempt || 1) };
+      if (deviceId) userProperties.deviceId = String(deviceId);
+
+      options.properties = {
+        responseTopic: `resp/${boardId}`,
+        correlationData: Buffer.from(commandId),
+        userProperties
       };
-
-    } catch (error) {
-      console.error('❌ Failed to send device command:', error);
-      throw error;
+      if (expiresAt) {
+        options.properties.messageExpiryInterval = Math.max(1, Math.ceil((expiresAt - Date.now()) / 1000));
+      }
     }
+
+    return this.publish(`cmd/${boardId}`, payload, options);
   }
 
-  handleMessage(topic, message) {
+  async handleMessage(topic, message, properties = {}) {
     try {
-      const messageStr = message.toString();
-      // Try exact topic handler first
-      const exactHandler = this.messageHandlers.get(topic);
-      if (exactHandler) {
-        exactHandler(topic, messageStr);
+      const handler = this.findHandler(topic);
+      if (!handler) return;
+
+      // Handlers see the topic without its codec suffix and an already-decoded payload
+      const { baseTopic, codec } = payloadCodecService.splitTopic(topic);
+      let data;
+      try {
+        data = await payloadCodecService.decode(baseTopic, message, codec);
+      } catch (e) {
+        console.warn(`⚠️ Could not decode payload on ${topic}:`, e.message);
         return;
       }
-
-      // Try wildcard handlers (supports MQTT '+' and '#')
-      for (const [pattern, handler] of this.messageHandlers.entries()) {
-        if (this.matchesMqttTopic(pattern, topic)) {
-          handler(topic, messageStr);
-          return;
-        }
+      if (!data || typeof data !== 'object') {
+        console.warn(`⚠️ Ignoring non-object payload on ${topic}`);
+        return;
       }
 
+      await handler(baseTopic, data, codec, properties || {});
     } catch (error) {
       console.error('❌ Error handling MQTT message:', error);
     }
   }
 
+  findHandler(topic) {
+    // Try exact topic handler first
+    const exactHandler = this.messageHandlers.get(topic);
+    if (exactHandler) return exactHandler;
+
+    // Try wildcard handlers (supports MQTT '+' and '#')
+    for (const [pattern, handler] of this.messageHandlers.entries()) {
+      if (this.matchesMqttTopic(pattern, topic)) return handler;
+    }
+    return null;
+  }
+
   matchesMqttTopic(pattern, topic) {
     if (!pattern) return false;
     if (pattern === topic) return true;
@@ -251,14 +297,10 @@ class MQTTService {
     return topicLevels.length === patternLevels.length || patternLevels[patternLevels.length - 1] === '#';
   }
 
-  // Command tracking for acknowledgments
-  pendingCommands = new Map();
-  commandCounter = 0;
-
-  async sendCommand(boardId, commandType, commandData) {
+  async sendCommand(boardId, commandType, commandData, options = {}) {
     try {
-      const commandId = `cmd_${++this.commandCounter}_${Date.now()}`;
-      const topic = `cmd/${boardId}`;
+      // Unique across instances and restarts: device_commands.command_id is shared by all of them
+      const commandId = `cmd_${crypto.randomUUID()}`;
       
       const message = {
         id: commandId,
@@ -276,62 +318,51 @@ class MQTTService {
         const pin = commandData?.data?.gpio_pin;
         const name = commandData?.data?.name;
         expectedPin = pin;
-        if (devType === 'switch' || devType === 'dimmer') {
-          expectedAction = 'gpio_config';
+        // Firmware action/type come from the device type definition
+        const add = DeviceTypeRegistry.addCommand(devType);
+        if (add) {
+          expectedAction = add.action;
           publishPayload = {
             id: commandId,
-            action: 'gpio_config',
+            action: add.action,
             cmd: 'add',
             pin,
-            type: devType === 'switch' ? 'output' : 'pwm',
-            name
-          };
-        } else if (devType === 'sensor_dht22' || devType === 'sensor_ds18b20' || devType === 'sensor_analog') {
-          expectedAction = 'sensor_config';
-          publishPayload = {
-            id: commandId,
-            action: 'sensor_config',
-            cmd: 'add',
-            pin,
-            type: devType === 'sensor_dht22' ? 'dht22' : (devType === 'sensor_ds18b20' ? 'ds18b20' : 'analog'),
+            type: add.type,
             name
           };
         }
-      } else if (commandType === 'gpio') {
-        expectedAction = 'gpio';
+      } else if (commandType === 'gpio' || commandType === 'pwm') {
+        // { pin, state|value } plus optional transition_ms (fades) or pulse_ms (momentary on)
+        expectedAction = commandType;
         expectedPin = Number(commandData?.pin);
         publishPayload = {
           id: commandId,
-          action: 'gpio',
+          action: commandType,
           ...commandData
         };
       }
  
-      // Store command for tracking
-      this.pendingCommands.set(commandId, {
+      // add_device targets a device row that does not exist until the board acks
+      const deviceIdForRow = commandType === 'add_device'
+        ? null
+        : (options.deviceId || commandData?.data?.device_id || null);
+
+      // Persist, publish and track the ack; survives backend restarts
+      await commandQueueService.enqueue({
+        commandId,
         boardId,
+        deviceId: deviceIdForRow,
         commandType,
-        status: 'pending',
-        sentAt: new Date(),
-        resolve: null,
-        reject: null,
+        message,
+        payload: publishPayload,
         expectedAction,
-        expectedPin
+        expectedPin,
+        policy: options.policy,
+        queued: Boolean(options.queueOffline),
+        deferred: Boolean(options.deferDispatch)
       });
- 
-      // Record command in database only when the device already exists and it's not an add_device command
-      const deviceIdForRow = commandData?.data?.device_id || null;
-      if (deviceIdForRow && commandType !== 'add_device') {
-        await db.query(`
-          INSERT INTO device_commands (device_id, command_type, command_data, status, sent_at)
-          VALUES (?, ?, ?, 'sent', CURRENT_TIMESTAMP)
-        `, [deviceIdForRow, commandType, JSON.stringify(message)]);
-      }
- 
-      // Publish command
-      this.publish(topic, JSON.stringify(publishPayload), { qos: 2 }); // QoS 2 for important commands
        
-      console.log(`📤 Sent command ${commandId} to board ${boardId}:`, commandType);
+      console.log(`${options.queueOffline ? '📥 Queued' : '📤 Sent'} command ${commandId} to board ${boardId}:`, commandType);
        
       return commandId;
     } catch (error) {
@@ -340,84 +371,71 @@ class MQTTService {
     }
   }
 
-  async waitForAck(commandId, timeoutMs = 10000) {
-    return new Promise((resolve, reject) => {
-      const command = this.pendingCommands.get(commandId);
-      if (!command) {
-        resolve(false);
-        return;
+  /**
+   * Send several commands to one board. Boards advertising the `batch` feature
+   * get them in one { action: 'batch', commands: [...] } message and ack each
+   * inner command by its id; other boards get one message per command.
+   * `commands` are { commandType, data, deviceId }; resolves to their ids in order.
+   */
+  async sendBatch(boardId, commands, { batch = false } = {}) {
+    const commandIds = [];
+    try {
+      for (const { commandType, data, deviceId } of commands) {
+        commandIds.push(await this.sendCommand(boardId, commandType, data, { deviceId, deferDispatch: batch }));
       }
+    } finally {
+      if (batch) await commandQueueService.dispatchBatch(boardId, commandIds);
+    }
+    return commandIds;
+  }
 
-      // Set up promise resolvers
-      command.resolve = resolve;
-      command.reject = reject;
+  // No correlation data: the batch itself is never acknowledged, its commands are
+  async publishBatch(boardId, batchId, payloads) {
+    return this.publish(`cmd/${boardId}`, {
+      id: batchId,
+      action: 'batch',
+      commands: payloads,
+      timestamp: new Date().toISOString()
+    }, { qos: 2 });
+  }
 
-      // Set timeout
-      setTimeout(() => {
-        const cmd = this.pendingCommands.get(commandId);
-        if (cmd && cmd.status === 'pending') {
-          this.pendingCommands.delete(commandId);
-          console.log(`⏰ Command ${commandId} timed out`);
-          resolve(false);
-        }
-      }, timeoutMs);
-    });
+  async waitForAck(commandId, timeoutMs = 10000) {
+    return commandQueueService.waitFor(commandId, timeoutMs);
   }
 
-  async handleDeviceResponse(deviceId, topic, message) {
+  async handleDeviceResponse(deviceId, topic, data, properties = {}) {
+    const receivedAt = new Date();
     try {
-      const payload = typeof message === 'string' ? message : message.toString();
-      let data;
-      
-      try {
-        data = JSON.parse(payload);
-      } catch (e) {
-        console.error('❌ Invalid JSON in device response:', payload);
-        return;
+      // MQTT 5 replies echo the command's correlation data: exact match, no guessing
+      const correlatedId = properties.correlationData ? properties.correlationData.toString() : null;
+      if (correlatedId) {
+        const success = data.success !== undefined
+          ? data.success !== false
+          : !['error', 'failed'].includes(String(data.status || '').toLowerCase());
+        const handled = await commandQueueService.acknowledge(correlatedId, success, data.error || data.details?.message, deviceId, { forward: true });
+        if (handled) {
+          console.log(`✅ Command ${correlatedId} acknowledged via correlation data:`, success ? 'SUCCESS' : 'FAILED');
+        }
+        if (data.type === 'ack') return;
       }
 
       // Handle command acknowledgments
       if (data.type === 'ack' && data.commandId) {
-        const command = this.pendingCommands.get(data.commandId);
-        if (command) {
-          command.status = data.success ? 'acknowledged' : 'failed';
-          command.acknowledgedAt = new Date();
-          
-          // Update database
-          await db.query(`
-            UPDATE device_commands 
-            SET status = ?, acknowledged_at = CURRENT_TIMESTAMP, error_message = ?
-            WHERE JSON_UNQUOTE(JSON_EXTRACT(command_data, '$.id')) = ?
-          `, [command.status, data.error || null, data.commandId]);
-
-          // Resolve promise
-          if (command.resolve) {
-            command.resolve(data.success);
-          }
-          
-          this.pendingCommands.delete(data.commandId);
+        const handled = await commandQueueService.acknowledge(data.commandId, data.success, data.error, deviceId, { forward: true });
+        if (handled) {
           console.log(`✅ Command ${data.commandId} acknowledged:`, data.success ? 'SUCCESS' : 'FAILED');
         }
         return;
       }
 
-      // Handle firmware simple response style (status/action)
-      if (data.status && data.action) {
-        for (const [pendingId, pending] of this.pendingCommands.entries()) {
-          if (pending.boardId === deviceId) {
-            const actionMatches = !pending.expectedAction || pending.expectedAction === data.action;
-            const pinMatches = !pending.expectedPin || (data.details && Number(data.details.pin) === Number(pending.expectedPin));
-            if (actionMatches && pinMatches) {
-              pending.status = data.status === 'success' ? 'acknowledged' : 'failed';
-              pending.acknowledgedAt = new Date();
-              if (pending.resolve) {
-                pending.resolve(data.status === 'success');
-              }
-              this.pendingCommands.delete(pendingId);
-              console.log(`✅ Command ${pendingId} resolved by firmware response (${data.action}):`, data.status);
-              break;
-            }
-          }
+      // Handle firmware simple response style (status/action); v3.1.1 boards only
+      if (!correlatedId && data.status && data.action) {
+        const success = data.status === 'success';
+        const pendingId = await commandQueueService.resolveFirmwareResponse(
+          deviceId, data.action, data.details?.pin, success, data.error || data.details?.message, { forward: true }
+        );
+        if (pendingId) {
+          console.log(`✅ Command ${pendingId} resolved by firmware response (${data.action}):`, data.status);
         }
         // continue handling other types after
       }
@@ -431,14 +449,12 @@ class MQTTService {
         // Update device state
         await this.updateDeviceState(derivedDeviceId, { state: isOn });
 
-        // Store state change if device exists
-        const existingDevices = await db.query('SELECT device_id FROM devices WHERE device_id = ? LIMIT 1', [derivedDeviceId]);
-        if (existingDevices.length > 0) {
-          await db.query(`
-            INSERT INTO device_data (device_id, data_type, value, timestamp)
-            VALUES (?, 'state', ?, CURRENT_TIMESTAMP)
-          `, [derivedDeviceId, JSON.stringify({ pin, state: isOn, reason: data.details.reason || null })]);
-        }
+        // Store state change (dropped by the pipeline if no such device exists)
+        const deviceTime = deviceClockService.messageTime(data) ?? deviceClockService.messageTime(data.details);
+        telemetryIngestService.enqueue(
+          derivedDeviceId, 'state', { pin, state: isOn, reason: data.details.reason || null },
+          await deviceClockService.stamp(deviceId, deviceTime, receivedAt)
+        );
 
         // Broadcast via socket if available
         const socketService = require('./socketService');
@@ -451,31 +467,39 @@ class MQTTService {
       // Handle heartbeat/status updates
       if (data.type === 'heartbeat' || data.type === 'status') {
         await this.updateBoardStatus(deviceId, data);
+
+        // The board's clock on each heartbeat keeps its skew estimate current
+        const deviceTime = deviceClockService.messageTime(data);
+        await deviceClockService.observeHeartbeat(deviceId, deviceTime, receivedAt);
         
-        // Store heartbeat data only if a matching device exists to satisfy FK
-        const existingDevices = await db.query(
-          'SELECT device_id FROM devices WHERE device_id = ? LIMIT 1',
-          [deviceId]
-        );
-        if (existingDevices.length > 0) {
-          await db.query(`
-            INSERT INTO device_data (device_id, data_type, value, timestamp)
-            VALUES (?, 'heartbeat', ?, CURRENT_TIMESTAMP)
-          `, [deviceId, JSON.stringify(data)]);
-        }
+        // Store heartbeat data; only kept when a matching device exists to satisfy FK
+        telemetryIngestService.enqueue(deviceId, 'heartbeat', data, await deviceClockService.stamp(deviceId, deviceTime, receivedAt));
         return;
       }
 
-      // Handle sensor data
+      // Handle sensor data; a board flushing its backlog sends { readings: [{ ts, data }, ...] }
       if (data.type === 'sensor') {
-        await db.query(`
-          INSERT INTO device_data (device_id, data_type, value, timestamp)
-          VALUES (?, 'sensor', ?, CURRENT_TIMESTAMP)
-        `, [data.deviceId || deviceId, JSON.stringify(data.data)]);
+        const targetId = data.deviceId || deviceId;
+        const readings = Array.isArray(data.readings)
+          ? data.readings.slice(0, MAX_BATCH_READINGS)
+          : [{ ts: deviceClockService.messageTime(data), data: data.data }];
+
+        let latest = null;
+        for (const reading of readings) {
+          if (!reading || typeof reading !== 'object') continue;
+          const stamp = await deviceClockService.stamp(deviceId, deviceClockService.messageTime(reading), receivedAt);
+          const values = reading.data !== undefined ? reading.data : reading;
+          telemetryIngestService.enqueue(targetId, 'sensor', values, stamp);
+          if (!latest || stamp.observedAt >= latest.observedAt) latest = { observedAt: stamp.observedAt, values };
+        }
         
-        // Emit via Socket.IO if available
-        if (this.socketService) {
-          this.socketService.emitToDevice(data.deviceId || deviceId, 'sensor_data', data.data);
+        // Emit via Socket.IO if available (only the newest reading of a batch)
+        if (this.socketService && latest) {
+          this.socketService.emitToDevice(targetId, 'sensor_data', latest.values);
+        }
+        if (latest) {
+          const automationService = require('./automationService');
+          automationService.onSensorData(targetId, latest.values, latest.observedAt);
         }
         return;
       }
@@ -485,10 +509,8 @@ class MQTTService {
         await this.updateDeviceState(data.deviceId || deviceId, data.state);
         
         // Store state change
-        await db.query(`
-          INSERT INTO device_data (device_id, data_type, value, timestamp)
-          VALUES (?, 'state', ?, CURRENT_TIMESTAMP)
-        `, [data.deviceId || deviceId, JSON.stringify(data.state)]);
+        const stamp = await deviceClockService.stamp(deviceId, deviceClockService.messageTime(data), receivedAt);
+        telemetryIngestService.enqueue(data.deviceId || deviceId, 'state', data.state, stamp);
         
         // Emit via Socket.IO if available
         if (this.socketService) {
@@ -507,10 +529,7 @@ class MQTTService {
       if (data.type === 'error') {
         console.error(`❌ Device ${deviceId} reported error:`, data.error);
         
-        await db.query(`
-          INSERT INTO device_data (device_id, data_type, value, timestamp)
-          VALUES (?, 'error', ?, CURRENT_TIMESTAMP)
-        `, [deviceId, JSON.stringify(data)]);
+        telemetryIngestService.enqueue(deviceId, 'error', data, await deviceClockService.stamp(deviceId, deviceClockService.messageTime(data), receivedAt));
         return;
       }
 
@@ -519,36 +538,44 @@ class MQTTService {
     }
   }
 
+  /**
+   * Link a registering board to an account. A new board needs a valid claim
+   * (pairing token) from its future owner; a claim from someone else on an
+   * owned board only opens a transfer request the current owner must approve.
+   * Resolves to { status: 'success' | 'pending_transfer' | 'failed', claimed, error? }.
+   */
   async autoRegisterDevice(deviceId, data) {
     try {
-      // Resolve user by shortId (preferred), else email, else numeric id
-      let users = [];
-      if (data.shortId) {
-        users = await db.query('SELECT id FROM users WHERE short_id = ?', [data.shortId]);
+      const boardId = deviceId; // Align naming
+      const claim = await pairingService.resolveClaim(boardId, data);
+      if (claim && claim.error) {
+        console.log(`⚠️ Rejected registration of board ${boardId}: ${claim.error}`);
+        return { status: 'failed', claimed: false, error: claim.error };
       }
-      if (users.length === 0 && data.userEmail) {
-        users = await db.query('SELECT id FROM users WHERE email = ?', [data.userEmail]);
+
+      const [existingBoard] = await db.query('SELECT * FROM esp32_boards WHERE board_id = ?', [boardId]);
+
+      // Already paired and no new claim: nothing about the board changes
+      if (existingBoard && !claim) {
+        return { status: 'success', claimed: false };
       }
-      if (users.length === 0 && data.userId) {
-        users = await db.query('SELECT id FROM users WHERE id = ?', [data.userId]);
+      if (!existingBoard && !claim) {
+        console.log(`⚠️ Board ${boardId} tried to register without a pairing token`);
+        return { status: 'failed', claimed: false, error: 'pairing_token_required' };
       }
 
-      if (users.length === 0) {
-        console.log(`⚠️ User not found for board ${deviceId}, shortId: ${data.shortId}, email: ${data.userEmail}, userId: ${data.userId}`);
-        return false;
+      const { token } = claim;
+      if (!(await pairingService.consume(token, boardId))) {
+        return { status: 'failed', claimed: false, error: 'invalid_pairing_token' };
       }
 
-      const userId = users[0].id;
-      const boardId = deviceId; // Align naming
+      const userId = token.user_id;
       const mac = data.details?.mac || data.mac || null;
       const name = data.deviceName || `ESP32 ${boardId}`;
       const location = data.deviceLocation || '';
       const topicCmd = `cmd/${boardId}`;
       const topicResp = `resp/${boardId}`;
 
-      // Check if board exists
-      const [existingBoard] = await db.query('SELECT * FROM esp32_boards WHERE board_id = ?', [boardId]);
-
       if (!existingBoard) {
         // Create new board record
         await db.query(
@@ -557,129 +584,36 @@ class MQTTService {
           [boardId, mac, userId, name, location, topicCmd, topicResp]
         );
         console.log(`✅ Registered new board ${boardId} for user ${userId}${mac ? ` (MAC: ${mac})` : ''}`);
-      } else {
-        // Update ownership/topics/mac if needed
-        const updatedUserId = existingBoard.user_id || userId;
-        await db.query(
-          `UPDATE esp32_boards 
-           SET user_id = ?, 
-               mac_address = COALESCE(?, mac_address),
-               name = COALESCE(?, name),
-               location = COALESCE(?, location),
-               mqtt_topic_cmd = COALESCE(mqtt_topic_cmd, ?),
-               mqtt_topic_resp = COALESCE(mqtt_topic_resp, ?),
-               updated_at = CURRENT_TIMESTAMP
-           WHERE board_id = ?`,
-          [updatedUserId, mac, name, location, topicCmd, topicResp, boardId]
-        );
-        console.log(`✅ Updated board ${boardId} for user ${updatedUserId}${mac ? ` (MAC: ${mac})` : ''}`);
+        return { status: 'success', claimed: true };
       }
 
-      return true;
-    } catch (error) {
-      console.error('❌ Error auto-registering board:', error);
-      return false;
-    }
-  }
-
-  async handleHeartbeat(deviceId, data) {
-    try {
-      // Get device database ID
-      const devices = await db.query('SELECT id FROM devices WHERE device_id = ?', [deviceId]);
-      if (devices.length === 0) return;
-
-      const deviceDbId = devices[0].id;
-
-      // Extract IP, firmware version, MAC from data structure
-      const ipAddress = data.details?.ip || data.ip || null;
-      const firmwareVersion = data.details?.version || data.firmware_version || null;
-      const mac = data.details?.mac || data.mac || null;
+      if (existingBoard.user_id !== userId) {
+        const transferId = await pairingService.requestTransfer(boardId, existingBoard.user_id, userId);
+        return { status: 'pending_transfer', claimed: false, transferId };
+      }
 
-      // Update device status
+      // Owner re-paired the board (e.g. after a factory reset)
       await db.query(
-        'UPDATE devices SET is_online = true, last_seen = NOW(), ip_address = ?, firmware_version = ?, mac_address = COALESCE(?, mac_address) WHERE id = ?',
-        [ipAddress, firmwareVersion, mac, deviceDbId]
+        `UPDATE esp32_boards 
+         SET mac_address = COALESCE(?, mac_address),
+             name = COALESCE(?, name),
+             location = COALESCE(?, location),
+             mqtt_topic_cmd = COALESCE(mqtt_topic_cmd, ?),
+             mqtt_topic_resp = COALESCE(mqtt_topic_resp, ?),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE board_id = ?`,
+        [mac, name, location, topicCmd, topicResp, boardId]
       );
-
-      console.log(`💓 Heartbeat from device ${deviceId}${mac ? ` (MAC: ${mac})` : ''}`);
-    } catch (error) {
-      console.error('❌ Error handling heartbeat:', error);
-    }
-  }
-
-  async handleSensorData(deviceId, data) {
-    try {
-      // Get device database ID
-      const devices = await db.query('SELECT id FROM devices WHERE device_id = ?', [deviceId]);
-      if (devices.length === 0) return;
-
-      const deviceDbId = devices[0].id;
-
-      // Handle different sensor data formats
-      let sensors = [];
-
-      if (data.details && data.details.sensors && Array.isArray(data.details.sensors)) {
-        // New format: data.details.sensors
-        sensors = data.details.sensors;
-      } else if (data.sensors && Array.isArray(data.sensors)) {
-        // Old format: data.sensors
-        sensors = data.sensors;
-      }
-
-      // Store sensor data
-      for (const sensor of sensors) {
-        await db.query(
-          'INSERT INTO device_data (device_id, data_type, sensor_name, value, unit, raw_data) VALUES (?, ?, ?, ?, ?, ?)',
-          [deviceDbId, 'sensor', sensor.name, sensor.value, sensor.unit || null, JSON.stringify(sensor)]
-        );
-      }
-
-      console.log(`📊 Sensor data from device ${deviceId}:`, sensors.length, 'sensors');
-
-      // Broadcast real-time data via socket if available
-      const socketService = require('./socketService');
-      if (socketService && sensors.length > 0) {
-        socketService.broadcastSensorData(deviceId, sensors);
-      }
-
+      console.log(`✅ Re-paired board ${boardId} for user ${userId}${mac ? ` (MAC: ${mac})` : ''}`);
+      return { status: 'success', claimed: true };
     } catch (error) {
-      console.error('❌ Error handling sensor data:', error);
-    }
-  }
-
-  async handleCommandResponse(deviceId, data) {
-    try {
-      if (data.command_id) {
-        // Update command status
-        await db.query(
-          'UPDATE device_commands SET status = ?, response = ?, acknowledged_at = NOW() WHERE id = ?',
-          ['acknowledged', JSON.stringify(data), data.command_id]
-        );
-      }
-
-      console.log(`✅ Command response from device ${deviceId}:`, data);
-    } catch (error) {
-      console.error('❌ Error handling command response:', error);
+      console.error('❌ Error auto-registering board:', error);
+      return { status: 'failed', claimed: false, error: 'link_failed' };
     }
   }
 
   async storeDeviceData(deviceId, dataType, data) {
-    try {
-      // Get device database ID
-      const devices = await db.query('SELECT id FROM devices WHERE device_id = ?', [deviceId]);
-      if (devices.length === 0) return;
-
-      const deviceDbId = devices[0].id;
-
-      // Store data
-      await db.query(
-        'INSERT INTO device_data (device_id, data_type, raw_data) VALUES (?, ?, ?)',
-        [deviceDbId, dataType, JSON.stringify(data)]
-      );
-
-    } catch (error) {
-      console.error('❌ Error storing device data:', error);
-    }
+    telemetryIngestService.enqueue(deviceId, dataType, data);
   }
 
   async updateBoardStatus(boardId, data) {
@@ -687,17 +621,31 @@ class MQTTService {
       const version = (data.details && data.details.version) || data.version || data.firmware_version || null;
       const mac = (data.details && data.details.mac) || data.mac || null;
       const ip = (data.details && data.details.ip) || data.ip || null;
+      const features = boardFeatures(data);
       const status = (data.status || '').toString().toLowerCase();
       const isOnline = status === 'offline' ? 0 : 1;
 
+      const [board] = await db.query('SELECT is_online FROM esp32_boards WHERE board_id = ?', [boardId]);
+      const cameOnline = Boolean(board) && !board.is_online && isOnline === 1;
+      const wentOffline = Boolean(board) && Boolean(board.is_online) && isOnline === 0;
+
       await db.query(`
         UPDATE esp32_boards 
         SET is_online = ?, 
             last_seen = CURRENT_TIMESTAMP, 
             firmware_version = COALESCE(?, firmware_version),
-            mac_address = COALESCE(?, mac_address)
+            mac_address = COALESCE(?, mac_address),
+            features = COALESCE(?, features)
         WHERE board_id = ?
-      `, [isOnline, version, mac, boardId]);
+      `, [isOnline, version, mac, features, boardId]);
+
+      if (cameOnline) {
+        await boardWatchdogService.recordTransition(boardId, 'online', data.type || 'status');
+        await commandQueueService.announceBoardOnline(boardId);
+        await shadowService.reconcileBoard(boardId);
+      } else if (wentOffline) {
+        await boardWatchdogService.recordTransition(boardId, 'offline', 'reported');
+      }
 
       // Optionally update derived devices' online state in future
       
@@ -708,13 +656,15 @@ class MQTTService {
 
   async updateDeviceState(deviceId, state) {
     try {
-      await db.query(`
-        UPDATE devices 
-        SET state = ?, updated_at = CURRENT_TIMESTAMP
-        WHERE device_id = ?
-      `, [JSON.stringify(state), deviceId]);
+      // Board-originated state goes to the reported side of the shadow (mirrored into devices.state)
+      const result = await shadowService.report(deviceId, state || {});
+      if (result.notFound) return;
       
-      console.log(`🔄 Device ${deviceId} state updated:`, state);
+      console.log(`🔄 Device ${deviceId} reported state updated:`, state);
+
+      // Rules watching this device re-evaluate in the background
+      const automationService = require('./automationService');
+      automationService.onStateChange(deviceId);
     } catch (error) {
       console.error('❌ Error updating device state:', error);
     }
@@ -746,48 +696,63 @@ class MQTTService {
       };
 
       await this.sendCommand(boardId, 'sync_devices', syncCommand);
+
+      // Board state may have drifted while it was away; push what the user asked for
+      await shadowService.reconcileBoard(boardId);
       
     } catch (error) {
       console.error('❌ Error syncing device configuration:', error);
     }
   }
 
-  async handleRegistration(topic, message) {
+  async handleRegistration(topic, data, codec = null) {
     try {
-      const payload = typeof message === 'string' ? message : message.toString();
-      let data;
-      try {
-        data = JSON.parse(payload);
-      } catch (e) {
-        console.warn('⚠️ Invalid registration JSON:', payload);
-        return;
-      }
-
       const deviceId = data.deviceId;
-      if (!deviceId || !data.shortId) {
-        console.warn('⚠️ Registration missing deviceId or shortId');
+      if (!deviceId) {
+        console.warn('⚠️ Registration missing deviceId');
         return;
       }
 
-      // Link board to user via shortId and create topics if needed
-      const ok = await this.autoRegisterDevice(deviceId, data);
+      // Link board to the account that issued the presented pairing token
+      const result = await this.autoRegisterDevice(deviceId, data);
+
+      // Features may change with a firmware update; the register message is the first place to learn about it
+      const features = boardFeatures(data);
+      if (result.status === 'success' && features) {
+        await db.query('UPDATE esp32_boards SET features = ? WHERE board_id = ?', [features, deviceId]);
+      }
 
       // Build ack based on result
       const ack = {
         action: 'registered',
-        status: ok ? 'success' : 'failed',
-        user_short_id: data.shortId,
+        status: result.status,
         timestamp: new Date().toISOString(),
       };
-      if (!ok) {
-        ack.error = 'link_failed';
+      if (result.error) {
+        ack.error = result.error;
+      }
+      if (result.transferId) {
+        ack.transfer_id = result.transferId;
       }
 
-      const replyTopic = data.replyTopic && typeof data.replyTopic === 'string' && data.replyTopic.length > 0
-        ? data.replyTopic
-        : `cmd/${deviceId}`;
+      // A freshly claimed board gets its own broker login; an existing one only
+      // gets a new password when it asks and proves ownership with a claim
+      let credentials = null;
+      if (result.claimed && (data.requestCredentials === true || !(await mqttAuthService.hasBoardCredentials(deviceId)))) {
+        credentials = await mqttAuthService.issueBoardCredentials(deviceId);
+        if (credentials) {
+          ack.mqtt = credentials;
+        }
+      }
 
-      await this.publish(replyTopic, ack);
+      // Credentials only ever go where no other client can listen: the one-time topic the
+      // board asked for with replyNonce, or its own command topic
+      const nonceTopic = mqttAuthService.replyTopic(deviceId, data.replyNonce);
+      const replyTopic = nonceTopic
+        || (!credentials && data.replyTopic && typeof data.replyTopic === 'string' && data.replyTopic.length > 0 ? data.replyTopic : `cmd/${deviceId}`);
+
+      // Answer in the codec the board registered with
+      await this.publish(replyTopic, ack, { codec });
 
       console.log(`✅ Registration ack sent to ${replyTopic} (${ack.status})`);
     } catch (error) {
@@ -797,17 +762,8 @@ class MQTTService {
 
   // ===== DEVICE SYNC HANDLERS =====
 
-  async handleDeviceCommand(deviceId, topic, message) {
+  async handleDeviceCommand(deviceId, topic, data) {
     try {
-      const payload = typeof message === 'string' ? message : message.toString();
-      let data;
-      try {
-        data = JSON.parse(payload);
-      } catch (e) {
-        console.warn('⚠️ Invalid device command JSON:', payload);
-        return;
-      }
-
       const action = data.action;
       console.log(`📥 Device command from ${deviceId}: ${action}`);
 
@@ -839,6 +795,8 @@ class MQTTService {
 
       // Send device list from database back to ESP32
       await this.sendDeviceListToESP32(deviceId);
+
+      await shadowService.reconcileBoard(deviceId);
       
     } catch (error) {
       console.error('❌ Error handling device sync:', error);
@@ -869,17 +827,19 @@ class MQTTService {
         // Update existing device
         await db.query(`
           UPDATE devices 
-          SET name = ?, device_type = ?, gpio_pin = ?, config = ?, state = ?, updated_at = NOW()
+          SET name = ?, device_type = ?, gpio_pin = ?, config = ?, updated_at = NOW()
           WHERE board_id = ? AND device_id = ?
         `, [
           device.name,
           device.device_type,
           device.gpio_pin,
           JSON.stringify(device.config || {}),
-          JSON.stringify(device.state || {}),
           boardId,
           device.device_id
         ]);
+        if (device.state) {
+          await shadowService.report(device.device_id, device.state);
+        }
         console.log(`✅ Device updated: ${device.device_id}`);
       } else {
         // Insert new device
@@ -896,6 +856,7 @@ class MQTTService {
           JSON.stringify(device.state || {}),
           device.is_enabled !== false ? 1 : 0
         ]);
+        telemetryIngestService.rememberDevice(device.device_id);
         console.log(`✅ Device added: ${device.device_id}`);
       }
     } catch (error) {
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const PairingModel = require('../models/pairingModel');
+
+const TOKEN_TTL_MS = parseInt(process.env.PAIRING_TOKEN_TTL_MS || String(15 * 60 * 1000), 10);
+const MAX_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+const TRANSFER_TTL_MS = parseInt(process.env.BOARD_TRANSFER_TTL_MS || String(7 * 24 * 60 * 60 * 1000), 10);
+const SIGNATURE_WINDOW_MS = 5 * 60 * 1000;
+
+// No 0/O or 1/I so codes survive being typed into a setup portal
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 12;
+
+function generateClaimCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  let code = '';
+  for (const byte of bytes) {
+    code += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+  }
+  return code;
+}
+
+function hashClaimCode(code) {
+  return crypto.createHash('sha256').update(String(code).trim().toUpperCase()).digest('hex');
+}
+
+class PairingService {
+  /**
+   * Create a one-time claim code for the user. The plaintext code is only
+   * returned here; the database keeps its SHA-256.
+   */
+  async createToken(userId, { boardId = null, expiresIn } = {}) {
+    const requestedMs = parseInt(expiresIn, 10) * 1000;
+    const ttlMs = Number.isFinite(requestedMs) && requestedMs > 0 ? Math.min(requestedMs, MAX_TOKEN_TTL_MS) : TOKEN_TTL_MS;
+    const claimCode = generateClaimCode();
+    const expiresAt = new Date(Date.now() + ttlMs);
+
+    const id = await PairingModel.createToken({ userId, tokenHash: hashClaimCode(claimCode), boardId, expiresAt });
+    return { pairing_id: id, claim_code: claimCode, board_id: boardId, expires_at: expiresAt.toISOString() };
+  }
+
+  /**
+   * Resolve the claim a registering board presents. Either:
+   *   { claimCode }                               plaintext code
+   *   { pairingId, timestamp, signature }         hex HMAC-SHA256 of "<deviceId>:<timestamp>"
+   *                                               keyed with sha256(claimCode) as hex
+   * Returns null when no claim was presented, { error } when it is invalid,
+   * otherwise { token }. The token is not consumed yet.
+   */
+  async resolveClaim(deviceId, data) {
+    let token = null;
+
+    if (data.claimCode) {
+      token = await PairingModel.findTokenByHash(hashClaimCode(data.claimCode));
+    } else if (data.pairingId && data.signature) {
+      const timestamp = Number(data.timestamp);
+      const timestampMs = timestamp < 1e12 ? timestamp * 1000 : timestamp;
+      if (!Number.isFinite(timestamp) || Math.abs(Date.now() - timestampMs) > SIGNATURE_WINDOW_MS) {
+        return { error: 'signature_expired' };
+      }
+
+      token = await PairingModel.findTokenById(data.pairingId);
+      if (token) {
+        const expected = crypto.createHmac('sha256', token.token_hash).update(`${deviceId}:${data.timestamp}`).digest();
+        const provided = Buffer.from(String(data.signature), 'hex');
+        if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+          return { error: 'invalid_signature' };
+        }
+      }
+    } else {
+      return null;
+    }
+
+    if (!token || token.used_at || new Date(token.expires_at).getTime() <= Date.now()) {
+      return { error: 'invalid_pairing_token' };
+    }
+    if (token.board_id && token.board_id !== deviceId) {
+      return { error: 'pairing_token_board_mismatch' };
+    }
+    return { token };
+  }
+
+  async consume(token, boardId) {
+    return PairingModel.consumeToken(token.id, boardId);
+  }
+
+  // Someone else's valid claim on an owned board: park it until the owner decides
+  async requestTransfer(boardId, fromUserId, toUserId) {
+    const expiresAt = new Date(Date.now() + TRANSFER_TTL_MS);
+    const transferId = await PairingModel.createTransfer({ boardId, fromUserId, toUserId, expiresAt });
+
+    const socketService = require('./socketService');
+    socketService.broadcastToUser(fromUserId, 'board_transfer_requested', {
+      transferId,
+      boardId,
+      expiresAt: expiresAt.toISOString()
+    });
+
+    console.log(`🔁 Transfer of board ${boardId} requested (user ${fromUserId} → ${toUserId}), awaiting owner approval`);
+    return transferId;
+  }
+
+  async approveTransfer(transferId, ownerId) {
+    const result = await PairingModel.approveTransfer(transferId, ownerId);
+    if (!result) return null;
+
+    const timerService = require('./timerService');
+    result.removedTimerIds.forEach((id) => {
+      timerService.cancelTimer(id);
+      timerService.announceChange(id);
+    });
+
+    const socketService = require('./socketService');
+    socketService.broadcastToUser(result.transfer.to_user_id, 'board_transfer_approved', {
+      transferId: result.transfer.id,
+      boardId: result.transfer.board_id
+    });
+
+    console.log(`✅ Board ${result.transfer.board_id} transferred to user ${result.transfer.to_user_id}`);
+    return result.transfer;
+  }
+}
+
+// Create singleton instance
+const pairingService = new PairingService();
+
+module.exports = pairingService;
@@ -0,0 +1,109 @@
+const cbor = require('cbor-x');
+const msgpack = require('@msgpack/msgpack');
+const DeviceModel = require('../models/deviceModel');
+const CompactFrameCodec = require('./compactFrameCodec');
+
+const BOARD_CACHE_TTL_MS = 60 * 1000;
+
+class PayloadCodecService {
+  constructor() {
+    this.codecs = new Map();
+    this.boardCache = new Map();
+
+    this.register('json', {
+      encode: (message) => JSON.stringify(message),
+      decode: (buffer) => JSON.parse(buffer.toString())
+    });
+    this.register('cbor', {
+      encode: (message) => cbor.encode(message),
+      decode: (buffer) => cbor.decode(buffer)
+    });
+    this.register('msgpack', {
+      encode: (message) => Buffer.from(msgpack.encode(message)),
+      decode: (buffer) => msgpack.decode(buffer)
+    });
+    // Sensor frames only; anything sent to a compact board goes out as JSON
+    this.register('compact', {
+      decode: (buffer, settings) => CompactFrameCodec.decode(buffer, settings.schema)
+    });
+  }
+
+  /**
+   * Add or replace a codec. `decode(buffer, boardSettings)` must return an object;
+   * `encode(message, boardSettings)` is optional, codecs without it fall back to JSON.
+   */
+  register(name, codec) {
+    this.codecs.set(name, codec);
+  }
+
+  isKnown(name) {
+    return this.codecs.has(name);
+  }
+
+  get names() {
+    return Array.from(this.codecs.keys());
+  }
+
+  // resp/<boardId>/cbor -> { baseTopic: 'resp/<boardId>', codec: 'cbor' }
+  splitTopic(topic) {
+    const levels = topic.split('/');
+    const last = levels[levels.length - 1];
+    if (levels.length > 1 && this.codecs.has(last)) {
+      return { baseTopic: levels.slice(0, -1).join('/'), codec: last };
+    }
+    return { baseTopic: topic, codec: null };
+  }
+
+  // cmd/<boardId> and resp/<boardId> belong to a board; register carries its id in the payload
+  boardIdForTopic(topic) {
+    const [prefix, boardId] = topic.split('/');
+    return (prefix === 'cmd' || prefix === 'resp') && boardId ? boardId : null;
+  }
+
+  async getBoardSettings(boardId) {
+    const cached = this.boardCache.get(boardId);
+    if (cached && cached.expiresAt > Date.now()) return cached.settings;
+
+    const row = await DeviceModel.getBoardCodec(boardId);
+    const settings = {
+      codec: row && this.codecs.has(row.payload_codec) ? row.payload_codec : 'json',
+      schema: row ? parseSchema(row.compact_schema) : null
+    };
+    this.boardCache.set(boardId, { settings, expiresAt: Date.now() + BOARD_CACHE_TTL_MS });
+    return settings;
+  }
+
+  invalidateBoard(boardId) {
+    this.boardCache.delete(boardId);
+  }
+
+  /**
+   * Decode an incoming payload. A codec suffix on the topic wins over the
+   * board's stored codec. Throws when the payload does not parse.
+   */
+  async decode(baseTopic, buffer, suffixCodec = null) {
+    const boardId = this.boardIdForTopic(baseTopic);
+    const settings = boardId ? await this.getBoardSettings(boardId) : { codec: 'json', schema: null };
+    const name = suffixCodec || settings.codec;
+    return this.codecs.get(name).decode(Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer), settings);
+  }
+
+  async encode(topic, message, codecOverride = null) {
+    if (typeof message === 'string' || Buffer.isBuffer(message)) return message;
+
+    const boardId = this.boardIdForTopic(topic);
+    const settings = boardId ? await this.getBoardSettings(boardId) : { codec: 'json', schema: null };
+    const codec = this.codecs.get(codecOverride || settings.codec);
+    return codec && codec.encode ? codec.encode(message, settings) : JSON.stringify(message);
+  }
+}
+
+function parseSchema(value) {
+  if (value === null || value === undefined) return null;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+// Create singleton instance
+const payloadCodecService = new PayloadCodecService();
+
+module.exports = payloadCodecService;
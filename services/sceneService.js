@@ -0,0 +1,201 @@
+const SceneModel = require('../models/sceneModel');
+const DeviceModel = require('../models/deviceModel');
+const DeviceTypeRegistry = require('./deviceTypeRegistry');
+const BulkControlService = require('./bulkControlService');
+
+const SOURCES = ['api', 'socket', 'timer', 'voice', 'automation'];
+// Voice assistants list scenes next to devices; this prefix keeps their ids apart
+const ENDPOINT_PREFIX = 'scene_';
+// Activations stay listable (and undoable) this long
+const ACTIVATION_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+function parseState(state) {
+  if (!state) return {};
+  return typeof state === 'string' ? JSON.parse(state) : state;
+}
+
+function pick(state, keys) {
+  return Object.fromEntries(keys.filter(key => state[key] !== undefined).map(key => [key, state[key]]));
+}
+
+function broadcast(userId, event, data) {
+  const socketService = require('./socketService');
+  socketService.broadcastToUser(userId, event, data);
+}
+
+/**
+ * Scenes: a stored target state for many devices, applied in one go through
+ * the bulk control path, so every device reports its own ack outcome. Each
+ * activation records the states it is about to replace; undo drives the
+ * devices that took the scene back to them.
+ */
+const SceneService = {
+  sources: SOURCES,
+
+  endpointId(sceneId) {
+    return `${ENDPOINT_PREFIX}${sceneId}`;
+  },
+
+  // Scene id of a voice assistant endpoint id, or null for a device
+  sceneIdFromEndpoint(endpointId) {
+    if (typeof endpointId !== 'string' || !endpointId.startsWith(ENDPOINT_PREFIX)) return null;
+    const sceneId = Number(endpointId.slice(ENDPOINT_PREFIX.length));
+    return Number.isInteger(sceneId) && sceneId > 0 ? sceneId : null;
+  },
+
+  /**
+   * The scene devices a request body describes: explicit `devices`
+   * ([{ device_id, state }]) or a `snapshot` of the current state of the
+   * devices it selects (same selectors as bulk control). Resolves to
+   * { devices }, { error } or null when the body has neither.
+   */
+  async parseDevices(body = {}, userId) {
+    if (body.devices !== undefined) return this.checkDevices(body.devices, userId);
+    if (body.snapshot === undefined) return null;
+
+    if (!body.snapshot || typeof body.snapshot !== 'object') return { error: 'snapshot must be an object selecting devices' };
+    const selected = await BulkControlService.selectDevices(body.snapshot, userId);
+    if (!selected) return { error: 'snapshot needs device_ids, home_id, floor_id, room_id or group_id' };
+    if (selected.error) return selected;
+
+    const devices = this.snapshot(selected.devices);
+    if (devices.length === 0) return { error: 'None of the selected devices has a state to capture' };
+    if (devices.length > BulkControlService.maxDevices) return { error: `At most ${BulkControlService.maxDevices} devices per scene` };
+    return { devices };
+  },
+
+  // Current controllable state of each device; devices without one (sensors) are left out
+  snapshot(devices) {
+    return devices
+      .map(device => ({ device_id: device.device_id, state: DeviceTypeRegistry.controllableState(device.device_type, parseState(device.state)) }))
+      .filter(entry => Object.keys(entry.state).length > 0);
+  },
+
+  async checkDevices(entries, userId) {
+    if (!Array.isArray(entries)) return { error: 'devices must be an array of { device_id, state }' };
+    if (entries.length > BulkControlService.maxDevices) return { error: `At most ${BulkControlService.maxDevices} devices per scene` };
+
+    const seen = new Set();
+    for (const entry of entries) {
+      if (!entry || typeof entry.device_id !== 'string' || !entry.state || typeof entry.state !== 'object' || Array.isArray(entry.state)) {
+        return { error: 'Every scene device needs a device_id and a state object' };
+      }
+      if (Object.keys(entry.state).length === 0) return { error: `State of ${entry.device_id} is empty` };
+      if (seen.has(entry.device_id)) return { error: `Device ${entry.device_id} appears more than once` };
+      seen.add(entry.device_id);
+    }
+
+    const devices = await DeviceModel.getDevicesWithBoards([...seen], userId);
+    const byId = new Map(devices.map(device => [device.device_id, device]));
+    for (const { device_id, state } of entries) {
+      const device = byId.get(device_id);
+      if (!device) return { error: `Device ${device_id} not found` };
+
+      const errors = DeviceTypeRegistry.validateState(device.device_type, state);
+      if (errors.length > 0) return { error: `Invalid state for ${device_id}: ${errors.join('; ')}` };
+      const uncontrolled = Object.keys(state).filter(key => !(key in DeviceTypeRegistry.controllableState(device.device_type, state)));
+      if (uncontrolled.length > 0) {
+        return { error: `Device type "${device.device_type}" of ${device_id} does not control ${uncontrolled.join(', ')}` };
+      }
+    }
+    return { devices: entries.map(({ device_id, state }) => ({ device_id, state })) };
+  },
+
+  /**
+   * Apply the scene and resolve to { activation_id, scene_id, results, summary }
+   * once every board has acked or timed out; null when the user has no such
+   * scene, { error } when it has no devices.
+   */
+  async activate(userId, sceneId, { source = 'api', timeoutMs } = {}) {
+    const begun = await this.begin(userId, sceneId, source);
+    if (!begun || begun.error) return begun;
+    return this.finish(userId, begun, { timeoutMs });
+  },
+
+  // Like activate(), but resolves as soon as the activation is recorded
+  async start(userId, sceneId, { source = 'api', timeoutMs } = {}) {
+    const begun = await this.begin(userId, sceneId, source);
+    if (!begun || begun.error) return begun;
+
+    this.finish(userId, begun, { timeoutMs })
+      .catch(error => console.error(`❌ Scene activation ${begun.activationId} failed:`, error));
+    return { activation_id: begun.activationId, scene_id: begun.scene.id, status: 'running', total: begun.items.length };
+  },
+
+  // Drop activations too old to list or undo; run by the periodic retention job
+  async prune(now = new Date()) {
+    return SceneModel.deleteActivationsOlderThan(new Date(now.getTime() - ACTIVATION_RETENTION_MS));
+  },
+
+  // Record the activation with the states it will replace
+  async begin(userId, sceneId, source) {
+    const scene = await SceneModel.getScene(sceneId, userId);
+    if (!scene) return null;
+    const targets = await SceneModel.getSceneDevices(scene.id);
+    if (targets.length === 0) return { error: 'Scene has no devices' };
+
+    const devices = await DeviceModel.getDevicesWithBoards(targets.map(target => target.device_id), userId);
+    const current = new Map(devices.map(device => [device.device_id, parseState(device.state)]));
+    const previous = {};
+    for (const { device_id, state } of targets) {
+      const before = pick(current.get(device_id) || {}, Object.keys(state));
+      if (Object.keys(before).length > 0) previous[device_id] = before;
+    }
+
+    const activationId = await SceneModel.createActivation(scene.id, userId, source, previous);
+    const items = targets.map(({ device_id, state }) => ({ device_id, patch: state }));
+    return { scene, activationId, items };
+  },
+
+  async finish(userId, { scene, activationId, items }, { timeoutMs }) {
+    try {
+      const results = await BulkControlService.run(userId, items, { timeoutMs });
+      const summary = BulkControlService.summarize(results);
+      await SceneModel.completeActivation(activationId, { results, summary });
+
+      console.log(`🎬 Scene "${scene.name}" activated: ${summary.acked}/${results.length} devices acknowledged`);
+      broadcast(userId, 'scene_activated', { scene_id: scene.id, activation_id: activationId, summary });
+      return { activation_id: activationId, scene_id: scene.id, results, summary };
+    } catch (error) {
+      const results = items.map(item => ({ device_id: item.device_id, status: 'error', message: 'Scene activation failed' }));
+      await SceneModel.completeActivation(activationId, { status: 'failed', results, summary: BulkControlService.summarize(results) }).catch(() => {});
+      throw error;
+    }
+  },
+
+  /**
+   * Put back the states an activation replaced, on the devices that acked it.
+   * Resolves to { activation_id, scene_id, results, summary }, null when the
+   * user has no such activation, or { error, conflict } when it cannot be undone.
+   */
+  async undo(userId, activationId, { timeoutMs } = {}) {
+    const activation = await SceneModel.getActivation(activationId, userId);
+    if (!activation) return null;
+    if (activation.status !== 'completed' || !(await SceneModel.claimUndo(activation.id))) {
+      const reasons = { running: 'Activation is still running', failed: 'Activation failed and has nothing to undo' };
+      return { error: reasons[activation.status] || 'Activation was already undone', conflict: true };
+    }
+
+    const applied = new Set(activation.results.filter(result => result.status === 'acked').map(result => result.device_id));
+    const items = Object.entries(activation.previous_state)
+      .filter(([deviceId]) => applied.has(deviceId))
+      .map(([device_id, patch]) => ({ device_id, patch }));
+
+    const results = items.length > 0 ? await BulkControlService.run(userId, items, { timeoutMs }) : [];
+    const summary = BulkControlService.summarize(results);
+    await SceneModel.recordUndo(activation.id, results);
+
+    console.log(`↩️ Scene activation ${activation.id} undone: ${summary.acked}/${results.length} devices restored`);
+    broadcast(userId, 'scene_undone', { scene_id: activation.scene_id, activation_id: activation.id, summary });
+    return { activation_id: activation.id, scene_id: activation.scene_id, results, summary };
+  },
+
+  // Undo the scene's most recent activation that has not been undone yet
+  async undoLatest(userId, sceneId, options = {}) {
+    const activation = await SceneModel.latestUndoable(sceneId, userId);
+    if (!activation) return { error: 'Scene has no activation to undo', conflict: true };
+    return this.undo(userId, activation.id, options);
+  }
+};
+
+module.exports = SceneService;
@@ -0,0 +1,118 @@
+const ShadowModel = require('../models/shadowModel');
+const commandQueueService = require('./commandQueueService');
+const DeviceTypeRegistry = require('./deviceTypeRegistry');
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Keys whose desired value differs from what the board last reported
+function computeDelta(desired, reported) {
+  const delta = {};
+  for (const [key, value] of Object.entries(desired || {})) {
+    const current = reported ? reported[key] : undefined;
+    if (isPlainObject(value) && isPlainObject(current)) {
+      const nested = computeDelta(value, current);
+      if (Object.keys(nested).length > 0) delta[key] = nested;
+    } else if (JSON.stringify(value) !== JSON.stringify(current)) {
+      delta[key] = value;
+    }
+  }
+  return delta;
+}
+
+class ShadowService {
+  toDocument(shadow) {
+    return {
+      deviceId: shadow.deviceId,
+      state: {
+        desired: shadow.desired,
+        reported: shadow.reported,
+        delta: computeDelta(shadow.desired, shadow.reported)
+      },
+      metadata: {
+        desired: { timestamp: shadow.desiredUpdatedAt },
+        reported: { timestamp: shadow.reportedUpdatedAt }
+      },
+      version: shadow.version,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  async getShadow(deviceId) {
+    const shadow = await ShadowModel.getShadow(deviceId);
+    return shadow ? this.toDocument(shadow) : null;
+  }
+
+  async setDesired(deviceId, patch, expectedVersion) {
+    return this.updateSection(deviceId, 'desired', patch, expectedVersion);
+  }
+
+  async report(deviceId, patch) {
+    return this.updateSection(deviceId, 'reported', patch);
+  }
+
+  async updateSection(deviceId, section, patch, expectedVersion) {
+    const result = await ShadowModel.updateSection(deviceId, section, patch, expectedVersion);
+    if (result.notFound) return result;
+
+    const document = this.toDocument(result.shadow);
+    if (result.changed) {
+      const socketService = require('./socketService');
+      socketService.broadcastShadowUpdate(deviceId, document);
+    }
+    return { ...result, document };
+  }
+
+  // Push every outstanding delta on a board, e.g. after it reconnects or resyncs
+  async reconcileBoard(boardId) {
+    const entries = await ShadowModel.getShadowsByBoard(boardId);
+    for (const { device, shadow } of entries) {
+      await this.pushDelta(boardId, device, shadow);
+    }
+  }
+
+  async reconcileDevice(boardId, device) {
+    const shadow = await ShadowModel.getShadow(device.device_id);
+    if (shadow) {
+      await this.pushDelta(boardId, device, shadow);
+    }
+  }
+
+  async pushDelta(boardId, device, shadow) {
+    const delta = computeDelta(shadow.desired, shadow.reported);
+    if (Object.keys(delta).length === 0) return;
+
+    // A queued or in-flight command already carries the user's intent for this device
+    if (commandQueueService.hasActiveCommand(device.device_id)) return;
+
+    const mqttService = require('./mqttService');
+    const { commands, rest } = DeviceTypeRegistry.commandsForState(device, delta);
+    const sent = [];
+
+    for (const { commandType, data, reported } of commands) {
+      const commandId = await mqttService.sendCommand(boardId, commandType, data, { deviceId: device.device_id });
+      sent.push({ commandId, reported });
+    }
+    if (Object.keys(rest).length > 0) {
+      const commandId = await mqttService.sendCommand(boardId, 'shadow_delta', {
+        data: { device_id: device.device_id, delta: rest, version: shadow.version }
+      }, { deviceId: device.device_id });
+      sent.push({ commandId, reported: rest });
+    }
+
+    console.log(`🪞 Pushed shadow delta to ${device.device_id} (v${shadow.version}):`, delta);
+
+    // Nobody is waiting on these; record the reported side once the board confirms
+    for (const { commandId, reported } of sent) {
+      mqttService.waitForAck(commandId)
+        .then(ok => (ok ? this.report(device.device_id, reported) : null))
+        .catch(error => console.error(`❌ Error recording shadow ack for ${device.device_id}:`, error));
+    }
+  }
+}
+
+// Create singleton instance
+const shadowService = new ShadowService();
+
+module.exports = shadowService;
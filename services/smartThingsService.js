@@ -1,26 +1,37 @@
 const db = require('../config/database');
-const mqttService = require('./mqttService');
 const axios = require('axios');
+const DeviceModel = require('../models/deviceModel');
+const DeviceTypeRegistry = require('./deviceTypeRegistry');
+const DeviceControlService = require('./deviceControlService');
 
 class SmartThingsService {
   constructor() {
     this.apiBaseUrl = 'https://api.smartthings.com/v1';
+    // Registry category -> SmartThings device type name
     this.deviceTypes = {
       'light': 'Light',
       'switch': 'Switch',
       'outlet': 'Outlet',
       'fan': 'Fan',
       'thermostat': 'Thermostat',
-      'sensor': 'TemperatureMeasurement'
+      'cover': 'WindowShade',
+      'sensor': 'TemperatureMeasurement',
+      'other': 'Switch'
     };
 
+    // Registry capability -> SmartThings capability
     this.capabilities = {
-      'light': ['switch', 'switchLevel', 'colorControl'],
-      'switch': ['switch'],
-      'outlet': ['switch'],
-      'fan': ['switch', 'fanSpeed'],
-      'thermostat': ['thermostatMode', 'thermostatSetpoint', 'temperatureMeasurement'],
-      'sensor': ['temperatureMeasurement', 'relativeHumidityMeasurement']
+      'on_off': 'switch',
+      'level': 'switchLevel',
+      'color': 'colorControl',
+      'color_temperature': 'colorTemperature',
+      'fan_speed': 'fanSpeed',
+      'position': 'windowShadeLevel',
+      'thermostat_setpoint': 'thermostatHeatingSetpoint',
+      'thermostat_mode': 'thermostatMode',
+      'pulse': 'momentary',
+      'temperature': 'temperatureMeasurement',
+      'humidity': 'relativeHumidityMeasurement'
     };
   }
 
@@ -218,14 +229,9 @@ class SmartThingsService {
         const { deviceId, capability, command: cmd, arguments: args } = command;
 
         try {
-          // Find device in our database
-          const devices = await db.query(`
-            SELECT id, device_id, user_id, config
-            FROM devices
-            WHERE device_id = ?
-          `, [deviceId]);
-
-          if (devices.length === 0) {
+          const device = await DeviceModel.findDevice(deviceId);
+
+          if (!device) {
             results.push({
               deviceId,
               status: 'FAILURE',
@@ -234,13 +240,9 @@ class SmartThingsService {
             continue;
           }
 
-          const device = devices[0];
-          const deviceConfig = device.config ? JSON.parse(device.config) : {};
-
-          // Convert SmartThings command to MQTT command
-          const mqttCommand = this.convertSmartThingsCommandToMQTT(capability, cmd, args, deviceConfig);
+          const request = this.convertSmartThingsCommand(capability, cmd, args || []);
 
-          if (!mqttCommand) {
+          if (!request || !DeviceTypeRegistry.hasCapability(device.device_type, request.capability)) {
             results.push({
               deviceId,
               status: 'FAILURE',
@@ -249,13 +251,24 @@ class SmartThingsService {
             continue;
           }
 
-          // Add metadata
-          mqttCommand.source = 'smartthings';
-          mqttCommand.userId = device.user_id;
-          mqttCommand.timestamp = new Date().toISOString();
+          if (!device.is_online) {
+            results.push({
+              deviceId,
+              status: 'FAILURE',
+              errorMessage: 'Board is offline'
+            });
+            continue;
+          }
 
-          // Send command via MQTT
-          await mqttService.sendDeviceCommand(device.device_id, mqttCommand);
+          const result = await DeviceControlService.execute(device, request);
+          if (result.error || !result.acked) {
+            results.push({
+              deviceId,
+              status: 'FAILURE',
+              errorMessage: result.error || 'ESP32 did not acknowledge the command'
+            });
+            continue;
+          }
 
           results.push({
             deviceId,
@@ -306,67 +319,51 @@ class SmartThingsService {
     }
   }
 
-  convertSmartThingsCommandToMQTT(capability, command, args, config) {
-    switch (capability) {
-      case 'switch':
-        if (command === 'on' || command === 'off') {
-          return {
-            action: 'gpio',
-            pin: config.control_pin || 2,
-            state: command
-          };
-        }
-        break;
-
-      case 'switchLevel':
-        if (command === 'setLevel') {
-          return {
-            action: 'pwm',
-            pin: config.control_pin || 2,
-            value: Math.round((args[0] / 100) * 255)
-          };
-        }
-        break;
-
-      case 'fanSpeed':
-        if (command === 'setFanSpeed') {
-          const speedMap = { low: 85, medium: 170, high: 255 };
-          return {
-            action: 'pwm',
-            pin: config.control_pin || 2,
-            value: speedMap[args[0]] || 255
-          };
-        }
-        break;
-
-      case 'thermostatSetpoint':
-        if (command === 'setHeatingSetpoint' || command === 'setCoolingSetpoint') {
-          return {
-            action: 'thermostat',
-            target_temperature: args[0]
-          };
-        }
-        break;
-
+  // SmartThings command -> capability command, or null when we do not map it
+  convertSmartThingsCommand(capability, command, args) {
+    switch (`${capability}.${command}`) {
+      case 'switch.on':
+      case 'switch.off':
+        return { capability: 'on_off', command };
+      case 'switchLevel.setLevel':
+        return { capability: 'level', command: 'set', args: { percent: args[0] } };
+      case 'colorControl.setColor': {
+        const color = args[0] || {};
+        return color.hex
+          ? { capability: 'color', command: 'set', args: { rgb: color.hex } }
+          : { capability: 'color', command: 'set', args: { hsv: { h: Number(color.hue) * 3.6, s: color.saturation, v: 100 } } };
+      }
+      case 'colorTemperature.setColorTemperature':
+        return { capability: 'color_temperature', command: 'set', args: { kelvin: args[0] } };
+      case 'fanSpeed.setFanSpeed':
+        // SmartThings speeds: 0 off, 1 low, 2 medium, 3 high
+        return { capability: 'fan_speed', command: 'set', args: { speed: ['off', 'low', 'medium', 'high'][Number(args[0])] } };
+      case 'windowShadeLevel.setShadeLevel':
+        return { capability: 'position', command: 'set', args: { percent: args[0] } };
+      case 'thermostatHeatingSetpoint.setHeatingSetpoint':
+        return { capability: 'thermostat_setpoint', command: 'set', args: { celsius: args[0] } };
+      case 'thermostatMode.setThermostatMode':
+        return { capability: 'thermostat_mode', command: 'set', args: { mode: args[0] } };
+      case 'momentary.push':
+        return { capability: 'pulse', command: 'trigger' };
       default:
         console.warn(`❌ Unsupported SmartThings capability: ${capability}.${command}`);
         return null;
     }
-
-    return null;
   }
 
   async createDeviceInSmartThings(accessToken, device) {
     try {
-      const deviceConfig = device.config ? JSON.parse(device.config) : {};
-      const deviceType = deviceConfig.smartthings_type || 'switch';
+      const deviceType = device.device_type;
 
       const deviceData = {
         label: device.name,
-        deviceTypeName: this.deviceTypes[deviceType] || this.deviceTypes.switch,
+        deviceTypeName: this.deviceTypes[DeviceTypeRegistry.category(deviceType)] || this.deviceTypes.other,
         deviceTypeId: 'iot-platform-device',
         deviceNetworkId: device.device_id,
-        capabilities: this.capabilities[deviceType] || this.capabilities.switch,
+        capabilities: DeviceTypeRegistry.capabilityNames(deviceType)
+          .map(name => this.capabilities[name])
+          .filter(Boolean),
         metadata: {
           deviceId: device.device_id,
           userId: device.user_id,
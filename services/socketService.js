@@ -76,11 +76,25 @@ class SocketService {
       this.handleDeviceUnsubscription(socket, deviceId);
     });
 
+    // Handle device shadow requests
+    socket.on('get_shadow', (deviceId) => {
+      this.handleShadowRequest(socket, deviceId);
+    });
+
     // Handle real-time device control
     socket.on('device_command', (data) => {
       this.handleDeviceCommand(socket, data);
     });
 
+    // Handle scene activation and undo
+    socket.on('activate_scene', (data) => {
+      this.handleSceneActivation(socket, data);
+    });
+
+    socket.on('undo_scene', (data) => {
+      this.handleSceneUndo(socket, data);
+    });
+
     // Handle ping/pong for connection health
     socket.on('ping', () => {
       socket.emit('pong', { timestamp: Date.now() });
@@ -165,52 +179,88 @@ class SocketService {
     }
   }
 
+  async handleShadowRequest(socket, deviceId) {
+    try {
+      const DeviceModel = require('../models/deviceModel');
+      const device = await DeviceModel.getDeviceWithBoard(deviceId, socket.user.id);
+      if (!device) {
+        socket.emit('error', {
+          message: 'Access denied to device',
+          deviceId
+        });
+        return;
+      }
+
+      const shadowService = require('./shadowService');
+      const shadow = await shadowService.getShadow(deviceId);
+      socket.emit('shadow', shadow);
+
+    } catch (error) {
+      console.error('Shadow request error:', error);
+      socket.emit('error', {
+        message: 'Failed to get device shadow',
+        deviceId
+      });
+    }
+  }
+
   handleDeviceUnsubscription(socket, deviceId) {
     socket.leave(`device_${deviceId}`);
     console.log(`📱 User ${socket.user.email} unsubscribed from device ${deviceId}`);
   }
 
+  // { deviceId, command: { action, state, value } | { capability, command, args } }, sent like POST /devices/:id/control
   async handleDeviceCommand(socket, data) {
+    const { deviceId, command = {} } = data || {};
     try {
-      const { deviceId, command } = data;
-
-      // Verify user has access to device
-      const devices = await db.query(`
-        SELECT d.id, d.device_id, d.name
-        FROM devices d
-        LEFT JOIN device_sharing ds ON d.id = ds.device_id AND ds.shared_with_id = ? AND ds.is_active = true
-        WHERE d.device_id = ? AND (d.user_id = ? OR ds.id IS NOT NULL)
-      `, [socket.user.id, deviceId, socket.user.id]);
-
-      if (devices.length === 0) {
+      const DeviceModel = require('../models/deviceModel');
+      const device = await DeviceModel.getDeviceWithBoard(deviceId, socket.user.id);
+      if (!device) {
         socket.emit('error', {
           message: 'Access denied to device',
           deviceId
         });
         return;
       }
+      if (!device.is_online) {
+        socket.emit('error', {
+          message: 'Board is offline. Cannot control device.',
+          deviceId
+        });
+        return;
+      }
 
-      // Send command via MQTT (assuming mqttService is available)
-      const mqttService = require('./mqttService');
-      const commandWithUser = {
-        ...command,
-        userId: socket.user.id,
-        timestamp: new Date().toISOString()
-      };
-
-      const result = await mqttService.sendDeviceCommand(deviceId, commandWithUser);
+      const DeviceControlService = require('./deviceControlService');
+      let result;
+      if (command.capability !== undefined) {
+        result = await DeviceControlService.execute(device, { capability: command.capability, command: command.command, args: command.args });
+      } else {
+        const DeviceTypeRegistry = require('./deviceTypeRegistry');
+        const state = typeof device.state === 'string' ? JSON.parse(device.state) : (device.state || {});
+        const resolved = DeviceTypeRegistry.controlPatch(device.device_type, command, state);
+        result = resolved.error ? resolved : await DeviceControlService.applyState(device, resolved.patch);
+      }
+      if (result.error) {
+        socket.emit('error', {
+          message: result.error,
+          deviceId
+        });
+        return;
+      }
 
-      // Emit command sent confirmation
+      // Emit command result once the board has acknowledged (or not)
       socket.emit('command_sent', {
         deviceId,
-        commandId: result.commandId,
-        command: commandWithUser
+        commandId: result.commandIds[0],
+        commandIds: result.commandIds,
+        acked: result.acked,
+        command
       });
 
       // Broadcast to other users watching this device
       socket.to(`device_${deviceId}`).emit('device_command_sent', {
         deviceId,
-        command: commandWithUser,
+        command,
         sentBy: {
           id: socket.user.id,
           name: `${socket.user.first_name} ${socket.user.last_name}`
@@ -228,6 +278,66 @@ class SocketService {
     }
   }
 
+  // { sceneId } -> scene_activation with per-device results once the boards have acked
+  async handleSceneActivation(socket, data) {
+    const sceneId = data && data.sceneId;
+    if (!sceneId) {
+      socket.emit('error', { message: 'sceneId is required' });
+      return;
+    }
+    try {
+      const SceneService = require('./sceneService');
+      const activation = await SceneService.activate(socket.user.id, sceneId, { source: 'socket' });
+      if (!activation || activation.error) {
+        socket.emit('error', {
+          message: activation ? activation.error : 'Scene not found',
+          sceneId
+        });
+        return;
+      }
+
+      socket.emit('scene_activation', activation);
+      console.log(`🎬 User ${socket.user.email} activated scene ${sceneId}`);
+
+    } catch (error) {
+      console.error('Scene activation error:', error);
+      socket.emit('error', {
+        message: 'Failed to activate scene',
+        sceneId
+      });
+    }
+  }
+
+  // { activationId } -> scene_undo with the per-device results of the restore
+  async handleSceneUndo(socket, data) {
+    const activationId = data && data.activationId;
+    if (!activationId) {
+      socket.emit('error', { message: 'activationId is required' });
+      return;
+    }
+    try {
+      const SceneService = require('./sceneService');
+      const undone = await SceneService.undo(socket.user.id, activationId);
+      if (!undone || undone.error) {
+        socket.emit('error', {
+          message: undone ? undone.error : 'Scene activation not found',
+          activationId
+        });
+        return;
+      }
+
+      socket.emit('scene_undo', undone);
+      console.log(`↩️ User ${socket.user.email} undid scene activation ${activationId}`);
+
+    } catch (error) {
+      console.error('Scene undo error:', error);
+      socket.emit('error', {
+        message: 'Failed to undo scene activation',
+        activationId
+      });
+    }
+  }
+
   handleDisconnection(socket, reason) {
     const userId = socket.user.id;
     
@@ -260,11 +370,10 @@ class SocketService {
 
       // Get latest sensor data
       const sensorData = await db.query(`
-        SELECT sensor_name, value, unit, timestamp
+        SELECT metric, value, unit, quality, observed_at
         FROM device_data
-        WHERE device_id = (SELECT id FROM devices WHERE device_id = ?) 
-        AND data_type = 'sensor'
-        ORDER BY timestamp DESC
+        WHERE device_id = ? AND data_type = 'sensor'
+        ORDER BY observed_at DESC
         LIMIT 5
       `, [deviceId]);
 
@@ -311,6 +420,10 @@ class SocketService {
     });
   }
 
+  broadcastShadowUpdate(deviceId, shadow) {
+    this.broadcastToDevice(deviceId, 'shadow_update', shadow);
+  }
+
   broadcastCommandResponse(deviceId, commandResponse) {
     this.broadcastToDevice(deviceId, 'command_response', {
       deviceId,
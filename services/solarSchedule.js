@@ -0,0 +1,86 @@
+// Sunrise, sunset, dawn and dusk for a place, computed locally with the
+// sunrise equation (NOAA's simplified solar position; within a minute or two
+// outside the polar circles). Events are instants, so they need no timezone
+// and DST cannot shift them. Days on which the sun never crosses the event's
+// altitude (polar day or night) have no event and are skipped.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+// Julian date of the Unix epoch, and of J2000.0 (2000-01-01 12:00 TT)
+const JULIAN_UNIX_EPOCH = 2440587.5;
+const J2000 = 2451545;
+const OBLIQUITY = 23.4397;
+// How long next() looks for a day with the event (a polar night lasts months)
+const HORIZON_DAYS = 370;
+
+// Solar altitude of each event: refraction and the sun's radius for
+// sunrise/sunset, the civil twilight line for dawn/dusk
+const EVENTS = {
+  sunrise: { altitude: -0.833, rising: true },
+  sunset: { altitude: -0.833, rising: false },
+  dawn: { altitude: -6, rising: true },
+  dusk: { altitude: -6, rising: false }
+};
+
+const radians = degrees => degrees * Math.PI / 180;
+const degrees = value => value * 180 / Math.PI;
+
+function julianDay(time) {
+  return time / DAY_MS + JULIAN_UNIX_EPOCH;
+}
+
+// To the second: the equation is not more precise than that
+function instant(julian) {
+  return Math.round((julian - JULIAN_UNIX_EPOCH) * DAY_MS / 1000) * 1000;
+}
+
+// The event on solar day `cycle` (days since J2000 at the place's mean noon), or null
+function eventOn(cycle, event, latitude, longitude) {
+  const meanNoon = cycle - longitude / 360;
+  const anomaly = radians((357.5291 + 0.98560028 * meanNoon) % 360);
+  const center = 1.9148 * Math.sin(anomaly) + 0.02 * Math.sin(2 * anomaly) + 0.0003 * Math.sin(3 * anomaly);
+  const eclipticLongitude = radians((degrees(anomaly) + center + 180 + 102.9372) % 360);
+  const transit = J2000 + meanNoon + 0.0053 * Math.sin(anomaly) - 0.0069 * Math.sin(2 * eclipticLongitude);
+  const declination = Math.asin(Math.sin(eclipticLongitude) * Math.sin(radians(OBLIQUITY)));
+
+  const phi = radians(latitude);
+  const cosHourAngle = (Math.sin(radians(EVENTS[event].altitude)) - Math.sin(phi) * Math.sin(declination))
+    / (Math.cos(phi) * Math.cos(declination));
+  if (cosHourAngle < -1 || cosHourAngle > 1) return null;
+
+  const hourAngle = degrees(Math.acos(cosHourAngle)) / 360;
+  return instant(EVENTS[event].rising ? transit - hourAngle : transit + hourAngle);
+}
+
+// Event times (shifted by offsetMinutes) in [start, end], earliest first; stops after `limit`
+function walk({ event, offsetMinutes = 0, latitude, longitude }, start, end, limit) {
+  const offset = offsetMinutes * MINUTE_MS;
+  const times = [];
+  // Start a day early: an offset or a far-off longitude can pull an event into the range
+  let cycle = Math.floor(julianDay(start - offset) - J2000) - 2;
+  const lastCycle = Math.ceil(julianDay(end - offset) - J2000) + 2;
+  for (; cycle <= lastCycle && times.length < limit; cycle += 1) {
+    const time = eventOn(cycle, event, Number(latitude), Number(longitude));
+    if (time === null) continue;
+    if (time + offset > end) break;
+    if (time + offset >= start) times.push(new Date(time + offset));
+  }
+  return times;
+}
+
+const SolarSchedule = {
+  EVENTS: Object.keys(EVENTS),
+
+  // Event times between `from` and `to` (inclusive) for { event, offsetMinutes, latitude, longitude }
+  between(trigger, from, to, { limit = 1000 } = {}) {
+    return walk(trigger, new Date(from).getTime(), new Date(to).getTime(), limit);
+  },
+
+  // The next `count` event times after `after`; fewer when the sun stays up or down
+  next(trigger, after = new Date(), count = 1) {
+    const start = new Date(after).getTime() + 1;
+    return walk(trigger, start, start + HORIZON_DAYS * DAY_MS, count);
+  }
+};
+
+module.exports = SolarSchedule;
@@ -0,0 +1,240 @@
+const db = require('../config/database');
+const TelemetryNormalizer = require('./telemetryNormalizer');
+const telemetryRollupService = require('./telemetryRollupService');
+
+const FLUSH_INTERVAL_MS = parseInt(process.env.TELEMETRY_FLUSH_INTERVAL_MS || '1000', 10);
+const BATCH_SIZE = parseInt(process.env.TELEMETRY_BATCH_SIZE || '500', 10);
+const MAX_QUEUE = parseInt(process.env.TELEMETRY_MAX_QUEUE || '20000', 10);
+const DEVICE_CACHE_TTL_MS = parseInt(process.env.TELEMETRY_DEVICE_CACHE_TTL_MS || String(5 * 60 * 1000), 10);
+// Unknown ids are re-checked sooner so a freshly added device starts recording quickly
+const UNKNOWN_DEVICE_TTL_MS = 30 * 1000;
+// 'flag' stores readings with an implausible device time at arrival time as 'uncertain'; 'reject' drops them
+const IMPLAUSIBLE_TIMESTAMPS = process.env.TELEMETRY_IMPLAUSIBLE_TIMESTAMPS === 'reject' ? 'reject' : 'flag';
+
+// Above this fill ratio heartbeats are shed first; they are the least valuable rows
+const SHED_HEARTBEATS_AT = 0.8;
+
+/**
+ * Buffers canonical device_data rows and writes them with multi-row INSERTs,
+ * at most one batch in flight, so ingestion needs a single pool connection
+ * however many boards are talking. Rows for devices that do not exist are dropped before
+ * they reach the database instead of failing the foreign key one by one.
+ */
+class TelemetryIngestService {
+  constructor() {
+    this.queue = [];
+    this.knownDevices = new Map();
+    this.flushTimer = null;
+    this.flushing = null;
+    this.metrics = {
+      enqueued: 0,
+      inserted: 0,
+      batches: 0,
+      timestamps: { server: 0, device: 0, corrected: 0, implausible: 0 },
+      dropped: { queue_full: 0, shed_heartbeat: 0, unknown_device: 0, db_error: 0, implausible_timestamp: 0 },
+      lastFlushAt: null,
+      lastFlushMs: null,
+      lastError: null
+    };
+  }
+
+  start() {
+    if (this.flushTimer) return;
+    this.flushTimer = setInterval(() => this.flush(), FLUSH_INTERVAL_MS);
+    this.flushTimer.unref();
+    console.log(`📥 Telemetry ingestion started (batch ${BATCH_SIZE}, every ${FLUSH_INTERVAL_MS}ms, queue limit ${MAX_QUEUE})`);
+  }
+
+  async stop() {
+    clearInterval(this.flushTimer);
+    this.flushTimer = null;
+    if (this.flushing) await this.flushing;
+    // Drain what is buffered; each pass writes one batch, and a pass that makes no progress means the database is gone
+    while (this.queue.length > 0) {
+      const before = this.queue.length;
+      await this.flush();
+      if (this.queue.length >= before) break;
+    }
+  }
+
+  /**
+   * Normalise one message into canonical device_data rows and buffer them.
+   * `options` are the timestamps from deviceClockService.stamp(). Returns false
+   * when it was dropped because the queue is full (or, for heartbeats, nearly
+   * full) or its device time is implausible and those are rejected.
+   */
+  enqueue(deviceId, dataType, payload, options = {}) {
+    if (!deviceId) return false;
+
+    const timestampStatus = options.timestampStatus || 'server';
+    if (timestampStatus === 'implausible' && IMPLAUSIBLE_TIMESTAMPS === 'reject') {
+      this.metrics.dropped.implausible_timestamp++;
+      return false;
+    }
+
+    if (this.queue.length >= MAX_QUEUE) {
+      this.metrics.dropped.queue_full++;
+      return false;
+    }
+    if (dataType === 'heartbeat' && this.queue.length >= MAX_QUEUE * SHED_HEARTBEATS_AT) {
+      this.metrics.dropped.shed_heartbeat++;
+      return false;
+    }
+
+    const rows = TelemetryNormalizer.normalize(deviceId, dataType, payload, { ...options, timestampStatus });
+    for (const row of rows) {
+      this.queue.push({ ...row, payload: row.payload === null ? null : JSON.stringify(row.payload) });
+    }
+    this.metrics.enqueued += rows.length;
+    this.metrics.timestamps[timestampStatus] = (this.metrics.timestamps[timestampStatus] || 0) + 1;
+
+    if (this.queue.length >= BATCH_SIZE) {
+      this.flush();
+    }
+    return true;
+  }
+
+  // Devices created or deleted through the API; keeps the cache from lagging behind
+  rememberDevice(deviceId) {
+    this.knownDevices.set(deviceId, { exists: true, expiresAt: Date.now() + DEVICE_CACHE_TTL_MS });
+  }
+
+  forgetDevice(deviceId) {
+    this.knownDevices.delete(deviceId);
+  }
+
+  flush() {
+    // One batch at a time; callers arriving mid-flush share the running one
+    if (this.flushing) return this.flushing;
+    if (this.queue.length === 0) return Promise.resolve();
+
+    this.flushing = this.writeBatch()
+      .catch(error => console.error('❌ Telemetry flush failed:', error))
+      .finally(() => {
+        this.flushing = null;
+      });
+    return this.flushing;
+  }
+
+  async writeBatch() {
+    const startedAt = Date.now();
+    const batch = this.queue.splice(0, BATCH_SIZE);
+
+    const known = await this.resolveDevices(batch.map(row => row.deviceId));
+    const rows = batch.filter(row => known.has(row.deviceId));
+    this.metrics.dropped.unknown_device += batch.length - rows.length;
+
+    if (rows.length > 0) {
+      try {
+        await this.insertRows(rows);
+      } catch (error) {
+        this.metrics.lastError = error.message;
+        if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+          // A cached device was deleted since; re-check every id once and retry without it
+          rows.forEach(row => this.forgetDevice(row.deviceId));
+          const stillKnown = await this.resolveDevices(rows.map(row => row.deviceId));
+          const retry = rows.filter(row => stillKnown.has(row.deviceId));
+          this.metrics.dropped.unknown_device += rows.length - retry.length;
+          if (retry.length > 0) await this.insertRows(retry);
+        } else {
+          this.requeue(rows);
+          throw error;
+        }
+      }
+    }
+
+    this.metrics.batches++;
+    this.metrics.lastFlushAt = new Date();
+    this.metrics.lastFlushMs = Date.now() - startedAt;
+  }
+
+  async insertRows(rows) {
+    const placeholders = rows.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ');
+    const params = [];
+    for (const row of rows) {
+      params.push(
+        row.deviceId, row.dataType, row.metric, row.value, row.unit, row.quality, row.payload,
+        row.observedAt, row.receivedAt, row.timestampStatus
+      );
+    }
+    await db.query(`
+      INSERT INTO device_data (device_id, data_type, metric, value, unit, quality, payload, observed_at, received_at, timestamp_status)
+      VALUES ${placeholders}
+    `, params);
+    this.metrics.inserted += rows.length;
+
+    // Backfilled readings may land in minutes that are already rolled up
+    let earliest = null;
+    for (const row of rows) {
+      if (row.dataType === 'sensor' && row.metric && (!earliest || row.observedAt < earliest)) earliest = row.observedAt;
+    }
+    if (earliest) {
+      await telemetryRollupService.markLate(earliest)
+        .catch(error => console.error('❌ Failed to schedule re-rollup of late telemetry:', error));
+    }
+  }
+
+  // Put a failed batch back at the front, as much of it as still fits
+  requeue(rows) {
+    const room = Math.max(0, MAX_QUEUE - this.queue.length);
+    const kept = rows.slice(0, room);
+    this.metrics.dropped.db_error += rows.length - kept.length;
+    this.queue.unshift(...kept);
+  }
+
+  // Returns the set of ids that exist, asking the database only about ids not cached
+  async resolveDevices(deviceIds) {
+    const now = Date.now();
+    const known = new Set();
+    const unresolved = new Set();
+
+    for (const deviceId of deviceIds) {
+      const cached = this.knownDevices.get(deviceId);
+      if (cached && cached.expiresAt > now) {
+        if (cached.exists) known.add(deviceId);
+      } else {
+        unresolved.add(deviceId);
+      }
+    }
+
+    if (unresolved.size > 0) {
+      const ids = [...unresolved];
+      const rows = await db.query(
+        `SELECT device_id FROM devices WHERE device_id IN (${ids.map(() => '?').join(', ')})`,
+        ids
+      );
+      const found = new Set(rows.map(row => row.device_id));
+      for (const deviceId of ids) {
+        const exists = found.has(deviceId);
+        this.knownDevices.set(deviceId, { exists, expiresAt: now + (exists ? DEVICE_CACHE_TTL_MS : UNKNOWN_DEVICE_TTL_MS) });
+        if (exists) known.add(deviceId);
+      }
+    }
+    return known;
+  }
+
+  getMetrics() {
+    const dropped = this.metrics.dropped;
+    return {
+      queueDepth: this.queue.length,
+      queueLimit: MAX_QUEUE,
+      batchSize: BATCH_SIZE,
+      flushIntervalMs: FLUSH_INTERVAL_MS,
+      flushing: Boolean(this.flushing),
+      enqueued: this.metrics.enqueued,
+      inserted: this.metrics.inserted,
+      batches: this.metrics.batches,
+      timestamps: { ...this.metrics.timestamps },
+      dropped: { total: Object.values(dropped).reduce((sum, n) => sum + n, 0), ...dropped },
+      cachedDevices: this.knownDevices.size,
+      lastFlushAt: this.metrics.lastFlushAt,
+      lastFlushMs: this.metrics.lastFlushMs,
+      lastError: this.metrics.lastError
+    };
+  }
+}
+
+// Create singleton instance
+const telemetryIngestService = new TelemetryIngestService();
+
+module.exports = telemetryIngestService;
@@ -0,0 +1,128 @@
+// Turns whatever a board sent into canonical device_data rows:
+// { deviceId, dataType, metric, value, unit, quality, payload, observedAt, receivedAt, timestampStatus }
+// One row per numeric reading, so `value` is always a number (or null for a failed read).
+// Accepted sensor shapes:
+//   { "temperature": 23.5, "humidity": 40, "units": { "temperature": "°C" } }
+//   { "temperature": { "value": 23.5, "unit": "°C", "quality": "uncertain" } }
+//   { "sensors": [{ "name": "temperature", "value": 23.5, "unit": "°C" }] }   (also under details)
+
+const QUALITIES = ['good', 'uncertain', 'bad'];
+const DATA_TYPES = ['state', 'sensor', 'heartbeat', 'error'];
+const MAX_METRIC_LENGTH = 64;
+const MAX_UNIT_LENGTH = 16;
+
+const ON_OFF = { on: 1, off: 0, high: 1, low: 0 };
+
+// Keys that describe the message rather than being readings
+const RESERVED_KEYS = new Set(['type', 'deviceId', 'device_id', 'units', 'unit', 'quality', 'timestamp', 'ts', 'details', 'sensors']);
+
+function toNumber(value) {
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+  return undefined;
+}
+
+function cleanUnit(unit) {
+  return typeof unit === 'string' && unit.length > 0 ? unit.slice(0, MAX_UNIT_LENGTH) : null;
+}
+
+function cleanQuality(quality, fallback = 'good') {
+  return QUALITIES.includes(quality) ? quality : fallback;
+}
+
+function parsePayload(payload) {
+  if (typeof payload !== 'string') return payload;
+  try {
+    return JSON.parse(payload);
+  } catch (e) {
+    return payload;
+  }
+}
+
+const TelemetryNormalizer = {
+  qualities: QUALITIES,
+  dataTypes: DATA_TYPES,
+
+  /**
+   * Readings of a sensor payload as [{ metric, value, unit, quality }]. Strings and
+   * objects that are not readings are skipped; null means the sensor failed to read.
+   */
+  sensorReadings(payload) {
+    const data = parsePayload(payload);
+    const scalar = toNumber(data);
+    if (scalar !== undefined) return [{ metric: 'value', value: scalar, unit: null, quality: 'good' }];
+    if (!data || typeof data !== 'object') return [];
+
+    const defaultQuality = cleanQuality(data.quality);
+    const list = Array.isArray(data) ? data
+      : Array.isArray(data.sensors) ? data.sensors
+        : data.details && Array.isArray(data.details.sensors) ? data.details.sensors
+          : null;
+
+    const entries = list
+      ? list.filter(item => item && typeof item === 'object').map(item => [item.name, item])
+      : Object.entries(data).filter(([key]) => !RESERVED_KEYS.has(key));
+    const units = data.units && typeof data.units === 'object' ? data.units : {};
+
+    const readings = [];
+    for (const [name, raw] of entries) {
+      if (typeof name !== 'string' || name.length === 0 || name.length > MAX_METRIC_LENGTH) continue;
+      const wrapped = raw !== null && typeof raw === 'object' && !Array.isArray(raw);
+      const rawValue = wrapped ? raw.value : raw;
+      const value = rawValue === null ? null : toNumber(rawValue);
+      if (value === undefined) continue;
+
+      readings.push({
+        metric: name,
+        value,
+        unit: cleanUnit(wrapped ? raw.unit : units[name]),
+        quality: value === null ? 'bad' : cleanQuality(wrapped ? raw.quality : undefined, defaultQuality)
+      });
+    }
+    return readings;
+  },
+
+  /**
+   * Canonical rows for one message. `observedAt` is when the reading was taken
+   * (defaults to `receivedAt`, i.e. now); `timestampStatus` says where it came
+   * from (see deviceClockService.stamp). Readings with an implausible device
+   * time are at best 'uncertain'.
+   */
+  normalize(deviceId, dataType, payload, { observedAt = null, receivedAt = new Date(), timestampStatus = 'server' } = {}) {
+    const base = { deviceId, dataType, observedAt: observedAt || receivedAt, receivedAt, timestampStatus };
+    const data = parsePayload(payload);
+    const trusted = timestampStatus !== 'implausible';
+
+    if (dataType === 'sensor') {
+      return this.sensorReadings(data).map(reading => ({
+        ...base,
+        ...reading,
+        quality: trusted || reading.quality === 'bad' ? reading.quality : 'uncertain',
+        payload: null
+      }));
+    }
+
+    if (dataType === 'state') {
+      // Switches record state as 1/0, dimmers their value; the full state stays in payload
+      const state = data && typeof data === 'object' ? data : { state: data };
+      const metric = state.state !== undefined ? 'state' : state.value !== undefined ? 'value' : null;
+      const value = metric === 'state' && typeof state.state === 'string' && ON_OFF[state.state.toLowerCase()] !== undefined
+        ? ON_OFF[state.state.toLowerCase()]
+        : metric ? toNumber(state[metric]) : undefined;
+      return [{
+        ...base,
+        metric: value === undefined ? null : metric,
+        value: value === undefined ? null : value,
+        unit: null,
+        quality: trusted ? 'good' : 'uncertain',
+        payload: state
+      }];
+    }
+
+    // heartbeat / error: nothing to chart, keep the message itself
+    return [{ ...base, metric: null, value: null, unit: null, quality: trusted ? 'good' : 'uncertain', payload: data === undefined ? null : data }];
+  }
+};
+
+module.exports = TelemetryNormalizer;
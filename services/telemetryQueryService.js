@@ -0,0 +1,229 @@
+const TelemetryRollupModel = require('../models/telemetryRollupModel');
+const telemetryRollupService = require('./telemetryRollupService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Finest first; `retention` is the policy column that bounds how far back the tier reaches
+const TIERS = [
+  { name: '1m', seconds: 60, retention: 'rollup_1m_days' },
+  { name: '1h', seconds: 3600, retention: 'rollup_1h_days' },
+  { name: '1d', seconds: 86400, retention: 'rollup_1d_days' }
+];
+
+const PERIODS = {
+  hour: { seconds: 3600, expression: "DATE_FORMAT(bucket_start, '%Y-%m-%d %H:00:00')" },
+  day: { seconds: 86400, expression: "DATE_FORMAT(bucket_start, '%Y-%m-%d')" },
+  week: { seconds: 7 * 86400, expression: "DATE_FORMAT(bucket_start, '%Y-%u')" },
+  month: { seconds: 31 * 86400, expression: "DATE_FORMAT(bucket_start, '%Y-%m')" }
+};
+
+// A tier is used when the range needs at most this many of its buckets per metric
+const MAX_BUCKETS = parseInt(process.env.TELEMETRY_MAX_BUCKETS_PER_QUERY || '5000', 10);
+// Raw rows are exported only for short ranges unless asked for explicitly
+const RAW_EXPORT_MAX_SPAN_MS = DAY_MS;
+const DEFAULT_PERIODS = 30;
+const DEFAULT_EXPORT_SPAN_MS = 7 * DAY_MS;
+// Raw exports are built in memory, so even a forced one (resolution=raw, non-sensor types) is bounded
+const RAW_EXPORT_LIMIT_SPAN_MS = parseInt(process.env.TELEMETRY_RAW_EXPORT_MAX_DAYS || '31', 10) * DAY_MS;
+const RAW_EXPORT_MAX_ROWS = parseInt(process.env.TELEMETRY_RAW_EXPORT_MAX_ROWS || '100000', 10);
+
+function retentionStart(policy, column, now) {
+  const days = policy ? policy[column] : null;
+  return days === null || days === undefined ? null : new Date(now.getTime() - days * DAY_MS);
+}
+
+function csvCell(value) {
+  return `"${String(value === null || value === undefined ? '' : value).replace(/"/g, '""')}"`;
+}
+
+const TelemetryQueryService = {
+  periods: Object.keys(PERIODS),
+  resolutions: ['raw', ...TIERS.map(tier => tier.name)],
+
+  /**
+   * Pick the finest rollup tier that answers [from, to) in few enough buckets and
+   * whose retention reaches back to `from`, among tiers no coarser than `maxSeconds`.
+   */
+  chooseTier(from, to, policy, { maxSeconds = Infinity, now = new Date() } = {}) {
+    const spanSeconds = Math.max(1, (to.getTime() - from.getTime()) / 1000);
+    const candidates = TIERS.filter(tier => tier.seconds <= maxSeconds);
+    const usable = candidates.find(tier => {
+      const reachesBack = retentionStart(policy, tier.retention, now);
+      return spanSeconds / tier.seconds <= MAX_BUCKETS && (!reachesBack || reachesBack <= from);
+    });
+    return usable || candidates[candidates.length - 1];
+  },
+
+  /**
+   * Read [from, to) from `tier`, and the part after its watermark (not rolled up
+   * yet) from the finer tiers below it. Rows are grouped by `periodExpression`.
+   */
+  async readTiered(deviceId, tierName, { from, to, metric, periodExpression }) {
+    const watermarks = await TelemetryRollupModel.getWatermarks();
+    const tierIndex = TIERS.findIndex(tier => tier.name === tierName);
+    const segments = [];
+    // Everything before `covered` is already answered by a coarser tier
+    let covered = from;
+    for (let i = tierIndex; i >= 0; i--) {
+      const watermark = watermarks[TIERS[i].name];
+      if (!watermark) continue;
+      const end = watermark < to ? watermark : to;
+      if (covered < end) {
+        segments.push({ tier: TIERS[i].name, from: covered, to: end });
+        covered = end;
+      }
+    }
+
+    const merged = new Map();
+    for (const segment of segments) {
+      const rows = await TelemetryRollupModel.getRollups(segment.tier, deviceId, {
+        from: segment.from,
+        to: segment.to,
+        metric,
+        periodExpression
+      });
+      for (const row of rows) {
+        const period = row.period instanceof Date ? row.period.toISOString() : String(row.period);
+        const key = `${period}\u0000${row.metric}`;
+        const existing = merged.get(key);
+        const sum = Number(row.sum_value);
+        const count = Number(row.sample_count);
+        if (existing) {
+          existing.min_value = Math.min(existing.min_value, Number(row.min_value));
+          existing.max_value = Math.max(existing.max_value, Number(row.max_value));
+          existing.sum_value += sum;
+          existing.sample_count += count;
+          existing.last_bucket = row.last_bucket > existing.last_bucket ? row.last_bucket : existing.last_bucket;
+          existing.unit = existing.unit || row.unit;
+        } else {
+          merged.set(key, {
+            period,
+            metric: row.metric,
+            unit: row.unit,
+            min_value: Number(row.min_value),
+            max_value: Number(row.max_value),
+            sum_value: sum,
+            sample_count: count,
+            first_bucket: row.first_bucket,
+            last_bucket: row.last_bucket
+          });
+        }
+      }
+    }
+
+    return { rows: [...merged.values()], segments };
+  },
+
+  async getAnalytics(deviceId, { period = 'day', metric, from, to, now = new Date() }) {
+    const periodInfo = PERIODS[period] || PERIODS.day;
+    const end = to || now;
+    const start = from || new Date(end.getTime() - DEFAULT_PERIODS * periodInfo.seconds * 1000);
+
+    const policy = await telemetryRollupService.getPolicyForDevice(deviceId);
+    const tier = this.chooseTier(start, end, policy, { maxSeconds: periodInfo.seconds, now });
+    const { rows, segments } = await this.readTiered(deviceId, tier.name, {
+      from: start,
+      to: end,
+      metric,
+      periodExpression: periodInfo.expression
+    });
+
+    const analytics = rows
+      .map(row => ({
+        period: row.period,
+        metric: row.metric,
+        unit: row.unit,
+        data_points: row.sample_count,
+        avg_value: row.sample_count > 0 ? row.sum_value / row.sample_count : null,
+        min_value: row.min_value,
+        max_value: row.max_value
+      }))
+      .sort((a, b) => (a.period < b.period ? 1 : a.period > b.period ? -1 : 0));
+
+    const summaries = new Map();
+    for (const row of rows) {
+      const summary = summaries.get(row.metric);
+      if (!summary) {
+        summaries.set(row.metric, { ...row });
+        continue;
+      }
+      summary.min_value = Math.min(summary.min_value, row.min_value);
+      summary.max_value = Math.max(summary.max_value, row.max_value);
+      summary.sum_value += row.sum_value;
+      summary.sample_count += row.sample_count;
+      if (row.first_bucket < summary.first_bucket) summary.first_bucket = row.first_bucket;
+      if (row.last_bucket > summary.last_bucket) summary.last_bucket = row.last_bucket;
+    }
+    const sensorSummary = [...summaries.values()].map(summary => ({
+      metric: summary.metric,
+      unit: summary.unit,
+      total_readings: summary.sample_count,
+      avg_value: summary.sample_count > 0 ? summary.sum_value / summary.sample_count : null,
+      min_value: summary.min_value,
+      max_value: summary.max_value,
+      first_reading: summary.first_bucket,
+      last_reading: summary.last_bucket
+    }));
+
+    return {
+      analytics,
+      sensorSummary,
+      period: PERIODS[period] ? period : 'day',
+      range: { from: start, to: end },
+      resolution: tier.name,
+      sources: segments.map(segment => segment.tier)
+    };
+  },
+
+  /**
+   * CSV of [from, to). Short recent sensor ranges and every non-sensor type come
+   * from raw rows; longer ranges from the tier chooseTier() picks, one line per bucket.
+   * Resolves to { error } when a raw export would span or hold more than allowed.
+   */
+  async exportCsv(deviceId, { data_type = 'sensor', resolution, from, to, now = new Date() }) {
+    const end = to || now;
+    const start = from || new Date(end.getTime() - DEFAULT_EXPORT_SPAN_MS);
+    const policy = await telemetryRollupService.getPolicyForDevice(deviceId);
+
+    let chosen = resolution;
+    if (data_type !== 'sensor') {
+      chosen = 'raw';
+    } else if (!chosen) {
+      const rawStart = retentionStart(policy, 'raw_days', now);
+      const rawCovers = !rawStart || rawStart <= start;
+      chosen = end.getTime() - start.getTime() <= RAW_EXPORT_MAX_SPAN_MS && rawCovers
+        ? 'raw'
+        : this.chooseTier(start, end, policy, { now }).name;
+    }
+
+    if (chosen === 'raw') {
+      const narrow = data_type === 'sensor' ? 'narrow start_date/end_date or pick a rollup resolution' : 'narrow start_date/end_date';
+      if (end.getTime() - start.getTime() > RAW_EXPORT_LIMIT_SPAN_MS) {
+        return { error: `Raw exports cover at most ${RAW_EXPORT_LIMIT_SPAN_MS / DAY_MS} days; ${narrow}` };
+      }
+      const rows = await TelemetryRollupModel.getRawRows(deviceId, { from: start, to: end, dataType: data_type, limit: RAW_EXPORT_MAX_ROWS + 1 });
+      if (rows.length > RAW_EXPORT_MAX_ROWS) {
+        return { error: `The range holds more than ${RAW_EXPORT_MAX_ROWS} raw rows; ${narrow}` };
+      }
+      let csv = 'Metric,Value,Unit,Quality,Observed At,Received At,Timestamp Status,Payload\n';
+      for (const row of rows) {
+        const payload = row.payload === null || typeof row.payload === 'string' ? row.payload : JSON.stringify(row.payload);
+        csv += [row.metric, row.value, row.unit, row.quality, new Date(row.observed_at).toISOString(), new Date(row.received_at).toISOString(), row.timestamp_status, payload]
+          .map(csvCell).join(',') + '\n';
+      }
+      return { csv, resolution: 'raw' };
+    }
+
+    const { rows } = await this.readTiered(deviceId, chosen, { from: start, to: end, periodExpression: 'bucket_start' });
+    rows.sort((a, b) => new Date(a.first_bucket) - new Date(b.first_bucket) || (a.metric < b.metric ? -1 : 1));
+    let csv = 'Metric,Unit,Bucket Start,Min,Max,Avg,Count\n';
+    for (const row of rows) {
+      const avg = row.sample_count > 0 ? row.sum_value / row.sample_count : '';
+      csv += [row.metric, row.unit, new Date(row.first_bucket).toISOString(), row.min_value, row.max_value, avg, row.sample_count]
+        .map(csvCell).join(',') + '\n';
+    }
+    return { csv, resolution: chosen };
+  }
+};
+
+module.exports = TelemetryQueryService;
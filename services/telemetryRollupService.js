@@ -0,0 +1,247 @@
+const TelemetryRollupModel = require('../models/telemetryRollupModel');
+const clusterBusService = require('./clusterBusService');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const ROLLUP_INTERVAL_MS = parseInt(process.env.TELEMETRY_ROLLUP_INTERVAL_MS || String(MINUTE_MS), 10);
+const RETENTION_INTERVAL_MS = parseInt(process.env.TELEMETRY_RETENTION_INTERVAL_MS || String(HOUR_MS), 10);
+// Minutes younger than this are left for the next pass so late-flushed rows are not missed
+const ROLLUP_GRACE_MS = parseInt(process.env.TELEMETRY_ROLLUP_GRACE_MS || String(2 * MINUTE_MS), 10);
+const DEFAULT_PLAN = process.env.TELEMETRY_DEFAULT_PLAN || 'free';
+
+// Raw time rolled up per pass while catching up, and passes per run
+const MINUTE_WINDOW_MS = HOUR_MS;
+const MAX_PASSES = 24;
+const PRUNE_CHUNK = 5000;
+const LEASE_MS = 10 * MINUTE_MS;
+
+// Bucket boundaries follow the server's local time, like DATE()/DATE_FORMAT() in MySQL
+function floorMinute(date) {
+  return new Date(Math.floor(date.getTime() / MINUTE_MS) * MINUTE_MS);
+}
+
+function floorHour(date) {
+  const floored = new Date(date);
+  floored.setMinutes(0, 0, 0);
+  return floored;
+}
+
+function floorDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+function minDate(a, b) {
+  return a.getTime() <= b.getTime() ? a : b;
+}
+
+/**
+ * Keeps device_data_1m/1h/1d up to date and prunes every tier according to the
+ * owner's plan. Each tier has a watermark in telemetry_jobs: everything before
+ * it is rolled up. Coarser tiers never pass the finer tier's watermark, and
+ * pruning never deletes rows a coarser tier has not absorbed yet.
+ */
+class TelemetryRollupService {
+  constructor() {
+    this.rollupTimer = null;
+    this.retentionTimer = null;
+    this.running = false;
+    this.pruning = false;
+    this.retentionTasks = new Map();
+  }
+
+  /**
+   * Have the retention run prune another table too: once per interval, on one
+   * instance at a time and off the request path. `prune(now)` resolves to the
+   * number of rows it removed; a failing task does not stop the others.
+   */
+  addRetentionTask(name, prune) {
+    this.retentionTasks.set(name, prune);
+  }
+
+  start() {
+    if (this.rollupTimer) return;
+    this.rollupTimer = setInterval(() => {
+      this.runRollups().catch(error => console.error('❌ Telemetry rollup failed:', error));
+    }, ROLLUP_INTERVAL_MS);
+    this.rollupTimer.unref();
+    this.retentionTimer = setInterval(() => {
+      this.runRetention().catch(error => console.error('❌ Telemetry retention failed:', error));
+    }, RETENTION_INTERVAL_MS);
+    this.retentionTimer.unref();
+    console.log(`🗜️ Telemetry rollups every ${ROLLUP_INTERVAL_MS}ms, retention every ${RETENTION_INTERVAL_MS}ms`);
+  }
+
+  stop() {
+    clearInterval(this.rollupTimer);
+    clearInterval(this.retentionTimer);
+    this.rollupTimer = null;
+    this.retentionTimer = null;
+  }
+
+  async runRollups(now = new Date()) {
+    if (this.running) return;
+    this.running = true;
+    try {
+      await this.withLease('1m', () => this.rollupMinutes(now));
+      await this.withLease('1h', () => this.rollupCoarse('1m', '1h', floorHour, (date) => new Date(date.getTime() + HOUR_MS)));
+      await this.withLease('1d', () => this.rollupCoarse('1h', '1d', floorDay, (date) => addDays(date, 1)));
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async withLease(job, work) {
+    const owner = clusterBusService.instanceId;
+    if (!(await TelemetryRollupModel.claimJob(job, owner, LEASE_MS))) return;
+    try {
+      await work();
+    } finally {
+      await TelemetryRollupModel.releaseJob(job, owner);
+    }
+  }
+
+  async rollupMinutes(now) {
+    const limit = floorMinute(new Date(now.getTime() - ROLLUP_GRACE_MS));
+    const job = await TelemetryRollupModel.getJob('1m');
+    let watermark = job.watermark ? new Date(job.watermark) : null;
+    let from = watermark;
+    if (!from) {
+      const earliest = await TelemetryRollupModel.getEarliestRawSensorTime();
+      from = earliest ? floorMinute(earliest) : limit;
+    }
+
+    for (let pass = 0; pass < MAX_PASSES && from < limit; pass++) {
+      const to = minDate(new Date(from.getTime() + MINUTE_WINDOW_MS), limit);
+      await TelemetryRollupModel.rollupRaw(from, to);
+      // Late rows rewound the watermark meanwhile; the next run starts from there
+      if (!(await TelemetryRollupModel.advanceWatermark('1m', watermark, to))) return;
+      watermark = to;
+      from = to;
+    }
+  }
+
+  async rollupCoarse(sourceTier, targetTier, floor, next) {
+    const [source, target] = await Promise.all([
+      TelemetryRollupModel.getJob(sourceTier),
+      TelemetryRollupModel.getJob(targetTier)
+    ]);
+    if (!source.watermark) return;
+
+    // Only buckets the source tier has completely covered
+    const limit = floor(new Date(source.watermark));
+    let watermark = target.watermark ? new Date(target.watermark) : null;
+    let from = watermark;
+    if (!from) {
+      const earliest = await TelemetryRollupModel.getEarliestBucket(sourceTier);
+      if (!earliest) return;
+      from = floor(earliest);
+    }
+
+    for (let pass = 0; pass < MAX_PASSES && from < limit; pass++) {
+      const to = next(from);
+      await TelemetryRollupModel.rollupTier(sourceTier, targetTier, from, to);
+      if (!(await TelemetryRollupModel.advanceWatermark(targetTier, watermark, to))) return;
+      watermark = to;
+      from = to;
+    }
+  }
+
+  /**
+   * Readings observed at `observedAt` were just stored. If that minute may
+   * already be rolled up, rewind every tier to the bucket containing it so the
+   * next run rebuilds those buckets (rebuilding replaces, never double counts).
+   */
+  async markLate(observedAt, now = new Date()) {
+    if (observedAt >= floorMinute(new Date(now.getTime() - ROLLUP_GRACE_MS))) return;
+    await TelemetryRollupModel.rewindWatermark('1m', floorMinute(observedAt));
+    await TelemetryRollupModel.rewindWatermark('1h', floorHour(observedAt));
+    await TelemetryRollupModel.rewindWatermark('1d', floorDay(observedAt));
+  }
+
+  async getPolicies() {
+    const rows = await TelemetryRollupModel.getRetentionPolicies();
+    const policies = new Map(rows.map(row => [row.plan, row]));
+    return policies;
+  }
+
+  // Retention of one user plan; plans without a row use the default plan's
+  async getPolicyForDevice(deviceId) {
+    const [policies, plan] = await Promise.all([this.getPolicies(), TelemetryRollupModel.getDeviceOwnerPlan(deviceId)]);
+    return policies.get(plan) || policies.get(DEFAULT_PLAN) || null;
+  }
+
+  async runRetention(now = new Date()) {
+    if (this.pruning) return;
+    this.pruning = true;
+    try {
+      await this.withLease('retention', async () => {
+        await this.runRetentionTasks(now);
+        await this.prune(now);
+      });
+    } finally {
+      this.pruning = false;
+    }
+  }
+
+  async runRetentionTasks(now) {
+    for (const [name, prune] of this.retentionTasks.entries()) {
+      try {
+        const removed = await prune(now);
+        if (removed > 0) {
+          console.log(`🧹 Retention removed ${removed} ${name} row(s)`);
+        }
+      } catch (error) {
+        console.error(`❌ Retention of ${name} failed:`, error);
+      }
+    }
+  }
+
+  async prune(now) {
+    const [policies, watermarks] = await Promise.all([this.getPolicies(), TelemetryRollupModel.getWatermarks()]);
+    const plans = [...policies.keys()];
+    let deleted = 0;
+
+    // A tier may only lose rows the next tier up has already absorbed
+    const tiers = [
+      { tier: 'raw', column: 'raw_days', absorbedUntil: watermarks['1m'] },
+      { tier: '1m', column: 'rollup_1m_days', absorbedUntil: watermarks['1h'] },
+      { tier: '1h', column: 'rollup_1h_days', absorbedUntil: watermarks['1d'] },
+      { tier: '1d', column: 'rollup_1d_days', absorbedUntil: now }
+    ];
+
+    for (const [plan, policy] of policies.entries()) {
+      const isDefault = plan === DEFAULT_PLAN;
+      const otherPlans = plans.filter(other => other !== plan);
+
+      for (const { tier, column, absorbedUntil } of tiers) {
+        const days = policy[column];
+        if (days === null || days === undefined || !absorbedUntil) continue;
+        const cutoff = minDate(new Date(now.getTime() - days * DAY_MS), absorbedUntil);
+
+        let removed;
+        do {
+          removed = await TelemetryRollupModel.pruneForPlan(tier, { plan, otherPlans, isDefault, cutoff, limit: PRUNE_CHUNK });
+          deleted += removed;
+        } while (removed === PRUNE_CHUNK);
+      }
+    }
+
+    await TelemetryRollupModel.setWatermark('retention', now);
+    if (deleted > 0) {
+      console.log(`🧹 Telemetry retention removed ${deleted} row(s)`);
+    }
+  }
+}
+
+// Create singleton instance
+const telemetryRollupService = new TelemetryRollupService();
+
+module.exports = telemetryRollupService;
@@ -0,0 +1,76 @@
+// IANA timezone arithmetic on top of Intl. Wall-clock times are handled as
+// "wall ms": the UTC timestamp whose UTC fields read like the local clock
+// (so 07:30 local is Date.UTC(y, m, d, 7, 30) whatever the zone). An
+// undefined zone means the server's.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const formatters = new Map();
+
+function formatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+const TimeZone = {
+  // Whether `name` is an IANA zone this runtime knows (e.g. 'Asia/Ho_Chi_Minh')
+  isValid(name) {
+    if (typeof name !== 'string' || name.length === 0 || name.length > 64) return false;
+    try {
+      formatter(name);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  // Wall ms of an instant in the zone
+  wallTime(instant, timeZone) {
+    const time = new Date(instant).getTime();
+    const parts = {};
+    for (const { type, value } of formatter(timeZone).formatToParts(new Date(time))) parts[type] = Number(value);
+    const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wall + (((time % 1000) + 1000) % 1000);
+  },
+
+  // Offset from UTC in ms at an instant (positive east of Greenwich)
+  offset(instant, timeZone) {
+    return TimeZone.wallTime(instant, timeZone) - new Date(instant).getTime();
+  },
+
+  /**
+   * The instant a wall-clock time happens at. A time the clock passes twice
+   * (when it falls back) resolves to its first occurrence; a time it skips
+   * (when it springs forward) resolves to the moment the clock jumps past it.
+   * Assumes at most one offset change within a day, like every real zone.
+   */
+  toInstant(wall, timeZone) {
+    const before = TimeZone.offset(wall - 14 * HOUR_MS, timeZone);
+    const after = TimeZone.offset(wall + 14 * HOUR_MS, timeZone);
+    const valid = [wall - before, wall - after].filter(time => TimeZone.wallTime(time, timeZone) === wall);
+    if (valid.length > 0) return Math.min(...valid);
+
+    // In a gap: the jump is the first instant with the new offset, between these two
+    let low = wall - after;
+    let high = wall - before;
+    while (high - low > 1) {
+      const middle = Math.floor((low + high) / 2);
+      if (TimeZone.offset(middle, timeZone) === after) high = middle;
+      else low = middle;
+    }
+    return high;
+  }
+};
+
+module.exports = TimeZone;
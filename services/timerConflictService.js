@@ -0,0 +1,75 @@
+const TimerModel = require('../models/timerModel');
+const SceneModel = require('../models/sceneModel');
+const TimerSchedule = require('./timerSchedule');
+
+// How far ahead runs are compared, and how many runs of one timer that covers at most
+const WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_RUNS = 2000;
+const MAX_WARNINGS = 20;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Whether each run switches devices on or off, keyed by minute and device:
+ * turn_on/turn_off commands and the on/off state of scene devices. Toggles
+ * and values depend on the state at the time and are left out.
+ */
+function intents(timer, scenes, start, end) {
+  const byMinute = new Map();
+  for (const run of TimerSchedule.runs(timer, start, end, { limit: MAX_RUNS })) {
+    const minute = Math.floor(run.at.getTime() / MINUTE_MS) * MINUTE_MS;
+    for (const command of run.commands) {
+      const targets = command.type === 'scene'
+        ? (scenes.get(command.scene_id) || []).map(({ device_id, state }) => [device_id, state && state.state])
+        : [[command.device_id, { turn_on: true, turn_off: false }[command.action]]];
+      for (const [deviceId, on] of targets) {
+        if (typeof on === 'boolean') byMinute.set(`${minute}|${deviceId}`, on);
+      }
+    }
+  }
+  return byMinute;
+}
+
+const TimerConflictService = {
+  /**
+   * Other enabled timers of the user that switch one of this timer's devices
+   * the other way in the same minute within the next week: one warning per
+   * timer and device, at the first such minute.
+   */
+  async find(timer, userId, now = new Date()) {
+    if (timer.is_enabled === false || timer.is_enabled === 0) return [];
+    const start = now.getTime();
+    const end = start + WINDOW_MS;
+
+    const others = (await TimerModel.getEnabledTimersByUser(userId)).filter(other => other.id !== timer.id);
+    const scenes = new Map();
+    for (const sceneId of new Set([timer, ...others].map(candidate => candidate.scene_id).filter(Boolean))) {
+      scenes.set(sceneId, await SceneModel.getSceneDevices(sceneId));
+    }
+
+    const mine = intents(timer, scenes, start, end);
+    if (mine.size === 0) return [];
+
+    const warnings = [];
+    for (const other of others) {
+      const theirs = intents(other, scenes, start, end);
+      const reported = new Set();
+      for (const [key, on] of mine) {
+        const [minute, deviceId] = key.split('|');
+        if (!theirs.has(key) || theirs.get(key) === on || reported.has(deviceId)) continue;
+        reported.add(deviceId);
+        const at = new Date(Number(minute)).toISOString();
+        warnings.push({
+          timer_id: other.id,
+          timer_name: other.name,
+          device_id: deviceId,
+          at,
+          message: `Timer "${other.name}" turns ${deviceId} ${on ? 'off' : 'on'} in the same minute this one turns it ${on ? 'on' : 'off'} (first at ${at})`
+        });
+        if (warnings.length >= MAX_WARNINGS) return warnings;
+      }
+    }
+    return warnings;
+  }
+};
+
+module.exports = TimerConflictService;
@@ -0,0 +1,182 @@
+const CronSchedule = require('./cronSchedule');
+const SolarSchedule = require('./solarSchedule');
+const TimeZone = require('./timeZone');
+
+const KINDS = ['recurring', 'once', 'countdown', 'pulse', 'vacation'];
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+// How far next() looks ahead; covers cron expressions that only match on 29 February
+const HORIZON_MS = 5 * 366 * DAY_MS;
+
+// Deterministic 0..1 numbers from a string key (FNV-1a seeding mulberry32), so every
+// instance works out the same "random" vacation times for a timer and day
+function random(key) {
+  let seed = 2166136261;
+  for (let index = 0; index < key.length; index += 1) {
+    seed = Math.imul(seed ^ key.charCodeAt(index), 16777619);
+  }
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let value = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    value = (value + Math.imul(value ^ (value >>> 7), 61 | value)) ^ value;
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function minutesOf(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Runs at the same instant are one run
+function merge(runs, limit) {
+  const merged = [];
+  for (const run of runs.sort((a, b) => a.at - b.at)) {
+    const last = merged[merged.length - 1];
+    if (last && last.at.getTime() === run.at.getTime()) last.commands.push(...run.commands);
+    else if (merged.length < limit) merged.push({ at: run.at, commands: [...run.commands] });
+  }
+  return merged;
+}
+
+/**
+ * When a timer runs and what it sends each time. A run is { at, commands }
+ * with commands as the execution log records them ({ type: 'device',
+ * device_id, action, value } or { type: 'scene', scene_id }). By kind:
+ * - recurring: the timer's action on cron_expression, in its timezone
+ *   (falling back to its owner's, user_timezone, then the server's), or at
+ *   solar_event ± offset_minutes at its home's latitude and longitude
+ * - once / countdown: the action once, at run_at
+ * - pulse: turn_on on that schedule (or at run_at) and turn_off
+ *   duration_seconds later
+ * - vacation: each of vacation.device_ids on and off once per window and
+ *   day, at times picked at random within the window
+ */
+const TimerSchedule = {
+  KINDS,
+
+  kind(timer) {
+    return timer.kind || 'recurring';
+  },
+
+  timeZone(timer) {
+    return timer.timezone || timer.user_timezone || undefined;
+  },
+
+  isSolar(timer) {
+    return Boolean(timer.solar_event);
+  },
+
+  // A solar timer whose home has no location (any more) never runs
+  hasLocation(timer) {
+    return timer.latitude !== null && timer.latitude !== undefined && timer.longitude !== null && timer.longitude !== undefined;
+  },
+
+  // Timers that run a fixed number of times; done once nothing is left after their last run
+  isFinite(timer) {
+    return ['once', 'countdown'].includes(this.kind(timer)) || (this.kind(timer) === 'pulse' && Boolean(timer.run_at));
+  },
+
+  // Where scheduling picks up: one-off timers from their last run (so a run missed
+  // while no instance was up still happens), the rest from now
+  resumeAfter(timer, now = new Date()) {
+    if (!this.isFinite(timer)) return now;
+    return timer.last_run_at ? new Date(timer.last_run_at) : new Date(new Date(timer.run_at).getTime() - 1);
+  },
+
+  // The schedule as the execution log's trigger records it
+  describe(timer) {
+    const timeZone = this.timeZone(timer) || null;
+    if (this.kind(timer) === 'vacation') return { type: 'vacation', timezone: timeZone };
+    if (timer.run_at) return { type: 'at', run_at: new Date(timer.run_at).toISOString() };
+    if (this.isSolar(timer)) return { type: 'solar', solar_event: timer.solar_event, offset_minutes: timer.offset_minutes || 0 };
+    return { type: 'schedule', cron_expression: timer.cron_expression, timezone: timeZone };
+  },
+
+  solarTrigger(timer) {
+    return { event: timer.solar_event, offsetMinutes: timer.offset_minutes || 0, latitude: timer.latitude, longitude: timer.longitude };
+  },
+
+  // Instants of the underlying schedule (run_at, solar or cron) in [from, to]
+  times(timer, from, to, limit) {
+    if (timer.run_at) {
+      const at = new Date(timer.run_at);
+      return at >= from && at <= to ? [at] : [];
+    }
+    if (this.isSolar(timer)) {
+      return this.hasLocation(timer) ? SolarSchedule.between(this.solarTrigger(timer), from, to, { limit }) : [];
+    }
+    return CronSchedule.between(timer.cron_expression, from, to, { timeZone: this.timeZone(timer), limit });
+  },
+
+  action(timer) {
+    return timer.scene_id
+      ? { type: 'scene', scene_id: timer.scene_id }
+      : { type: 'device', device_id: timer.device_id, action: timer.action, value: timer.value };
+  },
+
+  vacationRuns(timer, from, to, limit) {
+    const { device_ids: deviceIds, windows, min_on_minutes: minOn, max_on_minutes: maxOn } = timer.vacation;
+    const timeZone = this.timeZone(timer);
+    const runs = [];
+    // Windows may run past midnight, so start with the day before
+    let day = Math.floor(TimeZone.wallTime(from, timeZone) / DAY_MS) * DAY_MS - DAY_MS;
+    const lastDay = TimeZone.wallTime(to, timeZone) + DAY_MS;
+    let spareDays = 2;
+    for (; day <= lastDay && spareDays > 0; day += DAY_MS) {
+      if (runs.length >= limit) spareDays -= 1;
+      const date = new Date(day).toISOString().slice(0, 10);
+      windows.forEach((window, windowIndex) => {
+        const start = minutesOf(window.from);
+        const length = (minutesOf(window.to) - start + 24 * 60) % (24 * 60) || 24 * 60;
+        for (const deviceId of deviceIds) {
+          const next = random(`${timer.id}:${date}:${windowIndex}:${deviceId}`);
+          const onMinutes = Math.min(length, minOn + Math.floor(next() * (maxOn - minOn + 1)));
+          const offset = start + Math.floor(next() * (length - onMinutes + 1));
+          const on = new Date(TimeZone.toInstant(day + offset * MINUTE_MS, timeZone));
+          const off = new Date(TimeZone.toInstant(day + (offset + onMinutes) * MINUTE_MS, timeZone));
+          for (const [at, action] of [[on, 'turn_on'], [off, 'turn_off']]) {
+            if (at >= from && at <= to) runs.push({ at, commands: [{ type: 'device', device_id: deviceId, action, value: null }] });
+          }
+        }
+      });
+    }
+    return merge(runs, limit);
+  },
+
+  // Runs in [from, to], earliest first; stops after `limit`
+  runs(timer, from, to, { limit = 1000 } = {}) {
+    const start = new Date(from);
+    const end = new Date(to);
+    switch (this.kind(timer)) {
+      case 'vacation':
+        return this.vacationRuns(timer, start, end, limit);
+      case 'pulse': {
+        const duration = timer.duration_seconds * 1000;
+        const turn = action => ({ type: 'device', device_id: timer.device_id, action, value: null });
+        const runs = [];
+        // Pulses that started before the range may still end in it
+        for (const at of this.times(timer, new Date(start.getTime() - duration), new Date(start.getTime() - 1), limit)) {
+          const off = new Date(at.getTime() + duration);
+          if (off <= end) runs.push({ at: off, commands: [turn('turn_off')] });
+        }
+        for (const at of this.times(timer, start, end, limit)) {
+          const off = new Date(at.getTime() + duration);
+          runs.push({ at, commands: [turn('turn_on')] });
+          if (off <= end) runs.push({ at: off, commands: [turn('turn_off')] });
+        }
+        return merge(runs, limit);
+      }
+      default:
+        return this.times(timer, start, end, limit).map(at => ({ at, commands: [this.action(timer)] }));
+    }
+  },
+
+  // The next `count` runs after `after`
+  next(timer, after = new Date(), count = 1) {
+    const start = new Date(after).getTime() + 1;
+    return this.runs(timer, start, start + HORIZON_MS, { limit: count });
+  }
+};
+
+module.exports = TimerSchedule;
@@ -1,69 +1,311 @@
-const cron = require('node-cron');
 const TimerModel = require('../models/timerModel');
-const mqttService = require('./mqttService');
-const db = require('../config/database');
+const SceneModel = require('../models/sceneModel');
+const DeviceModel = require('../models/deviceModel');
+const HomeModel = require('../models/homeModel');
+const BulkControlService = require('./bulkControlService');
+const SceneService = require('./sceneService');
+const ExecutionLogService = require('./executionLogService');
+const TimerSchedule = require('./timerSchedule');
+const CronSchedule = require('./cronSchedule');
+const SolarSchedule = require('./solarSchedule');
+const TimeZone = require('./timeZone');
+const DeviceTypeRegistry = require('./deviceTypeRegistry');
+const clusterBusService = require('./clusterBusService');
+
+// Longest single wait: a far-off run is reached in steps (setTimeout caps out at ~24.8 days)
+const MAX_DELAY_MS = 60 * 60 * 1000;
+
+const ACTIONS = ['turn_on', 'turn_off', 'toggle', 'set_value'];
+const MAX_OFFSET_MINUTES = 12 * 60;
+const MAX_COUNTDOWN_SECONDS = 7 * 24 * 60 * 60;
+const MAX_PULSE_SECONDS = 24 * 60 * 60;
+const MAX_VACATION_DEVICES = 20;
+const MAX_VACATION_WINDOWS = 4;
+const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)$/;
 
 const scheduledTasks = new Map();
 
+function parseState(state) {
+  if (!state) return {};
+  return typeof state === 'string' ? JSON.parse(state) : state;
+}
+
+// A timer switches one of the user's devices with action (and value), or activates one of
+// their scenes (scene_id); pulses and vacation timers say what they switch themselves
+async function targetError(timer, userId) {
+  const kind = timer.kind || 'recurring';
+  const hasScene = timer.scene_id !== undefined && timer.scene_id !== null;
+  if (kind === 'vacation' || (kind === 'pulse' && hasScene)) return null;
+  if (hasScene) {
+    if (timer.device_id) return 'A timer takes device_id or scene_id, not both';
+    const scene = await SceneModel.getScene(timer.scene_id, userId);
+    return scene ? null : 'Scene not found';
+  }
+
+  if (!timer.device_id) return 'device_id or scene_id is required';
+  const [device] = await DeviceModel.getDevicesWithBoards([timer.device_id], userId);
+  if (!device) return `Device ${timer.device_id} not found`;
+  if (kind === 'pulse') {
+    const resolved = DeviceTypeRegistry.controlPatch(device.device_type, { action: 'turn_on' });
+    return resolved.error ? `${timer.device_id}: ${resolved.error}` : null;
+  }
+
+  if (!ACTIONS.includes(timer.action)) return `action must be one of ${ACTIONS.join(', ')}`;
+  const hasValue = timer.value !== undefined && timer.value !== null;
+  if (hasValue && !Number.isInteger(timer.value)) return 'value must be a whole number';
+  if (timer.action === 'set_value' && !hasValue) return 'set_value needs a value';
+  const resolved = DeviceTypeRegistry.controlPatch(device.device_type, { action: timer.action, value: timer.value }, parseState(device.state));
+  return resolved.error ? `${timer.device_id}: ${resolved.error}` : null;
+}
+
+// A recurring timer (or a pulse) runs on cron_expression, or at solar_event ± offset_minutes at
+// one of the user's homes with a location
+async function recurringError(timer, userId) {
+  if (timer.solar_event === undefined || timer.solar_event === null) {
+    return timer.cron_expression ? null : 'cron_expression or solar_event is required';
+  }
+
+  if (!SolarSchedule.EVENTS.includes(timer.solar_event)) return `solar_event must be one of ${SolarSchedule.EVENTS.join(', ')}`;
+  if (timer.cron_expression) return 'A timer takes cron_expression or solar_event, not both';
+  const offset = timer.offset_minutes;
+  if (offset !== undefined && (!Number.isInteger(offset) || Math.abs(offset) > MAX_OFFSET_MINUTES)) {
+    return `offset_minutes must be a whole number between -${MAX_OFFSET_MINUTES} and ${MAX_OFFSET_MINUTES}`;
+  }
+  if (timer.home_id === undefined || timer.home_id === null) return 'A solar timer needs home_id';
+  const home = await HomeModel.getHome(timer.home_id, userId);
+  if (!home) return 'Home not found';
+  if (home.latitude === null || home.longitude === null) return 'Set the home\'s latitude and longitude first';
+  return null;
+}
+
+function durationError(duration, max) {
+  if (!Number.isInteger(duration) || duration < 1 || duration > max) return `duration_seconds must be a whole number from 1 to ${max}`;
+  return null;
+}
+
+// { device_ids, windows: [{ from, to }], min_on_minutes, max_on_minutes } with the user's devices
+async function vacationError(vacation, userId) {
+  if (!vacation || typeof vacation !== 'object') return 'A vacation timer needs vacation settings';
+  const { device_ids: deviceIds, windows, min_on_minutes: minOn, max_on_minutes: maxOn } = vacation;
+  if (!Array.isArray(deviceIds) || deviceIds.length === 0 || deviceIds.length > MAX_VACATION_DEVICES
+    || deviceIds.some(id => typeof id !== 'string')) {
+    return `vacation.device_ids must list 1 to ${MAX_VACATION_DEVICES} device IDs`;
+  }
+  if (!Array.isArray(windows) || windows.length === 0 || windows.length > MAX_VACATION_WINDOWS) {
+    return `vacation.windows must list 1 to ${MAX_VACATION_WINDOWS} windows`;
+  }
+  for (const window of windows) {
+    if (!window || !TIME_OF_DAY.test(window.from || '') || !TIME_OF_DAY.test(window.to || '') || window.from === window.to) {
+      return 'Each vacation window needs from and to as different HH:MM times';
+    }
+  }
+  if (!Number.isInteger(minOn) || !Number.isInteger(maxOn) || minOn < 1 || maxOn > 24 * 60 || minOn > maxOn) {
+    return 'vacation.min_on_minutes and max_on_minutes must be whole minutes with 1 <= min <= max <= 1440';
+  }
+  const devices = await DeviceModel.getDevicesWithBoards([...new Set(deviceIds)], userId);
+  const missing = deviceIds.filter(id => !devices.some(device => device.device_id === id));
+  return missing.length > 0 ? `Device not found: ${missing.join(', ')}` : null;
+}
+
+// The schedule fields of each kind; `timer` is the timer as it will be saved
+async function scheduleError(timer, userId) {
+  const kind = timer.kind || 'recurring';
+  if (!TimerSchedule.KINDS.includes(kind)) return `kind must be one of ${TimerSchedule.KINDS.join(', ')}`;
+  if (timer.timezone !== undefined && timer.timezone !== null && !TimeZone.isValid(timer.timezone)) {
+    return 'timezone must be an IANA name such as Asia/Ho_Chi_Minh';
+  }
+  const onSchedule = Boolean(timer.cron_expression || timer.solar_event);
+  const runAt = timer.run_at === undefined || timer.run_at === null ? null : new Date(timer.run_at);
+  if (runAt && Number.isNaN(runAt.getTime())) return 'run_at must be an ISO 8601 timestamp';
+
+  switch (kind) {
+    case 'once':
+      if (onSchedule) return 'A once timer runs at run_at, not on cron_expression or solar_event';
+      return runAt ? null : 'A once timer needs run_at';
+    case 'countdown':
+      if (onSchedule) return 'A countdown runs duration_seconds from now, not on cron_expression or solar_event';
+      return durationError(timer.duration_seconds, MAX_COUNTDOWN_SECONDS);
+    case 'pulse':
+      if (timer.scene_id !== undefined && timer.scene_id !== null) return 'A pulse switches one device, not a scene';
+      if (!timer.device_id) return 'A pulse needs device_id';
+      if (runAt && onSchedule) return 'A pulse runs at run_at or on a schedule, not both';
+      return durationError(timer.duration_seconds, MAX_PULSE_SECONDS) || (runAt ? null : recurringError(timer, userId));
+    case 'vacation':
+      if (onSchedule || runAt) return 'A vacation timer runs within vacation.windows, not on a schedule';
+      if (timer.device_id || (timer.scene_id !== undefined && timer.scene_id !== null)) {
+        return 'A vacation timer switches vacation.device_ids, not device_id or scene_id';
+      }
+      return vacationError(timer.vacation, userId);
+    default:
+      if (runAt) return 'A recurring timer runs on cron_expression or solar_event; use kind once for run_at';
+      return recurringError(timer, userId);
+  }
+}
+
 const TimerService = {
+  /**
+   * Check the schedule and target of a timer as it will be saved (for an
+   * update: the stored timer with the changes applied). Resolves to
+   * { errors }, empty when it is valid.
+   */
+  async validate(timer, userId) {
+    const errors = [];
+    if (timer.cron_expression !== undefined && timer.cron_expression !== null) {
+      const invalid = CronSchedule.validate(timer.cron_expression);
+      if (invalid) errors.push(`cron_expression: ${invalid}`);
+    }
+
+    for (const problem of [await scheduleError(timer, userId), await targetError(timer, userId)]) {
+      if (problem) errors.push(problem);
+    }
+    return { errors };
+  },
+
   async start() {
     console.log('Starting TimerService...');
+    // Other instances reload timers edited through them, or all of a user's after a timezone or home change
+    clusterBusService.subscribe('timer_changed', ({ timerId, userId }, { local }) => {
+      if (local) return;
+      return timerId !== undefined ? this.reloadTimer(timerId) : this.reloadUserTimers(userId);
+    });
+
     const timers = await TimerModel.getAllEnabledTimers();
     for (const timer of timers) {
-      this.scheduleTimer(timer);
+      // A stored timer that no longer schedules (say, an expression saved before validation) must not stop the rest
+      try {
+        this.scheduleTimer(timer);
+      } catch (error) {
+        console.error(`Error scheduling timer ${timer.id}:`, error.message);
+      }
     }
   },
 
-  scheduleTimer(timer) {
+  // Wait for the timer's next run after `after`; each run schedules the one after it,
+  // so solar and vacation times are worked out again every day
+  scheduleTimer(timer, after = TimerSchedule.resumeAfter(timer)) {
     if (scheduledTasks.has(timer.id)) {
       this.cancelTimer(timer.id);
     }
+    if (!timer.is_enabled) return;
+
+    const [run] = TimerSchedule.next(timer, after);
+    if (!run) {
+      console.log(`Timer ${timer.name} has no upcoming run`);
+      return;
+    }
+    this.waitFor(timer, run);
+    console.log(`Timer scheduled: ${timer.name} (next run ${run.at.toISOString()})`);
+  },
+
+  waitFor(timer, run) {
+    const delay = run.at.getTime() - Date.now();
+    const handle = setTimeout(() => {
+      if (Date.now() < run.at.getTime()) return this.waitFor(timer, run);
+      scheduledTasks.delete(timer.id);
+      this.fire(timer, run);
+    }, Math.max(0, Math.min(delay, MAX_DELAY_MS)));
+    scheduledTasks.set(timer.id, handle);
+  },
+
+  async fire(timer, run) {
+    const more = TimerSchedule.next(timer, run.at).length > 0;
+    if (more) this.scheduleTimer(timer, run.at);
+    try {
+      // Every instance schedules every timer; the slot claim makes sure only one fires it
+      if (!(await TimerModel.claimRun(timer.id, run.at))) return;
 
-    const task = cron.schedule(timer.cron_expression, async () => {
       console.log(`Executing timer: ${timer.name}`);
-      try {
-        const device = await TimerModel.getDeviceForTimer(timer.id);
-        if (!device) {
-          console.error(`Device not found for timer: ${timer.name}`);
-          return;
-        }
-
-        const { board_id, gpio_pin, action, value } = device;
-        let desiredStateBool = undefined;
-
-        if (action === 'turn_on') desiredStateBool = true;
-        else if (action === 'turn_off') desiredStateBool = false;
-        else if (action === 'toggle') {
-          const current = device.state ? (typeof device.state === 'string' ? JSON.parse(device.state) : device.state) : { state: false };
-          desiredStateBool = !Boolean(current.state);
-        }
-
-        if (device.device_type === 'dimmer' && value !== null) {
-          await mqttService.sendCommand(board_id, 'pwm', { pin: gpio_pin, value });
-        } else if (typeof desiredStateBool === 'boolean') {
-          const fwState = desiredStateBool ? 'on' : 'off';
-          await mqttService.sendCommand(board_id, 'gpio', { pin: gpio_pin, state: fwState });
-          await db.query(
-            `UPDATE devices SET state = JSON_SET(COALESCE(state, JSON_OBJECT()), '$.state', ?), updated_at = CURRENT_TIMESTAMP WHERE device_id = ?`,
-            [desiredStateBool, device.device_id]
-          );
-        }
-      } catch (error) {
-        console.error(`Error executing timer ${timer.name}:`, error);
+      await this.runTimer(timer, run);
+      if (TimerSchedule.isFinite(timer) && !more) await this.finishTimer(timer);
+    } catch (error) {
+      console.error(`Error executing timer ${timer.name}:`, error);
+    }
+  },
+
+  // Run one firing and log it with the commands sent and how the devices acknowledged them
+  async runTimer(timer, run) {
+    const trigger = { ...TimerSchedule.describe(timer), kind: TimerSchedule.kind(timer), scheduled_for: run.at.toISOString() };
+    const devices = run.commands.filter(command => command.type === 'device');
+    const scenes = run.commands.filter(command => command.type === 'scene');
+    let results = [];
+    let error = null;
+
+    try {
+      for (const { scene_id } of scenes) {
+        const activation = await SceneService.activate(timer.user_id, scene_id, { source: 'timer' });
+        results.push(...ExecutionLogService.sceneResults(scene_id, activation));
       }
+      if (devices.length > 0) {
+        results.push(...await BulkControlService.run(timer.user_id, devices.map(({ device_id, action, value }) => ({ device_id, action, value }))));
+      }
+    } catch (runError) {
+      console.error(`Error executing timer ${timer.name}:`, runError);
+      error = String(runError.message || runError).slice(0, 255);
+    }
+
+    await ExecutionLogService.record(timer.user_id, {
+      source: 'timer',
+      timer_id: timer.id,
+      name: timer.name,
+      trigger,
+      commands: run.commands,
+      results,
+      error
     });
+  },
 
-    scheduledTasks.set(timer.id, task);
-    console.log(`Timer scheduled: ${timer.name}`);
+  // A countdown is deleted after its run; other one-off timers are disabled and kept
+  async finishTimer(timer) {
+    if (TimerSchedule.kind(timer) === 'countdown') {
+      await TimerModel.deleteTimer(timer.id, timer.user_id);
+      console.log(`Countdown timer ${timer.name} done and deleted`);
+    } else {
+      await TimerModel.updateTimer(timer.id, { is_enabled: false }, timer.user_id);
+      console.log(`Timer ${timer.name} done and disabled`);
+    }
+    this.cancelTimer(timer.id);
+    this.announceChange(timer.id);
   },
 
   cancelTimer(timerId) {
     if (scheduledTasks.has(timerId)) {
-      const task = scheduledTasks.get(timerId);
-      task.stop();
+      clearTimeout(scheduledTasks.get(timerId));
       scheduledTasks.delete(timerId);
       console.log(`Timer canceled: ${timerId}`);
     }
+  },
+
+  async reloadTimer(timerId) {
+    const timer = await TimerModel.getEnabledTimer(timerId);
+    if (timer) {
+      this.scheduleTimer(timer);
+    } else {
+      this.cancelTimer(Number(timerId));
+    }
+  },
+
+  // After the user's timezone or a home's location changed
+  async reloadUserTimers(userId) {
+    const timers = await TimerModel.getEnabledTimersByUser(userId);
+    for (const timer of timers) {
+      // A stored timer that no longer schedules (say, an expression saved before validation) must not stop the rest
+      try {
+        this.scheduleTimer(timer);
+      } catch (error) {
+        console.error(`Error scheduling timer ${timer.id}:`, error.message);
+      }
+    }
+  },
+
+  // Tell the other instances to pick up a created, updated or deleted timer
+  announceChange(timerId) {
+    clusterBusService.publish('timer_changed', { timerId: Number(timerId) })
+      .catch(error => console.error(`❌ Failed to announce change of timer ${timerId}:`, error));
+  },
+
+  announceUserChange(userId) {
+    clusterBusService.publish('timer_changed', { userId: Number(userId) })
+      .catch(error => console.error(`❌ Failed to announce timer changes of user ${userId}:`, error));
   }
 };
 
@@ -0,0 +1,96 @@
+const AutomationConditions = require('../../services/automationConditions');
+
+// Weeknights 22:00-06:00; a night belongs to the day it starts on
+const weeknights = { type: 'time', from: '22:00', to: '06:00', days: [1, 2, 3, 4, 5] };
+
+function met(conditions, at, timeZone) {
+  return AutomationConditions.evaluate(conditions, {}, { now: new Date(at), timeZone }).met;
+}
+
+describe('AutomationConditions time windows', () => {
+  test('read the clock in the given timezone', () => {
+    // Monday 23:00 in Ho Chi Minh City, Monday 16:00 UTC
+    expect(met(weeknights, '2026-10-19T16:00:00Z', 'Asia/Ho_Chi_Minh')).toBe(true);
+    expect(met(weeknights, '2026-10-19T16:00:00Z', 'UTC')).toBe(false);
+  });
+
+  test('keep a window that wraps midnight on the day it opened', () => {
+    // Saturday 03:00 in Ho Chi Minh City: Friday night's window
+    expect(met(weeknights, '2026-10-16T20:00:00Z', 'Asia/Ho_Chi_Minh')).toBe(true);
+    // Monday 03:00 there: Sunday night's, which is not listed
+    expect(met(weeknights, '2026-10-18T20:00:00Z', 'Asia/Ho_Chi_Minh')).toBe(false);
+  });
+
+  test('follow the zone across a daylight saving change', () => {
+    const morning = { type: 'time', from: '07:00', to: '08:00' };
+    // 07:30 in New York is 11:30 UTC in summer and 12:30 UTC in winter
+    expect(met(morning, '2026-10-30T11:30:00Z', 'America/New_York')).toBe(true);
+    expect(met(morning, '2026-11-02T11:30:00Z', 'America/New_York')).toBe(false);
+    expect(met(morning, '2026-11-02T12:30:00Z', 'America/New_York')).toBe(true);
+  });
+
+  test('apply the zone inside groups', () => {
+    const conditions = { any: [{ type: 'time', from: '09:00', to: '10:00' }, weeknights] };
+    expect(met(conditions, '2026-10-25T02:30:00Z', 'Asia/Ho_Chi_Minh')).toBe(true);
+    expect(met(conditions, '2026-10-25T02:30:00Z', 'UTC')).toBe(false);
+  });
+});
+
+describe('AutomationConditions sensor and state leaves', () => {
+  const hot = { type: 'sensor', device_id: 'dht_1', metric: 'temperature', operator: '>', value: 30, hysteresis: 2 };
+
+  function reading(conditions, runtime, value) {
+    return AutomationConditions.observe(conditions, runtime, 'dht_1', [{ metric: 'temperature', value }], '2026-10-19T10:00:00Z');
+  }
+
+  test('a crossed threshold with hysteresis only releases past the band', () => {
+    let runtime = reading(hot, {}, 31);
+    let result = AutomationConditions.evaluate(hot, runtime);
+    expect(result.met).toBe(true);
+
+    runtime = reading(hot, result.runtime, 29);
+    result = AutomationConditions.evaluate(hot, runtime);
+    expect(result.met).toBe(true);
+
+    runtime = reading(hot, result.runtime, 27.5);
+    result = AutomationConditions.evaluate(hot, runtime);
+    expect(result.met).toBe(false);
+
+    // Not latched any more: the plain threshold applies again
+    expect(AutomationConditions.evaluate(hot, reading(hot, result.runtime, 29)).met).toBe(false);
+  });
+
+  test('for_seconds holds the leaf back until the condition has held that long', () => {
+    const open = { type: 'state', device_id: 'door_1', key: 'state', operator: '==', value: 'open', for_seconds: 300 };
+    const states = { door_1: { state: 'open' } };
+    const start = new Date('2026-10-19T10:00:00Z');
+
+    const first = AutomationConditions.evaluate(open, {}, { now: start, states });
+    expect(first.met).toBe(false);
+    expect(first.runtime.c.since).toBe(start.getTime());
+
+    const later = AutomationConditions.evaluate(open, first.runtime, { now: new Date(start.getTime() + 300 * 1000), states });
+    expect(later.met).toBe(true);
+
+    // Closing resets the clock
+    const closed = AutomationConditions.evaluate(open, later.runtime, { now: new Date(start.getTime() + 301 * 1000), states: { door_1: { state: 'closed' } } });
+    expect(closed.runtime.c.since).toBeUndefined();
+  });
+
+  test('validate names every problem with its path', () => {
+    expect(AutomationConditions.validate({
+      all: [
+        { type: 'sensor', device_id: 'dht_1', metric: 'temperature', operator: '=>', value: 30 },
+        { any: [{ type: 'time', from: '7:00', to: '08:00', days: [7] }] },
+        { type: 'state', device_id: 'relay_1', key: 'state', operator: '==', value: true, hysteresis: 1 }
+      ]
+    })).toEqual([
+      'conditions.all[0].operator must be one of > >= < <= == !=',
+      'conditions.all[1].any[0].from and conditions.all[1].any[0].to must be HH:MM',
+      'conditions.all[1].any[0].days must list weekdays 0 (Sunday) to 6',
+      'conditions.all[2].hysteresis only applies to sensor conditions with >, >=, < or <='
+    ]);
+    expect(AutomationConditions.validate({ any: [] })).toEqual(['conditions.any must not be empty']);
+    expect(AutomationConditions.validate(weeknights)).toEqual([]);
+  });
+});
@@ -0,0 +1,84 @@
+jest.mock('../../config/database', () => ({ query: jest.fn() }));
+jest.mock('../../models/automationModel', () => ({
+  getEnabledAutomations: jest.fn(),
+  getEnabledAutomationsByUser: jest.fn(),
+  getRuntime: jest.fn(),
+  saveRuntime: jest.fn(),
+  claimTrigger: jest.fn(async () => true),
+  rearm: jest.fn()
+}));
+jest.mock('../../models/deviceModel', () => ({ getDevicesWithBoards: jest.fn(async () => []) }));
+jest.mock('../../models/sceneModel', () => ({}));
+jest.mock('../../services/bulkControlService', () => ({ run: jest.fn(async () => [{ device_id: 'porch_1', status: 'acked' }]) }));
+jest.mock('../../services/sceneService', () => ({}));
+jest.mock('../../services/executionLogService', () => ({ record: jest.fn(async () => ({ id: 5, status: 'success' })) }));
+jest.mock('../../services/clusterBusService', () => ({ subscribe: jest.fn(), publish: jest.fn(async () => {}) }));
+jest.mock('../../services/socketService', () => ({ broadcastToUser: jest.fn() }));
+
+const AutomationModel = require('../../models/automationModel');
+const BulkControlService = require('../../services/bulkControlService');
+const AutomationService = require('../../services/automationService');
+
+// Porch light on in the evening, 18:00-23:00 in the owner's timezone
+function rule(userTimeZone) {
+  return {
+    id: 9,
+    user_id: 1,
+    user_timezone: userTimeZone,
+    name: 'Porch light',
+    cooldown_seconds: 0,
+    conditions: { type: 'time', from: '18:00', to: '23:00' },
+    actions: [{ type: 'device', device_id: 'porch_1', action: 'turn_on' }]
+  };
+}
+
+describe('AutomationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    // 19:00 in Ho Chi Minh City, 12:00 UTC
+    jest.setSystemTime(new Date('2026-10-19T12:00:00Z'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    AutomationModel.getRuntime.mockResolvedValue({ id: 9, is_enabled: 1, runtime_state: {}, is_active: 0 });
+  });
+
+  afterEach(() => jest.useRealTimers());
+
+  test('a time window opens in the owner\'s timezone and the rule fires once', async () => {
+    AutomationModel.getEnabledAutomations.mockResolvedValue([rule('Asia/Ho_Chi_Minh')]);
+    await AutomationService.start();
+
+    await AutomationService.evaluate(9, { type: 'tick' });
+
+    expect(AutomationModel.claimTrigger).toHaveBeenCalledWith(9, 0, new Date('2026-10-19T12:00:00Z'));
+    expect(BulkControlService.run).toHaveBeenCalledWith(1, [{ device_id: 'porch_1', action: 'turn_on' }]);
+
+    // Still inside the window: an active rule does not fire again
+    AutomationModel.getRuntime.mockResolvedValue({ id: 9, is_enabled: 1, runtime_state: {}, is_active: 1 });
+    await AutomationService.evaluate(9, { type: 'tick' });
+    expect(BulkControlService.run).toHaveBeenCalledTimes(1);
+  });
+
+  test('a timezone change reloads the user\'s rules, and a closed window re-arms the rule', async () => {
+    AutomationModel.getEnabledAutomationsByUser.mockResolvedValue([rule('UTC')]);
+    AutomationModel.getRuntime.mockResolvedValue({ id: 9, is_enabled: 1, runtime_state: {}, is_active: 1 });
+
+    await AutomationService.reloadUser(1);
+    await AutomationService.evaluate(9, { type: 'tick' });
+
+    expect(AutomationModel.getEnabledAutomationsByUser).toHaveBeenCalledWith(1);
+    expect(AutomationModel.rearm).toHaveBeenCalledWith(9);
+    expect(AutomationModel.claimTrigger).not.toHaveBeenCalled();
+  });
+
+  test('rules of the user that were disabled elsewhere are dropped on reload', async () => {
+    AutomationModel.getEnabledAutomationsByUser.mockResolvedValue([]);
+
+    await AutomationService.reloadUser(1);
+    await AutomationService.evaluate(9, { type: 'tick' });
+
+    expect(AutomationModel.getRuntime).toHaveBeenCalledWith(9);
+    expect(AutomationModel.claimTrigger).not.toHaveBeenCalled();
+    expect(AutomationModel.rearm).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,52 @@
+jest.mock('../../config/database', () => ({ query: jest.fn() }));
+jest.mock('../../models/boardConnectivityModel', () => ({
+  findStaleOnlineBoards: jest.fn(),
+  markOffline: jest.fn(),
+  recordTransition: jest.fn(),
+  getBoardDeviceIds: jest.fn(async () => ['relay_1', 'relay_2'])
+}));
+jest.mock('../../services/socketService', () => ({ broadcastDeviceStatus: jest.fn() }));
+
+const BoardConnectivityModel = require('../../models/boardConnectivityModel');
+const socketService = require('../../services/socketService');
+const boardWatchdogService = require('../../services/boardWatchdogService');
+
+describe('boardWatchdogService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  test('gives every board one full window after startup before judging it', async () => {
+    boardWatchdogService.startedAt = Date.now();
+
+    await boardWatchdogService.scan();
+
+    expect(BoardConnectivityModel.findStaleOnlineBoards).not.toHaveBeenCalled();
+  });
+
+  test('marks boards offline after the missed heartbeats and tells the board and device watchers', async () => {
+    boardWatchdogService.startedAt = Date.now() - boardWatchdogService.offlineAfterMs;
+    const lastSeen = new Date('2026-10-19T10:00:00Z');
+    BoardConnectivityModel.findStaleOnlineBoards.mockResolvedValue([
+      { board_id: 'board_1', last_seen: lastSeen },
+      { board_id: 'board_2', last_seen: lastSeen }
+    ]);
+    // board_2 came back (or another instance got there first) between the two queries
+    BoardConnectivityModel.markOffline.mockImplementation(async boardId => boardId === 'board_1');
+
+    await boardWatchdogService.scan();
+
+    expect(BoardConnectivityModel.findStaleOnlineBoards).toHaveBeenCalledWith(90);
+    expect(BoardConnectivityModel.recordTransition).toHaveBeenCalledTimes(1);
+    expect(BoardConnectivityModel.recordTransition).toHaveBeenCalledWith({
+      boardId: 'board_1', status: 'offline', reason: 'heartbeat_timeout', occurredAt: lastSeen
+    });
+    const payload = { boardId: 'board_1', online: false, reason: 'heartbeat_timeout', since: lastSeen };
+    expect(socketService.broadcastDeviceStatus.mock.calls).toEqual([
+      ['board_1', payload],
+      ['relay_1', payload],
+      ['relay_2', payload]
+    ]);
+  });
+});
@@ -0,0 +1,94 @@
+jest.mock('../../config/database', () => ({ query: jest.fn() }));
+jest.mock('../../models/bulkControlJobModel', () => ({ deleteOlderThan: jest.fn(async () => 3) }));
+jest.mock('../../models/commandModel', () => ({ findByCommandId: jest.fn() }));
+jest.mock('../../models/deviceModel', () => ({ getDevicesWithBoards: jest.fn(), getDevicesByUser: jest.fn() }));
+jest.mock('../../services/deviceControlService', () => ({
+  prepareState: jest.fn(async (device, patch) => ({ commands: [{ commandType: 'gpio', data: { pin: device.gpio_pin, ...patch }, reported: patch }] })),
+  prepare: jest.fn(),
+  send: jest.fn(),
+  settle: jest.fn()
+}));
+jest.mock('../../services/mqttService', () => ({ sendBatch: jest.fn() }));
+
+const BulkControlJobModel = require('../../models/bulkControlJobModel');
+const CommandModel = require('../../models/commandModel');
+const DeviceModel = require('../../models/deviceModel');
+const DeviceControlService = require('../../services/deviceControlService');
+const mqttService = require('../../services/mqttService');
+const BulkControlService = require('../../services/bulkControlService');
+
+function device(deviceId, boardId, fields = {}) {
+  return { device_id: deviceId, board_id: boardId, device_type: 'switch', gpio_pin: 2, state: '{"state":false}', is_online: 1, board_features: null, ...fields };
+}
+
+describe('BulkControlService', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('a room selector applies the command to the devices that have the capability', async () => {
+    DeviceModel.getDevicesByUser.mockResolvedValue([
+      device('relay_1', 'board_1'),
+      device('dimmer_1', 'board_1', { device_type: 'dimmer' }),
+      device('dht_1', 'board_2', { device_type: 'sensor_dht22' })
+    ]);
+
+    const { items } = await BulkControlService.parseRequest({ room_id: '4', capability: 'level', command: 'set', args: { percent: 50 } }, 1);
+
+    expect(DeviceModel.getDevicesByUser).toHaveBeenCalledWith(1, { roomId: 4 });
+    expect(items.map(item => item.device_id)).toEqual(['dimmer_1']);
+  });
+
+  test('refuses requests that name a device twice or select nothing', async () => {
+    await expect(BulkControlService.parseRequest({ device_ids: ['relay_1', 'relay_1'], action: 'turn_on' }, 1))
+      .resolves.toEqual({ error: 'Device relay_1 appears more than once' });
+    await expect(BulkControlService.parseRequest({ action: 'turn_on' }, 1))
+      .resolves.toEqual({ error: expect.stringContaining('Provide commands') });
+    await expect(BulkControlService.parseRequest({ room_id: 'kitchen', action: 'turn_on' }, 1))
+      .resolves.toEqual({ error: 'room_id must be a number' });
+  });
+
+  test('sends one batch per board that supports it and reports every device', async () => {
+    DeviceModel.getDevicesWithBoards.mockResolvedValue([
+      device('relay_1', 'board_1', { board_features: '["batch"]' }),
+      device('relay_2', 'board_1', { board_features: '["batch"]', gpio_pin: 4 }),
+      device('relay_3', 'board_2', { is_online: 0 })
+    ]);
+    mqttService.sendBatch.mockResolvedValue(['cmd_1', 'cmd_2']);
+    DeviceControlService.settle.mockImplementation(async (target, sent) => (
+      target.device_id === 'relay_1'
+        ? { acked: true, commandIds: sent.map(command => command.commandId) }
+        : { acked: false, commandIds: ['cmd_2'], unacked: ['cmd_2'] }
+    ));
+    CommandModel.findByCommandId.mockResolvedValue({ status: 'failed', error_message: 'Pin busy' });
+
+    const items = ['relay_1', 'relay_2', 'relay_3', 'relay_9'].map(device_id => ({ device_id, action: 'turn_on' }));
+    const results = await BulkControlService.run(1, items);
+
+    expect(mqttService.sendBatch).toHaveBeenCalledTimes(1);
+    expect(mqttService.sendBatch).toHaveBeenCalledWith('board_1', [
+      expect.objectContaining({ commandType: 'gpio', deviceId: 'relay_1' }),
+      expect.objectContaining({ commandType: 'gpio', deviceId: 'relay_2' })
+    ], { batch: true });
+    expect(results.map(({ device_id, status }) => ({ device_id, status }))).toEqual([
+      { device_id: 'relay_1', status: 'acked' },
+      { device_id: 'relay_2', status: 'failed' },
+      { device_id: 'relay_3', status: 'offline' },
+      { device_id: 'relay_9', status: 'not_found' }
+    ]);
+    expect(results[1].message).toBe('Pin busy');
+    expect(BulkControlService.summarize(results)).toMatchObject({ acked: 1, failed: 1, offline: 1, not_found: 1, timeout: 0 });
+  });
+
+  test('commands the type cannot take are rejected before anything is sent', async () => {
+    DeviceModel.getDevicesWithBoards.mockResolvedValue([device('dht_1', 'board_2', { device_type: 'sensor_dht22' })]);
+
+    const [result] = await BulkControlService.run(1, [{ device_id: 'dht_1', action: 'turn_on' }]);
+
+    expect(result).toEqual({ device_id: 'dht_1', status: 'rejected', message: 'Device type "sensor_dht22" cannot be switched on or off' });
+    expect(mqttService.sendBatch).not.toHaveBeenCalled();
+  });
+
+  test('prune drops jobs finished more than a day ago', async () => {
+    await expect(BulkControlService.prune(new Date('2026-10-19T00:00:00Z'))).resolves.toBe(3);
+    expect(BulkControlJobModel.deleteOlderThan).toHaveBeenCalledWith(new Date('2026-10-18T00:00:00Z'));
+  });
+});
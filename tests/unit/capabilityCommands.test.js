@@ -0,0 +1,57 @@
+const CapabilityCommands = require('../../services/capabilityCommands');
+const DeviceTypeRegistry = require('../../services/deviceTypeRegistry');
+
+const fan = { device_id: 'fan_1', device_type: 'fan', gpio_pin: 4 };
+const relay = { device_id: 'relay_1', device_type: 'switch', gpio_pin: 2 };
+
+describe('CapabilityCommands', () => {
+  test('level takes a percent or a raw value, with an optional fade', () => {
+    expect(DeviceTypeRegistry.resolveCommand('dimmer', { capability: 'level', command: 'set', args: { percent: 50, transitionMs: 1000 } }))
+      .toEqual({ patch: { value: 128 }, transitionMs: 1000 });
+    expect(DeviceTypeRegistry.resolveCommand('dimmer', { capability: 'level', command: 'set', args: { value: 300 } }))
+      .toEqual({ error: 'value must be between 0 and 255' });
+    expect(DeviceTypeRegistry.resolveCommand('dimmer', { capability: 'level', command: 'set', args: { percent: 50, transitionMs: 120000 } }))
+      .toEqual({ error: 'transitionMs must be an integer between 0 and 60000' });
+  });
+
+  test('steps clamp to the capability\'s range', () => {
+    expect(DeviceTypeRegistry.resolveCommand('dimmer', { capability: 'level', command: 'step', args: { percent: 30 } }, { value: 230 }))
+      .toEqual({ patch: { value: 255 } });
+    expect(DeviceTypeRegistry.resolveCommand('dimmer', { capability: 'level', command: 'step', args: { percent: -10 } }))
+      .toEqual({ patch: { value: 0 } });
+  });
+
+  test('fan speed takes named speeds and goes out as PWM over the firmware range', () => {
+    expect(DeviceTypeRegistry.resolveCommand('fan', { capability: 'fan_speed', command: 'set', args: { speed: 'medium' } }))
+      .toEqual({ patch: { fan_speed: 66 } });
+    expect(DeviceTypeRegistry.resolveCommand('fan', { capability: 'fan_speed', command: 'set', args: { speed: 'turbo' } }))
+      .toEqual({ error: 'speed must be one of off, low, medium, high' });
+    expect(DeviceTypeRegistry.commandsForState(fan, { fan_speed: 50 }).commands)
+      .toEqual([{ commandType: 'pwm', data: { pin: 4, value: 128 }, reported: { fan_speed: 50 } }]);
+    expect(DeviceTypeRegistry.reportedFromCommand(fan, 'pwm', { pin: 4, value: 128 })).toEqual({ fan_speed: 50 });
+  });
+
+  test('a pulse is momentary and leaves no state behind', () => {
+    expect(DeviceTypeRegistry.resolveCommand('switch', { capability: 'pulse', command: 'trigger' })).toEqual({ pulseMs: 500 });
+    expect(DeviceTypeRegistry.resolveCommand('switch', { capability: 'pulse', command: 'trigger', args: { durationMs: 10 } }))
+      .toEqual({ error: 'durationMs must be an integer between 50 and 60000' });
+    expect(DeviceTypeRegistry.momentaryCommand(relay, 'pulse', 800))
+      .toEqual({ commandType: 'gpio', data: { pin: 2, state: 'on', pulse_ms: 800 }, reported: {} });
+    expect(DeviceTypeRegistry.reportedFromCommand(relay, 'gpio', { pin: 2, state: 'on', pulse_ms: 800 })).toBeNull();
+  });
+
+  test('unknown capabilities and commands are named in the error', () => {
+    expect(DeviceTypeRegistry.resolveCommand('dimmer', { capability: 'color', command: 'set' }))
+      .toEqual({ error: 'Device type "dimmer" has no capability "color" (has: on_off, level)' });
+    expect(DeviceTypeRegistry.resolveCommand('switch', { capability: 'on_off', command: 'dim' }))
+      .toEqual({ error: 'on_off has no command "dim" (supported: on, off, toggle)' });
+  });
+
+  test('colours come as hex, { r, g, b } or hsv', () => {
+    expect(CapabilityCommands.parseRgb('FF8800')).toBe('#ff8800');
+    expect(CapabilityCommands.parseRgb({ r: 255, g: 136, b: 0 })).toBe('#ff8800');
+    expect(CapabilityCommands.parseRgb('#ff88')).toBeNull();
+    expect(CapabilityCommands.hsvToHex({ h: 120, s: 100, v: 100 })).toBe('#00ff00');
+    expect(CapabilityCommands.hsvToHex({ h: 0, s: 0, v: 50 })).toBe('#808080');
+  });
+});
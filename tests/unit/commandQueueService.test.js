@@ -0,0 +1,255 @@
+jest.mock('../../config/database', () => ({ query: jest.fn() }));
+jest.mock('../../models/commandModel', () => ({
+  create: jest.fn(),
+  findByCommandId: jest.fn(async () => null),
+  findActive: jest.fn(),
+  renewLeases: jest.fn(),
+  takeOverStale: jest.fn(),
+  markPending: jest.fn(),
+  markSent: jest.fn(),
+  markFinished: jest.fn()
+}));
+jest.mock('../../models/deviceModel', () => ({ getOnlineBoardIds: jest.fn(async () => []) }));
+jest.mock('../../services/clusterBusService', () => ({ instanceId: 'host-b-0', subscribe: jest.fn(), publish: jest.fn() }));
+jest.mock('../../services/mqttService', () => ({ isConnected: false, publishCommand: jest.fn(async () => {}) }));
+
+const CommandModel = require('../../models/commandModel');
+const mqttService = require('../../services/mqttService');
+const commandQueueService = require('../../services/commandQueueService');
+
+function row(commandId, fields = {}) {
+  return {
+    command_id: commandId,
+    board_id: 'board_1',
+    device_id: 'relay_1',
+    command_type: 'gpio',
+    command_data: '{"data":{}}',
+    payload: '{"action":"gpio"}',
+    status: 'queued',
+    queued_offline: 1,
+    attempts: 0,
+    max_attempts: 3,
+    ack_timeout_ms: 3000,
+    retry_delay_ms: 250,
+    expires_at: null,
+    deadline_at: null,
+    ...fields
+  };
+}
+
+// What CommandModel.create would read back for an enqueued command
+function created({ commandId, boardId, deviceId, commandType, message, payload, expectedPin, policy, queued }) {
+  return row(commandId, {
+    board_id: boardId,
+    device_id: deviceId,
+    command_type: commandType,
+    command_data: JSON.stringify(message),
+    payload: JSON.stringify(payload),
+    expected_pin: expectedPin,
+    status: queued ? 'queued' : 'pending',
+    queued_offline: queued ? 1 : 0,
+    max_attempts: policy.maxAttempts,
+    ack_timeout_ms: policy.ackTimeoutMs,
+    retry_delay_ms: policy.retryDelayMs
+  });
+}
+
+describe('commandQueueService acks, retries and restarts', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    commandQueueService.inflight.clear();
+    commandQueueService.waiters.clear();
+    mqttService.isConnected = true;
+    CommandModel.create.mockImplementation(async fields => created(fields));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    mqttService.isConnected = false;
+    jest.useRealTimers();
+  });
+
+  test('gpio commands are resent until the policy runs out, then time out', async () => {
+    expect(commandQueueService.resolvePolicy('gpio')).toMatchObject({ maxAttempts: 3, ackTimeoutMs: 3000, retryDelayMs: 250 });
+
+    await commandQueueService.enqueue({ commandId: 'cmd_1', boardId: 'board_1', deviceId: 'relay_1', commandType: 'gpio', message: { data: {} }, payload: { action: 'gpio' } });
+    const acked = commandQueueService.waitFor('cmd_1');
+    await jest.advanceTimersByTimeAsync(10000);
+
+    expect(mqttService.publishCommand).toHaveBeenCalledTimes(3);
+    expect(mqttService.publishCommand).toHaveBeenLastCalledWith('board_1', 'cmd_1', { action: 'gpio' }, expect.objectContaining({ attempt: 3 }));
+    expect(CommandModel.markFinished).toHaveBeenCalledWith('cmd_1', 'timeout', 'No acknowledgement after 3 attempt(s)');
+    await expect(acked).resolves.toBe(false);
+  });
+
+  test('an ack settles the command for whoever waits on it, but only from its own board', async () => {
+    await commandQueueService.enqueue({ commandId: 'cmd_2', boardId: 'board_1', deviceId: 'relay_1', commandType: 'gpio', message: { data: {} }, payload: { action: 'gpio' } });
+    const acked = commandQueueService.waitFor('cmd_2');
+
+    await expect(commandQueueService.acknowledge('cmd_2', true, null, 'board_2')).resolves.toBe(false);
+    await expect(commandQueueService.acknowledge('cmd_2', true, null, 'board_1')).resolves.toBe(true);
+
+    await expect(acked).resolves.toBe(true);
+    expect(CommandModel.markFinished).toHaveBeenCalledWith('cmd_2', 'acknowledged', null);
+    expect(commandQueueService.inflight.has('cmd_2')).toBe(false);
+  });
+
+  test('after a restart sent commands get what is left of their ack window', async () => {
+    const now = Date.now();
+    CommandModel.findActive.mockResolvedValue([
+      row('cmd_overdue', { status: 'sent', attempts: 1, deadline_at: new Date(now - 5000) }),
+      row('cmd_waiting', { status: 'sent', attempts: 1, deadline_at: new Date(now + 2000) }),
+      row('cmd_spent', { status: 'sent', attempts: 3, deadline_at: new Date(now - 5000) })
+    ]);
+
+    await expect(commandQueueService.adopt()).resolves.toEqual({ recovered: 3, expired: 0 });
+    await jest.advanceTimersByTimeAsync(250);
+
+    expect(mqttService.publishCommand).toHaveBeenCalledTimes(1);
+    expect(mqttService.publishCommand).toHaveBeenCalledWith('board_1', 'cmd_overdue', { action: 'gpio' }, expect.objectContaining({ attempt: 2 }));
+    expect(CommandModel.markFinished).toHaveBeenCalledWith('cmd_spent', 'timeout', 'No acknowledgement after 3 attempt(s)');
+
+    await jest.advanceTimersByTimeAsync(2000);
+    expect(mqttService.publishCommand).toHaveBeenCalledWith('board_1', 'cmd_waiting', { action: 'gpio' }, expect.objectContaining({ attempt: 2 }));
+  });
+
+  test('a command the broker could not take stays pending', async () => {
+    mqttService.isConnected = false;
+
+    await commandQueueService.enqueue({ commandId: 'cmd_3', boardId: 'board_1', deviceId: 'relay_1', commandType: 'gpio', message: { data: {} }, payload: { action: 'gpio' } });
+
+    expect(mqttService.publishCommand).not.toHaveBeenCalled();
+    expect(CommandModel.markPending).toHaveBeenCalledWith('cmd_3');
+    expect(commandQueueService.inflight.get('cmd_3').status).toBe('pending');
+  });
+});
+
+describe('commandQueueService offline buffering', () => {
+  const clusterBusService = require('../../services/clusterBusService');
+  const DeviceModel = require('../../models/deviceModel');
+
+  function queue(commandId, pin, state) {
+    return commandQueueService.enqueue({
+      commandId,
+      boardId: 'board_1',
+      deviceId: 'rgb_1',
+      commandType: 'gpio',
+      message: { data: { pin, state } },
+      payload: { action: 'gpio', pin, state },
+      expectedPin: pin,
+      queued: true
+    });
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    commandQueueService.inflight.clear();
+    commandQueueService.deliveryHandlers.clear();
+    mqttService.isConnected = true;
+    CommandModel.create.mockImplementation(async fields => created(fields));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    mqttService.isConnected = false;
+    commandQueueService.started = false;
+    commandQueueService.inflight.forEach(entry => clearTimeout(entry.timer));
+  });
+
+  test('commands for an offline board wait, and the last on/off per pin wins', async () => {
+    await queue('cmd_red_on', 2, true);
+    await queue('cmd_green_on', 4, true);
+    await queue('cmd_red_off', 2, false);
+
+    expect(mqttService.publishCommand).not.toHaveBeenCalled();
+    expect(CommandModel.markFinished).toHaveBeenCalledTimes(1);
+    expect(CommandModel.markFinished).toHaveBeenCalledWith('cmd_red_on', 'superseded', 'Superseded by cmd_red_off');
+    expect(clusterBusService.publish).toHaveBeenCalledWith('supersede_queued', { boardId: 'board_1', deviceId: 'rgb_1', commandType: 'gpio', supersededBy: 'cmd_red_off', pin: 2 });
+    expect([...commandQueueService.inflight.keys()]).toEqual(['cmd_green_on', 'cmd_red_off']);
+  });
+
+  test('queued commands go out oldest first on reconnect and apply their effects once acknowledged', async () => {
+    const delivered = jest.fn();
+    commandQueueService.onDelivered('gpio', delivered);
+    await queue('cmd_green_on', 4, true);
+    await queue('cmd_red_off', 2, false);
+
+    await commandQueueService.deliverQueued('board_1');
+
+    expect(mqttService.publishCommand.mock.calls.map(call => call[1])).toEqual(['cmd_green_on', 'cmd_red_off']);
+    await commandQueueService.acknowledge('cmd_red_off', true, null, 'board_1');
+    expect(delivered).toHaveBeenCalledWith({ commandId: 'cmd_red_off', boardId: 'board_1', deviceId: 'rgb_1', data: { pin: 2, state: false } });
+  });
+
+  test('boards that came back while the backend was down get their commands on start', async () => {
+    commandQueueService.started = true;
+    DeviceModel.getOnlineBoardIds.mockResolvedValueOnce(['board_1']);
+    await queue('cmd_red_on', 2, true);
+
+    await commandQueueService.flushPending();
+
+    expect(DeviceModel.getOnlineBoardIds).toHaveBeenCalledWith(['board_1']);
+    expect(mqttService.publishCommand).toHaveBeenCalledWith('board_1', 'cmd_red_on', expect.any(Object), expect.objectContaining({ attempt: 1 }));
+  });
+
+  test('a buffered command past its expiry times out instead of being delivered', async () => {
+    commandQueueService.track(row('cmd_stale', { expires_at: new Date(Date.now() - 1000) }));
+
+    await commandQueueService.expireStale();
+    await commandQueueService.deliverQueued('board_1');
+
+    expect(CommandModel.markFinished).toHaveBeenCalledWith('cmd_stale', 'timeout', 'Command expired before acknowledgement');
+    expect(mqttService.publishCommand).not.toHaveBeenCalled();
+  });
+});
+
+describe('commandQueueService stale instance takeover', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    commandQueueService.inflight.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  test('the sweep renews its leases and adopts the commands it took over', async () => {
+    commandQueueService.track(row('cmd_own'));
+    CommandModel.takeOverStale.mockResolvedValue(2);
+    CommandModel.findActive.mockResolvedValue([
+      row('cmd_own'),
+      row('cmd_orphan_queued'),
+      row('cmd_orphan_expired', { expires_at: new Date(Date.now() - 1000) })
+    ]);
+
+    await commandQueueService.sweep();
+
+    expect(CommandModel.renewLeases).toHaveBeenCalledWith('host-b-0', expect.any(Number));
+    expect(CommandModel.takeOverStale).toHaveBeenCalledWith('host-b-0', expect.any(Number));
+    expect(commandQueueService.inflight.has('cmd_orphan_queued')).toBe(true);
+    expect(commandQueueService.inflight.has('cmd_orphan_expired')).toBe(false);
+    expect(CommandModel.markFinished).toHaveBeenCalledWith('cmd_orphan_expired', 'timeout', expect.any(String));
+  });
+
+  test('commands another instance took over are dropped instead of retried twice', async () => {
+    commandQueueService.track(row('cmd_lost', { status: 'sent', attempts: 1 }));
+    commandQueueService.armAckTimer('cmd_lost', 60000);
+    CommandModel.takeOverStale.mockResolvedValue(0);
+    CommandModel.findActive.mockResolvedValue([]);
+
+    await commandQueueService.sweep();
+
+    expect(commandQueueService.inflight.has('cmd_lost')).toBe(false);
+    expect(CommandModel.markFinished).not.toHaveBeenCalled();
+  });
+
+  test('commands created while the owned rows are being read are kept', async () => {
+    CommandModel.takeOverStale.mockResolvedValue(0);
+    CommandModel.findActive.mockImplementation(async () => {
+      commandQueueService.track(row('cmd_new'));
+      return [];
+    });
+
+    await commandQueueService.sweep();
+
+    expect(commandQueueService.inflight.has('cmd_new')).toBe(true);
+  });
+});
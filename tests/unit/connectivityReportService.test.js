@@ -0,0 +1,61 @@
+jest.mock('../../config/database', () => ({ query: jest.fn() }));
+jest.mock('../../models/boardConnectivityModel', () => ({
+  getEvents: jest.fn(),
+  getEventsSince: jest.fn(),
+  getLastEventBefore: jest.fn()
+}));
+
+const BoardConnectivityModel = require('../../models/boardConnectivityModel');
+const ConnectivityReportService = require('../../services/connectivityReportService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = new Date('2026-10-19T12:00:00Z').getTime();
+
+function event(status, hoursAgo) {
+  return { status, occurred_at: new Date(NOW - hoursAgo * HOUR_MS) };
+}
+
+describe('ConnectivityReportService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('the timeline gives each transition the time until the next, the newest one still running', async () => {
+    BoardConnectivityModel.getEvents.mockResolvedValue([event('online', 1), event('offline', 3), event('online', 10)]);
+
+    const timeline = await ConnectivityReportService.getTimeline('board_1', {});
+
+    expect(timeline.map(({ status, duration_ms, ongoing }) => ({ status, duration_ms, ongoing }))).toEqual([
+      { status: 'online', duration_ms: HOUR_MS, ongoing: true },
+      { status: 'offline', duration_ms: 2 * HOUR_MS, ongoing: false },
+      { status: 'online', duration_ms: 7 * HOUR_MS, ongoing: false }
+    ]);
+  });
+
+  test('uptime counts from the state the board was in when each period opened', async () => {
+    // Online since before the month; down for 6 hours two days ago, and again for the last hour
+    BoardConnectivityModel.getLastEventBefore.mockResolvedValue(event('online', 40 * 24));
+    BoardConnectivityModel.getEventsSince.mockResolvedValue([event('offline', 54), event('online', 48), event('offline', 1)]);
+
+    const report = await ConnectivityReportService.getUptimeReport({ board_id: 'board_1', is_online: 0, last_seen: null });
+
+    expect(report.is_online).toBe(false);
+    const { day, week } = report.periods;
+    expect(day).toMatchObject({ online_ms: 23 * HOUR_MS, offline_ms: HOUR_MS, disconnects: 1, uptime_percent: 95.83 });
+    expect(day.longest_outage).toEqual({ start: '2026-10-19T11:00:00.000Z', end: null, duration_ms: HOUR_MS, ongoing: true });
+    expect(week).toMatchObject({ offline_ms: 7 * HOUR_MS, disconnects: 2, mean_time_between_disconnects_ms: (7 * 24 - 7) * HOUR_MS / 2 });
+    expect(week.longest_outage).toMatchObject({ duration_ms: 6 * HOUR_MS, ongoing: false });
+  });
+
+  test('time before the first known transition is left out', async () => {
+    BoardConnectivityModel.getLastEventBefore.mockResolvedValue(null);
+    BoardConnectivityModel.getEventsSince.mockResolvedValue([event('online', 12)]);
+
+    const report = await ConnectivityReportService.getUptimeReport({ board_id: 'board_1', is_online: 1, last_seen: null });
+
+    expect(report.periods.day).toMatchObject({ observed_ms: 12 * HOUR_MS, uptime_percent: 100, disconnects: 0, longest_outage: null });
+  });
+});
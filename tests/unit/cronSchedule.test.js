@@ -0,0 +1,98 @@
+const CronSchedule = require('../../services/cronSchedule');
+
+const UTC = { timeZone: 'UTC' };
+const NEW_YORK = { timeZone: 'America/New_York' };
+
+function iso(times) {
+  return times.map(time => time.toISOString());
+}
+
+describe('CronSchedule', () => {
+  describe('daylight saving time', () => {
+    test('a time the clock skips when it springs forward fires as the clock jumps', () => {
+      // 2026-03-08: New York goes from 02:00 EST straight to 03:00 EDT
+      expect(iso(CronSchedule.next('30 2 * * *', '2026-03-07T12:00:00Z', 3, NEW_YORK))).toEqual([
+        '2026-03-08T07:00:00.000Z',
+        '2026-03-09T06:30:00.000Z',
+        '2026-03-10T06:30:00.000Z'
+      ]);
+    });
+
+    test('the jump fires once when it is also a fire time of its own', () => {
+      expect(iso(CronSchedule.between('0 * * * *', '2026-03-08T05:00:00Z', '2026-03-08T08:00:00Z', NEW_YORK))).toEqual([
+        '2026-03-08T05:00:00.000Z', // 00:00 EST
+        '2026-03-08T06:00:00.000Z', // 01:00 EST
+        '2026-03-08T07:00:00.000Z', // 03:00 EDT; 02:00 never happens
+        '2026-03-08T08:00:00.000Z'
+      ]);
+    });
+
+    test('a time the clock passes twice when it falls back fires once, the first time', () => {
+      // 2026-11-01: New York goes from 02:00 EDT back to 01:00 EST
+      expect(iso(CronSchedule.next('30 1 * * *', '2026-10-31T12:00:00Z', 2, NEW_YORK))).toEqual([
+        '2026-11-01T05:30:00.000Z',
+        '2026-11-02T06:30:00.000Z'
+      ]);
+      expect(iso(CronSchedule.between('0 * * * *', '2026-11-01T04:00:00Z', '2026-11-01T07:00:00Z', NEW_YORK))).toEqual([
+        '2026-11-01T04:00:00.000Z', // 00:00 EDT
+        '2026-11-01T05:00:00.000Z', // 01:00 EDT
+        '2026-11-01T07:00:00.000Z' // 02:00 EST
+      ]);
+    });
+  });
+
+  describe('day of month and day of week', () => {
+    test('match either one when both are restricted', () => {
+      // The 13th, and every Friday
+      expect(iso(CronSchedule.between('0 9 13 * fri', '2026-10-01T00:00:00Z', '2026-10-31T23:59:59Z', UTC))).toEqual([
+        '2026-10-02T09:00:00.000Z',
+        '2026-10-09T09:00:00.000Z',
+        '2026-10-13T09:00:00.000Z',
+        '2026-10-16T09:00:00.000Z',
+        '2026-10-23T09:00:00.000Z',
+        '2026-10-30T09:00:00.000Z'
+      ]);
+    });
+
+    test('match both when either one starts with *', () => {
+      // Fridays on odd days of the month
+      expect(iso(CronSchedule.between('0 9 */2 * fri', '2026-10-01T00:00:00Z', '2026-10-31T23:59:59Z', UTC))).toEqual([
+        '2026-10-09T09:00:00.000Z',
+        '2026-10-23T09:00:00.000Z'
+      ]);
+      expect(CronSchedule.between('0 9 13 * *', '2026-10-01T00:00:00Z', '2026-10-31T23:59:59Z', UTC)).toHaveLength(1);
+    });
+
+    test('29 February fires in leap years only', () => {
+      expect(iso(CronSchedule.next('0 0 29 feb *', '2026-10-01T00:00:00Z', 1, UTC))).toEqual(['2028-02-29T00:00:00.000Z']);
+      expect(CronSchedule.between('0 0 29 2 *', '2026-01-01T00:00:00Z', '2027-12-31T23:59:59Z', UTC)).toEqual([]);
+    });
+  });
+
+  describe('syntax', () => {
+    test('takes three-letter names in any case, ranges of them, and 7 as Sunday', () => {
+      const week = ['2026-10-19T00:00:00Z', '2026-10-25T23:59:59Z'];
+      expect(CronSchedule.between('0 8 * * MON-fri', ...week, UTC)).toEqual(CronSchedule.between('0 8 * * 1-5', ...week, UTC));
+      expect(iso(CronSchedule.between('0 8 * * 7', ...week, UTC))).toEqual(['2026-10-25T08:00:00.000Z']);
+      expect(iso(CronSchedule.between('0 8 * * Sun', ...week, UTC))).toEqual(['2026-10-25T08:00:00.000Z']);
+      expect(CronSchedule.validate('0 8 1 jan,jul *')).toBeNull();
+    });
+
+    test('takes a leading seconds field', () => {
+      expect(iso(CronSchedule.next('*/20 0 12 * * *', '2026-10-19T00:00:00Z', 3, UTC))).toEqual([
+        '2026-10-19T12:00:00.000Z',
+        '2026-10-19T12:00:20.000Z',
+        '2026-10-19T12:00:40.000Z'
+      ]);
+    });
+
+    test('rejects full names, reversed ranges and values out of range', () => {
+      expect(CronSchedule.validate('0 8 * * SUNDAY')).toBe('Invalid day of week field: SUNDAY');
+      expect(CronSchedule.validate('0 8 * january *')).toBe('Invalid month field: january');
+      expect(CronSchedule.validate('0 8 * * 7-1')).toBe('Invalid day of week field: 7-1');
+      expect(CronSchedule.validate('60 8 * * *')).toBe('Invalid minute field: 60');
+      expect(CronSchedule.validate('0 8 * * */0')).toBe('Invalid step in day of week field: */0');
+      expect(CronSchedule.validate('0 8 * *')).toBe('Cron expression needs 5 or 6 fields');
+    });
+  });
+});
@@ -0,0 +1,63 @@
+jest.mock('../../config/database', () => ({ query: jest.fn() }));
+
+const db = require('../../config/database');
+const deviceClockService = require('../../services/deviceClockService');
+
+const RECEIVED_AT = new Date('2026-10-19T10:00:00Z');
+const SECOND_MS = 1000;
+
+function skewStored(skewMs) {
+  db.query.mockImplementation(async sql => (sql.startsWith('SELECT') ? [{ clock_skew_ms: skewMs }] : { affectedRows: 1 }));
+}
+
+describe('deviceClockService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    deviceClockService.skews.clear();
+  });
+
+  test('parses epoch seconds, epoch milliseconds and ISO strings', () => {
+    expect(deviceClockService.parseTimestamp(1792404000)).toBe(1792404000000);
+    expect(deviceClockService.parseTimestamp('1792404000123')).toBe(1792404000123);
+    expect(deviceClockService.parseTimestamp('2026-10-19T10:00:00Z')).toBe(RECEIVED_AT.getTime());
+    expect(deviceClockService.parseTimestamp('soon')).toBeNull();
+    expect(deviceClockService.parseTimestamp('')).toBeNull();
+  });
+
+  test('without a device time the reading is stamped on arrival', async () => {
+    await expect(deviceClockService.stamp('board_1', undefined, RECEIVED_AT))
+      .resolves.toEqual({ observedAt: RECEIVED_AT, receivedAt: RECEIVED_AT, timestampStatus: 'server' });
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  test('a device time is taken as is until a skew is known, then corrected by it', async () => {
+    const deviceTime = RECEIVED_AT.getTime() - 30 * SECOND_MS;
+
+    skewStored(null);
+    await expect(deviceClockService.stamp('board_1', deviceTime, RECEIVED_AT))
+      .resolves.toMatchObject({ observedAt: new Date(deviceTime), timestampStatus: 'device' });
+
+    deviceClockService.skews.clear();
+    skewStored(5 * SECOND_MS);
+    await expect(deviceClockService.stamp('board_1', deviceTime, RECEIVED_AT))
+      .resolves.toMatchObject({ observedAt: new Date(deviceTime - 5 * SECOND_MS), timestampStatus: 'corrected' });
+  });
+
+  test('times too far ahead or too far back fall back to arrival', async () => {
+    skewStored(0);
+    for (const offsetMs of [2 * 60 * SECOND_MS, -4 * 24 * 60 * 60 * SECOND_MS]) {
+      await expect(deviceClockService.stamp('board_1', RECEIVED_AT.getTime() + offsetMs, RECEIVED_AT))
+        .resolves.toEqual({ observedAt: RECEIVED_AT, receivedAt: RECEIVED_AT, timestampStatus: 'implausible' });
+    }
+  });
+
+  test('heartbeats smooth the skew and a clock reset replaces it', async () => {
+    skewStored(10 * SECOND_MS);
+
+    // 12s sample: moves a fifth of the way from 10s
+    await expect(deviceClockService.observeHeartbeat('board_1', RECEIVED_AT.getTime() + 12 * SECOND_MS, RECEIVED_AT)).resolves.toBe(10400);
+    // The board rebooted without NTP: its clock starts again from zero
+    await expect(deviceClockService.observeHeartbeat('board_1', 42, RECEIVED_AT)).resolves.toBe(42 * SECOND_MS - RECEIVED_AT.getTime());
+    expect(db.query).toHaveBeenCalledWith(expect.stringContaining('UPDATE esp32_boards SET clock_skew_ms'), [10400, 'board_1']);
+  });
+});
@@ -0,0 +1,54 @@
+jest.mock('../../config/database', () => ({ query: jest.fn() }));
+jest.mock('../../models/deviceModel', () => ({ getDeviceWithBoard: jest.fn() }));
+jest.mock('../../models/homeModel', () => ({}));
+jest.mock('../../models/commandModel', () => ({ findByCommandId: jest.fn() }));
+jest.mock('../../services/mqttService', () => ({ sendCommand: jest.fn() }));
+jest.mock('../../services/commandQueueService', () => ({ onDelivered: jest.fn() }));
+jest.mock('../../services/connectivityReportService', () => ({}));
+jest.mock('../../services/shadowService', () => ({}));
+jest.mock('../../services/payloadCodecService', () => ({}));
+jest.mock('../../services/compactFrameCodec', () => ({}));
+jest.mock('../../services/telemetryIngestService', () => ({}));
+jest.mock('../../services/deviceControlService', () => ({ applyState: jest.fn() }));
+jest.mock('../../services/bulkControlService', () => ({}));
+
+const DeviceModel = require('../../models/deviceModel');
+const CommandModel = require('../../models/commandModel');
+const DeviceControlService = require('../../services/deviceControlService');
+const DeviceController = require('../../controllers/deviceController');
+
+function response() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+describe('DeviceController offline queueing', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    DeviceModel.getDeviceWithBoard.mockResolvedValue({ device_id: 'relay_1', board_id: 'board_1', device_type: 'switch', state: '{"state":false}', is_online: 0 });
+  });
+
+  test('a queued control command reports the expiry stored on its row', async () => {
+    DeviceControlService.applyState.mockResolvedValue({ delivery: 'queued', commandIds: ['cmd_1'] });
+    CommandModel.findByCommandId.mockResolvedValue({ command_id: 'cmd_1', expires_at: new Date('2026-10-19T13:00:00Z') });
+    const res = response();
+
+    await DeviceController.controlDevice({ user: { id: 1 }, params: { deviceId: 'relay_1' }, body: { action: 'turn_on', queue_if_offline: true, expires_in: 3600 } }, res);
+
+    expect(DeviceControlService.applyState).toHaveBeenCalledWith(expect.anything(), { state: true }, { queueOptions: { queueOffline: true, policy: { ttlMs: 3600000 } } });
+    expect(CommandModel.findByCommandId).toHaveBeenCalledWith('cmd_1');
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(res.json.mock.calls[0][0].data).toMatchObject({ command_id: 'cmd_1', delivery: 'queued', expires_at: '2026-10-19T13:00:00.000Z', state: true });
+  });
+
+  test('an offline board without queue_if_offline is refused', async () => {
+    const res = response();
+
+    await DeviceController.controlDevice({ user: { id: 1 }, params: { deviceId: 'relay_1' }, body: { action: 'turn_on' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(DeviceControlService.applyState).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,53 @@
+const DeviceTypeRegistry = require('../../services/deviceTypeRegistry');
+
+const dimmer = { device_id: 'dimmer_1', device_type: 'dimmer', gpio_pin: 5 };
+const relay = { device_id: 'relay_1', device_type: 'switch', gpio_pin: 2 };
+
+describe('DeviceTypeRegistry', () => {
+  test('loads the built-in types with their categories and metrics', () => {
+    expect(DeviceTypeRegistry.names()).toEqual(expect.arrayContaining(['switch', 'dimmer', 'sensor_dht22', 'sensor_ds18b20', 'sensor_analog']));
+    expect(DeviceTypeRegistry.category('dimmer')).toBe('light');
+    expect(DeviceTypeRegistry.metrics('sensor_dht22')).toEqual(['temperature', 'humidity']);
+    expect(DeviceTypeRegistry.get('toaster')).toBeNull();
+  });
+
+  test('derives the state schema from the capabilities', () => {
+    expect(DeviceTypeRegistry.stateSchema('dimmer')).toEqual({
+      type: 'object',
+      properties: { state: { type: 'boolean' }, value: { type: 'number', minimum: 0, maximum: 255 } }
+    });
+    expect(DeviceTypeRegistry.validateState('dimmer', { value: 999 })).toEqual(['state.value must be <= 255']);
+    expect(DeviceTypeRegistry.controllableState('dimmer', { state: true, value: 3, online: 1 })).toEqual({ state: true, value: 3 });
+  });
+
+  test('turns REST and timer requests into state patches', () => {
+    expect(DeviceTypeRegistry.controlPatch('switch', { action: 'toggle' }, { state: true })).toEqual({ patch: { state: false } });
+    expect(DeviceTypeRegistry.controlPatch('dimmer', { action: 'turn_on', value: '128' })).toEqual({ patch: { state: true, value: 128 } });
+    expect(DeviceTypeRegistry.controlPatch('dimmer', { value: 300 })).toEqual({ error: 'value must be a number between 0 and 255' });
+    expect(DeviceTypeRegistry.controlPatch('sensor_dht22', { action: 'turn_on' })).toEqual({ error: 'Device type "sensor_dht22" cannot be switched on or off' });
+    expect(DeviceTypeRegistry.controlPatch('switch', { value: 5 })).toEqual({ error: 'Device type "switch" does not accept a value' });
+  });
+
+  test('maps a state patch to one firmware command per capability and leaves the rest', () => {
+    expect(DeviceTypeRegistry.commandsForState(dimmer, { state: true, value: 128, mood: 'calm' })).toEqual({
+      commands: [
+        { commandType: 'gpio', data: { pin: 5, state: 'on' }, reported: { state: true } },
+        { commandType: 'pwm', data: { pin: 5, value: 128 }, reported: { value: 128 } }
+      ],
+      rest: { mood: 'calm' }
+    });
+    // Out of range values are not sent
+    expect(DeviceTypeRegistry.commandsForState(dimmer, { value: 999 })).toEqual({ commands: [], rest: { value: 999 } });
+  });
+
+  test('reads back the state a delivered firmware command established', () => {
+    expect(DeviceTypeRegistry.reportedFromCommand(relay, 'gpio', { pin: 2, state: 'off' })).toEqual({ state: false });
+    expect(DeviceTypeRegistry.reportedFromCommand(relay, 'gpio', { pin: 3, state: 'off' })).toBeNull();
+    expect(DeviceTypeRegistry.reportedFromCommand(dimmer, 'pwm', { pin: 5, value: 40 })).toEqual({ value: 40 });
+  });
+
+  test('validates config against the type\'s schema', () => {
+    expect(DeviceTypeRegistry.validateConfig('switch', {})).toEqual([]);
+    expect(DeviceTypeRegistry.validateConfig('toaster', {})).toEqual(['Unknown device type "toaster"']);
+  });
+});
@@ -0,0 +1,79 @@
+jest.mock('../../config/database', () => ({ query: jest.fn() }));
+jest.mock('../../models/dataModel', () => ({
+  getReplayData: jest.fn(async () => []),
+  getReadingBefore: jest.fn(async () => null),
+  getStateBefore: jest.fn(async () => null)
+}));
+jest.mock('../../models/deviceModel', () => ({ getDevicesWithBoards: jest.fn(async () => []) }));
+jest.mock('../../models/sceneModel', () => ({ getSceneDevices: jest.fn(async () => []) }));
+jest.mock('../../services/automationService', () => ({ tickMs: 30000 }));
+
+const DataModel = require('../../models/dataModel');
+const DeviceModel = require('../../models/deviceModel');
+const DryRunService = require('../../services/dryRunService');
+
+const MINUTE_MS = 60 * 1000;
+const START = new Date('2026-10-19T00:00:00Z');
+
+function at(minutes) {
+  return new Date(START.getTime() + minutes * MINUTE_MS);
+}
+
+function temperature(minutes, value) {
+  return { device_id: 'dht_1', data_type: 'sensor', metric: 'temperature', value, payload: null, observed_at: at(minutes) };
+}
+
+describe('DryRunService', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('parseRange checks the range', () => {
+    expect(DryRunService.parseRange({ from: '2026-10-01T00:00:00Z', to: '2026-10-02T00:00:00Z' }))
+      .toEqual({ start: new Date('2026-10-01T00:00:00Z'), end: new Date('2026-10-02T00:00:00Z') });
+    expect(DryRunService.parseRange({ to: '2026-10-02T00:00:00Z' })).toEqual({ error: 'from (and optionally to) must be ISO 8601 timestamps' });
+    expect(DryRunService.parseRange({ from: '2026-10-02T00:00:00Z', to: '2026-10-01T00:00:00Z' })).toEqual({ error: 'to must be after from' });
+    expect(DryRunService.parseRange({ from: '2026-08-01T00:00:00Z', to: '2026-10-01T00:00:00Z' })).toEqual({ error: 'The range can span at most 31 days' });
+  });
+
+  test('a rule fires when its conditions become true, again only after they were false, and not inside its cooldown', async () => {
+    const rule = {
+      conditions: { type: 'sensor', device_id: 'dht_1', metric: 'temperature', operator: '>', value: 30 },
+      actions: [{ type: 'device', device_id: 'fan_1', action: 'turn_on' }],
+      cooldown_seconds: 3600
+    };
+    DataModel.getReplayData.mockResolvedValue([
+      temperature(10, 29), temperature(20, 31), temperature(30, 32), temperature(40, 28),
+      temperature(50, 33), temperature(60, 27), temperature(90, 34)
+    ]);
+
+    const report = await DryRunService.automation(rule, { start: START, end: at(120) });
+
+    expect(report.fires.map(fire => fire.at)).toEqual([at(20).toISOString(), at(90).toISOString()]);
+    expect(report.fires[0].trigger).toMatchObject({ type: 'sensor', device_id: 'dht_1', readings: [{ metric: 'temperature', value: 31 }] });
+    expect(report).toMatchObject({ replayed: 7, initially_met: false, fire_count: 2, truncated: false });
+  });
+
+  test('conditions already met when the range opens count as fired before it', async () => {
+    DataModel.getReadingBefore.mockResolvedValue({ value: 35, observed_at: at(-5) });
+    DataModel.getReplayData.mockResolvedValue([temperature(10, 36)]);
+    const rule = { conditions: { type: 'sensor', device_id: 'dht_1', metric: 'temperature', operator: '>', value: 30 }, actions: [] };
+
+    const report = await DryRunService.automation(rule, { start: START, end: at(20) });
+
+    expect(report).toMatchObject({ initially_met: true, fire_count: 0 });
+  });
+
+  test('a timer reports the recorded state at each firing and what it would change', async () => {
+    DeviceModel.getDevicesWithBoards.mockResolvedValue([{ device_id: 'relay_1', device_type: 'switch' }]);
+    DataModel.getStateBefore.mockResolvedValue({ payload: '{"state":false}' });
+    // Someone switched it on by hand before the second evening
+    DataModel.getReplayData.mockResolvedValue([{ device_id: 'relay_1', data_type: 'state', payload: '{"state":true}', observed_at: new Date('2026-10-20T17:00:00Z') }]);
+    const timer = { cron_expression: '0 18 * * *', timezone: 'UTC', device_id: 'relay_1', action: 'turn_on', value: null };
+
+    const report = await DryRunService.timer(timer, 1, { start: START, end: new Date('2026-10-21T00:00:00Z') });
+
+    expect(report.fires.map(({ at: firedAt, devices }) => ({ at: firedAt, status: devices[0].status, before: devices[0].state_before }))).toEqual([
+      { at: '2026-10-19T18:00:00.000Z', status: 'would_change', before: { state: false } },
+      { at: '2026-10-20T18:00:00.000Z', status: 'unchanged', before: { state: true } }
+    ]);
+  });
+});
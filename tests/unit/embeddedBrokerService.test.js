@@ -0,0 +1,70 @@
+jest.mock('../../services/mqttAuthService', () => ({
+  authenticate: jest.fn(),
+  checkAcl: jest.fn(({ username, topic }) => [`cmd/${username}`, `resp/${username}`].includes(topic))
+}));
+
+const mqttAuthService = require('../../services/mqttAuthService');
+const embeddedBrokerService = require('../../services/embeddedBrokerService');
+
+function authenticate(client, username, password) {
+  return new Promise(resolve => {
+    embeddedBrokerService.authenticate(client, username, password, (error, allowed) => resolve({ error, allowed }));
+  });
+}
+
+describe('EmbeddedBrokerService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test('boards log in with their own credentials', async () => {
+    mqttAuthService.authenticate.mockResolvedValueOnce({ allowed: true });
+    const client = { id: 'esp32_a1' };
+
+    await expect(authenticate(client, 'board_1', Buffer.from('secret'))).resolves.toEqual({ error: null, allowed: true });
+
+    expect(mqttAuthService.authenticate).toHaveBeenCalledWith({ username: 'board_1', password: 'secret' });
+    expect(client.mqttUsername).toBe('board_1');
+  });
+
+  test('a bad login is refused with "bad username or password", a failed lookup with "server unavailable"', async () => {
+    mqttAuthService.authenticate.mockResolvedValueOnce({ allowed: false });
+    const refused = await authenticate({ id: 'esp32_a1' }, 'board_1', Buffer.from('guess'));
+    expect(refused).toMatchObject({ allowed: false, error: { returnCode: 4 } });
+
+    mqttAuthService.authenticate.mockRejectedValueOnce(new Error('Database down'));
+    const unavailable = await authenticate({ id: 'esp32_a1' }, 'board_1', Buffer.from('secret'));
+    expect(unavailable).toMatchObject({ allowed: false, error: { returnCode: 3 } });
+  });
+
+  test('publish and subscribe go through the topic ACLs', () => {
+    const client = { id: 'esp32_a1', mqttUsername: 'board_1' };
+    const publish = jest.fn();
+    const subscribe = jest.fn();
+
+    embeddedBrokerService.authorizePublish(client, { topic: 'resp/board_1' }, publish);
+    embeddedBrokerService.authorizePublish(client, { topic: 'cmd/board_2' }, publish);
+    embeddedBrokerService.authorizeSubscribe(client, { topic: 'cmd/board_2', qos: 1 }, subscribe);
+
+    expect(publish.mock.calls).toEqual([[null], [expect.any(Error)]]);
+    // Refused subscriptions keep the client connected
+    expect(subscribe).toHaveBeenCalledWith(null, null);
+  });
+
+  test('the backend\'s in-process connection skips authentication and ACLs', async () => {
+    embeddedBrokerService.broker = { handle: jest.fn() };
+    embeddedBrokerService.createInProcessStream();
+    const backend = { id: 'backend', conn: embeddedBrokerService.broker.handle.mock.calls[0][0] };
+
+    await expect(authenticate(backend, undefined, undefined)).resolves.toEqual({ error: null, allowed: true });
+    const subscribe = jest.fn();
+    embeddedBrokerService.authorizeSubscribe(backend, { topic: 'resp/+', qos: 1 }, subscribe);
+
+    expect(subscribe).toHaveBeenCalledWith(null, { topic: 'resp/+', qos: 1 });
+    expect(mqttAuthService.authenticate).not.toHaveBeenCalled();
+    expect(mqttAuthService.checkAcl).not.toHaveBeenCalled();
+    embeddedBrokerService.broker = null;
+  });
+});
@@ -0,0 +1,38 @@
+jest.mock('../../config/database', () => ({ query: jest.fn() }));
+jest.mock('../../models/executionModel', () => ({
+  create: jest.fn(async () => 42),
+  deleteOlderThan: jest.fn(async () => 0)
+}));
+
+const ExecutionModel = require('../../models/executionModel');
+const ExecutionLogService = require('../../services/executionLogService');
+
+describe('ExecutionLogService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  test('status is success, partial or failed by how many devices acked', () => {
+    expect(ExecutionLogService.status([{ status: 'acked' }, { status: 'acked' }])).toBe('success');
+    expect(ExecutionLogService.status([{ status: 'acked' }, { status: 'timeout' }])).toBe('partial');
+    expect(ExecutionLogService.status([{ status: 'offline' }])).toBe('failed');
+    expect(ExecutionLogService.status([])).toBe('failed');
+    expect(ExecutionLogService.status([{ status: 'acked' }], 'boom')).toBe('failed');
+  });
+
+  test('record stores the execution without pruning on the way', async () => {
+    ExecutionModel.deleteOlderThan.mockRejectedValue(new Error('Lock wait timeout exceeded'));
+    const entry = { source: 'timer', timer_id: 3, name: 'Porch', trigger: {}, commands: [], results: [{ device_id: 'light_1', status: 'acked' }] };
+
+    await expect(ExecutionLogService.record(1, entry)).resolves.toEqual({ id: 42, status: 'success' });
+    expect(ExecutionModel.create).toHaveBeenCalledWith(1, { ...entry, status: 'success' });
+    expect(ExecutionModel.deleteOlderThan).not.toHaveBeenCalled();
+  });
+
+  test('prune drops entries older than 30 days', async () => {
+    ExecutionModel.deleteOlderThan.mockResolvedValue(5);
+    await expect(ExecutionLogService.prune(new Date('2026-10-31T00:00:00Z'))).resolves.toBe(5);
+    expect(ExecutionModel.deleteOlderThan).toHaveBeenCalledWith(new Date('2026-10-01T00:00:00Z'));
+  });
+});
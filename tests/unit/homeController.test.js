@@ -0,0 +1,99 @@
+jest.mock('../../config/database', () => ({ query: jest.fn() }));
+jest.mock('../../models/homeModel', () => ({
+  getHome: jest.fn(),
+  createHome: jest.fn(),
+  updateHome: jest.fn(),
+  listFloors: jest.fn(),
+  getFloor: jest.fn(),
+  listRooms: jest.fn(),
+  getRoom: jest.fn(),
+  createRoom: jest.fn(),
+  updateRoom: jest.fn()
+}));
+jest.mock('../../models/deviceModel', () => ({}));
+jest.mock('../../services/timerService', () => ({ reloadUserTimers: jest.fn(), announceUserChange: jest.fn() }));
+
+const HomeModel = require('../../models/homeModel');
+const timerService = require('../../services/timerService');
+const HomeController = require('../../controllers/homeController');
+
+function response() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+async function call(handler, { params = {}, query = {}, body = {} } = {}) {
+  const res = response();
+  await HomeController[handler]({ user: { id: 1 }, params, query, body }, res);
+  return res;
+}
+
+describe('HomeController', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    HomeModel.getHome.mockImplementation(async homeId => (Number(homeId) === 2 ? { id: 2, name: 'Home' } : null));
+    HomeModel.getFloor.mockImplementation(async floorId => ({ 5: { id: 5, home_id: 2 }, 6: { id: 6, home_id: 3 } }[floorId] || null));
+  });
+
+  test('a home lists its floors with their rooms, and the rooms on no floor', async () => {
+    HomeModel.listFloors.mockResolvedValue([{ id: 5, level: 0 }, { id: 7, level: 1 }]);
+    HomeModel.listRooms.mockResolvedValue([{ id: 10, floor_id: 5 }, { id: 11, floor_id: null }, { id: 12, floor_id: 7 }]);
+
+    const res = await call('getHome', { params: { homeId: '2' } });
+
+    expect(HomeModel.listRooms).toHaveBeenCalledWith(1, { homeId: 2 });
+    expect(res.json).toHaveBeenCalledWith({
+      success: true,
+      data: {
+        id: 2,
+        name: 'Home',
+        floors: [{ id: 5, level: 0, rooms: [{ id: 10, floor_id: 5 }] }, { id: 7, level: 1, rooms: [{ id: 12, floor_id: 7 }] }],
+        rooms: [{ id: 11, floor_id: null }]
+      }
+    });
+  });
+
+  test('a home\'s location takes both coordinates within range', async () => {
+    let res = await call('createHome', { body: { name: 'Home', latitude: 10.78 } });
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ success: false, message: 'latitude and longitude go together' });
+
+    res = await call('createHome', { body: { name: 'Home', latitude: 91, longitude: 106.7 } });
+    expect(res.json).toHaveBeenCalledWith({ success: false, message: 'latitude must be a number between -90 and 90' });
+    expect(HomeModel.createHome).not.toHaveBeenCalled();
+  });
+
+  test('moving a home reloads the owner\'s solar timers', async () => {
+    await call('updateHome', { params: { homeId: '2' }, body: { latitude: 21.03, longitude: 105.85 } });
+    expect(timerService.reloadUserTimers).toHaveBeenCalledWith(1);
+    expect(timerService.announceUserChange).toHaveBeenCalledWith(1);
+
+    jest.clearAllMocks();
+    await call('updateHome', { params: { homeId: '2' }, body: { name: 'Beach house' } });
+    expect(timerService.reloadUserTimers).not.toHaveBeenCalled();
+  });
+
+  test('a room created on a floor belongs to the floor\'s home', async () => {
+    HomeModel.createRoom.mockResolvedValue(10);
+
+    const res = await call('createRoom', { body: { name: ' Kitchen ', floor_id: 5 } });
+
+    expect(HomeModel.createRoom).toHaveBeenCalledWith(2, { name: 'Kitchen', floorId: 5 });
+    expect(res.status).toHaveBeenCalledWith(201);
+
+    const mismatched = await call('createRoom', { body: { name: 'Kitchen', home_id: 2, floor_id: 6 } });
+    expect(mismatched.json).toHaveBeenCalledWith({ success: false, message: 'floor_id must be a floor of home_id' });
+  });
+
+  test('a room moves between floors of its home only', async () => {
+    HomeModel.getRoom.mockResolvedValue({ id: 10, home_id: 2, floor_id: 5 });
+
+    const res = await call('updateRoom', { params: { roomId: '10' }, body: { floor_id: 6 } });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ success: false, message: 'floor_id must be a floor of the room\'s home' });
+    expect(HomeModel.updateRoom).not.toHaveBeenCalled();
+  });
+});
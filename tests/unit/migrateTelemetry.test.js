@@ -0,0 +1,109 @@
+const mockDb = { tables: {}, statements: [], beforeRename: null };
+
+jest.mock('mysql2/promise', () => ({
+  createConnection: async () => {
+    const run = async (sql, params = []) => {
+      const text = sql.replace(/\s+/g, ' ').trim();
+      mockDb.statements.push(text);
+      const { tables } = mockDb;
+
+      if (text.startsWith('SELECT COLUMN_NAME')) {
+        const rows = tables[params[0]];
+        return [rows ? rows.columns.map(name => ({ name })) : []];
+      }
+      if (text.startsWith('SELECT COALESCE(MAX(id), 0)')) {
+        const table = tables[text.match(/FROM (\w+)/)[1]];
+        return [[{ id: table.rows.reduce((max, row) => Math.max(max, row.id), 0) }]];
+      }
+      if (text.startsWith('DROP TABLE IF EXISTS')) return [{}];
+      if (text.startsWith('CREATE TABLE')) {
+        tables[text.match(/CREATE TABLE (\w+)/)[1]] = { columns: ['id', 'observed_at', 'metric'], rows: [] };
+        return [{}];
+      }
+      if (text.startsWith('SELECT id, device_id FROM devices')) return [[{ id: 1, device_id: 'temp_1' }]];
+      if (text.startsWith('SELECT * FROM')) {
+        const table = tables[text.match(/FROM (\w+)/)[1]];
+        return [table.rows.filter(row => row.id > params[0]).slice(0, 1000)];
+      }
+      if (text.startsWith('INSERT INTO')) {
+        const table = tables[text.match(/INSERT INTO (\w+)/)[1]];
+        for (let index = 0; index < params.length; index += 9) {
+          table.rows.push({ id: table.rows.length + 1, device_id: params[index], metric: params[index + 2], value: params[index + 3] });
+        }
+        return [{}];
+      }
+      if (text.startsWith('RENAME TABLE')) {
+        if (mockDb.beforeRename) mockDb.beforeRename();
+        tables.device_data_legacy = tables.device_data;
+        tables.device_data = tables.device_data_v2;
+        delete tables.device_data_v2;
+        return [{}];
+      }
+      throw new Error(`Unexpected statement: ${text}`);
+    };
+    return { execute: run, query: run, end: async () => {} };
+  }
+}));
+
+const migrateTelemetry = require('../../scripts/migrate-telemetry');
+const { deviceDataTable } = require('../../scripts/telemetrySchema');
+
+const LEGACY_COLUMNS = ['id', 'device_id', 'data_type', 'value', 'timestamp'];
+
+function legacyRow(id, temperature) {
+  return { id, device_id: 'temp_1', data_type: 'sensor', value: JSON.stringify({ temperature }), timestamp: new Date('2026-10-01T00:00:00Z') };
+}
+
+async function run(options) {
+  const done = migrateTelemetry(options);
+  // Let the live-ingestion check wait out
+  await jest.advanceTimersByTimeAsync(5000);
+  return done;
+}
+
+describe('migrate-telemetry', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    mockDb.statements = [];
+    mockDb.beforeRename = null;
+    mockDb.tables = { device_data: { columns: LEGACY_COLUMNS, rows: [legacyRow(1, 20), legacyRow(2, 21)] } };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('converts every legacy row and keeps the old table', async () => {
+    await run();
+
+    expect(mockDb.tables.device_data.rows.map(row => row.value)).toEqual([20, 21]);
+    expect(mockDb.tables.device_data_legacy.rows).toHaveLength(2);
+  });
+
+  test('refuses to run while device_data is still being written', async () => {
+    const { rows } = mockDb.tables.device_data;
+    setTimeout(() => rows.push(legacyRow(3, 22)), 1000);
+
+    const done = migrateTelemetry();
+    const outcome = expect(done).rejects.toThrow(/still being written/);
+    await jest.advanceTimersByTimeAsync(5000);
+    await outcome;
+    expect(mockDb.statements.some(text => text.startsWith('RENAME TABLE'))).toBe(false);
+  });
+
+  test('copies rows written after the last batch from the legacy table', async () => {
+    mockDb.beforeRename = () => mockDb.tables.device_data.rows.push(legacyRow(3, 22));
+    await run();
+
+    expect(mockDb.tables.device_data.rows.map(row => row.value)).toEqual([20, 21, 22]);
+  });
+
+  test('creates device_data_v2 from the same DDL as npm run migrate', async () => {
+    await run();
+    const normalize = sql => sql.replace(/\s+/g, ' ').trim();
+    expect(mockDb.statements).toContain(normalize(deviceDataTable('device_data_v2')));
+    expect(normalize(deviceDataTable('device_data_v2')).replace('device_data_v2', 'device_data'))
+      .toBe(normalize(deviceDataTable('device_data')));
+  });
+});
@@ -0,0 +1,56 @@
+process.env.MQTT_USERNAME = 'backend';
+process.env.MQTT_PASSWORD = 'backend-secret';
+process.env.MQTT_PROVISION_USERNAME = 'provision';
+process.env.MQTT_PROVISION_PASSWORD = 'provision-secret';
+
+jest.mock('../../config/database', () => ({ query: jest.fn() }));
+jest.mock('../../models/mqttCredentialModel', () => ({}));
+
+const mqttAuthService = require('../../services/mqttAuthService');
+
+const NONCE = 'q2V7m1k9XbR4tY8wZp3LcA';
+
+describe('mqttAuthService.checkAcl', () => {
+  test('the backend may do anything', () => {
+    expect(mqttAuthService.checkAcl({ username: 'backend', topic: 'cmd/#', access: 'subscribe' })).toBe(true);
+  });
+
+  test('a board only gets its own topics', () => {
+    const acl = (topic, access) => mqttAuthService.checkAcl({ username: 'board_1', topic, access });
+    expect(acl('cmd/board_1', 'subscribe')).toBe(true);
+    expect(acl('cmd/board_1/cbor', 'subscribe')).toBe(true);
+    expect(acl('resp/board_1', 'publish')).toBe(true);
+    expect(acl('register', 'publish')).toBe(true);
+    expect(acl('cmd/board_2', 'subscribe')).toBe(false);
+    expect(acl('resp/board_2', 'publish')).toBe(false);
+    expect(acl('cmd/+', 'subscribe')).toBe(false);
+  });
+
+  test('the provisioning login gets no board topic, whatever client ID it picks', () => {
+    const acl = (topic, access) => mqttAuthService.checkAcl({ username: 'provision', clientid: 'board_1', topic, access });
+    expect(acl('register', 'publish')).toBe(true);
+    expect(acl('cmd/board_1', 'subscribe')).toBe(false);
+    expect(acl('cmd/board_1', 'publish')).toBe(false);
+    expect(acl('resp/board_1', 'publish')).toBe(false);
+    expect(acl('register', 'subscribe')).toBe(false);
+  });
+
+  test('the provisioning login may listen on a reply topic with an unguessable nonce', () => {
+    const acl = (topic, access) => mqttAuthService.checkAcl({ username: 'provision', topic, access });
+    expect(acl(`cmd/board_1/${NONCE}`, 'subscribe')).toBe(true);
+    expect(acl(`cmd/board_1/${NONCE}/cbor`, 'subscribe')).toBe(true);
+    expect(acl(`cmd/board_1/${NONCE}`, 'publish')).toBe(false);
+    expect(acl('cmd/board_1/short', 'subscribe')).toBe(false);
+    expect(acl(`cmd/board_1/${NONCE}/extra`, 'subscribe')).toBe(false);
+    expect(acl(`resp/board_1/${NONCE}`, 'subscribe')).toBe(false);
+  });
+});
+
+describe('mqttAuthService.replyTopic', () => {
+  test('builds the topic only from a long enough nonce', () => {
+    expect(mqttAuthService.replyTopic('board_1', NONCE)).toBe(`cmd/board_1/${NONCE}`);
+    expect(mqttAuthService.replyTopic('board_1', 'abc')).toBeNull();
+    expect(mqttAuthService.replyTopic('board_1', `${NONCE}/x`)).toBeNull();
+    expect(mqttAuthService.replyTopic('board_1', undefined)).toBeNull();
+  });
+});
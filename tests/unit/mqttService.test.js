@@ -0,0 +1,84 @@
+process.env.MQTT_PROTOCOL_VERSION = '5';
+
+jest.mock('../../config/database', () => ({ query: jest.fn() }));
+jest.mock('mqtt', () => ({ MqttClient: jest.fn(() => ({ on: jest.fn() })), connect: jest.fn() }));
+jest.mock('../../services/commandQueueService', () => ({
+  acknowledge: jest.fn(async () => true),
+  resolveFirmwareResponse: jest.fn(async () => 'cmd_7')
+}));
+jest.mock('../../services/shadowService', () => ({}));
+jest.mock('../../services/boardWatchdogService', () => ({}));
+jest.mock('../../services/mqttAuthService', () => ({}));
+jest.mock('../../services/pairingService', () => ({}));
+jest.mock('../../services/payloadCodecService', () => ({ encode: jest.fn(async (topic, message) => Buffer.from(JSON.stringify(message))) }));
+jest.mock('../../services/embeddedBrokerService', () => ({ enabled: false, createInProcessStream: jest.fn() }));
+jest.mock('../../services/telemetryIngestService', () => ({}));
+jest.mock('../../services/deviceClockService', () => ({}));
+
+const mqtt = require('mqtt');
+const commandQueueService = require('../../services/commandQueueService');
+const embeddedBrokerService = require('../../services/embeddedBrokerService');
+const mqttService = require('../../services/mqttService');
+
+describe('mqttService MQTT 5', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    mqttService.protocolVersion = 5;
+    mqttService.isConnected = true;
+    mqttService.client = { publish: jest.fn((topic, message, options, callback) => callback()) };
+  });
+
+  test('commands carry their id as correlation data, a response topic and the remaining TTL as expiry', async () => {
+    await mqttService.publishCommand('board_1', 'cmd_7', { action: 'gpio' }, {
+      commandType: 'gpio', deviceId: 'relay_1', attempt: 2, expiresAt: Date.now() + 29500
+    });
+
+    const [topic, , options] = mqttService.client.publish.mock.calls[0];
+    expect(topic).toBe('cmd/board_1');
+    expect(options).toEqual({
+      qos: 2,
+      properties: {
+        responseTopic: 'resp/board_1',
+        correlationData: Buffer.from('cmd_7'),
+        userProperties: { commandId: 'cmd_7', commandType: 'gpio', attempt: '2', deviceId: 'relay_1' },
+        messageExpiryInterval: 30
+      }
+    });
+  });
+
+  test('MQTT 3.1.1 commands go out without properties', async () => {
+    mqttService.protocolVersion = 4;
+
+    await mqttService.publishCommand('board_1', 'cmd_7', { action: 'gpio' }, { commandType: 'gpio', expiresAt: Date.now() + 30000 });
+
+    expect(mqttService.client.publish.mock.calls[0][2]).toEqual({ qos: 2 });
+  });
+
+  test('a reply with correlation data settles exactly that command, without guessing from its action', async () => {
+    await mqttService.handleDeviceResponse('board_1', 'resp/board_1', { status: 'error', action: 'gpio', error: 'Pin busy' }, {
+      correlationData: Buffer.from('cmd_7')
+    });
+
+    expect(commandQueueService.acknowledge).toHaveBeenCalledWith('cmd_7', false, 'Pin busy', 'board_1', { forward: true });
+    expect(commandQueueService.resolveFirmwareResponse).not.toHaveBeenCalled();
+  });
+
+  test('a 3.1.1 status/action reply is matched to the oldest plausible command', async () => {
+    await mqttService.handleDeviceResponse('board_1', 'resp/board_1', { status: 'success', action: 'gpio', details: { pin: 2 } });
+
+    expect(commandQueueService.acknowledge).not.toHaveBeenCalled();
+    expect(commandQueueService.resolveFirmwareResponse).toHaveBeenCalledWith('board_1', 'gpio', 2, true, undefined, { forward: true });
+  });
+
+  test('the embedded broker falls back to MQTT 3.1.1', async () => {
+    embeddedBrokerService.enabled = true;
+
+    await mqttService.initialize();
+
+    expect(mqtt.MqttClient).toHaveBeenCalledWith(expect.any(Function), expect.objectContaining({ protocolVersion: 4 }));
+    expect(mqttService.protocolVersion).toBe(4);
+    embeddedBrokerService.enabled = false;
+  });
+});
@@ -0,0 +1,70 @@
+jest.mock('../../config/database', () => ({ query: jest.fn() }));
+jest.mock('../../models/pairingModel', () => ({
+  createToken: jest.fn(async () => 12),
+  findTokenByHash: jest.fn(),
+  findTokenById: jest.fn()
+}));
+
+const crypto = require('crypto');
+const PairingModel = require('../../models/pairingModel');
+const pairingService = require('../../services/pairingService');
+
+const CODE = 'ABCD2345EFGH';
+const CODE_HASH = crypto.createHash('sha256').update(CODE).digest('hex');
+
+function token(fields = {}) {
+  return { id: 12, token_hash: CODE_HASH, board_id: null, used_at: null, expires_at: new Date(Date.now() + 60000), ...fields };
+}
+
+function sign(deviceId, timestamp, key = CODE_HASH) {
+  return crypto.createHmac('sha256', key).update(`${deviceId}:${timestamp}`).digest('hex');
+}
+
+describe('pairingService', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('createToken returns the code once and stores only its hash', async () => {
+    const created = await pairingService.createToken(3, { expiresIn: '600' });
+
+    expect(created.claim_code).toMatch(/^[A-HJ-NP-Z2-9]{12}$/);
+    const [{ tokenHash, expiresAt }] = PairingModel.createToken.mock.calls[0];
+    expect(tokenHash).toBe(crypto.createHash('sha256').update(created.claim_code).digest('hex'));
+    expect(expiresAt.getTime() - Date.now()).toBeLessThanOrEqual(600 * 1000);
+  });
+
+  test('a plaintext claim code matches whatever its case and spacing', async () => {
+    PairingModel.findTokenByHash.mockResolvedValue(token());
+
+    await expect(pairingService.resolveClaim('board_1', { claimCode: ` ${CODE.toLowerCase()} ` })).resolves.toMatchObject({ token: { id: 12 } });
+    expect(PairingModel.findTokenByHash).toHaveBeenCalledWith(CODE_HASH);
+  });
+
+  test('a signed claim needs a fresh timestamp and the HMAC keyed with the code hash', async () => {
+    PairingModel.findTokenById.mockResolvedValue(token());
+    const now = Math.floor(Date.now() / 1000);
+
+    await expect(pairingService.resolveClaim('board_1', { pairingId: 12, timestamp: now, signature: sign('board_1', now) }))
+      .resolves.toMatchObject({ token: { id: 12 } });
+    await expect(pairingService.resolveClaim('board_2', { pairingId: 12, timestamp: now, signature: sign('board_1', now) }))
+      .resolves.toEqual({ error: 'invalid_signature' });
+    await expect(pairingService.resolveClaim('board_1', { pairingId: 12, timestamp: now, signature: sign('board_1', now, 'guess') }))
+      .resolves.toEqual({ error: 'invalid_signature' });
+    await expect(pairingService.resolveClaim('board_1', { pairingId: 12, timestamp: now - 600, signature: sign('board_1', now - 600) }))
+      .resolves.toEqual({ error: 'signature_expired' });
+  });
+
+  test('used, expired and other boards\' tokens are refused', async () => {
+    PairingModel.findTokenByHash.mockResolvedValueOnce(token({ used_at: new Date() }));
+    await expect(pairingService.resolveClaim('board_1', { claimCode: CODE })).resolves.toEqual({ error: 'invalid_pairing_token' });
+
+    PairingModel.findTokenByHash.mockResolvedValueOnce(token({ expires_at: new Date(Date.now() - 1) }));
+    await expect(pairingService.resolveClaim('board_1', { claimCode: CODE })).resolves.toEqual({ error: 'invalid_pairing_token' });
+
+    PairingModel.findTokenByHash.mockResolvedValueOnce(token({ board_id: 'board_9' }));
+    await expect(pairingService.resolveClaim('board_1', { claimCode: CODE })).resolves.toEqual({ error: 'pairing_token_board_mismatch' });
+  });
+
+  test('no claim at all is not an error', async () => {
+    await expect(pairingService.resolveClaim('board_1', {})).resolves.toBeNull();
+  });
+});
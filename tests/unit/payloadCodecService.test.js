@@ -0,0 +1,100 @@
+jest.mock('../../config/database', () => ({ query: jest.fn() }));
+jest.mock('../../models/deviceModel', () => ({ getBoardCodec: jest.fn() }));
+
+const cbor = require('cbor-x');
+const msgpack = require('@msgpack/msgpack');
+const DeviceModel = require('../../models/deviceModel');
+const CompactFrameCodec = require('../../services/compactFrameCodec');
+const payloadCodecService = require('../../services/payloadCodecService');
+
+const SCHEMA = {
+  endian: 'little',
+  fields: [
+    { name: 'temperature', type: 'int16', scale: 0.1 },
+    { name: 'humidity', type: 'uint8' },
+    { name: 'battery', type: 'uint16', scale: 0.001 }
+  ]
+};
+
+function frame() {
+  const buffer = Buffer.alloc(5);
+  buffer.writeInt16LE(-45, 0);
+  buffer.writeUInt8(61, 2);
+  buffer.writeUInt16LE(3712, 3);
+  return buffer;
+}
+
+describe('CompactFrameCodec', () => {
+  test('decodes a frame into the shape a JSON board sends', () => {
+    expect(CompactFrameCodec.decode(frame(), SCHEMA)).toEqual({
+      type: 'sensor',
+      data: { temperature: -4.5, humidity: 61, battery: 3.712 }
+    });
+  });
+
+  test('honours big-endian schemas', () => {
+    const buffer = Buffer.alloc(2);
+    buffer.writeUInt16BE(1013, 0);
+    expect(CompactFrameCodec.decode(buffer, { endian: 'big', fields: [{ name: 'pressure', type: 'uint16' }] }).data).toEqual({ pressure: 1013 });
+  });
+
+  test('refuses a frame of the wrong size', () => {
+    expect(() => CompactFrameCodec.decode(frame().subarray(0, 4), SCHEMA)).toThrow('Compact frame is 4 bytes, schema expects 5');
+  });
+
+  test('lists every problem with a schema', () => {
+    expect(CompactFrameCodec.validateSchema({
+      endian: 'middle',
+      fields: [{ name: 'a', type: 'int16' }, { name: 'a', type: 'int24', scale: 'x' }]
+    })).toEqual([
+      'endian must be "little" or "big"',
+      'fields[1].name "a" is duplicated',
+      `fields[1].type must be one of ${CompactFrameCodec.fieldTypes.join(', ')}`,
+      'fields[1].scale must be a number'
+    ]);
+    expect(CompactFrameCodec.validateSchema(SCHEMA)).toEqual([]);
+  });
+});
+
+describe('payloadCodecService', () => {
+  const message = { type: 'sensor', data: { temperature: 21.5 } };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    payloadCodecService.boardCache.clear();
+  });
+
+  test('a codec suffix on the topic is split off', () => {
+    expect(payloadCodecService.splitTopic('resp/board_1/cbor')).toEqual({ baseTopic: 'resp/board_1', codec: 'cbor' });
+    expect(payloadCodecService.splitTopic('resp/board_1/status')).toEqual({ baseTopic: 'resp/board_1/status', codec: null });
+  });
+
+  test('decodes with the board\'s stored codec unless the topic names one', async () => {
+    DeviceModel.getBoardCodec.mockResolvedValue({ payload_codec: 'msgpack', compact_schema: null });
+
+    await expect(payloadCodecService.decode('resp/board_1', Buffer.from(msgpack.encode(message)))).resolves.toEqual(message);
+    await expect(payloadCodecService.decode('resp/board_1', cbor.encode(message), 'cbor')).resolves.toEqual(message);
+    // The board's settings are cached
+    expect(DeviceModel.getBoardCodec).toHaveBeenCalledTimes(1);
+  });
+
+  test('decodes compact frames with the board\'s schema', async () => {
+    DeviceModel.getBoardCodec.mockResolvedValue({ payload_codec: 'compact', compact_schema: JSON.stringify(SCHEMA) });
+
+    await expect(payloadCodecService.decode('resp/board_1', frame())).resolves.toMatchObject({ data: { humidity: 61 } });
+  });
+
+  test('encodes for the board\'s codec, and as JSON for codecs that only decode', async () => {
+    DeviceModel.getBoardCodec.mockResolvedValueOnce({ payload_codec: 'cbor', compact_schema: null });
+    expect(cbor.decode(await payloadCodecService.encode('cmd/board_1', message))).toEqual(message);
+
+    DeviceModel.getBoardCodec.mockResolvedValueOnce({ payload_codec: 'compact', compact_schema: JSON.stringify(SCHEMA) });
+    await expect(payloadCodecService.encode('cmd/board_2', message)).resolves.toBe(JSON.stringify(message));
+  });
+
+  test('an unknown stored codec falls back to JSON', async () => {
+    DeviceModel.getBoardCodec.mockResolvedValue({ payload_codec: 'protobuf', compact_schema: null });
+
+    await expect(payloadCodecService.decode('resp/board_1', Buffer.from(JSON.stringify(message)))).resolves.toEqual(message);
+  });
+});
@@ -0,0 +1,32 @@
+jest.mock('../../config/database', () => ({ query: jest.fn() }));
+jest.mock('../../models/sceneModel', () => ({
+  getScene: jest.fn(async () => ({ id: 4, name: 'Movie night' })),
+  getSceneDevices: jest.fn(async () => [{ device_id: 'light_1', state: { state: false } }]),
+  createActivation: jest.fn(async () => 17),
+  deleteActivationsOlderThan: jest.fn(async () => 2)
+}));
+jest.mock('../../models/deviceModel', () => ({
+  getDevicesWithBoards: jest.fn(async () => [{ device_id: 'light_1', state: '{"state":true,"brightness":80}' }])
+}));
+jest.mock('../../services/bulkControlService', () => ({}));
+
+const SceneModel = require('../../models/sceneModel');
+const SceneService = require('../../services/sceneService');
+
+describe('SceneService', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('begin records the replaced state without pruning old activations', async () => {
+    const begun = await SceneService.begin(1, 4, 'voice');
+
+    expect(begun).toEqual({ scene: { id: 4, name: 'Movie night' }, activationId: 17, items: [{ device_id: 'light_1', patch: { state: false } }] });
+    expect(SceneModel.createActivation).toHaveBeenCalledWith(4, 1, 'voice', { light_1: { state: true } });
+    expect(SceneModel.deleteActivationsOlderThan).not.toHaveBeenCalled();
+  });
+
+  test('prune drops activations older than 30 days', async () => {
+    const now = new Date('2026-10-19T00:00:00Z');
+    await expect(SceneService.prune(now)).resolves.toBe(2);
+    expect(SceneModel.deleteActivationsOlderThan).toHaveBeenCalledWith(new Date('2026-09-19T00:00:00Z'));
+  });
+});
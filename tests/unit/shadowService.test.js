@@ -0,0 +1,79 @@
+jest.mock('../../config/database', () => ({ query: jest.fn() }));
+jest.mock('../../models/shadowModel', () => ({
+  getShadow: jest.fn(),
+  getShadowsByBoard: jest.fn(),
+  updateSection: jest.fn()
+}));
+jest.mock('../../services/commandQueueService', () => ({ hasActiveCommand: jest.fn(() => false) }));
+jest.mock('../../services/deviceTypeRegistry', () => ({ commandsForState: jest.fn() }));
+jest.mock('../../services/mqttService', () => ({ sendCommand: jest.fn(), waitForAck: jest.fn() }));
+jest.mock('../../services/socketService', () => ({ broadcastShadowUpdate: jest.fn() }));
+
+const ShadowModel = require('../../models/shadowModel');
+const commandQueueService = require('../../services/commandQueueService');
+const DeviceTypeRegistry = require('../../services/deviceTypeRegistry');
+const mqttService = require('../../services/mqttService');
+const socketService = require('../../services/socketService');
+const shadowService = require('../../services/shadowService');
+
+const device = { device_id: 'dimmer_1', device_type: 'dimmer' };
+
+function shadow(desired, reported) {
+  return { deviceId: 'dimmer_1', desired, reported, version: 4, desiredUpdatedAt: null, reportedUpdatedAt: null };
+}
+
+describe('shadowService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  test('the delta holds the desired keys the board has not reported, nested objects key by key', () => {
+    const document = shadowService.toDocument(shadow(
+      { state: true, brightness: 40, color: { r: 255, g: 0 }, mode: 'auto' },
+      { state: true, brightness: 80, color: { r: 255, g: 10 } }
+    ));
+    expect(document.state.delta).toEqual({ brightness: 40, color: { g: 0 }, mode: 'auto' });
+    expect(document.version).toBe(4);
+  });
+
+  test('reconciling sends a command per typed change, the rest as shadow_delta, and records acked ones as reported', async () => {
+    ShadowModel.getShadow.mockResolvedValue(shadow({ brightness: 40, schedule: 'night' }, { brightness: 80 }));
+    DeviceTypeRegistry.commandsForState.mockReturnValue({
+      commands: [{ commandType: 'pwm', data: { value: 40 }, reported: { brightness: 40 } }],
+      rest: { schedule: 'night' }
+    });
+    mqttService.sendCommand.mockResolvedValueOnce('cmd_pwm').mockResolvedValueOnce('cmd_delta');
+    mqttService.waitForAck.mockImplementation(async commandId => commandId === 'cmd_pwm');
+    ShadowModel.updateSection.mockResolvedValue({ changed: true, shadow: shadow({}, {}) });
+
+    await shadowService.reconcileDevice('board_1', device);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(mqttService.sendCommand).toHaveBeenCalledWith('board_1', 'pwm', { value: 40 }, { deviceId: 'dimmer_1' });
+    expect(mqttService.sendCommand).toHaveBeenCalledWith('board_1', 'shadow_delta', {
+      data: { device_id: 'dimmer_1', delta: { schedule: 'night' }, version: 4 }
+    }, { deviceId: 'dimmer_1' });
+    expect(ShadowModel.updateSection).toHaveBeenCalledTimes(1);
+    expect(ShadowModel.updateSection).toHaveBeenCalledWith('dimmer_1', 'reported', { brightness: 40 }, undefined);
+    expect(socketService.broadcastShadowUpdate).toHaveBeenCalledWith('dimmer_1', expect.objectContaining({ deviceId: 'dimmer_1' }));
+  });
+
+  test('reconciling leaves a device alone while a command for it is queued or in flight', async () => {
+    ShadowModel.getShadow.mockResolvedValue(shadow({ brightness: 40 }, { brightness: 80 }));
+    commandQueueService.hasActiveCommand.mockReturnValueOnce(true);
+
+    await shadowService.reconcileDevice('board_1', device);
+
+    expect(mqttService.sendCommand).not.toHaveBeenCalled();
+  });
+
+  test('reconciling sends nothing when the board already reports the desired state', async () => {
+    ShadowModel.getShadowsByBoard.mockResolvedValue([{ device, shadow: shadow({ brightness: 40 }, { brightness: 40 }) }]);
+
+    await shadowService.reconcileBoard('board_1');
+
+    expect(DeviceTypeRegistry.commandsForState).not.toHaveBeenCalled();
+    expect(mqttService.sendCommand).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,66 @@
+jest.mock('../../config/database', () => ({ query: jest.fn() }));
+jest.mock('../../models/deviceModel', () => ({ getDeviceWithBoard: jest.fn() }));
+jest.mock('../../services/deviceControlService', () => ({
+  applyState: jest.fn(async () => ({ delivery: 'delivered', commandIds: ['cmd_1'], acked: true, unacked: [] })),
+  execute: jest.fn(async () => ({ delivery: 'delivered', commandIds: ['cmd_2'], acked: false, unacked: ['cmd_2'] }))
+}));
+
+const db = require('../../config/database');
+const DeviceModel = require('../../models/deviceModel');
+const DeviceControlService = require('../../services/deviceControlService');
+const socketService = require('../../services/socketService');
+
+function socket() {
+  const room = { emit: jest.fn() };
+  return { user: { id: 1, email: 'a@example.com', first_name: 'An', last_name: 'Nguyen' }, emit: jest.fn(), to: jest.fn(() => room), room };
+}
+
+describe('socketService device_command', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    DeviceModel.getDeviceWithBoard.mockResolvedValue({ device_id: 'relay_1', board_id: 'board_1', device_type: 'switch', state: '{"state":false}', is_online: 1 });
+  });
+
+  test('goes through the device control path and reports the ack', async () => {
+    const client = socket();
+
+    await socketService.handleDeviceCommand(client, { deviceId: 'relay_1', command: { action: 'toggle' } });
+
+    expect(DeviceModel.getDeviceWithBoard).toHaveBeenCalledWith('relay_1', 1);
+    expect(DeviceControlService.applyState).toHaveBeenCalledWith(expect.objectContaining({ device_id: 'relay_1' }), { state: true });
+    expect(client.emit).toHaveBeenCalledWith('command_sent', {
+      deviceId: 'relay_1', commandId: 'cmd_1', commandIds: ['cmd_1'], acked: true, command: { action: 'toggle' }
+    });
+    expect(client.to).toHaveBeenCalledWith('device_relay_1');
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  test('typed capability commands are executed as such', async () => {
+    const client = socket();
+    const command = { capability: 'on_off', command: 'on' };
+
+    await socketService.handleDeviceCommand(client, { deviceId: 'relay_1', command });
+
+    expect(DeviceControlService.execute).toHaveBeenCalledWith(expect.objectContaining({ device_id: 'relay_1' }), { capability: 'on_off', command: 'on', args: undefined });
+    expect(client.emit).toHaveBeenCalledWith('command_sent', expect.objectContaining({ commandId: 'cmd_2', acked: false }));
+  });
+
+  test('unknown devices, offline boards and commands the type cannot take are refused', async () => {
+    const client = socket();
+    DeviceModel.getDeviceWithBoard.mockResolvedValueOnce(null);
+    await socketService.handleDeviceCommand(client, { deviceId: 'relay_9', command: { action: 'turn_on' } });
+
+    DeviceModel.getDeviceWithBoard.mockResolvedValueOnce({ device_id: 'relay_1', device_type: 'switch', is_online: 0 });
+    await socketService.handleDeviceCommand(client, { deviceId: 'relay_1', command: { action: 'turn_on' } });
+
+    await socketService.handleDeviceCommand(client, { deviceId: 'relay_1', command: { value: 50 } });
+
+    expect(client.emit.mock.calls).toEqual([
+      ['error', { message: 'Access denied to device', deviceId: 'relay_9' }],
+      ['error', { message: 'Board is offline. Cannot control device.', deviceId: 'relay_1' }],
+      ['error', { message: 'Device type "switch" does not accept a value', deviceId: 'relay_1' }]
+    ]);
+    expect(DeviceControlService.applyState).not.toHaveBeenCalled();
+  });
+});
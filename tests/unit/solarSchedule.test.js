@@ -0,0 +1,57 @@
+const SolarSchedule = require('../../services/solarSchedule');
+
+const LONDON = { latitude: 51.5074, longitude: -0.1278 };
+const TROMSO = { latitude: 69.6492, longitude: 18.9553 };
+const MINUTE_MS = 60 * 1000;
+
+function onDay(trigger, day) {
+  return SolarSchedule.between(trigger, `${day}T00:00:00Z`, `${day}T23:59:59Z`);
+}
+
+// Within two minutes of the published time
+function expectNear(time, expected) {
+  expect(Math.abs(time.getTime() - new Date(expected).getTime())).toBeLessThanOrEqual(2 * MINUTE_MS);
+}
+
+describe('SolarSchedule', () => {
+  test('sunrise and sunset in London on the June solstice', () => {
+    // 04:43 and 21:21 BST
+    const [sunrise] = onDay({ event: 'sunrise', ...LONDON }, '2026-06-21');
+    const [sunset] = onDay({ event: 'sunset', ...LONDON }, '2026-06-21');
+    expectNear(sunrise, '2026-06-21T03:43:00Z');
+    expectNear(sunset, '2026-06-21T20:21:00Z');
+  });
+
+  test('dawn comes before sunrise and dusk after sunset', () => {
+    const [dawn] = onDay({ event: 'dawn', ...LONDON }, '2026-03-20');
+    const [sunrise] = onDay({ event: 'sunrise', ...LONDON }, '2026-03-20');
+    const [sunset] = onDay({ event: 'sunset', ...LONDON }, '2026-03-20');
+    const [dusk] = onDay({ event: 'dusk', ...LONDON }, '2026-03-20');
+    expect(dawn < sunrise && sunrise < sunset && sunset < dusk).toBe(true);
+  });
+
+  test('an offset shifts the event', () => {
+    const [sunset] = onDay({ event: 'sunset', ...LONDON }, '2026-06-21');
+    const [early] = onDay({ event: 'sunset', offsetMinutes: -30, ...LONDON }, '2026-06-21');
+    expect(sunset - early).toBe(30 * MINUTE_MS);
+  });
+
+  test('polar night has no sunrise or sunset, but still a civil dawn and dusk', () => {
+    expect(onDay({ event: 'sunrise', ...TROMSO }, '2026-12-21')).toEqual([]);
+    expect(onDay({ event: 'sunset', ...TROMSO }, '2026-12-21')).toEqual([]);
+    expect(onDay({ event: 'dawn', ...TROMSO }, '2026-12-21')).toHaveLength(1);
+    expect(onDay({ event: 'dusk', ...TROMSO }, '2026-12-21')).toHaveLength(1);
+
+    // The sun is back in mid-January
+    const [sunrise] = SolarSchedule.next({ event: 'sunrise', ...TROMSO }, new Date('2026-12-21T00:00:00Z'));
+    expect(sunrise >= new Date('2027-01-10T00:00:00Z') && sunrise <= new Date('2027-01-20T00:00:00Z')).toBe(true);
+  });
+
+  test('polar day has no sunset until the midnight sun ends', () => {
+    expect(onDay({ event: 'sunset', ...TROMSO }, '2026-06-21')).toEqual([]);
+    expect(onDay({ event: 'dusk', ...TROMSO }, '2026-06-21')).toEqual([]);
+
+    const [sunset] = SolarSchedule.next({ event: 'sunset', ...TROMSO }, new Date('2026-06-21T00:00:00Z'));
+    expect(sunset >= new Date('2026-07-18T00:00:00Z') && sunset <= new Date('2026-08-01T00:00:00Z')).toBe(true);
+  });
+});
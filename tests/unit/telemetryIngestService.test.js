@@ -0,0 +1,94 @@
+jest.mock('../../config/database', () => ({ query: jest.fn() }));
+jest.mock('../../services/telemetryRollupService', () => ({ markLate: jest.fn(async () => {}) }));
+
+process.env.TELEMETRY_BATCH_SIZE = '4';
+process.env.TELEMETRY_MAX_QUEUE = '10';
+
+const db = require('../../config/database');
+const telemetryRollupService = require('../../services/telemetryRollupService');
+const telemetryIngestService = require('../../services/telemetryIngestService');
+
+const RECEIVED_AT = new Date('2026-10-19T10:00:00Z');
+
+// Devices that exist; the INSERT fails with `insertError` once if given
+function database(existing, insertError = null) {
+  let failed = false;
+  db.query.mockImplementation(async (sql, params) => {
+    if (sql.startsWith('SELECT')) return params.filter(id => existing.includes(id)).map(device_id => ({ device_id }));
+    if (insertError && !failed) {
+      failed = true;
+      throw insertError;
+    }
+    return { affectedRows: params.length / 10 };
+  });
+}
+
+function inserts() {
+  return db.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO device_data')).map(([, params]) => params);
+}
+
+describe('telemetryIngestService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    telemetryIngestService.queue.length = 0;
+    telemetryIngestService.flushing = null;
+    telemetryIngestService.knownDevices.clear();
+  });
+
+  test('writes a batch with one INSERT, drops unknown devices and caches the lookup', async () => {
+    database(['dht_1']);
+    telemetryIngestService.enqueue('dht_1', 'sensor', { temperature: 23.5, humidity: 40 }, { receivedAt: RECEIVED_AT });
+    telemetryIngestService.enqueue('ghost_1', 'sensor', { temperature: 19 }, { receivedAt: RECEIVED_AT });
+
+    await telemetryIngestService.flush();
+    telemetryIngestService.enqueue('dht_1', 'heartbeat', {}, { receivedAt: RECEIVED_AT });
+    telemetryIngestService.enqueue('ghost_1', 'heartbeat', {}, { receivedAt: RECEIVED_AT });
+    await telemetryIngestService.flush();
+
+    const [first, second] = inserts();
+    expect(first).toHaveLength(20);
+    expect(first.filter((value, index) => index % 10 === 2)).toEqual(['temperature', 'humidity']);
+    expect(second).toHaveLength(10);
+    expect(db.query.mock.calls.filter(([sql]) => sql.startsWith('SELECT'))).toHaveLength(1);
+    expect(telemetryIngestService.getMetrics().dropped.unknown_device).toBe(2);
+    expect(telemetryRollupService.markLate).toHaveBeenCalledWith(RECEIVED_AT);
+  });
+
+  test('sheds heartbeats first when the queue fills, then everything', () => {
+    // A batch still being written, so the queue fills up
+    telemetryIngestService.flushing = Promise.resolve();
+    for (let index = 0; index < 8; index++) telemetryIngestService.queue.push({ deviceId: 'dht_1' });
+
+    expect(telemetryIngestService.enqueue('board_1', 'heartbeat', {})).toBe(false);
+    expect(telemetryIngestService.enqueue('relay_1', 'state', { state: 'on' })).toBe(true);
+    expect(telemetryIngestService.enqueue('relay_1', 'state', { state: 'off' })).toBe(true);
+    expect(telemetryIngestService.enqueue('relay_1', 'state', { state: 'on' })).toBe(false);
+  });
+
+  test('a failed INSERT puts the batch back at the front of the queue', async () => {
+    database(['dht_1'], Object.assign(new Error('Connection lost'), { code: 'PROTOCOL_CONNECTION_LOST' }));
+    telemetryIngestService.enqueue('dht_1', 'sensor', { temperature: 23.5 }, { receivedAt: RECEIVED_AT });
+
+    await telemetryIngestService.flush();
+
+    expect(telemetryIngestService.queue.map(row => row.metric)).toEqual(['temperature']);
+    expect(telemetryIngestService.getMetrics().lastError).toBe('Connection lost');
+  });
+
+  test('a device deleted since it was cached is re-checked and left out of the retry', async () => {
+    telemetryIngestService.rememberDevice('dht_1');
+    telemetryIngestService.rememberDevice('dht_2');
+    database(['dht_1'], Object.assign(new Error('foreign key'), { code: 'ER_NO_REFERENCED_ROW_2' }));
+    telemetryIngestService.enqueue('dht_1', 'sensor', { temperature: 23.5 }, { receivedAt: RECEIVED_AT });
+    telemetryIngestService.enqueue('dht_2', 'sensor', { temperature: 19 }, { receivedAt: RECEIVED_AT });
+
+    await telemetryIngestService.flush();
+
+    const [failed, retry] = inserts();
+    expect(failed).toHaveLength(20);
+    expect(retry[0]).toBe('dht_1');
+    expect(retry).toHaveLength(10);
+    expect(telemetryIngestService.queue).toEqual([]);
+  });
+});
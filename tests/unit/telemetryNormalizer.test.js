@@ -0,0 +1,61 @@
+const TelemetryNormalizer = require('../../services/telemetryNormalizer');
+
+const RECEIVED_AT = new Date('2026-10-19T10:00:00Z');
+
+describe('TelemetryNormalizer', () => {
+  test('reads flat sensor payloads with a units map', () => {
+    expect(TelemetryNormalizer.sensorReadings({ temperature: 23.5, humidity: '40', status: 'ok', units: { temperature: '°C' }, ts: 1 })).toEqual([
+      { metric: 'temperature', value: 23.5, unit: '°C', quality: 'good' },
+      { metric: 'humidity', value: 40, unit: null, quality: 'good' }
+    ]);
+  });
+
+  test('reads wrapped values and sensor lists, also under details', () => {
+    expect(TelemetryNormalizer.sensorReadings({ temperature: { value: 23.5, unit: '°C', quality: 'uncertain' } })).toEqual([
+      { metric: 'temperature', value: 23.5, unit: '°C', quality: 'uncertain' }
+    ]);
+    expect(TelemetryNormalizer.sensorReadings('{"details":{"sensors":[{"name":"co2","value":612,"unit":"ppm"}]}}')).toEqual([
+      { metric: 'co2', value: 612, unit: 'ppm', quality: 'good' }
+    ]);
+  });
+
+  test('a failed read is a null value of bad quality, and a bare number is metric "value"', () => {
+    expect(TelemetryNormalizer.sensorReadings({ temperature: null })).toEqual([{ metric: 'temperature', value: null, unit: null, quality: 'bad' }]);
+    expect(TelemetryNormalizer.sensorReadings('17')).toEqual([{ metric: 'value', value: 17, unit: null, quality: 'good' }]);
+  });
+
+  test('sensor rows with an implausible device time are at best uncertain', () => {
+    const rows = TelemetryNormalizer.normalize('dht_1', 'sensor', { temperature: 23.5, humidity: null }, {
+      receivedAt: RECEIVED_AT,
+      timestampStatus: 'implausible'
+    });
+    expect(rows.map(({ metric, quality, observedAt }) => ({ metric, quality, observedAt }))).toEqual([
+      { metric: 'temperature', quality: 'uncertain', observedAt: RECEIVED_AT },
+      { metric: 'humidity', quality: 'bad', observedAt: RECEIVED_AT }
+    ]);
+  });
+
+  test('state rows chart on/off as 1/0 and keep the full state', () => {
+    const [row] = TelemetryNormalizer.normalize('relay_1', 'state', { state: 'ON', source: 'button' }, { receivedAt: RECEIVED_AT });
+    expect(row).toMatchObject({ metric: 'state', value: 1, payload: { state: 'ON', source: 'button' }, quality: 'good', timestampStatus: 'server' });
+
+    const [dimmer] = TelemetryNormalizer.normalize('dimmer_1', 'state', { value: 70 }, { receivedAt: RECEIVED_AT });
+    expect(dimmer).toMatchObject({ metric: 'value', value: 70 });
+  });
+
+  test('heartbeats keep the message and nothing to chart', () => {
+    const observedAt = new Date('2026-10-19T09:59:58Z');
+    expect(TelemetryNormalizer.normalize('board_1', 'heartbeat', '{"uptime":12}', { observedAt, receivedAt: RECEIVED_AT, timestampStatus: 'corrected' })).toEqual([{
+      deviceId: 'board_1',
+      dataType: 'heartbeat',
+      observedAt,
+      receivedAt: RECEIVED_AT,
+      timestampStatus: 'corrected',
+      metric: null,
+      value: null,
+      unit: null,
+      quality: 'good',
+      payload: { uptime: 12 }
+    }]);
+  });
+});
@@ -0,0 +1,58 @@
+jest.mock('../../config/database', () => ({ query: jest.fn() }));
+jest.mock('../../models/telemetryRollupModel', () => ({ getRawRows: jest.fn() }));
+jest.mock('../../services/telemetryRollupService', () => ({ getPolicyForDevice: jest.fn(async () => null) }));
+
+const TelemetryRollupModel = require('../../models/telemetryRollupModel');
+const TelemetryQueryService = require('../../services/telemetryQueryService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-10-19T12:00:00Z');
+
+function rawRow(index) {
+  return {
+    metric: 'temperature',
+    value: 20 + index,
+    unit: 'C',
+    quality: 'good',
+    payload: null,
+    observed_at: new Date(now.getTime() - 1000 * (index + 1)),
+    received_at: new Date(now.getTime() - 1000 * index),
+    timestamp_status: 'device'
+  };
+}
+
+describe('TelemetryQueryService.exportCsv raw limits', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('exports raw rows of a short range, asking for one row over the cap', async () => {
+    TelemetryRollupModel.getRawRows.mockResolvedValue([rawRow(0), rawRow(1)]);
+    const result = await TelemetryQueryService.exportCsv('temp_1', { from: new Date(now.getTime() - DAY_MS / 2), to: now, now });
+
+    expect(result.resolution).toBe('raw');
+    expect(result.csv.trim().split('\n')).toHaveLength(3);
+    expect(TelemetryRollupModel.getRawRows).toHaveBeenCalledWith('temp_1', expect.objectContaining({ limit: 100001 }));
+  });
+
+  test('refuses a forced raw export over the span cap without reading rows', async () => {
+    const result = await TelemetryQueryService.exportCsv('temp_1', {
+      resolution: 'raw',
+      from: new Date(now.getTime() - 400 * DAY_MS),
+      to: now,
+      now
+    });
+
+    expect(result.error).toMatch(/at most 31 days/);
+    expect(TelemetryRollupModel.getRawRows).not.toHaveBeenCalled();
+  });
+
+  test('non-sensor types are raw and capped too', async () => {
+    const result = await TelemetryQueryService.exportCsv('relay_1', { data_type: 'state', from: new Date(now.getTime() - 40 * DAY_MS), to: now, now });
+    expect(result.error).toMatch(/at most 31 days; narrow start_date\/end_date$/);
+  });
+
+  test('refuses a raw export holding more rows than the cap', async () => {
+    TelemetryRollupModel.getRawRows.mockResolvedValue({ length: 100001 });
+    const result = await TelemetryQueryService.exportCsv('temp_1', { resolution: 'raw', from: new Date(now.getTime() - DAY_MS), to: now, now });
+    expect(result.error).toMatch(/more than 100000 raw rows/);
+  });
+});
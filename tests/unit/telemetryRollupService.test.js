@@ -0,0 +1,46 @@
+jest.mock('../../config/database', () => ({ query: jest.fn() }));
+jest.mock('../../models/telemetryRollupModel', () => ({
+  claimJob: jest.fn(async () => true),
+  releaseJob: jest.fn(),
+  getRetentionPolicies: jest.fn(async () => []),
+  getWatermarks: jest.fn(async () => ({})),
+  setWatermark: jest.fn()
+}));
+jest.mock('../../services/clusterBusService', () => ({ instanceId: 'host-a-0' }));
+
+const TelemetryRollupModel = require('../../models/telemetryRollupModel');
+const telemetryRollupService = require('../../services/telemetryRollupService');
+
+describe('telemetryRollupService retention tasks', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    telemetryRollupService.retentionTasks.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test('runs every task under the retention lease, past a failing one', async () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+    const failing = jest.fn(async () => { throw new Error('lock wait timeout'); });
+    const pruning = jest.fn(async () => 3);
+    telemetryRollupService.addRetentionTask('executions', failing);
+    telemetryRollupService.addRetentionTask('bulk_control_jobs', pruning);
+
+    await telemetryRollupService.runRetention(now);
+
+    expect(TelemetryRollupModel.claimJob).toHaveBeenCalledWith('retention', 'host-a-0', expect.any(Number));
+    expect(failing).toHaveBeenCalledWith(now);
+    expect(pruning).toHaveBeenCalledWith(now);
+    expect(TelemetryRollupModel.setWatermark).toHaveBeenCalledWith('retention', now);
+  });
+
+  test('skips the tasks when another instance holds the lease', async () => {
+    TelemetryRollupModel.claimJob.mockResolvedValueOnce(false);
+    const pruning = jest.fn(async () => 0);
+    telemetryRollupService.addRetentionTask('scene_activations', pruning);
+
+    await telemetryRollupService.runRetention();
+
+    expect(pruning).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,24 @@
+const TimeZone = require('../../services/timeZone');
+
+const NEW_YORK = 'America/New_York';
+
+describe('TimeZone', () => {
+  test('isValid knows IANA zones only', () => {
+    expect(TimeZone.isValid('Asia/Ho_Chi_Minh')).toBe(true);
+    expect(TimeZone.isValid('Mars/Olympus_Mons')).toBe(false);
+    expect(TimeZone.isValid('')).toBe(false);
+    expect(TimeZone.isValid(7)).toBe(false);
+  });
+
+  test('wallTime reads the local clock and offset follows daylight saving time', () => {
+    expect(TimeZone.wallTime('2026-10-19T16:00:00.250Z', 'Asia/Ho_Chi_Minh')).toBe(Date.UTC(2026, 9, 19, 23, 0, 0, 250));
+    expect(TimeZone.offset('2026-07-01T00:00:00Z', NEW_YORK)).toBe(-4 * 60 * 60 * 1000);
+    expect(TimeZone.offset('2026-12-01T00:00:00Z', NEW_YORK)).toBe(-5 * 60 * 60 * 1000);
+  });
+
+  test('toInstant resolves a skipped time to the jump and a repeated one to its first occurrence', () => {
+    expect(new Date(TimeZone.toInstant(Date.UTC(2026, 2, 8, 2, 30), NEW_YORK)).toISOString()).toBe('2026-03-08T07:00:00.000Z');
+    expect(new Date(TimeZone.toInstant(Date.UTC(2026, 10, 1, 1, 30), NEW_YORK)).toISOString()).toBe('2026-11-01T05:30:00.000Z');
+    expect(new Date(TimeZone.toInstant(Date.UTC(2026, 10, 1, 2, 30), NEW_YORK)).toISOString()).toBe('2026-11-01T07:30:00.000Z');
+  });
+});
@@ -0,0 +1,54 @@
+jest.mock('../../config/database', () => ({ query: jest.fn() }));
+jest.mock('../../models/timerModel', () => ({ getEnabledTimersByUser: jest.fn() }));
+jest.mock('../../models/sceneModel', () => ({ getSceneDevices: jest.fn() }));
+
+const TimerModel = require('../../models/timerModel');
+const SceneModel = require('../../models/sceneModel');
+const TimerConflictService = require('../../services/timerConflictService');
+
+const NOW = new Date('2026-10-19T00:00:00Z');
+
+function timer(id, fields) {
+  return { id, name: `Timer ${id}`, timezone: 'UTC', is_enabled: 1, cron_expression: '0 22 * * *', ...fields };
+}
+
+describe('TimerConflictService', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('warns once per timer and device about switching it the other way in the same minute', async () => {
+    const lightsOn = timer(1, { device_id: 'light_1', action: 'turn_on' });
+    TimerModel.getEnabledTimersByUser.mockResolvedValue([
+      lightsOn,
+      timer(2, { device_id: 'light_1', action: 'turn_off' }),
+      timer(3, { device_id: 'light_1', action: 'turn_on' }),
+      timer(4, { device_id: 'light_1', action: 'turn_off', cron_expression: '30 22 * * *' })
+    ]);
+
+    const warnings = await TimerConflictService.find(lightsOn, 1, NOW);
+
+    expect(warnings).toEqual([{
+      timer_id: 2,
+      timer_name: 'Timer 2',
+      device_id: 'light_1',
+      at: '2026-10-19T22:00:00.000Z',
+      message: 'Timer "Timer 2" turns light_1 off in the same minute this one turns it on (first at 2026-10-19T22:00:00.000Z)'
+    }]);
+  });
+
+  test('compares what scenes set on their devices', async () => {
+    SceneModel.getSceneDevices.mockResolvedValue([{ device_id: 'light_1', state: { state: false } }]);
+    const bedtime = timer(5, { scene_id: 8 });
+    TimerModel.getEnabledTimersByUser.mockResolvedValue([bedtime, timer(6, { device_id: 'light_1', action: 'turn_on', cron_expression: '0 22 * * sat' })]);
+
+    const [warning] = await TimerConflictService.find(bedtime, 1, NOW);
+
+    expect(warning).toMatchObject({ timer_id: 6, device_id: 'light_1', at: '2026-10-24T22:00:00.000Z' });
+  });
+
+  test('disabled timers and toggles are left alone', async () => {
+    TimerModel.getEnabledTimersByUser.mockResolvedValue([timer(2, { device_id: 'light_1', action: 'turn_off' })]);
+
+    await expect(TimerConflictService.find(timer(1, { device_id: 'light_1', action: 'turn_on', is_enabled: false }), 1, NOW)).resolves.toEqual([]);
+    await expect(TimerConflictService.find(timer(1, { device_id: 'light_1', action: 'toggle' }), 1, NOW)).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,44 @@
+jest.mock('../../config/database', () => ({ query: jest.fn() }));
+
+const db = require('../../config/database');
+const TimerModel = require('../../models/timerModel');
+
+describe('TimerModel', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('createTimer lists the columns it sets, with the vacation settings as JSON', async () => {
+    db.query.mockResolvedValue({ insertId: 7 });
+    const runAt = new Date('2026-10-20T18:00:00Z');
+
+    const timerId = await TimerModel.createTimer({
+      user_id: 1,
+      name: 'Away',
+      kind: 'vacation',
+      vacation: { device_ids: ['relay_1'], min_on_minutes: 30 },
+      run_at: runAt,
+      last_run_at: null,
+      device_id: undefined,
+      next_runs: []
+    });
+
+    expect(timerId).toBe(7);
+    expect(db.query).toHaveBeenCalledWith(
+      'INSERT INTO timers (user_id, name, kind, run_at, vacation, last_run_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [1, 'Away', 'vacation', runAt, '{"device_ids":["relay_1"],"min_on_minutes":30}', null]
+    );
+  });
+
+  test('updateTimer sets only the given columns, never the owner', async () => {
+    await TimerModel.updateTimer('4', { is_enabled: false, user_id: 2, device_id: null }, 1);
+
+    expect(db.query).toHaveBeenCalledWith(
+      'UPDATE timers SET is_enabled = ?, device_id = ? WHERE id = ? AND user_id = ?',
+      [false, null, '4', 1]
+    );
+  });
+
+  test('updateTimer with nothing to set does not query', async () => {
+    await TimerModel.updateTimer(4, { id: 4 }, 1);
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
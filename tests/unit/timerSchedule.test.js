@@ -0,0 +1,97 @@
+const TimerSchedule = require('../../services/timerSchedule');
+
+const MINUTE_MS = 60 * 1000;
+
+function turn(deviceId, action) {
+  return { type: 'device', device_id: deviceId, action, value: null };
+}
+
+function serialize(runs) {
+  return runs.map(({ at, commands }) => ({ at: at.toISOString(), commands }));
+}
+
+describe('TimerSchedule', () => {
+  test('a recurring timer runs in its own timezone, else its owner\'s', () => {
+    const timer = { cron_expression: '0 7 * * *', device_id: 'light_1', action: 'turn_on', value: null };
+    const after = new Date('2026-10-19T00:00:00Z');
+    expect(TimerSchedule.next({ ...timer, user_timezone: 'Asia/Ho_Chi_Minh' }, after)[0].at.toISOString()).toBe('2026-10-20T00:00:00.000Z');
+    expect(TimerSchedule.next({ ...timer, timezone: 'UTC', user_timezone: 'Asia/Ho_Chi_Minh' }, after)[0].at.toISOString()).toBe('2026-10-19T07:00:00.000Z');
+  });
+
+  test('a recurring timer keeps to the wall clock across daylight saving time', () => {
+    const timer = { timezone: 'America/New_York', device_id: 'light_1', action: 'turn_on', value: null };
+
+    // 2026-03-08: 02:30 does not exist and runs as the clock jumps to 03:00 EDT
+    expect(serialize(TimerSchedule.next({ ...timer, cron_expression: '30 2 * * *' }, new Date('2026-03-07T00:00:00Z'), 3)).map(run => run.at)).toEqual([
+      '2026-03-07T07:30:00.000Z',
+      '2026-03-08T07:00:00.000Z',
+      '2026-03-09T06:30:00.000Z'
+    ]);
+    // 2026-11-01: 01:30 happens twice and runs once, in EDT
+    expect(serialize(TimerSchedule.next({ ...timer, cron_expression: '30 1 * * *' }, new Date('2026-10-31T00:00:00Z'), 3)).map(run => run.at)).toEqual([
+      '2026-10-31T05:30:00.000Z',
+      '2026-11-01T05:30:00.000Z',
+      '2026-11-02T06:30:00.000Z'
+    ]);
+  });
+
+  test('a countdown runs once, at run_at, and resumes from its last run', () => {
+    const timer = { kind: 'countdown', run_at: '2026-10-19T10:15:00Z', duration_seconds: 900, device_id: 'light_1', action: 'turn_off', value: null };
+    expect(serialize(TimerSchedule.next(timer, new Date('2026-10-19T10:00:00Z'), 3))).toEqual([
+      { at: '2026-10-19T10:15:00.000Z', commands: [turn('light_1', 'turn_off')] }
+    ]);
+
+    // A run missed while no instance was up still happens; one already made does not again
+    expect(TimerSchedule.next(timer, TimerSchedule.resumeAfter(timer, new Date('2026-10-19T11:00:00Z')))).toHaveLength(1);
+    const ran = { ...timer, last_run_at: '2026-10-19T10:15:00Z' };
+    expect(TimerSchedule.next(ran, TimerSchedule.resumeAfter(ran))).toEqual([]);
+  });
+
+  test('a pulse turns on on its schedule and off duration_seconds later', () => {
+    const timer = { kind: 'pulse', cron_expression: '0 18 * * *', timezone: 'Asia/Ho_Chi_Minh', duration_seconds: 600, device_id: 'pump_1' };
+    expect(serialize(TimerSchedule.next(timer, new Date('2026-10-19T00:00:00Z'), 4))).toEqual([
+      { at: '2026-10-19T11:00:00.000Z', commands: [turn('pump_1', 'turn_on')] },
+      { at: '2026-10-19T11:10:00.000Z', commands: [turn('pump_1', 'turn_off')] },
+      { at: '2026-10-20T11:00:00.000Z', commands: [turn('pump_1', 'turn_on')] },
+      { at: '2026-10-20T11:10:00.000Z', commands: [turn('pump_1', 'turn_off')] }
+    ]);
+    // A pulse that started before the range still ends in it
+    expect(serialize(TimerSchedule.runs(timer, '2026-10-19T11:05:00Z', '2026-10-19T12:00:00Z'))).toEqual([
+      { at: '2026-10-19T11:10:00.000Z', commands: [turn('pump_1', 'turn_off')] }
+    ]);
+  });
+
+  test('a one-off pulse runs once', () => {
+    const timer = { kind: 'pulse', run_at: '2026-10-19T11:00:00Z', duration_seconds: 600, device_id: 'pump_1' };
+    expect(TimerSchedule.isFinite(timer)).toBe(true);
+    expect(serialize(TimerSchedule.next(timer, new Date('2026-10-19T00:00:00Z'), 4)).map(run => run.at)).toEqual([
+      '2026-10-19T11:00:00.000Z',
+      '2026-10-19T11:10:00.000Z'
+    ]);
+  });
+
+  test('vacation turns each device on and off once per window and day, the same way on every instance', () => {
+    const timer = {
+      id: 7,
+      kind: 'vacation',
+      timezone: 'Asia/Ho_Chi_Minh',
+      vacation: { device_ids: ['light_1', 'light_2'], windows: [{ from: '18:00', to: '23:00' }], min_on_minutes: 30, max_on_minutes: 120 }
+    };
+    // 18:00-23:00 in Ho Chi Minh City on 19 October
+    const from = new Date('2026-10-19T11:00:00Z');
+    const to = new Date('2026-10-19T16:00:00Z');
+    const runs = TimerSchedule.runs(timer, '2026-10-19T00:00:00Z', '2026-10-19T23:59:59Z');
+
+    for (const deviceId of ['light_1', 'light_2']) {
+      const [on, off, ...rest] = runs.flatMap(({ at, commands }) => commands.filter(command => command.device_id === deviceId).map(command => ({ at, action: command.action })));
+      expect(rest).toEqual([]);
+      expect([on.action, off.action]).toEqual(['turn_on', 'turn_off']);
+      expect(on.at >= from && off.at <= to).toBe(true);
+      expect(off.at - on.at).toBeGreaterThanOrEqual(30 * MINUTE_MS);
+      expect(off.at - on.at).toBeLessThanOrEqual(120 * MINUTE_MS);
+    }
+    expect(serialize(TimerSchedule.runs(timer, '2026-10-19T00:00:00Z', '2026-10-19T23:59:59Z'))).toEqual(serialize(runs));
+    expect(TimerSchedule.next(timer, new Date('2026-10-19T00:00:00Z'), 8).map(run => run.at.toISOString().slice(0, 10)))
+      .toEqual(expect.arrayContaining(['2026-10-19', '2026-10-20']));
+  });
+});
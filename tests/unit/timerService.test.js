@@ -0,0 +1,99 @@
+jest.mock('../../config/database', () => ({ query: jest.fn() }));
+jest.mock('../../models/timerModel', () => ({}));
+jest.mock('../../models/sceneModel', () => ({ getScene: jest.fn(async () => null) }));
+jest.mock('../../models/deviceModel', () => ({ getDevicesWithBoards: jest.fn() }));
+jest.mock('../../models/homeModel', () => ({ getHome: jest.fn() }));
+jest.mock('../../services/bulkControlService', () => ({}));
+jest.mock('../../services/sceneService', () => ({}));
+jest.mock('../../services/executionLogService', () => ({}));
+jest.mock('../../services/clusterBusService', () => ({ subscribe: jest.fn(), publish: jest.fn() }));
+
+const DeviceModel = require('../../models/deviceModel');
+const HomeModel = require('../../models/homeModel');
+const timerService = require('../../services/timerService');
+
+const DEVICES = [
+  { device_id: 'relay_1', device_type: 'switch', state: '{"state":false}' },
+  { device_id: 'dimmer_1', device_type: 'dimmer', state: '{}' },
+  { device_id: 'dht_1', device_type: 'sensor_dht22', state: null }
+];
+
+async function errors(timer) {
+  return (await timerService.validate(timer, 1)).errors;
+}
+
+describe('timerService.validate', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    DeviceModel.getDevicesWithBoards.mockImplementation(async ids => DEVICES.filter(device => ids.includes(device.device_id)));
+    HomeModel.getHome.mockResolvedValue({ id: 2, latitude: 10.78, longitude: 106.7 });
+  });
+
+  test('accepts a valid recurring, solar, once, pulse and vacation timer', async () => {
+    await expect(errors({ cron_expression: '0 7 * * mon-fri', timezone: 'Asia/Ho_Chi_Minh', device_id: 'relay_1', action: 'turn_on' })).resolves.toEqual([]);
+    await expect(errors({ solar_event: 'sunset', offset_minutes: -15, home_id: 2, device_id: 'dimmer_1', action: 'set_value', value: 128 })).resolves.toEqual([]);
+    await expect(errors({ kind: 'once', run_at: '2026-12-24T18:00:00Z', device_id: 'relay_1', action: 'toggle' })).resolves.toEqual([]);
+    await expect(errors({ kind: 'pulse', cron_expression: '0 6 * * *', duration_seconds: 600, device_id: 'relay_1' })).resolves.toEqual([]);
+    await expect(errors({
+      kind: 'vacation',
+      vacation: { device_ids: ['relay_1'], windows: [{ from: '18:00', to: '23:00' }], min_on_minutes: 30, max_on_minutes: 90 }
+    })).resolves.toEqual([]);
+  });
+
+  test('reports the schedule and the target problems together', async () => {
+    await expect(errors({ cron_expression: '0 7 * * SUNDAY', device_id: 'dht_1', action: 'turn_on' })).resolves.toEqual([
+      'cron_expression: Invalid day of week field: SUNDAY',
+      'dht_1: Device type "sensor_dht22" cannot be switched on or off'
+    ]);
+  });
+
+  test('checks each kind\'s schedule fields', async () => {
+    const relay = { device_id: 'relay_1', action: 'turn_on' };
+    await expect(errors({ ...relay, timezone: 'Mars/Base' })).resolves.toContain('timezone must be an IANA name such as Asia/Ho_Chi_Minh');
+    await expect(errors({ ...relay, cron_expression: '0 7 * * *', solar_event: 'sunrise', home_id: 2 })).resolves.toContain('A timer takes cron_expression or solar_event, not both');
+    await expect(errors({ ...relay, kind: 'countdown', duration_seconds: 0 })).resolves.toContain('duration_seconds must be a whole number from 1 to 604800');
+    await expect(errors({ ...relay, kind: 'once', cron_expression: '0 7 * * *' })).resolves.toContain('A once timer runs at run_at, not on cron_expression or solar_event');
+    await expect(errors({ kind: 'pulse', scene_id: 3, duration_seconds: 10, cron_expression: '0 7 * * *' })).resolves.toContain('A pulse switches one device, not a scene');
+    await expect(errors({
+      kind: 'vacation',
+      vacation: { device_ids: ['relay_1', 'relay_9'], windows: [{ from: '18:00', to: '23:00' }], min_on_minutes: 30, max_on_minutes: 90 }
+    })).resolves.toEqual(['Device not found: relay_9']);
+  });
+
+  test('a solar timer needs a home with a location', async () => {
+    HomeModel.getHome.mockResolvedValue({ id: 2, latitude: null, longitude: null });
+    await expect(errors({ solar_event: 'dusk', home_id: 2, device_id: 'relay_1', action: 'turn_on' }))
+      .resolves.toEqual(['Set the home\'s latitude and longitude first']);
+    await expect(errors({ solar_event: 'noon', home_id: 2, device_id: 'relay_1', action: 'turn_on' }))
+      .resolves.toEqual(['solar_event must be one of sunrise, sunset, dawn, dusk']);
+  });
+
+  test('checks the action against the device type', async () => {
+    await expect(errors({ cron_expression: '0 7 * * *', device_id: 'relay_1', action: 'set_value', value: 50 }))
+      .resolves.toEqual(['relay_1: Device type "switch" does not accept a value']);
+    await expect(errors({ cron_expression: '0 7 * * *', device_id: 'dimmer_1', action: 'set_value' })).resolves.toEqual(['set_value needs a value']);
+    await expect(errors({ cron_expression: '0 7 * * *', scene_id: 4 })).resolves.toEqual(['Scene not found']);
+  });
+});
+
+describe('timerService.scheduleTimer', () => {
+  const timer = { id: 3, name: 'Porch', is_enabled: 1, timezone: 'America/New_York', device_id: 'relay_1', action: 'turn_on', value: null };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(timerService, 'waitFor').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('waits for the jump when the run time is skipped by daylight saving time', () => {
+    timerService.scheduleTimer({ ...timer, cron_expression: '30 2 * * *' }, new Date('2026-03-07T07:30:00Z'));
+    expect(timerService.waitFor.mock.calls[0][1].at.toISOString()).toBe('2026-03-08T07:00:00.000Z');
+  });
+
+  test('does not run again when the clock passes the run time a second time', () => {
+    // Rescheduled right after the 01:30 EDT run; 01:30 EST an hour later is skipped
+    timerService.scheduleTimer({ ...timer, cron_expression: '30 1 * * *' }, new Date('2026-11-01T05:30:00Z'));
+    expect(timerService.waitFor.mock.calls[0][1].at.toISOString()).toBe('2026-11-02T06:30:00.000Z');
+  });
+});